@@ -0,0 +1,46 @@
+/**
+ * @file Stored game migration script
+ * @description Upgrades every game and snapshot in the configured storage
+ * (`STORAGE_BACKEND`) to the current schema version and prints what it changed.
+ *
+ *     npm run migrate               upgrade everything
+ *     npm run migrate -- --dry-run  only report what would be upgraded
+ *
+ * Exits with 1 if any document could not be upgraded.
+ */
+
+import { gameRepository } from './src/db/gameRepository.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Prints the migration report
+ * @param {Object} report - Report from GameRepository#migrate
+ */
+function printReport({ schemaVersion, games, snapshots, failed }) {
+    const verb = dryRun ? 'Would upgrade' : 'Upgraded';
+
+    games.forEach(({ gameId, fromVersion, applied }) => {
+        console.log(`${verb} game ${gameId} from version ${fromVersion}: ${applied.join('; ')}`);
+    });
+    snapshots.forEach(({ gameId, seq, fromVersion, applied }) => {
+        console.log(`${verb} snapshot ${seq} of game ${gameId} from version ${fromVersion}: ${applied.join('; ')}`);
+    });
+    failed.forEach(({ gameId, seq, error }) => {
+        console.error(`Could not upgrade ${seq === undefined ? 'game' : `snapshot ${seq} of game`} ${gameId}: ${error}`);
+    });
+
+    console.log(`${verb} ${games.length} games and ${snapshots.length} snapshots to schema version ${schemaVersion}`
+        + (failed.length > 0 ? `; ${failed.length} failed` : ''));
+}
+
+try {
+    await gameRepository.connect();
+    const report = await gameRepository.migrate({ dryRun });
+    printReport(report);
+    await gameRepository.disconnect();
+    process.exit(report.failed.length > 0 ? 1 : 0);
+} catch (error) {
+    console.error(`Migration failed: ${error.message}`);
+    process.exit(1);
+}
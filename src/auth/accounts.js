@@ -0,0 +1,107 @@
+/**
+ * @file Player accounts
+ * @module auth/accounts
+ * @description Registers players and checks their passwords. Accounts are kept through
+ * the game repository's storage adapter, so they last as long as the games do.
+ * Passwords are kept only as salted scrypt hashes; accounts leave this module without them.
+ */
+
+import { randomUUID } from 'crypto';
+import { log } from '../utils/logger.js';
+import { hashPassword, verifyPassword } from '../utils/passwords.js';
+import { DEBUG_LEVELS } from '../config/constants.js';
+import { gameRepository } from '../db/gameRepository.js';
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]{3,20}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_DISPLAY_NAME_LENGTH = 30;
+
+// Hash checked against when the username is unknown, so a miss takes as long as a hit
+const DUMMY_HASH = hashPassword(randomUUID());
+
+/**
+ * Strips an account down to what may be shown to its owner and other players
+ * @private
+ * @param {Object} account - Stored account
+ * @returns {Object} Account without its password hash
+ */
+function toPublicAccount({ passwordHash, ...account }) {
+    return account;
+}
+
+/**
+ * AccountStore registers and logs in players against stored accounts
+ */
+export class AccountStore {
+    /**
+     * @param {Object} [storage] - Game repository or storage adapter accounts are kept in; defaults to the server's
+     */
+    constructor(storage = gameRepository) {
+        this.storage = storage;
+    }
+
+    /**
+     * Creates an account
+     * @param {Object} details - Sign-up details
+     * @param {string} details.username - 3 to 20 letters, digits, dashes or underscores
+     * @param {string} details.password - At least 8 characters
+     * @param {string} [details.displayName] - Name shown at the table; defaults to the username
+     * @returns {Promise<Object>} The new account, without its password hash
+     * @throws {Error} If a detail is invalid or the username is taken
+     */
+    async register({ username, password, displayName } = {}) {
+        if (!USERNAME_PATTERN.test(username || '')) {
+            throw new Error('Usernames are 3 to 20 letters, digits, dashes or underscores');
+        }
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw new Error(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+        if (await this.storage.findAccountByUsername(username)) {
+            throw new Error(`The username ${username} is taken`);
+        }
+
+        const name = String(displayName || username).trim().slice(0, MAX_DISPLAY_NAME_LENGTH) || username;
+        const account = {
+            id: randomUUID(),
+            username,
+            displayName: name,
+            passwordHash: await hashPassword(password),
+            createdAt: new Date().toISOString()
+        };
+
+        await this.storage.createAccount(account);
+        log(DEBUG_LEVELS.INFO, `[AccountStore] Registered ${username}`);
+        return toPublicAccount(account);
+    }
+
+    /**
+     * Checks a username and password
+     * @param {Object} credentials - Login details
+     * @param {string} credentials.username - The username
+     * @param {string} credentials.password - The password
+     * @returns {Promise<Object>} The account, without its password hash
+     * @throws {Error} If the username or password is wrong; the message doesn't say which
+     */
+    async authenticate({ username, password } = {}) {
+        const account = await this.storage.findAccountByUsername(username);
+
+        if (!(await verifyPassword(password, account ? account.passwordHash : await DUMMY_HASH)) || !account) {
+            throw new Error('Wrong username or password');
+        }
+
+        return toPublicAccount(account);
+    }
+
+    /**
+     * Gets an account by its id
+     * @param {string} id - The account id
+     * @returns {Promise<Object|null>} The account, without its password hash, or null if there is none
+     */
+    async getAccount(id) {
+        const account = await this.storage.loadAccount(id);
+        return account ? toPublicAccount(account) : null;
+    }
+}
+
+// Export a singleton instance
+export const accountStore = new AccountStore();
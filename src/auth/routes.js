@@ -0,0 +1,114 @@
+/**
+ * @file Account routes
+ * @module auth/routes
+ * @description HTTP endpoints to register and log in. Both answer with a session
+ * token, which the client hands to Socket.IO when it connects. Replies use the same
+ * shape as the socket handlers: { success, ... } or { success: false, error }.
+ * Registering and logging in are rate limited per address, and a ban from the socket
+ * rate limiter covers them too when both share a store.
+ */
+
+import express from 'express';
+import { log } from '../utils/logger.js';
+import { AUTH_RATE_LIMITS, DEBUG_LEVELS } from '../config/constants.js';
+import { RateLimiter, getRefusalMessage } from '../socket/middleware/rateLimiter.js';
+import { accountStore as defaultAccountStore } from './accounts.js';
+import { createSessionToken, verifySessionToken } from './sessions.js';
+
+/**
+ * Sends an error in the handlers' reply shape
+ * @private
+ */
+function sendError(res, status, error, code) {
+    res.status(status).json({ success: false, error: { message: error.message, code } });
+}
+
+/**
+ * Creates middleware that counts a request against the sender's address and refuses
+ * it with 429 once the address is over its limit. Requests go through if the limiter's
+ * store can't be reached.
+ * @private
+ */
+function limitAttempts(limiter, attempt) {
+    return async (req, res, next) => {
+        const address = `address:${req.ip}`;
+        let result;
+        try {
+            result = await limiter.consume(address, attempt);
+        } catch (error) {
+            log(DEBUG_LEVELS.ERROR, `[auth:${attempt}] Could not count the attempt: ${error.message}`);
+            return next();
+        }
+
+        if (result.allowed) return next();
+
+        log(DEBUG_LEVELS.WARNING, `[auth:${attempt}] Refused ${address} (${result.code})`);
+        res.set('Retry-After', String(Math.ceil(result.retryAfter / 1000)));
+        return sendError(res, 429, new Error(getRefusalMessage(result)), result.code);
+    };
+}
+
+/**
+ * Creates the router for /api/auth
+ * @param {Object} [accounts] - Account store; defaults to the server's
+ * @param {Object} [options={}] - Router options
+ * @param {string} [options.sessionSecret] - Key session tokens are signed with; defaults to the server's
+ * @param {RateLimiter} [options.rateLimiter] - Limiter for registering and logging in; defaults to
+ * one with `AUTH_RATE_LIMITS` that keeps its counters in memory
+ * @returns {Object} Express router
+ */
+export function createAuthRouter(
+    accounts = defaultAccountStore,
+    { sessionSecret, rateLimiter = new RateLimiter({ limits: AUTH_RATE_LIMITS }) } = {}
+) {
+    const router = express.Router();
+    const sessionOptions = { secret: sessionSecret };
+
+    /**
+     * Create an account and log in
+     * Body: { username, password, displayName? }
+     */
+    router.post('/register', limitAttempts(rateLimiter, 'register'), async (req, res) => {
+        try {
+            const account = await accounts.register(req.body || {});
+            res.status(201).json({ success: true, account, token: createSessionToken(account, sessionOptions) });
+        } catch (error) {
+            log(DEBUG_LEVELS.WARNING, `[auth:register] ${error.message}`);
+            sendError(res, 400, error, 'REGISTER_ERROR');
+        }
+    });
+
+    /**
+     * Log in
+     * Body: { username, password }
+     */
+    router.post('/login', limitAttempts(rateLimiter, 'login'), async (req, res) => {
+        try {
+            const account = await accounts.authenticate(req.body || {});
+            res.json({ success: true, account, token: createSessionToken(account, sessionOptions) });
+        } catch (error) {
+            log(DEBUG_LEVELS.WARNING, `[auth:login] ${error.message}`);
+            sendError(res, 401, error, 'LOGIN_ERROR');
+        }
+    });
+
+    /**
+     * Get the account a session token belongs to
+     * Header: Authorization: Bearer <token>
+     */
+    router.get('/me', async (req, res) => {
+        try {
+            const token = (req.get('Authorization') || '').replace(/^Bearer /, '');
+            const { sub } = verifySessionToken(token, sessionOptions);
+            const account = await accounts.getAccount(sub);
+            if (!account) {
+                throw new Error('This account no longer exists');
+            }
+            res.json({ success: true, account });
+        } catch (error) {
+            sendError(res, 401, error, 'SESSION_ERROR');
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,82 @@
+/**
+ * @file Session tokens
+ * @module auth/sessions
+ * @description Signed session tokens handed out at login. A token is the base64url
+ * JSON of who it belongs to and when it expires, followed by an HMAC-SHA256 of that
+ * payload, so the server can check one without keeping a list of sessions.
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { log } from '../utils/logger.js';
+import { DEBUG_LEVELS, SESSION_TTL } from '../config/constants.js';
+
+let defaultSecret = process.env.SESSION_SECRET;
+
+/**
+ * Gets the key sessions are signed with. Without SESSION_SECRET a random key is
+ * made, and every login ends when the server restarts.
+ * @returns {string} The signing key
+ */
+export function getSessionSecret() {
+    if (!defaultSecret) {
+        log(DEBUG_LEVELS.WARNING, '[sessions] SESSION_SECRET is not set; sessions will not survive a restart');
+        defaultSecret = randomBytes(32).toString('hex');
+    }
+    return defaultSecret;
+}
+
+/**
+ * Signs a token payload
+ * @private
+ */
+function sign(payload, secret) {
+    return createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * Creates a session token for an account
+ * @param {Object} account - The account logging in
+ * @param {Object} [options={}] - Token options
+ * @param {string} [options.secret] - Signing key; defaults to the server's
+ * @param {number} [options.ttl=SESSION_TTL] - Milliseconds until the token expires
+ * @param {number} [options.now=Date.now()] - Current time in milliseconds
+ * @returns {string} The token
+ */
+export function createSessionToken(account, { secret = getSessionSecret(), ttl = SESSION_TTL, now = Date.now() } = {}) {
+    const payload = Buffer.from(JSON.stringify({
+        sub: account.id,
+        name: account.displayName,
+        exp: now + ttl
+    })).toString('base64url');
+
+    return `${payload}.${sign(payload, secret)}`;
+}
+
+/**
+ * Checks a session token's signature and expiry
+ * @param {string} token - The token
+ * @param {Object} [options={}] - Check options
+ * @param {string} [options.secret] - Signing key; defaults to the server's
+ * @param {number} [options.now=Date.now()] - Current time in milliseconds
+ * @returns {Object} The token's payload: account id (`sub`), display name and expiry
+ * @throws {Error} If the token is malformed, forged or expired
+ */
+export function verifySessionToken(token, { secret = getSessionSecret(), now = Date.now() } = {}) {
+    const [payload, signature, ...rest] = String(token || '').split('.');
+    if (!payload || !signature || rest.length > 0) {
+        throw new Error('Malformed session token');
+    }
+
+    const expected = Buffer.from(sign(payload, secret));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+        throw new Error('Invalid session token');
+    }
+
+    const session = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (!(session.exp > now)) {
+        throw new Error('Session expired; please log in again');
+    }
+
+    return session;
+}
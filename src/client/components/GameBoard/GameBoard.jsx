@@ -1,6 +1,6 @@
 import { h } from 'preact';
 import { useEffect, useRef, useState } from 'preact/hooks';
-import { GAME_EVENTS } from '../../../config/constants.js';
+import { GAME_EVENTS, GAME_PHASES } from '../../../config/constants.js';
 import { useGame } from '../../../hooks/useGame.js';
 import { Card } from '../Card/Card.jsx';
 import { PlayerHand } from '../PlayerHand/PlayerHand.jsx';
@@ -8,8 +8,14 @@ import { TrickArea } from '../TrickArea/TrickArea.jsx';
 import { ScoreBoard } from '../ScoreBoard/ScoreBoard.jsx';
 import { BidPanel } from '../BidPanel/BidPanel.jsx';
 import { GameOverlay } from '../GameOverlay/GameOverlay.jsx';
+import { ReplayViewer } from '../ReplayViewer/ReplayViewer.jsx';
+import { readReplayLink } from '../../utils/replayUtils.js';
+import { socketService } from '../../services/socketService.js';
 import './GameBoard.css';
 
+// Phases in which players bid for trump
+const BIDDING_PHASES = [GAME_PHASES.ORDER_UP_ROUND1, GAME_PHASES.CALL_TRUMP, GAME_PHASES.DEALER_MUST_CALL];
+
 export const GameBoard = () => {
     const { 
         state, 
@@ -23,12 +29,16 @@ export const GameBoard = () => {
     
     const [highlightedCard, setHighlightedCard] = useState(null);
     const [showBidPanel, setShowBidPanel] = useState(false);
+    // Hands being replayed, either from this game or from a shared replay link
+    const [replayRecords, setReplayRecords] = useState(() => readReplayLink(window.location.hash));
+    // Whether the hands being replayed are this table's, so the server can analyze them
+    const [isTableReplay, setIsTableReplay] = useState(false);
     const boardRef = useRef(null);
     
     // Handle keyboard navigation
     useEffect(() => {
         const handleKeyDown = (e) => {
-            if (!state?.gamePhase === 'PLAYING' || !isMyTurn) return;
+            if (state?.currentPhase !== GAME_PHASES.PLAYING || !isMyTurn) return;
             
             // Handle card selection with arrow keys
             if (['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown'].includes(e.key)) {
@@ -93,8 +103,8 @@ export const GameBoard = () => {
     const renderGamePhase = () => {
         if (!state) return null;
         
-        switch (state.gamePhase) {
-            case 'LOBBY':
+        switch (state.currentPhase) {
+            case GAME_PHASES.LOBBY:
                 return (
                     <GameOverlay title="Waiting for Players">
                         <div className="player-list">
@@ -116,7 +126,9 @@ export const GameBoard = () => {
                     </GameOverlay>
                 );
                 
-            case 'BIDDING':
+            case GAME_PHASES.ORDER_UP_ROUND1:
+            case GAME_PHASES.CALL_TRUMP:
+            case GAME_PHASES.DEALER_MUST_CALL:
                 if (state.currentPlayer === state.players[state.currentPlayerId]?.id) {
                     return (
                         <BidPanel 
@@ -134,7 +146,7 @@ export const GameBoard = () => {
                     <GameOverlay title="Waiting for bids..." />
                 );
                 
-            case 'PLAYING':
+            case GAME_PHASES.PLAYING:
                 return (
                     <>
                         <TrickArea 
@@ -148,7 +160,7 @@ export const GameBoard = () => {
                     </>
                 );
                 
-            case 'GAME_OVER':
+            case GAME_PHASES.GAME_OVER:
                 return (
                     <GameOverlay title={`Game Over - ${state.winner} wins!`}>
                         <ScoreBoard scores={state.scores} />
@@ -158,6 +170,17 @@ export const GameBoard = () => {
                         >
                             Play Again
                         </button>
+                        {state.handHistory?.length > 0 && (
+                            <button 
+                                className="btn"
+                                onClick={() => {
+                                    setReplayRecords(state.handHistory);
+                                    setIsTableReplay(true);
+                                }}
+                            >
+                                Watch Replay
+                            </button>
+                        )}
                     </GameOverlay>
                 );
                 
@@ -166,6 +189,29 @@ export const GameBoard = () => {
         }
     };
     
+    const analyzeTableHand = async (handNumber) => {
+        const { analysis } = await socketService.send(GAME_EVENTS.HAND_ANALYSIS, { handNumber });
+        return analysis;
+    };
+    
+    const closeReplay = () => {
+        setReplayRecords(null);
+        setIsTableReplay(false);
+        if (window.location.hash) {
+            window.history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
+    };
+    
+    if (replayRecords) {
+        return (
+            <ReplayViewer
+                records={replayRecords}
+                onClose={closeReplay}
+                onAnalyze={isTableReplay ? analyzeTableHand : undefined}
+            />
+        );
+    }
+    
     if (!state) {
         return (
             <div className="game-board loading">
@@ -176,7 +222,7 @@ export const GameBoard = () => {
     }
     
     return (
-        <div className={`game-board phase-${state.gamePhase?.toLowerCase()}`} ref={boardRef}>
+        <div className={`game-board phase-${state.currentPhase?.toLowerCase()}`} ref={boardRef}>
             {/* Score Board */}
             <ScoreBoard 
                 scores={state.scores} 
@@ -226,7 +272,7 @@ export const GameBoard = () => {
                     )}
                     
                     <div className="player-actions">
-                        {state.gamePhase === 'BIDDING' && isMyTurn && (
+                        {BIDDING_PHASES.includes(state.currentPhase) && isMyTurn && (
                             <button 
                                 className="btn btn-bid"
                                 onClick={() => setShowBidPanel(true)}
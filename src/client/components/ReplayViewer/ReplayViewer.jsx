@@ -0,0 +1,244 @@
+import { h } from 'preact';
+import { useEffect, useMemo, useState } from 'preact/hooks';
+import { PLAYER_ROLES } from '../../../config/constants.js';
+import { Card } from '../Card/Card.jsx';
+import { getEffectiveSuit } from '../../utils/cardUtils.js';
+import { analyzeHandRecord } from '../../../game/logic/trickSolver.js';
+import {
+    buildReplayFrames,
+    findFrameIndex,
+    createReplayLink,
+    readReplayLink
+} from '../../utils/replayUtils.js';
+import './ReplayViewer.css';
+
+const PLAY_INTERVAL_MS = 1200;
+
+const SEAT_POSITIONS = {
+    south: 'bottom',
+    west: 'left',
+    north: 'top',
+    east: 'right'
+};
+
+const cardName = ({ rank, suit }) => `${rank} of ${suit}`;
+
+/**
+ * Steps through finished hands with every seat's cards face up.
+ * Shows the hands passed in, or the hands shared in a replay link when none are given.
+ * Each hand can be compared with perfect play; `onAnalyze` asks the table's server,
+ * and without it the hand is analyzed here.
+ */
+export const ReplayViewer = ({ records, onClose, onAnalyze }) => {
+    const handRecords = useMemo(
+        () => records || readReplayLink(window.location.hash) || [],
+        [records]
+    );
+    const frames = useMemo(() => buildReplayFrames(handRecords), [handRecords]);
+    const [frameIndex, setFrameIndex] = useState(0);
+    const [isPlaying, setIsPlaying] = useState(false);
+    const [linkCopied, setLinkCopied] = useState(false);
+    const [analyses, setAnalyses] = useState({}); // handNumber -> analysis, or { error }
+
+    const lastIndex = frames.length - 1;
+    const frame = frames[frameIndex];
+
+    const stepTo = (index) => setFrameIndex(Math.max(0, Math.min(lastIndex, index)));
+
+    // Advance one frame at a time while playing, stopping at the end
+    useEffect(() => {
+        if (!isPlaying) return;
+
+        const timer = setInterval(() => {
+            setFrameIndex(index => {
+                if (index >= lastIndex) {
+                    setIsPlaying(false);
+                    return index;
+                }
+                return index + 1;
+            });
+        }, PLAY_INTERVAL_MS);
+
+        return () => clearInterval(timer);
+    }, [isPlaying, lastIndex]);
+
+    // Arrow keys step, space toggles play/pause
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'ArrowLeft') stepTo(frameIndex - 1);
+            if (e.key === 'ArrowRight') stepTo(frameIndex + 1);
+            if (e.key === ' ') {
+                e.preventDefault();
+                setIsPlaying(playing => !playing);
+            }
+        };
+
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [frameIndex, lastIndex]);
+
+    const handleJump = (e) => {
+        const [handNumber, trickNumber] = e.target.value.split(':').map(Number);
+        const index = findFrameIndex(frames, handNumber, trickNumber);
+        if (index !== -1) {
+            setIsPlaying(false);
+            setFrameIndex(index);
+        }
+    };
+
+    const handleShare = async () => {
+        const record = handRecords.find(r => r.handNumber === frame.handNumber);
+        const link = createReplayLink(record);
+
+        try {
+            await navigator.clipboard.writeText(link);
+            setLinkCopied(true);
+            setTimeout(() => setLinkCopied(false), 2000);
+        } catch (error) {
+            console.error('Failed to copy replay link:', error);
+            window.prompt('Copy this link to share the hand:', link);
+        }
+    };
+
+    const handleAnalyze = async () => {
+        const { handNumber } = frame;
+
+        try {
+            const analysis = onAnalyze
+                ? await onAnalyze(handNumber)
+                : analyzeHandRecord(handRecords.find(r => r.handNumber === handNumber));
+            setAnalyses(current => ({ ...current, [handNumber]: analysis }));
+        } catch (error) {
+            console.error('Failed to analyze hand:', error);
+            setAnalyses(current => ({ ...current, [handNumber]: { error: error.message } }));
+        }
+    };
+
+    if (!frame) {
+        return (
+            <div className="replay-viewer empty">
+                <p>There are no finished hands to replay.</p>
+                {onClose && <button className="btn" onClick={onClose}>Close</button>}
+            </div>
+        );
+    }
+
+    const isTrump = (card) => Boolean(frame.trumpSuit) && getEffectiveSuit(card, frame.trumpSuit) === frame.trumpSuit;
+    const analysis = analyses[frame.handNumber];
+    const canAnalyze = handRecords.find(r => r.handNumber === frame.handNumber)?.tricks.length > 0;
+
+    return (
+        <div className="replay-viewer">
+            <div className="replay-header">
+                <span className="replay-hand">Hand {frame.handNumber}</span>
+                <span className="replay-trump">
+                    {frame.trumpSuit ? `Trump: ${frame.trumpSuit}` : 'Bidding'}
+                </span>
+                <span className="replay-score">
+                    North/South {frame.scores['north+south']} - East/West {frame.scores['east+west']}
+                </span>
+                {onClose && (
+                    <button className="btn btn-close" onClick={onClose} aria-label="Close replay">×</button>
+                )}
+            </div>
+
+            <div className="replay-table">
+                {PLAYER_ROLES.map(role => (
+                    <div key={role} className={`replay-seat seat-${SEAT_POSITIONS[role]}`}>
+                        <div className="seat-name">
+                            {role}{frame.dealer === role && ' (D)'}
+                        </div>
+                        <div className="seat-cards">
+                            {(frame.hands[role] || []).map(card => (
+                                <Card
+                                    key={`${card.rank}${card.suit}`}
+                                    rank={card.rank}
+                                    suit={card.suit}
+                                    isTrump={isTrump(card)}
+                                />
+                            ))}
+                        </div>
+                    </div>
+                ))}
+
+                <div className="replay-trick">
+                    {frame.upCard && (
+                        <Card rank={frame.upCard.rank} suit={frame.upCard.suit} className="up-card" />
+                    )}
+                    {frame.trick.map(({ player, card }) => (
+                        <div
+                            key={player}
+                            className={`trick-play seat-${SEAT_POSITIONS[player]} ${frame.trickWinner === player ? 'winner' : ''}`}
+                        >
+                            <Card rank={card.rank} suit={card.suit} isTrump={isTrump(card)} />
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            <p className="replay-text" aria-live="polite">{frame.text}</p>
+
+            {analysis && (
+                <div className="replay-analysis" aria-live="polite">
+                    {analysis.error ? (
+                        <p>Could not analyze this hand: {analysis.error}</p>
+                    ) : (
+                        <>
+                            <p>
+                                Perfect play: North/South {analysis.optimal['north+south']} - East/West {analysis.optimal['east+west']} tricks.
+                                {' '}Played: North/South {analysis.actual['north+south']} - East/West {analysis.actual['east+west']}.
+                            </p>
+                            {analysis.mistakes.length === 0 ? (
+                                <p>No card cost a trick.</p>
+                            ) : (
+                                <ul className="replay-mistakes">
+                                    {analysis.mistakes.map(mistake => (
+                                        <li
+                                            key={`${mistake.trickNumber}:${mistake.player}`}
+                                            className={mistake.trickNumber === frame.trickNumber ? 'current' : ''}
+                                        >
+                                            Trick {mistake.trickNumber}: {mistake.player} played the {cardName(mistake.card)},
+                                            {' '}costing {mistake.tricksLost} {mistake.tricksLost === 1 ? 'trick' : 'tricks'}
+                                            {' '}(better: {mistake.bestCards.map(cardName).join(' or ')})
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </>
+                    )}
+                </div>
+            )}
+
+            <div className="replay-controls">
+                <button className="btn" onClick={() => stepTo(0)} disabled={frameIndex === 0} aria-label="First step">⏮</button>
+                <button className="btn" onClick={() => stepTo(frameIndex - 1)} disabled={frameIndex === 0} aria-label="Step back">◀</button>
+                <button className="btn btn-primary" onClick={() => setIsPlaying(!isPlaying)} aria-label={isPlaying ? 'Pause' : 'Play'}>
+                    {isPlaying ? '⏸' : '▶'}
+                </button>
+                <button className="btn" onClick={() => stepTo(frameIndex + 1)} disabled={frameIndex === lastIndex} aria-label="Step forward">▶▶</button>
+                <button className="btn" onClick={() => stepTo(lastIndex)} disabled={frameIndex === lastIndex} aria-label="Last step">⏭</button>
+
+                <select
+                    className="replay-jump"
+                    value={`${frame.handNumber}:${frame.trickNumber}`}
+                    onChange={handleJump}
+                    aria-label="Jump to trick"
+                >
+                    {handRecords.map(record => [0, ...record.tricks.map((_, i) => i + 1)].map(trickNumber => (
+                        <option key={`${record.handNumber}:${trickNumber}`} value={`${record.handNumber}:${trickNumber}`}>
+                            Hand {record.handNumber} - {trickNumber === 0 ? 'Deal' : `Trick ${trickNumber}`}
+                        </option>
+                    )))}
+                </select>
+
+                <button className="btn btn-analyze" onClick={handleAnalyze} disabled={!canAnalyze}>
+                    Analyze hand
+                </button>
+
+                <button className="btn btn-share" onClick={handleShare}>
+                    {linkCopied ? 'Link copied!' : 'Share hand'}
+                </button>
+            </div>
+        </div>
+    );
+};
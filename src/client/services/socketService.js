@@ -1,6 +1,6 @@
 import io from 'socket.io-client';
 import ReconnectionHandler from '../../socket/reconnectionHandler.js';
-import { GAME_EVENTS } from '../../config/constants.js';
+import { GAME_EVENTS, STORAGE_KEYS } from '../../config/constants.js';
 import { log } from '../../utils/logger.js';
 
 // Connection quality thresholds (in ms)
@@ -51,10 +51,13 @@ class SocketService {
                 log(1, `Connecting to WebSocket server at ${url}`);
                 
                 // Create socket with options
+                // Without a session token the server seats us as a guest
+                const session = this.getSession();
                 const socketOptions = {
                     reconnection: false, // We'll handle reconnection manually
                     autoConnect: true,
                     transports: ['websocket'],
+                    auth: session ? { token: session.token } : {},
                     ...options
                 };
                 
@@ -146,7 +149,10 @@ class SocketService {
         this.socket.on('connect', () => {
             this.isConnected = true;
             this.emit('connect');
+            this.rejoinTable();
         });
+
+        this.socket.on(GAME_EVENTS.KICKED, () => this.clearSeat());
         
         this.socket.on('disconnect', (reason) => {
             this.isConnected = false;
@@ -254,6 +260,126 @@ class SocketService {
         });
     }
 
+    /**
+     * Sits down at a table and remembers the seat, so it can be reclaimed after a reconnect
+     * @param {Object} data - Join data: gameId or inviteCode, playerName, role, password
+     * @returns {Promise<Object>} The table and seat joined
+     */
+    async joinTable(data) {
+        const response = await this.send(GAME_EVENTS.JOIN_TABLE, data);
+        if (response?.success) {
+            this.saveSeat(response);
+        }
+        return response;
+    }
+
+    /**
+     * Leaves the current table and forgets the seat
+     * @returns {Promise<Object>} Server response
+     */
+    async leaveTable() {
+        this.clearSeat();
+        return this.send(GAME_EVENTS.LEAVE_TABLE);
+    }
+
+    /**
+     * Takes back the remembered seat, e.g. after the connection dropped or the page reloaded
+     * @returns {Promise<Object|null>} The table and seat, or null if there was none to reclaim
+     */
+    async rejoinTable() {
+        const seat = this.getSavedSeat();
+        if (!seat) return null;
+
+        try {
+            const response = await this.send(GAME_EVENTS.REJOIN_TABLE, {
+                gameId: seat.gameId,
+                playerToken: seat.playerToken
+            });
+            log(1, `Rejoined table ${seat.gameId} as ${response.role}`);
+            return response;
+        } catch (error) {
+            log(2, `Could not rejoin table ${seat.gameId}: ${error.message}`);
+            this.clearSeat();
+            return null;
+        }
+    }
+
+    /**
+     * Remembers the seat this player holds
+     * @param {Object} seat - The gameId, role and playerToken from joining
+     */
+    saveSeat({ gameId, role, playerToken }) {
+        try {
+            localStorage.setItem(STORAGE_KEYS.CONNECTION_STATE, JSON.stringify({ gameId, role, playerToken }));
+        } catch (error) {
+            log(2, `Error saving seat: ${error.message}`);
+        }
+    }
+
+    /**
+     * Gets the seat this player holds, if any
+     * @returns {Object|null} The gameId, role and playerToken
+     */
+    getSavedSeat() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEYS.CONNECTION_STATE);
+            const seat = saved ? JSON.parse(saved) : null;
+            return seat?.gameId && seat?.playerToken ? seat : null;
+        } catch (error) {
+            log(2, `Error reading seat: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Forgets the seat this player holds
+     */
+    clearSeat() {
+        try {
+            localStorage.removeItem(STORAGE_KEYS.CONNECTION_STATE);
+        } catch (error) {
+            log(2, `Error clearing seat: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remembers the session from logging in or registering
+     * @param {Object} session - The token and account from /api/auth
+     */
+    saveSession({ token, account }) {
+        try {
+            localStorage.setItem(STORAGE_KEYS.SESSION_TOKEN, JSON.stringify({ token, account }));
+        } catch (error) {
+            log(2, `Error saving session: ${error.message}`);
+        }
+    }
+
+    /**
+     * Gets the session this player logged in with, if any
+     * @returns {Object|null} The token and account
+     */
+    getSession() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEYS.SESSION_TOKEN);
+            const session = saved ? JSON.parse(saved) : null;
+            return session?.token ? session : null;
+        } catch (error) {
+            log(2, `Error reading session: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Forgets the session, so the next connection is as a guest
+     */
+    clearSession() {
+        try {
+            localStorage.removeItem(STORAGE_KEYS.SESSION_TOKEN);
+        } catch (error) {
+            log(2, `Error clearing session: ${error.message}`);
+        }
+    }
+
     /**
      * Registers an event listener
      * @param {string} event - The event name
@@ -1,5 +1,6 @@
 import { log } from '../../utils/logger.js';
 import { GAME_EVENTS, STORAGE_KEYS } from '../../config/constants.js';
+import { validateGameState } from '../../game/schema.js';
 
 // Helper to safely access localStorage
 const safeStorage = {
@@ -291,6 +292,14 @@ class StateSyncService {
                 return null;
             }
             
+            // A state saved by an older version of the page may not match the schema any more
+            const [violation] = validateGameState(state);
+            if (violation) {
+                log(2, `Discarding saved game state: ${violation.path} ${violation.message}`);
+                safeStorage.removeItem(STORAGE_KEYS.GAME_STATE);
+                return null;
+            }
+            
             log(1, 'Loaded game state from storage');
             return state;
         } catch (error) {
@@ -1,5 +1,5 @@
 import { log } from '../../utils/logger.js';
-import { GAME_EVENTS } from '../../config/constants.js';
+import { GAME_EVENTS, GAME_PHASES } from '../../config/constants.js';
 
 export class UIIntegrationService {
     constructor(stateSyncService, gameUI) {
@@ -132,26 +132,32 @@ export class UIIntegrationService {
      * @param {Object} state - The current game state
      */
     handleGamePhase(state) {
-        if (!state.gamePhase) return;
+        if (!state.currentPhase) return;
         
-        switch (state.gamePhase) {
-            case 'LOBBY':
+        switch (state.currentPhase) {
+            case GAME_PHASES.LOBBY:
                 this.handleLobbyPhase(state);
                 break;
-            case 'DEALING':
-                this.handleDealingPhase(state);
-                break;
-            case 'BIDDING':
+            case GAME_PHASES.ORDER_UP_ROUND1:
+            case GAME_PHASES.CALL_TRUMP:
+            case GAME_PHASES.DEALER_MUST_CALL:
+            case GAME_PHASES.DEALER_DISCARD:
+            case GAME_PHASES.GO_ALONE:
+            case GAME_PHASES.DEFEND_ALONE:
                 this.handleBiddingPhase(state);
                 break;
-            case 'PLAYING':
+            case GAME_PHASES.PLAYING:
                 this.handlePlayingPhase(state);
                 break;
-            case 'GAME_OVER':
+            case GAME_PHASES.SCORING:
+                // The last trick stays on the table until the next deal
+                break;
+            case GAME_PHASES.GAME_OVER:
+            case GAME_PHASES.MATCH_OVER:
                 this.handleGameOver(state);
                 break;
             default:
-                log(2, `Unknown game phase: ${state.gamePhase}`);
+                log(2, `Unknown game phase: ${state.currentPhase}`);
         }
     }
     
@@ -167,18 +173,6 @@ export class UIIntegrationService {
         }
     }
     
-    /**
-     * Handle dealing phase UI
-     */
-    handleDealingPhase(state) {
-        if (this.gameUI.showDealing) {
-            this.gameUI.showDealing({
-                dealer: state.dealer,
-                cardsDealt: state.cardsDealt || 0
-            });
-        }
-    }
-    
     /**
      * Handle bidding phase UI
      */
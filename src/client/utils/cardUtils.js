@@ -94,6 +94,17 @@ export const isLeftBower = (card, trumpSuit) => {
     return false;
 };
 
+/**
+ * Get the suit a card belongs to once trump is known (the left bower counts as trump)
+ * @param {Object} card - The card to check
+ * @param {string} trumpSuit - The current trump suit
+ * @returns {string} - The card's effective suit
+ */
+export const getEffectiveSuit = (card, trumpSuit) => {
+    if (!card) return null;
+    return isLeftBower(card, trumpSuit) ? trumpSuit : card.suit;
+};
+
 /**
  * Check if a card is a valid play based on the current trick
  * @param {Object} card - The card being played
@@ -206,15 +217,57 @@ export const createDeck = () => {
     return deck;
 };
 
+/**
+ * Generate a random 32-bit seed for a seeded deal
+ * @returns {number} - Unsigned 32-bit integer seed
+ */
+export const generateSeed = () => Math.floor(Math.random() * 0x100000000);
+
+/**
+ * Normalize a seed to an unsigned 32-bit integer. String seeds
+ * (e.g. "club-night-board-3") are hashed with FNV-1a.
+ * @param {number|string} seed - The seed to normalize
+ * @returns {number} - Unsigned 32-bit integer seed
+ */
+export const normalizeSeed = (seed) => {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return seed >>> 0;
+    }
+    
+    let hash = 0x811c9dc5;
+    for (const char of String(seed)) {
+        hash ^= char.charCodeAt(0);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+/**
+ * Create a deterministic pseudo-random number generator (mulberry32)
+ * @param {number|string} seed - The seed to start from
+ * @returns {Function} - Function returning numbers in [0, 1), like Math.random
+ */
+export const createSeededRandom = (seed) => {
+    let state = normalizeSeed(seed);
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
 /**
  * Shuffle an array using Fisher-Yates algorithm
  * @param {Array} array - The array to shuffle
+ * @param {Function} [random=Math.random] - Random number source, e.g. from createSeededRandom
  * @returns {Array} - The shuffled array
  */
-export const shuffleDeck = (array) => {
+export const shuffleDeck = (array, random = Math.random) => {
     const newArray = [...array];
     for (let i = newArray.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         [newArray[i], newArray[j]] = [newArray[j], newArray[i]];
     }
     return newArray;
@@ -0,0 +1,162 @@
+import { exportHand, importHands } from '../../game/history/notation.js';
+import { THROW_IN_REASONS } from '../../game/history/handRecord.js';
+
+const REPLAY_HASH_PREFIX = '#replay=';
+
+const sameCard = (a, b) => a.rank === b.rank && a.suit === b.suit;
+
+/**
+ * Gets the scores before a recorded hand was scored
+ * @param {Object} record - Hand record
+ * @returns {Object} Scores by team
+ */
+const getScoresBefore = (record) => {
+    const scores = { 'north+south': 0, 'east+west': 0, ...record.score?.scores };
+    if (record.score) {
+        scores[record.score.team] -= record.score.points;
+    }
+    return scores;
+};
+
+/**
+ * Describes the winning bid of a hand
+ * @param {Object} record - Hand record
+ * @returns {string} Description of how trump was made
+ */
+const describeBidding = (record) => {
+    const bid = record.bids.find(b => b.action !== 'pass');
+    if (!bid) return 'Everyone passed.';
+
+    const made = bid.action === 'order'
+        ? `${bid.player} ordered up the ${record.upCard.rank} of ${record.upCard.suit}`
+        : `${bid.player} called ${bid.suit}`;
+    return record.goAlone?.alone ? `${made} and went alone.` : `${made}.`;
+};
+
+/**
+ * Describes why a hand was thrown in
+ * @param {Object} record - Hand record of a thrown-in hand
+ * @returns {string} Description of the throw-in
+ */
+const describeThrowIn = ({ thrownIn, dealer }) => (thrownIn.reason === THROW_IN_REASONS.MISDEAL
+    ? `${thrownIn.player} called a misdeal. ${dealer} deals again.`
+    : 'Everyone passed. The hand is thrown in.');
+
+/**
+ * Builds the replay frames for a single hand record. Each frame is a complete
+ * snapshot of the table, so the viewer can step forward and backward freely.
+ * @param {Object} record - Hand record from the game's hand history
+ * @returns {Array<Object>} Frames from the deal to the score change
+ */
+export const buildHandFrames = (record) => {
+    const frames = [];
+    const hands = Object.fromEntries(Object.entries(record.hands).map(([role, cards]) => [role, [...cards]]));
+    const scoresBefore = getScoresBefore(record);
+
+    const addFrame = (frame) => frames.push({
+        handNumber: record.handNumber,
+        dealer: record.dealer,
+        trumpSuit: null,
+        upCard: null,
+        trickNumber: 0,
+        trick: [],
+        trickWinner: null,
+        scores: scoresBefore,
+        ...frame,
+        hands: Object.fromEntries(Object.entries(hands).map(([role, cards]) => [role, [...cards]]))
+    });
+
+    addFrame({ upCard: record.upCard, text: `Hand ${record.handNumber}: ${record.dealer} deals.` });
+
+    if (record.farmersHand) {
+        const { player, cards } = record.farmersHand;
+        hands[player] = [...hands[player].filter(c => !cards.some(s => sameCard(s, c))), ...record.kitty];
+        addFrame({ upCard: record.upCard, text: `${player} swapped a farmer's hand with the kitty.` });
+    }
+
+    if (record.thrownIn) {
+        addFrame({ upCard: record.upCard, text: describeThrowIn(record) });
+        return frames;
+    }
+
+    if (record.discard) {
+        hands[record.dealer] = [...hands[record.dealer].filter(c => !sameCard(c, record.discard)), record.upCard];
+    }
+
+    addFrame({ trumpSuit: record.trumpSuit, text: describeBidding(record) });
+
+    record.tricks.forEach((trick, i) => {
+        trick.plays.forEach((play, j) => {
+            hands[play.player] = hands[play.player].filter(c => !sameCard(c, play.card));
+            const complete = j === trick.plays.length - 1;
+            addFrame({
+                trumpSuit: record.trumpSuit,
+                trickNumber: i + 1,
+                trick: trick.plays.slice(0, j + 1),
+                trickWinner: complete ? trick.winner : null,
+                text: complete
+                    ? `${trick.winner} won trick ${i + 1}.`
+                    : `${play.player} played the ${play.card.rank} of ${play.card.suit}.`
+            });
+        });
+    });
+
+    if (record.score) {
+        addFrame({
+            trumpSuit: record.trumpSuit,
+            trickNumber: record.tricks.length,
+            scores: record.score.scores,
+            text: `${record.score.team} scored ${record.score.points}.`
+        });
+    }
+
+    return frames;
+};
+
+/**
+ * Builds the replay frames for a whole game
+ * @param {Array<Object>} records - The game's hand history
+ * @returns {Array<Object>} Frames for every hand in order
+ */
+export const buildReplayFrames = (records = []) => records.flatMap(buildHandFrames);
+
+/**
+ * Finds the first frame of a trick
+ * @param {Array<Object>} frames - Replay frames
+ * @param {number} handNumber - Hand to jump to
+ * @param {number} [trickNumber=0] - Trick to jump to; 0 is the deal
+ * @returns {number} Frame index, or -1 if there is no such trick
+ */
+export const findFrameIndex = (frames, handNumber, trickNumber = 0) =>
+    frames.findIndex(frame => frame.handNumber === handNumber && frame.trickNumber === trickNumber);
+
+/**
+ * Creates a shareable link that opens the replay of a hand
+ * @param {Object} record - Hand record to share
+ * @param {string} [baseUrl] - Page URL without a hash; defaults to the current page
+ * @returns {string} The link
+ */
+export const createReplayLink = (record, baseUrl = window.location.href.split('#')[0]) => {
+    const encoded = btoa(exportHand(record))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+    return `${baseUrl}${REPLAY_HASH_PREFIX}${encoded}`;
+};
+
+/**
+ * Reads the hands shared in a replay link
+ * @param {string} hash - The URL hash, e.g. window.location.hash
+ * @returns {Array<Object>|null} The shared hand records, or null if the hash is not a replay link
+ */
+export const readReplayLink = (hash) => {
+    if (!hash?.startsWith(REPLAY_HASH_PREFIX)) return null;
+
+    try {
+        const encoded = hash.slice(REPLAY_HASH_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/');
+        return importHands(atob(encoded));
+    } catch (error) {
+        console.error('Invalid replay link:', error);
+        return null;
+    }
+};
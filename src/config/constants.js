@@ -19,7 +19,8 @@ export const STORAGE_KEYS = {
     GAME_STATE: 'euchre_game_state',
     OFFLINE_QUEUE: 'euchre_offline_queue',
     PLAYER_PREFERENCES: 'euchre_player_prefs',
-    CONNECTION_STATE: 'euchre_connection_state'
+    CONNECTION_STATE: 'euchre_connection_state',
+    SESSION_TOKEN: 'euchre_session'
 };
 
 // Game events for WebSocket communication
@@ -28,6 +29,13 @@ export const GAME_EVENTS = {
     STATE_UPDATE: 'game_state_update',
     REQUEST_FULL_STATE: 'request_full_state',
     PLAYER_ACTION: 'player_action',
+    // One event per kind of move, as the game page sends them
+    ACTION_ORDER_UP: 'action_order_up',
+    ACTION_CALL_TRUMP: 'action_call_trump',
+    ACTION_DEALER_DISCARD: 'action_dealer_discard',
+    ACTION_GO_ALONE: 'action_go_alone',
+    ACTION_DEFEND_ALONE: 'action_defend_alone',
+    ACTION_PLAY_CARD: 'action_play_card',
     // Game actions
     PLAY_CARD: 'play_card',
     MAKE_BID: 'make_bid',
@@ -40,18 +48,45 @@ export const GAME_EVENTS = {
     GAME_STARTED: 'game_started',
     ROUND_STARTED: 'round_started',
     TRICK_COMPLETED: 'trick_completed',
-    GAME_OVER: 'game_over'
+    GAME_OVER: 'game_over',
+    MATCH_OVER: 'match_over',
+    HAND_ANALYSIS: 'hand_analysis',
+    // Tables
+    CREATE_TABLE: 'create_table',
+    JOIN_TABLE: 'join_table',
+    LEAVE_TABLE: 'leave_table',
+    START_GAME: 'start_game',
+    FILL_BOTS: 'fill_bots',
+    SWAP_SEATS: 'swap_seats',
+    LOCK_SEAT: 'lock_seat',
+    KICK_PLAYER: 'kick_player',
+    KICKED: 'kicked',
+    WATCH_TABLE: 'watch_table',
+    REJOIN_TABLE: 'rejoin_table',
+    TURN_TIMEOUT: 'turn_timeout',
+    // Chat
+    CHAT_MESSAGE: 'chat_message',
+    MUTE_PLAYER: 'mute_player',
+    // Lobby
+    LOBBY_SUBSCRIBE: 'lobby_subscribe',
+    LOBBY_UNSUBSCRIBE: 'lobby_unsubscribe',
+    LOBBY_UPDATE: 'lobby_update',
+    QUICK_JOIN: 'quick_join',
+    ERROR: 'game_error'
 };
 
 export const GAME_PHASES = {
     LOBBY: 'LOBBY',
-    DEALING: 'DEALING',
     ORDER_UP_ROUND1: 'ORDER_UP_ROUND1',
-    ORDER_UP_ROUND2: 'ORDER_UP_ROUND2',
-    GOING_ALONE: 'GOING_ALONE',
+    DEALER_DISCARD: 'DEALER_DISCARD',
+    CALL_TRUMP: 'CALL_TRUMP',
+    DEALER_MUST_CALL: 'DEALER_MUST_CALL',
+    GO_ALONE: 'GO_ALONE',
+    DEFEND_ALONE: 'DEFEND_ALONE',
     PLAYING: 'PLAYING',
     SCORING: 'SCORING',
-    GAME_OVER: 'GAME_OVER'
+    GAME_OVER: 'GAME_OVER',
+    MATCH_OVER: 'MATCH_OVER'
 };
 
 export const PLAYER_ROLES = ['south', 'west', 'north', 'east'];
@@ -72,5 +107,68 @@ export const CARD_RANKS = {
     NINE: 30
 };
 
+// Points awarded at the end of a hand
+export const HAND_POINTS = {
+    MADE: 1,
+    MARCH: 2,
+    LONE_MARCH: 4,
+    EUCHRE: 2,
+    DEFEND_ALONE_BONUS: 4
+};
+
+// Scoring rule identifiers reported with each score message
+export const SCORING_RULES = {
+    MADE: 'made',
+    MARCH: 'march',
+    LONE_MADE: 'lone_made',
+    LONE_MARCH: 'lone_march',
+    EUCHRE: 'euchre',
+    DEFEND_ALONE_EUCHRE: 'defend_alone_euchre'
+};
+
 // Game configuration
 export const WINNING_SCORE = 10;
+export const WINNING_SCORE_OPTIONS = [5, 7, 10, 11, 15];
+
+// How long a disconnected player's seat is held (and the game paused) before a bot takes over
+export const RECONNECT_GRACE_PERIOD = 60 * 1000;
+
+// Default time a player has to act, by kind of turn; 0 turns a clock off
+export const TURN_TIME_LIMITS = {
+    bidding: 30 * 1000,
+    discard: 30 * 1000,
+    playing: 30 * 1000
+};
+
+// Turns a player can let run out before they are flagged as a staller
+export const TIMEOUT_STRIKE_LIMIT = 3;
+
+// How long a login lasts before the player has to sign in again
+export const SESSION_TTL = 7 * 24 * 60 * 60 * 1000;
+
+// Events each user can send per window before the rest are refused; '*' covers every
+// event without a limit of its own
+export const RATE_LIMITS = {
+    [GAME_EVENTS.CREATE_TABLE]: { points: 5, windowMs: 60 * 1000 },
+    [GAME_EVENTS.JOIN_TABLE]: { points: 10, windowMs: 60 * 1000 },
+    [GAME_EVENTS.QUICK_JOIN]: { points: 10, windowMs: 60 * 1000 },
+    [GAME_EVENTS.CHAT_MESSAGE]: { points: 5, windowMs: 10 * 1000 },
+    '*': { points: 60, windowMs: 10 * 1000 }
+};
+
+// Refused events within the window that get a user banned, and for how long
+export const RATE_LIMIT_BAN = {
+    violations: 10,
+    windowMs: 60 * 1000,
+    duration: 5 * 60 * 1000
+};
+
+// Attempts each address can make per window at registering and logging in over HTTP;
+// every attempt costs the server a password hash
+export const AUTH_RATE_LIMITS = {
+    register: { points: 5, windowMs: 60 * 60 * 1000 },
+    login: { points: 10, windowMs: 60 * 1000 }
+};
+
+// How long the rate limiter waits on its store before letting the event through
+export const RATE_LIMIT_STORE_TIMEOUT = 1000;
@@ -5,6 +5,17 @@
  */
 
 const config = {
+    // Where games are kept: 'memory', 'json' (a file on disk) or 'mongodb'. Only 'json'
+    // and 'mongodb' outlive the process, so open tables can be recovered after a restart.
+    storage: {
+        backend: process.env.STORAGE_BACKEND || 'json',
+        json: {
+            SAVE_FILE: process.env.SAVE_FILE || 'game_state.json',
+            AUTO_SAVE: process.env.AUTO_SAVE !== 'false',
+            SAVE_ON_EXIT: process.env.SAVE_ON_EXIT !== 'false',
+            autoSaveInterval: 30 * 1000
+        }
+    },
     mongodb: {
         host: process.env.MONGO_HOST || 'localhost',
         port: process.env.MONGO_PORT || 27017,
@@ -28,8 +39,8 @@ const config = {
     }
 };
 
-// Validate required environment variables in production
-if (process.env.NODE_ENV === 'production') {
+// Validate required environment variables in production when games are kept in MongoDB
+if (process.env.NODE_ENV === 'production' && config.storage.backend === 'mongodb') {
     const requiredVars = [
         'MONGO_HOST',
         'MONGO_PORT',
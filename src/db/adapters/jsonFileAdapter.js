@@ -0,0 +1,207 @@
+/**
+ * @file JSON file storage adapter
+ * @module db/adapters/jsonFileAdapter
+ * @description Keeps games, their event logs, duplicate board results and player
+ * accounts in memory and writes them to a single JSON file (`game_state.json` by default), so a server
+ * without a database still picks up where it left off. With `AUTO_SAVE` the file is rewritten every
+ * `autoSaveInterval` ms while there are unsaved changes; with `SAVE_ON_EXIT` it is
+ * written once more when the adapter disconnects. Writes don't block the tables, and
+ * to keep the file small only what it takes to bring an open table back is kept:
+ * the latest snapshot of each game, and no log at all once a game is closed. A
+ * missing or corrupt file starts the adapter empty rather than stopping the server.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { log } from '../../utils/logger.js';
+import { DEBUG_LEVELS } from '../../config/constants.js';
+import { GAME_LOG_EVENTS } from '../../game/history/eventLog.js';
+import { MemoryAdapter } from './memoryAdapter.js';
+
+// Bumped when the layout of the file changes
+const FILE_VERSION = '1.0.0';
+
+export class JsonFileAdapter extends MemoryAdapter {
+    /**
+     * @param {Object} [options={}] - Adapter options
+     * @param {string} [options.SAVE_FILE='game_state.json'] - Path of the file
+     * @param {boolean} [options.AUTO_SAVE=true] - Whether to write changes on a timer
+     * @param {boolean} [options.SAVE_ON_EXIT=true] - Whether to write changes when disconnecting
+     * @param {number} [options.autoSaveInterval=30000] - Time between automatic writes in ms
+     * @param {Object} [options.fs] - File system to use; defaults to Node's
+     */
+    constructor({
+        SAVE_FILE = 'game_state.json',
+        AUTO_SAVE = true,
+        SAVE_ON_EXIT = true,
+        autoSaveInterval = 30 * 1000,
+        fs: fileSystem = fs
+    } = {}) {
+        super();
+        this.config = { SAVE_FILE, AUTO_SAVE, SAVE_ON_EXIT, autoSaveInterval };
+        this.fs = fileSystem;
+        this.dirty = false;
+        this.autoSaveTimer = null;
+        this.pendingSave = null;
+    }
+
+    /**
+     * Reads the file, if there is one, and starts auto-saving
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        if (this.connected) return;
+
+        this.load();
+        if (this.config.AUTO_SAVE) {
+            this.autoSaveTimer = setInterval(() => this.save(), this.config.autoSaveInterval);
+            this.autoSaveTimer.unref();
+        }
+
+        await super.connect();
+    }
+
+    /**
+     * Reads games, event logs, board results and accounts from the file
+     * @private
+     */
+    load() {
+        const { SAVE_FILE } = this.config;
+
+        try {
+            if (!this.fs.existsSync(SAVE_FILE)) return;
+
+            const saved = JSON.parse(this.fs.readFileSync(SAVE_FILE, 'utf8'));
+            if (saved.version !== FILE_VERSION) {
+                log(DEBUG_LEVELS.WARNING, `[JsonFileAdapter] Ignoring ${SAVE_FILE}: version ${saved.version} is not ${FILE_VERSION}`);
+                return;
+            }
+
+            this.games = new Map(Object.entries(saved.games || {}));
+            this.boardResults = new Map(Object.entries(saved.boardResults || {}));
+            this.events = new Map(Object.entries(saved.events || {}));
+            this.snapshots = new Map(Object.entries(saved.snapshots || {}));
+            this.accounts = new Map(Object.entries(saved.accounts || {}));
+            log(DEBUG_LEVELS.INFO, `[JsonFileAdapter] Loaded ${this.games.size} games from ${SAVE_FILE}`);
+        } catch (error) {
+            log(DEBUG_LEVELS.ERROR, `[JsonFileAdapter] Could not read ${SAVE_FILE}: ${error.message}`);
+            this.games = new Map();
+            this.boardResults = new Map();
+            this.events = new Map();
+            this.snapshots = new Map();
+            this.accounts = new Map();
+        }
+    }
+
+    /**
+     * Writes everything to the file if anything has changed. A save already under way
+     * is waited on rather than started again.
+     * @returns {Promise<boolean>} True if the file was written
+     */
+    save() {
+        if (!this.pendingSave) {
+            this.pendingSave = this.write().finally(() => {
+                this.pendingSave = null;
+            });
+        }
+        return this.pendingSave;
+    }
+
+    /**
+     * Writes everything to the file. The file is written under a temporary name first,
+     * so a crash mid-write leaves the last good copy in place. Changes made while it is
+     * being written are left for the next save.
+     * @private
+     * @returns {Promise<boolean>} True if the file was written
+     */
+    async write() {
+        if (!this.dirty) return false;
+
+        const { SAVE_FILE } = this.config;
+        const data = JSON.stringify({
+            version: FILE_VERSION,
+            savedAt: new Date().toISOString(),
+            games: Object.fromEntries(this.games),
+            boardResults: Object.fromEntries(this.boardResults),
+            events: Object.fromEntries(this.events),
+            snapshots: Object.fromEntries(this.snapshots),
+            accounts: Object.fromEntries(this.accounts)
+        });
+        this.dirty = false;
+
+        try {
+            await this.fs.promises.mkdir(path.dirname(SAVE_FILE), { recursive: true });
+            await this.fs.promises.writeFile(`${SAVE_FILE}.tmp`, data);
+            await this.fs.promises.rename(`${SAVE_FILE}.tmp`, SAVE_FILE);
+            return true;
+        } catch (error) {
+            log(DEBUG_LEVELS.ERROR, `[JsonFileAdapter] Could not write ${SAVE_FILE}: ${error.message}`);
+            this.dirty = true;
+            return false;
+        }
+    }
+
+    async saveGame(gameState) {
+        const gameId = await super.saveGame(gameState);
+        this.dirty = true;
+        return gameId;
+    }
+
+    async deleteGame(gameId) {
+        const deleted = await super.deleteGame(gameId);
+        this.dirty = this.dirty || deleted;
+        return deleted;
+    }
+
+    /**
+     * Logs events, then drops the log and snapshot of any game they close; a closed
+     * game is never brought back, so the file has no need for them
+     * @param {Array} events - Events to append, in order
+     * @returns {Promise<void>}
+     */
+    async appendEvents(events) {
+        await super.appendEvents(events);
+        events.filter(event => event.type === GAME_LOG_EVENTS.CLOSE).forEach(({ gameId }) => {
+            this.events.delete(gameId);
+            this.snapshots.delete(gameId);
+        });
+        this.dirty = true;
+    }
+
+    /**
+     * Saves a snapshot, keeping only the latest one of each game
+     * @param {Object} snapshot - Snapshot from createSnapshot in game/history/eventLog
+     * @returns {Promise<void>}
+     */
+    async saveSnapshot(snapshot) {
+        await super.saveSnapshot(snapshot);
+        this.snapshots.set(snapshot.gameId, this.snapshots.get(snapshot.gameId).slice(-1));
+        this.dirty = true;
+    }
+
+    async saveBoardResult(boardResult) {
+        await super.saveBoardResult(boardResult);
+        this.dirty = true;
+    }
+
+    async createAccount(account) {
+        await super.createAccount(account);
+        this.dirty = true;
+    }
+
+    /**
+     * Stops auto-saving and, with `SAVE_ON_EXIT`, writes any unsaved changes
+     * @returns {Promise<void>}
+     */
+    async disconnect() {
+        if (this.autoSaveTimer) {
+            clearInterval(this.autoSaveTimer);
+            this.autoSaveTimer = null;
+        }
+        await this.pendingSave;
+        if (this.connected && this.config.SAVE_ON_EXIT) {
+            await this.save();
+        }
+        await super.disconnect();
+    }
+}
@@ -0,0 +1,275 @@
+/**
+ * @file In-memory storage adapter
+ * @module db/adapters/memoryAdapter
+ * @description Keeps games, their event logs, duplicate board results and player
+ * accounts in this process, for local play and tests. Nothing outlives the process; the JSON file
+ * adapter builds on this one to write everything to disk. Games are copied on the way in and out, so changing a
+ * loaded game does not change the stored one, just as with a database.
+ */
+
+import { randomUUID } from 'crypto';
+import { log } from '../../utils/logger.js';
+import { DEBUG_LEVELS, GAME_PHASES } from '../../config/constants.js';
+import { GAME_LOG_EVENTS } from '../../game/history/eventLog.js';
+
+// Same cap as the Mongo adapter's query
+const MAX_ACTIVE_GAMES = 10;
+
+/**
+ * Checks whether a player is in a game that is still being played
+ * @private
+ * @param {Object} game - Stored game
+ * @param {string} playerId - The player's user id
+ * @returns {boolean} True if the game is active and the player has a seat in it
+ */
+function isActiveGameFor(game, playerId) {
+    const finished = game.gameOver === true
+        || game.currentPhase === GAME_PHASES.GAME_OVER
+        || game.currentPhase === GAME_PHASES.MATCH_OVER;
+
+    return !finished && Object.values(game.players || {})
+        .some(player => player && (player.id === playerId || player.userId === playerId));
+}
+
+/**
+ * Finds the stored account with a username, ignoring case
+ * @private
+ * @param {Map} accounts - Stored accounts by id
+ * @param {string} username - The username
+ * @returns {Object|undefined} The stored account
+ */
+function findByUsername(accounts, username) {
+    const wanted = String(username || '').toLowerCase();
+    return [...accounts.values()].find(account => account.username.toLowerCase() === wanted);
+}
+
+export class MemoryAdapter {
+    constructor() {
+        this.games = new Map(); // gameId -> game
+        this.boardResults = new Map(); // eventId:boardNumber:tableNumber -> result
+        this.events = new Map(); // gameId -> logged events, in order
+        this.snapshots = new Map(); // gameId -> snapshots, in order
+        this.accounts = new Map(); // account id -> account
+        this.connected = false;
+    }
+
+    /**
+     * Gets the adapter ready; there is nothing to connect to
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        this.connected = true;
+    }
+
+    /**
+     * Saves a game state
+     * @param {Object} gameState - The game state to save
+     * @returns {Promise<string>} The game ID
+     */
+    async saveGame(gameState) {
+        const gameId = gameState.gameId || randomUUID();
+        const now = new Date().toISOString();
+        const existing = this.games.get(gameId);
+
+        this.games.set(gameId, structuredClone({
+            ...gameState,
+            gameId,
+            updatedAt: now,
+            createdAt: gameState.createdAt || existing?.createdAt || now
+        }));
+
+        log(DEBUG_LEVELS.INFO, `[MemoryAdapter] Game ${gameId} saved`);
+        return gameId;
+    }
+
+    /**
+     * Loads a game state
+     * @param {string} gameId - The ID of the game to load
+     * @returns {Promise<Object>} The loaded game state
+     * @throws {Error} If there is no such game
+     */
+    async loadGame(gameId) {
+        const game = this.games.get(gameId);
+        if (!game) {
+            throw new Error(`Game ${gameId} not found`);
+        }
+        return structuredClone(game);
+    }
+
+    /**
+     * Finds active games for a player, most recently updated first
+     * @param {string} playerId - The player's ID
+     * @returns {Promise<Array>} List of active games for the player
+     */
+    async findActiveGamesByPlayer(playerId) {
+        return [...this.games.values()]
+            .filter(game => isActiveGameFor(game, playerId))
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+            .slice(0, MAX_ACTIVE_GAMES)
+            .map(game => structuredClone(game));
+    }
+
+    /**
+     * Deletes a game
+     * @param {string} gameId - The ID of the game to delete
+     * @returns {Promise<boolean>} True if there was a game to delete
+     */
+    async deleteGame(gameId) {
+        return this.games.delete(gameId);
+    }
+
+    /**
+     * Adds events to the end of their games' logs. Events are never changed or removed
+     * once stored, and each must be the next in its game's sequence.
+     * @param {Array} events - Events from the game's event log
+     * @returns {Promise<void>}
+     * @throws {Error} If an event is out of sequence
+     */
+    async appendEvents(events) {
+        events.forEach((event) => {
+            const gameLog = this.events.get(event.gameId) || [];
+            const expected = gameLog.length > 0 ? gameLog[gameLog.length - 1].seq + 1 : 1;
+
+            if (event.seq !== expected) {
+                throw new Error(`Expected event ${expected} of game ${event.gameId}, got ${event.seq}`);
+            }
+
+            this.events.set(event.gameId, [...gameLog, structuredClone(event)]);
+        });
+    }
+
+    /**
+     * Loads a game's logged events
+     * @param {string} gameId - The game's ID
+     * @param {Object} [options={}] - What to load
+     * @param {number} [options.afterSeq=0] - Only load events after this one
+     * @returns {Promise<Array>} The events, in order
+     */
+    async loadEvents(gameId, { afterSeq = 0 } = {}) {
+        return (this.events.get(gameId) || [])
+            .filter(event => event.seq > afterSeq)
+            .map(event => structuredClone(event));
+    }
+
+    /**
+     * Finds the games whose log has not been closed, i.e. tables that were open when
+     * the server last stopped
+     * @returns {Promise<Array<string>>} Their game IDs
+     */
+    async findOpenGames() {
+        return [...this.events.entries()]
+            .filter(([, gameLog]) => gameLog[gameLog.length - 1].type !== GAME_LOG_EVENTS.CLOSE)
+            .map(([gameId]) => gameId);
+    }
+
+    /**
+     * Saves a snapshot of a game
+     * @param {Object} snapshot - Snapshot from createSnapshot in game/history/eventLog
+     * @returns {Promise<void>}
+     */
+    async saveSnapshot(snapshot) {
+        const snapshots = (this.snapshots.get(snapshot.gameId) || []).filter(kept => kept.seq !== snapshot.seq);
+        this.snapshots.set(snapshot.gameId, [...snapshots, structuredClone(snapshot)].sort((a, b) => a.seq - b.seq));
+    }
+
+    /**
+     * Loads the latest snapshot of a game
+     * @param {string} gameId - The game's ID
+     * @param {Object} [options={}] - Which snapshot to load
+     * @param {number} [options.atOrBeforeSeq=Infinity] - Ignore snapshots taken after this event
+     * @returns {Promise<Object|null>} The snapshot, or null if there is none
+     */
+    async loadSnapshot(gameId, { atOrBeforeSeq = Infinity } = {}) {
+        const snapshot = (this.snapshots.get(gameId) || []).filter(kept => kept.seq <= atOrBeforeSeq).pop();
+        return snapshot ? structuredClone(snapshot) : null;
+    }
+
+    /**
+     * Finds the stored games saved below a schema version, to be migrated
+     * @param {number} schemaVersion - The version games should be at
+     * @returns {Promise<Array>} The games, as stored
+     */
+    async findOutdatedGames(schemaVersion) {
+        return [...this.games.values()]
+            .filter(game => (game.schemaVersion ?? 0) < schemaVersion)
+            .map(game => structuredClone(game));
+    }
+
+    /**
+     * Finds the stored snapshots saved below a schema version, to be migrated
+     * @param {number} schemaVersion - The version snapshots should be at
+     * @returns {Promise<Array>} The snapshots, as stored
+     */
+    async findOutdatedSnapshots(schemaVersion) {
+        return [...this.snapshots.values()].flat()
+            .filter(snapshot => (snapshot.schemaVersion ?? 0) < schemaVersion)
+            .map(snapshot => structuredClone(snapshot));
+    }
+
+    /**
+     * Saves the result of a duplicate board played at one table. Replaying a board at
+     * the same table overwrites its result.
+     * @param {Object} boardResult - Result from getBoardResult in game/duplicate
+     * @returns {Promise<void>}
+     */
+    async saveBoardResult(boardResult) {
+        const { eventId, boardNumber, tableNumber } = boardResult;
+        this.boardResults.set(`${eventId}:${boardNumber}:${tableNumber}`, structuredClone({
+            ...boardResult,
+            recordedAt: new Date().toISOString()
+        }));
+    }
+
+    /**
+     * Finds all board results for a duplicate event
+     * @param {string} eventId - The duplicate event's ID
+     * @returns {Promise<Array>} Board results ordered by board and table
+     */
+    async findBoardResults(eventId) {
+        return [...this.boardResults.values()]
+            .filter(result => result.eventId === eventId)
+            .sort((a, b) => a.boardNumber - b.boardNumber || a.tableNumber - b.tableNumber)
+            .map(result => structuredClone(result));
+    }
+
+    /**
+     * Stores a new account
+     * @param {Object} account - Account from AccountStore#register, with its password hash
+     * @returns {Promise<void>}
+     * @throws {Error} If another account has the username, ignoring case
+     */
+    async createAccount(account) {
+        if (findByUsername(this.accounts, account.username)) {
+            throw new Error(`The username ${account.username} is taken`);
+        }
+        this.accounts.set(account.id, structuredClone(account));
+    }
+
+    /**
+     * Loads an account by its id
+     * @param {string} id - The account id
+     * @returns {Promise<Object|null>} The stored account, or null if there is none
+     */
+    async loadAccount(id) {
+        const account = this.accounts.get(id);
+        return account ? structuredClone(account) : null;
+    }
+
+    /**
+     * Finds the account with a username, ignoring case
+     * @param {string} username - The username
+     * @returns {Promise<Object|null>} The stored account, or null if there is none
+     */
+    async findAccountByUsername(username) {
+        const account = findByUsername(this.accounts, username);
+        return account ? structuredClone(account) : null;
+    }
+
+    /**
+     * Closes the adapter; stored games are kept until the process ends
+     * @returns {Promise<void>}
+     */
+    async disconnect() {
+        this.connected = false;
+    }
+}
@@ -0,0 +1,550 @@
+/**
+ * @file MongoDB storage adapter
+ * @module db/adapters/mongoAdapter
+ * @description Keeps games, their event logs, duplicate board results and player
+ * accounts in MongoDB.
+ * Games nobody has touched for a day are dropped by a TTL index; their event logs
+ * and snapshots are kept.
+ */
+
+import { MongoClient, ObjectId } from 'mongodb';
+import { log } from '../../utils/logger.js';
+import { GAME_PHASES, PLAYER_ROLES } from '../../config/constants.js';
+import { GAME_LOG_EVENTS } from '../../game/history/eventLog.js';
+import databaseConfig from '../../config/database.js';
+
+/**
+ * Matches documents saved below a schema version, including those saved before there was one
+ * @private
+ * @param {number} schemaVersion - The version documents should be at
+ * @returns {Object} MongoDB query
+ */
+function outdatedQuery(schemaVersion) {
+    return { $or: [{ schemaVersion: { $exists: false } }, { schemaVersion: { $lt: schemaVersion } }] };
+}
+
+// Compares usernames ignoring case, for both the unique index and lookups
+const USERNAME_COLLATION = { locale: 'en', strength: 2 };
+
+export class MongoAdapter {
+    /**
+     * @param {Object} [mongoConfig] - Host, port, database and client options; defaults to `config.mongodb`
+     */
+    constructor(mongoConfig = databaseConfig.mongodb) {
+        this.config = mongoConfig;
+        this.client = null;
+        this.db = null;
+        this.collection = null;
+        this.boardResults = null;
+        this.events = null;
+        this.snapshots = null;
+        this.accounts = null;
+        this.connected = false;
+    }
+
+    /**
+     * Connects to the MongoDB database
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        if (this.connected) return;
+        
+        try {
+            const { host, port, database, options } = this.config;
+            const connectionString = `mongodb://${host}:${port}`;
+            
+            this.client = new MongoClient(connectionString, options);
+            
+            await this.client.connect();
+            this.db = this.client.db(database);
+            this.collection = this.db.collection('games');
+            this.boardResults = this.db.collection('boardResults');
+            this.events = this.db.collection('gameEvents');
+            this.snapshots = this.db.collection('gameSnapshots');
+            this.accounts = this.db.collection('accounts');
+            this.connected = true;
+            
+            log(1, 'Successfully connected to MongoDB');
+            
+            // Create indexes
+            await this.createIndexes();
+            
+        } catch (error) {
+            log(3, `Failed to connect to MongoDB: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Creates necessary indexes for the games collection
+     * @private
+     */
+    async createIndexes() {
+        try {
+            await this.collection.createIndex(
+                { 'gameId': 1 }, 
+                { unique: true, name: 'gameId_unique' }
+            );
+            
+            await this.collection.createIndex(
+                { 'players.id': 1 },
+                { name: 'players.id_index' }
+            );
+            
+            await this.collection.createIndex(
+                { 'updatedAt': 1 }, 
+                { 
+                    expireAfterSeconds: 86400, // 24h TTL
+                    name: 'updatedAt_ttl' 
+                }
+            );
+            
+            await this.boardResults.createIndex(
+                { 'eventId': 1, 'boardNumber': 1, 'tableNumber': 1 },
+                { unique: true, name: 'boardResult_unique' }
+            );
+            
+            // A sequence number can only be used once, so two servers can't both write event N
+            await this.events.createIndex(
+                { 'gameId': 1, 'seq': 1 },
+                { unique: true, name: 'gameEvent_unique' }
+            );
+            
+            await this.snapshots.createIndex(
+                { 'gameId': 1, 'seq': 1 },
+                { unique: true, name: 'gameSnapshot_unique' }
+            );
+            
+            await this.accounts.createIndex(
+                { 'id': 1 },
+                { unique: true, name: 'accountId_unique' }
+            );
+            
+            // Two players can't register the same name in different cases, even at once
+            await this.accounts.createIndex(
+                { 'username': 1 },
+                { unique: true, collation: USERNAME_COLLATION, name: 'username_unique' }
+            );
+            
+            log(1, 'Database indexes created successfully');
+            
+        } catch (error) {
+            log(2, `Error creating database indexes: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Saves a game state to the database
+     * @param {Object} gameState - The game state to save
+     * @returns {Promise<string>} The game ID
+     */
+    async saveGame(gameState) {
+        if (!this.connected) {
+            throw new Error('Not connected to database');
+        }
+        
+        try {
+            const gameId = gameState.gameId || new ObjectId().toHexString();
+            const now = new Date();
+            
+            // Prepare the game document
+            const gameDoc = {
+                ...gameState,
+                gameId,
+                updatedAt: now,
+                createdAt: gameState.createdAt || now
+            };
+            
+            // Update or insert the game document
+            await this.collection.updateOne(
+                { gameId },
+                { $set: gameDoc },
+                { upsert: true }
+            );
+            
+            log(1, `Game ${gameId} saved successfully`);
+            return gameId;
+            
+        } catch (error) {
+            log(3, `Error saving game: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Loads a game state from the database
+     * @param {string} gameId - The ID of the game to load
+     * @returns {Promise<Object>} The loaded game state
+     */
+    async loadGame(gameId) {
+        if (!this.connected) {
+            throw new Error('Not connected to database');
+        }
+        
+        try {
+            const gameDoc = await this.collection.findOne({ gameId });
+            
+            if (!gameDoc) {
+                throw new Error(`Game ${gameId} not found`);
+            }
+            
+            // Remove MongoDB _id field and return the rest
+            const { _id, ...gameState } = gameDoc;
+            
+            log(1, `Game ${gameId} loaded successfully`);
+            return gameState;
+            
+        } catch (error) {
+            log(3, `Error loading game ${gameId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Finds active games for a player
+     * @param {string} playerId - The player's ID
+     * @returns {Promise<Array>} List of active games for the player
+     */
+    async findActiveGamesByPlayer(playerId) {
+        if (!this.connected) {
+            throw new Error('Not connected to database');
+        }
+        
+        try {
+            const games = await this.collection
+                .find({ 
+                    $or: [
+                        { 'players.id': playerId },
+                        ...PLAYER_ROLES.map(role => ({ [`players.${role}.userId`]: playerId }))
+                    ],
+                    'gameOver': { $ne: true },
+                    'currentPhase': { $nin: [GAME_PHASES.GAME_OVER, GAME_PHASES.MATCH_OVER] }
+                })
+                .sort({ updatedAt: -1 })
+                .limit(10)
+                .toArray();
+            
+            return games.map(({ _id, ...gameState }) => gameState);
+                
+        } catch (error) {
+            log(3, `Error finding games for player ${playerId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Adds events to the end of their games' logs
+     * @param {Array} events - Events from the game's event log
+     * @returns {Promise<void>}
+     * @throws {Error} If an event's sequence number is already taken
+     */
+    async appendEvents(events) {
+        if (!this.connected) {
+            throw new Error('Not connected to database');
+        }
+        
+        try {
+            // Copies, since insertMany adds an _id to each document
+            await this.events.insertMany(events.map(event => ({ ...event })), { ordered: true });
+            
+        } catch (error) {
+            log(3, `Error appending game events: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Loads a game's logged events
+     * @param {string} gameId - The game's ID
+     * @param {Object} [options={}] - What to load
+     * @param {number} [options.afterSeq=0] - Only load events after this one
+     * @returns {Promise<Array>} The events, in order
+     */
+    async loadEvents(gameId, { afterSeq = 0 } = {}) {
+        if (!this.connected) {
+            throw new Error('Not connected to database');
+        }
+        
+        try {
+            const events = await this.events
+                .find({ gameId, seq: { $gt: afterSeq } })
+                .sort({ seq: 1 })
+                .toArray();
+            
+            return events.map(({ _id, ...event }) => event);
+            
+        } catch (error) {
+            log(3, `Error loading events of game ${gameId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Finds the games whose log has not been closed, i.e. tables that were open when
+     * the server last stopped
+     * @returns {Promise<Array<string>>} Their game IDs
+     */
+    async findOpenGames() {
+        if (!this.connected) {
+            throw new Error('Not connected to database');
+        }
+        
+        try {
+            const games = await this.events.aggregate([
+                { $sort: { gameId: 1, seq: -1 } },
+                { $group: { _id: '$gameId', lastType: { $first: '$type' } } },
+                { $match: { lastType: { $ne: GAME_LOG_EVENTS.CLOSE } } }
+            ]).toArray();
+            
+            return games.map(game => game._id);
+            
+        } catch (error) {
+            log(3, `Error finding open games: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Saves a snapshot of a game
+     * @param {Object} snapshot - Snapshot from createSnapshot in game/history/eventLog
+     * @returns {Promise<void>}
+     */
+    async saveSnapshot(snapshot) {
+        if (!this.connected) {
+            throw new Error('Not connected to database');
+        }
+        
+        try {
+            const { gameId, seq } = snapshot;
+            await this.snapshots.replaceOne({ gameId, seq }, snapshot, { upsert: true });
+            
+        } catch (error) {
+            log(3, `Error saving snapshot of game ${snapshot.gameId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Loads the latest snapshot of a game
+     * @param {string} gameId - The game's ID
+     * @param {Object} [options={}] - Which snapshot to load
+     * @param {number} [options.atOrBeforeSeq=Infinity] - Ignore snapshots taken after this event
+     * @returns {Promise<Object|null>} The snapshot, or null if there is none
+     */
+    async loadSnapshot(gameId, { atOrBeforeSeq = Infinity } = {}) {
+        if (!this.connected) {
+            throw new Error('Not connected to database');
+        }
+        
+        try {
+            const query = Number.isFinite(atOrBeforeSeq) ? { gameId, seq: { $lte: atOrBeforeSeq } } : { gameId };
+            const snapshot = await this.snapshots.findOne(query, { sort: { seq: -1 } });
+            
+            if (!snapshot) return null;
+            const { _id, ...rest } = snapshot;
+            return rest;
+            
+        } catch (error) {
+            log(3, `Error loading snapshot of game ${gameId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Finds the stored games saved below a schema version, to be migrated
+     * @param {number} schemaVersion - The version games should be at
+     * @returns {Promise<Array>} The games, as stored
+     */
+    async findOutdatedGames(schemaVersion) {
+        if (!this.connected) {
+            throw new Error('Not connected to database');
+        }
+        
+        try {
+            const games = await this.collection.find(outdatedQuery(schemaVersion)).toArray();
+            return games.map(({ _id, ...gameState }) => gameState);
+            
+        } catch (error) {
+            log(3, `Error finding games below schema version ${schemaVersion}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Finds the stored snapshots saved below a schema version, to be migrated
+     * @param {number} schemaVersion - The version snapshots should be at
+     * @returns {Promise<Array>} The snapshots, as stored
+     */
+    async findOutdatedSnapshots(schemaVersion) {
+        if (!this.connected) {
+            throw new Error('Not connected to database');
+        }
+        
+        try {
+            const snapshots = await this.snapshots.find(outdatedQuery(schemaVersion)).toArray();
+            return snapshots.map(({ _id, ...snapshot }) => snapshot);
+            
+        } catch (error) {
+            log(3, `Error finding snapshots below schema version ${schemaVersion}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Saves the result of a duplicate board played at one table
+     * @param {Object} boardResult - Result from getBoardResult in game/duplicate
+     * @returns {Promise<void>}
+     */
+    async saveBoardResult(boardResult) {
+        if (!this.connected) {
+            throw new Error('Not connected to database');
+        }
+        
+        try {
+            const { eventId, boardNumber, tableNumber } = boardResult;
+            
+            // Replaying a board at the same table overwrites its result
+            await this.boardResults.updateOne(
+                { eventId, boardNumber, tableNumber },
+                { $set: { ...boardResult, recordedAt: new Date() } },
+                { upsert: true }
+            );
+            
+            log(1, `Board ${boardNumber} result saved for table ${tableNumber} of event ${eventId}`);
+            
+        } catch (error) {
+            log(3, `Error saving board result: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Finds all board results for a duplicate event
+     * @param {string} eventId - The duplicate event's ID
+     * @returns {Promise<Array>} Board results ordered by board and table
+     */
+    async findBoardResults(eventId) {
+        if (!this.connected) {
+            throw new Error('Not connected to database');
+        }
+        
+        try {
+            const results = await this.boardResults
+                .find({ eventId })
+                .sort({ boardNumber: 1, tableNumber: 1 })
+                .toArray();
+            
+            return results.map(({ _id, ...result }) => result);
+            
+        } catch (error) {
+            log(3, `Error finding board results for event ${eventId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Stores a new account
+     * @param {Object} account - Account from AccountStore#register, with its password hash
+     * @returns {Promise<void>}
+     * @throws {Error} If another account has the username, ignoring case
+     */
+    async createAccount(account) {
+        if (!this.connected) {
+            throw new Error('Not connected to database');
+        }
+        
+        try {
+            // Copy, since insertOne adds an _id to the document
+            await this.accounts.insertOne({ ...account });
+            
+        } catch (error) {
+            if (error.code === 11000) {
+                throw new Error(`The username ${account.username} is taken`);
+            }
+            log(3, `Error creating account ${account.username}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Loads an account by its id
+     * @param {string} id - The account id
+     * @returns {Promise<Object|null>} The stored account, or null if there is none
+     */
+    async loadAccount(id) {
+        if (!this.connected) {
+            throw new Error('Not connected to database');
+        }
+        
+        try {
+            const account = await this.accounts.findOne({ id });
+            
+            if (!account) return null;
+            const { _id, ...rest } = account;
+            return rest;
+            
+        } catch (error) {
+            log(3, `Error loading account ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Finds the account with a username, ignoring case
+     * @param {string} username - The username
+     * @returns {Promise<Object|null>} The stored account, or null if there is none
+     */
+    async findAccountByUsername(username) {
+        if (!this.connected) {
+            throw new Error('Not connected to database');
+        }
+        
+        try {
+            const account = await this.accounts.findOne(
+                { username: String(username || '') },
+                { collation: USERNAME_COLLATION }
+            );
+            
+            if (!account) return null;
+            const { _id, ...rest } = account;
+            return rest;
+            
+        } catch (error) {
+            log(3, `Error finding account ${username}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Deletes a game
+     * @param {string} gameId - The ID of the game to delete
+     * @returns {Promise<boolean>} True if there was a game to delete
+     */
+    async deleteGame(gameId) {
+        if (!this.connected) {
+            throw new Error('Not connected to database');
+        }
+        
+        try {
+            const { deletedCount } = await this.collection.deleteOne({ gameId });
+            return deletedCount > 0;
+            
+        } catch (error) {
+            log(3, `Error deleting game ${gameId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Closes the database connection
+     * @returns {Promise<void>}
+     */
+    async disconnect() {
+        if (this.client) {
+            await this.client.close();
+            this.connected = false;
+            log(1, 'Disconnected from MongoDB');
+        }
+    }
+}
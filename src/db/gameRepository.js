@@ -1,195 +1,237 @@
-import { MongoClient, ObjectId } from 'mongodb';
+/**
+ * @file Game repository
+ * @module db/gameRepository
+ * @description Saves and loads games, their event logs, duplicate board results and
+ * player accounts through a storage adapter picked by `config.storage.backend`: in
+ * memory, in a JSON file (the default) or in MongoDB. Every adapter has the same
+ * methods, so nothing outside this folder needs to know which one is in use, and local
+ * play and tests don't need a database running. Games and snapshots are saved with the
+ * current `schemaVersion` and upgraded on the way out if they were saved by an older
+ * version of the server. The server disconnects the repository when it shuts down.
+ */
+
 import { log } from '../utils/logger.js';
+import { DEBUG_LEVELS } from '../config/constants.js';
 import databaseConfig from '../config/database.js';
+import { MemoryAdapter } from './adapters/memoryAdapter.js';
+import { JsonFileAdapter } from './adapters/jsonFileAdapter.js';
+import { MongoAdapter } from './adapters/mongoAdapter.js';
+import { rebuildGameState } from '../game/history/eventLog.js';
+import { CURRENT_SCHEMA_VERSION, migrateDocument, migrateSnapshot, migrateStorage } from './migrations.js';
+
+/** Adapter for each storage backend name */
+export const STORAGE_ADAPTERS = {
+    memory: () => new MemoryAdapter(),
+    json: () => new JsonFileAdapter(databaseConfig.storage.json),
+    mongodb: () => new MongoAdapter(databaseConfig.mongodb)
+};
 
-class GameRepository {
-    constructor() {
-        this.client = null;
-        this.db = null;
-        this.collection = null;
-        this.connected = false;
+/**
+ * Creates the adapter for a storage backend
+ * @param {string} [backend] - 'memory', 'json' or 'mongodb'; defaults to `config.storage.backend`
+ * @returns {Object} The storage adapter
+ * @throws {Error} If there is no such backend
+ */
+export function createStorageAdapter(backend = databaseConfig.storage.backend) {
+    const createAdapter = STORAGE_ADAPTERS[backend];
+    if (!createAdapter) {
+        throw new Error(`Unknown storage backend: ${backend}`);
     }
+    return createAdapter();
+}
 
+export class GameRepository {
     /**
-     * Connects to the MongoDB database
-     * @returns {Promise<void>}
+     * @param {Object} [adapter] - Storage adapter; defaults to the configured backend's
      */
-    async connect() {
-        if (this.connected) return;
-        
-        try {
-            const { host, port, database, options } = databaseConfig.mongodb;
-            const connectionString = `mongodb://${host}:${port}`;
-            
-            this.client = new MongoClient(connectionString, options);
-            
-            await this.client.connect();
-            this.db = this.client.db(database);
-            this.collection = this.db.collection('games');
-            this.connected = true;
-            
-            log(1, 'Successfully connected to MongoDB');
-            
-            // Create indexes
-            await this.createIndexes();
-            
-        } catch (error) {
-            log(3, `Failed to connect to MongoDB: ${error.message}`);
-            throw error;
-        }
+    constructor(adapter = createStorageAdapter()) {
+        this.adapter = adapter;
+    }
+
+    get connected() {
+        return this.adapter.connected;
     }
 
     /**
-     * Creates necessary indexes for the games collection
-     * @private
-     */
-    async createIndexes() {
-        try {
-            await this.collection.createIndex(
-                { 'gameId': 1 }, 
-                { unique: true, name: 'gameId_unique' }
-            );
-            
-            await this.collection.createIndex(
-                { 'players.id': 1 },
-                { name: 'players.id_index' }
-            );
-            
-            await this.collection.createIndex(
-                { 'updatedAt': 1 }, 
-                { 
-                    expireAfterSeconds: 86400, // 24h TTL
-                    name: 'updatedAt_ttl' 
-                }
-            );
-            
-            log(1, 'Database indexes created successfully');
-            
-        } catch (error) {
-            log(2, `Error creating database indexes: ${error.message}`);
-            throw error;
-        }
+     * Connects the storage adapter
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        await this.adapter.connect();
+        log(DEBUG_LEVELS.INFO, `[GameRepository] Using ${this.adapter.constructor.name}`);
     }
 
     /**
-     * Saves a game state to the database
+     * Saves a game state, stamped with the current schema version
      * @param {Object} gameState - The game state to save
      * @returns {Promise<string>} The game ID
      */
-    async saveGame(gameState) {
-        if (!this.connected) {
-            throw new Error('Not connected to database');
-        }
-        
-        try {
-            const gameId = gameState.gameId || new ObjectId().toHexString();
-            const now = new Date();
-            
-            // Prepare the game document
-            const gameDoc = {
-                ...gameState,
-                gameId,
-                updatedAt: now,
-                createdAt: gameState.createdAt || now
-            };
-            
-            // Update or insert the game document
-            await this.collection.updateOne(
-                { gameId },
-                { $set: gameDoc },
-                { upsert: true }
-            );
-            
-            log(1, `Game ${gameId} saved successfully`);
-            return gameId;
-            
-        } catch (error) {
-            log(3, `Error saving game: ${error.message}`);
-            throw error;
-        }
+    saveGame(gameState) {
+        return this.adapter.saveGame({ ...gameState, schemaVersion: CURRENT_SCHEMA_VERSION });
     }
 
     /**
-     * Loads a game state from the database
+     * Loads a game state, upgraded to the current schema version
      * @param {string} gameId - The ID of the game to load
      * @returns {Promise<Object>} The loaded game state
+     * @throws {Error} If there is no such game, or it was saved by a newer server
      */
     async loadGame(gameId) {
-        if (!this.connected) {
-            throw new Error('Not connected to database');
-        }
-        
-        try {
-            const gameDoc = await this.collection.findOne({ gameId });
-            
-            if (!gameDoc) {
-                throw new Error(`Game ${gameId} not found`);
-            }
-            
-            // Remove MongoDB _id field and return the rest
-            const { _id, ...gameState } = gameDoc;
-            
-            log(1, `Game ${gameId} loaded successfully`);
-            return gameState;
-            
-        } catch (error) {
-            log(3, `Error loading game ${gameId}: ${error.message}`);
-            throw error;
-        }
+        return migrateDocument(await this.adapter.loadGame(gameId)).document;
     }
 
     /**
      * Finds active games for a player
      * @param {string} playerId - The player's ID
-     * @returns {Promise<Array>} List of active games for the player
+     * @returns {Promise<Array>} List of active games for the player, upgraded to the current schema version
      */
     async findActiveGamesByPlayer(playerId) {
-        if (!this.connected) {
-            throw new Error('Not connected to database');
-        }
-        
-        try {
-            return await this.collection
-                .find({ 
-                    'players.id': playerId,
-                    'gameOver': { $ne: true }
-                })
-                .sort({ updatedAt: -1 })
-                .limit(10)
-                .toArray();
-                
-        } catch (error) {
-            log(3, `Error finding games for player ${playerId}: ${error.message}`);
-            throw error;
-        }
+        const games = await this.adapter.findActiveGamesByPlayer(playerId);
+        return games.map(game => migrateDocument(game).document);
+    }
+
+    /**
+     * Deletes a game
+     * @param {string} gameId - The ID of the game to delete
+     * @returns {Promise<boolean>} True if there was a game to delete
+     */
+    deleteGame(gameId) {
+        return this.adapter.deleteGame(gameId);
+    }
+
+    /**
+     * Adds events to the end of their games' logs
+     * @param {Array} events - Events from the game's event log
+     * @returns {Promise<void>}
+     */
+    appendEvents(events) {
+        return this.adapter.appendEvents(events);
+    }
+
+    /**
+     * Loads a game's logged events, e.g. to check a disputed hand
+     * @param {string} gameId - The game's ID
+     * @param {Object} [options={}] - What to load
+     * @param {number} [options.afterSeq=0] - Only load events after this one
+     * @returns {Promise<Array>} The events, in order
+     */
+    loadEvents(gameId, options) {
+        return this.adapter.loadEvents(gameId, options);
+    }
+
+    /**
+     * Finds the games whose log has not been closed, i.e. tables that were open when
+     * the server last stopped
+     * @returns {Promise<Array<string>>} Their game IDs
+     */
+    findOpenGames() {
+        return this.adapter.findOpenGames();
     }
 
     /**
-     * Closes the database connection
+     * Saves a snapshot of a game, taken at a hand boundary
+     * @param {Object} snapshot - Snapshot from createSnapshot in game/history/eventLog
      * @returns {Promise<void>}
      */
-    async disconnect() {
-        if (this.client) {
-            await this.client.close();
-            this.connected = false;
-            log(1, 'Disconnected from MongoDB');
+    saveSnapshot(snapshot) {
+        return this.adapter.saveSnapshot({ ...snapshot, schemaVersion: CURRENT_SCHEMA_VERSION });
+    }
+
+    /**
+     * Loads the latest snapshot of a game
+     * @param {string} gameId - The game's ID
+     * @param {Object} [options={}] - Which snapshot to load
+     * @param {number} [options.atOrBeforeSeq=Infinity] - Ignore snapshots taken after this event
+     * @returns {Promise<Object|null>} The snapshot, with its state upgraded to the current schema version, or null if there is none
+     */
+    async loadSnapshot(gameId, options) {
+        const snapshot = await this.adapter.loadSnapshot(gameId, options);
+        return snapshot && migrateSnapshot(snapshot).snapshot;
+    }
+
+    /**
+     * Rebuilds a game from its latest snapshot and the events logged since, replaying
+     * every move through the phase functions
+     * @param {string} gameId - The game's ID
+     * @param {Object} [options={}] - How far to replay
+     * @param {number} [options.toSeq=Infinity] - Stop after this event, to see the game as it was then
+     * @returns {Promise<Object>} The rebuilt game state
+     * @throws {Error} If the game has no snapshot, or a logged move no longer replays
+     */
+    async rebuildGame(gameId, { toSeq = Infinity } = {}) {
+        const snapshot = await this.loadSnapshot(gameId, { atOrBeforeSeq: toSeq });
+        if (!snapshot) {
+            throw new Error(`Game ${gameId} has no snapshot to rebuild from`);
         }
+
+        const events = await this.adapter.loadEvents(gameId, { afterSeq: snapshot.seq });
+        return rebuildGameState(snapshot, events.filter(event => event.seq <= toSeq));
     }
-}
 
-// Export a singleton instance
-export const gameRepository = new GameRepository();
+    /**
+     * Upgrades every stored game and snapshot saved below the current schema version
+     * @param {Object} [options={}] - Migration options
+     * @param {boolean} [options.dryRun=false] - Report what would change without saving anything
+     * @returns {Promise<Object>} Report of what was, or would be, upgraded; see migrateStorage in db/migrations
+     */
+    migrate(options) {
+        return migrateStorage(this.adapter, options);
+    }
 
-// Handle process termination
-const cleanup = async () => {
-    try {
-        await gameRepository.disconnect();
-        process.exit(0);
-    } catch (error) {
-        log(3, `Error during cleanup: ${error.message}`);
-        process.exit(1);
+    /**
+     * Saves the result of a duplicate board played at one table
+     * @param {Object} boardResult - Result from getBoardResult in game/duplicate
+     * @returns {Promise<void>}
+     */
+    saveBoardResult(boardResult) {
+        return this.adapter.saveBoardResult(boardResult);
     }
-};
 
-process.on('SIGINT', cleanup);
-process.on('SIGTERM', cleanup);
+    /**
+     * Finds all board results for a duplicate event
+     * @param {string} eventId - The duplicate event's ID
+     * @returns {Promise<Array>} Board results ordered by board and table
+     */
+    findBoardResults(eventId) {
+        return this.adapter.findBoardResults(eventId);
+    }
+
+    /**
+     * Stores a new account
+     * @param {Object} account - Account from AccountStore#register, with its password hash
+     * @returns {Promise<void>}
+     * @throws {Error} If another account has the username, ignoring case
+     */
+    createAccount(account) {
+        return this.adapter.createAccount(account);
+    }
+
+    /**
+     * Loads an account by its id
+     * @param {string} id - The account id
+     * @returns {Promise<Object|null>} The stored account, or null if there is none
+     */
+    loadAccount(id) {
+        return this.adapter.loadAccount(id);
+    }
+
+    /**
+     * Finds the account with a username, ignoring case
+     * @param {string} username - The username
+     * @returns {Promise<Object|null>} The stored account, or null if there is none
+     */
+    findAccountByUsername(username) {
+        return this.adapter.findAccountByUsername(username);
+    }
+
+    /**
+     * Disconnects the storage adapter
+     * @returns {Promise<void>}
+     */
+    disconnect() {
+        return this.adapter.disconnect();
+    }
+}
+
+// Export a singleton instance
+export const gameRepository = new GameRepository();
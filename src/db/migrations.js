@@ -0,0 +1,134 @@
+/**
+ * @file Stored game migrations
+ * @module db/migrations
+ * @description Keeps stored games readable as the game state changes shape. Every game
+ * and snapshot is saved with the `schemaVersion` of its state; one saved before
+ * versioning counts as version 0. A document is upgraded one migration at a time when
+ * it is loaded, or all at once with `npm run migrate`, which can report what it would
+ * change without writing anything (`--dry-run`).
+ *
+ * To change the shape of the state, add a migration with the next version at the end
+ * of MIGRATIONS. Never edit one that has shipped; documents already upgraded by it
+ * won't run it again.
+ */
+
+import { GAME_PHASES } from '../config/constants.js';
+
+/** Phases older servers saved, and the phase each became */
+const RETIRED_PHASES = {
+    ORDER_UP_ROUND2: GAME_PHASES.CALL_TRUMP,
+    AWAITING_DEALER_DISCARD: GAME_PHASES.DEALER_DISCARD,
+    AWAITING_GO_ALONE: GAME_PHASES.GO_ALONE,
+    GOING_ALONE: GAME_PHASES.PLAYING
+};
+
+/**
+ * Steps from each schema version to the next, oldest first. `up` takes a game state
+ * saved at the version before and returns it in this version's shape.
+ */
+export const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Rename gamePhase, trump and playerSlots to currentPhase, trumpSuit and playerOrder',
+        up: ({ gamePhase, trump, playerSlots, ...state }) => {
+            const currentPhase = state.currentPhase ?? gamePhase;
+            return {
+                ...state,
+                currentPhase: currentPhase === 'PLAYING_TRICKS' ? GAME_PHASES.PLAYING : currentPhase,
+                trumpSuit: state.trumpSuit ?? trump ?? null,
+                playerOrder: state.playerOrder ?? playerSlots
+            };
+        }
+    },
+    {
+        version: 2,
+        description: 'Move team1Score and team2Score into scores, and each seat\'s id to userId',
+        up: ({ team1Score, team2Score, ...state }) => ({
+            ...state,
+            scores: state.scores ?? { 'north+south': team1Score ?? 0, 'east+west': team2Score ?? 0 },
+            players: Object.fromEntries(Object.entries(state.players || {}).map(([role, { id, ...player }]) => [
+                role,
+                id === undefined ? player : { ...player, userId: player.userId ?? id }
+            ]))
+        })
+    },
+    {
+        version: 3,
+        description: 'Map the phases GAME_PHASES no longer has onto the ones that replaced them',
+        up: state => ({ ...state, currentPhase: RETIRED_PHASES[state.currentPhase] ?? state.currentPhase })
+    }
+];
+
+/** Schema version games are saved with */
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Upgrades a stored game state to the current schema version
+ * @param {Object} document - Game state as stored, with its `schemaVersion` if it has one
+ * @returns {Object} `{ document, fromVersion, applied }`: the upgraded state, the version
+ * it was stored at and the descriptions of the migrations run, in order
+ * @throws {Error} If the document was saved by a newer server than this one
+ */
+export function migrateDocument(document) {
+    const fromVersion = document.schemaVersion ?? 0;
+    if (!Number.isInteger(fromVersion) || fromVersion < 0 || fromVersion > CURRENT_SCHEMA_VERSION) {
+        throw new Error(`Unsupported schema version ${fromVersion}; this server reads up to ${CURRENT_SCHEMA_VERSION}`);
+    }
+
+    const steps = MIGRATIONS.filter(migration => migration.version > fromVersion);
+    return {
+        document: steps.reduce((state, migration) => ({ ...migration.up(state), schemaVersion: migration.version }), document),
+        fromVersion,
+        applied: steps.map(migration => migration.description)
+    };
+}
+
+/**
+ * Upgrades the state in a stored snapshot to the current schema version. The version
+ * is kept on the snapshot, not in its state, so replaying from it gives the same
+ * state the game had.
+ * @param {Object} snapshot - Snapshot as stored
+ * @returns {Object} `{ snapshot, fromVersion, applied }`, as for migrateDocument
+ * @throws {Error} If the snapshot was saved by a newer server than this one
+ */
+export function migrateSnapshot(snapshot) {
+    const { document, fromVersion, applied } = migrateDocument({ ...snapshot.state, schemaVersion: snapshot.schemaVersion });
+    const { schemaVersion, ...state } = document;
+
+    return { snapshot: { ...snapshot, schemaVersion, state }, fromVersion, applied };
+}
+
+/**
+ * Upgrades every stored game and snapshot below the current schema version. A
+ * document that can't be upgraded is reported and left as it is.
+ * @param {Object} adapter - Storage adapter
+ * @param {Object} [options={}] - Migration options
+ * @param {boolean} [options.dryRun=false] - Report what would change without saving anything
+ * @returns {Promise<Object>} Report: `{ dryRun, schemaVersion, games, snapshots, failed }`,
+ * with `{ gameId, fromVersion, applied }` for each game and also `seq` for each snapshot
+ */
+export async function migrateStorage(adapter, { dryRun = false } = {}) {
+    const report = { dryRun, schemaVersion: CURRENT_SCHEMA_VERSION, games: [], snapshots: [], failed: [] };
+
+    for (const game of await adapter.findOutdatedGames(CURRENT_SCHEMA_VERSION)) {
+        try {
+            const { document, fromVersion, applied } = migrateDocument(game);
+            if (!dryRun) await adapter.saveGame(document);
+            report.games.push({ gameId: game.gameId, fromVersion, applied });
+        } catch (error) {
+            report.failed.push({ gameId: game.gameId, error: error.message });
+        }
+    }
+
+    for (const stored of await adapter.findOutdatedSnapshots(CURRENT_SCHEMA_VERSION)) {
+        try {
+            const { snapshot, fromVersion, applied } = migrateSnapshot(stored);
+            if (!dryRun) await adapter.saveSnapshot(snapshot);
+            report.snapshots.push({ gameId: stored.gameId, seq: stored.seq, fromVersion, applied });
+        } catch (error) {
+            report.failed.push({ gameId: stored.gameId, seq: stored.seq, error: error.message });
+        }
+    }
+
+    return report;
+}
@@ -0,0 +1,143 @@
+/**
+ * @file Player actions
+ * @module game/actions
+ * @description Maps each kind of player action onto the phase function that applies it.
+ * Human players (through the socket handlers) and bots both act through applyAction,
+ * which first checks the action against the phase and whose turn it is, so the phase
+ * functions never see a move from the wrong seat.
+ */
+
+import { handleMisdealCall, handleFarmersHand } from './phases/dealing.js';
+import {
+    handleOrderUpDecision,
+    handleCallTrumpDecision,
+    handleDealerDiscard,
+    handleGoAloneDecision,
+    handleDefendAloneDecision
+} from './phases/bidding.js';
+import { handlePlayCard } from './phases/playing.js';
+import { GAME_PHASES } from '../config/constants.js';
+import { getPlayerToAct } from '../utils/players.js';
+import { isPaused } from './seating.js';
+
+export const ACTION_TYPES = {
+    ORDER_UP: 'orderUp',
+    CALL_TRUMP: 'callTrump',
+    DISCARD: 'discard',
+    GO_ALONE: 'goAlone',
+    DEFEND_ALONE: 'defendAlone',
+    PLAY_CARD: 'playCard',
+    MISDEAL: 'misdeal',
+    FARMERS_HAND: 'farmersHand'
+};
+
+/** Codes sent with a refused action, so clients can tell why without parsing the message */
+export const ACTION_ERRORS = {
+    UNKNOWN_ACTION: 'UNKNOWN_ACTION',
+    WRONG_PHASE: 'WRONG_PHASE',
+    NOT_YOUR_TURN: 'NOT_YOUR_TURN',
+    GAME_PAUSED: 'GAME_PAUSED',
+    INVALID_ACTION: 'INVALID_ACTION',
+    NOT_SEATED: 'NOT_SEATED',
+    NOT_YOUR_SEAT: 'NOT_YOUR_SEAT',
+    SPECTATOR: 'SPECTATOR',
+    NOT_HOST: 'NOT_HOST'
+};
+
+/**
+ * An action the game refused, with one of the ACTION_ERRORS codes
+ */
+export class ActionError extends Error {
+    /**
+     * @param {string} message - What went wrong
+     * @param {string} code - One of ACTION_ERRORS
+     */
+    constructor(message, code) {
+        super(message);
+        this.name = 'ActionError';
+        this.code = code;
+    }
+}
+
+/**
+ * Phases each action is allowed in, and whether it has to be the player's turn.
+ * Anyone may call a misdeal or swap a farmer's hand out of turn.
+ * @private
+ */
+const ACTION_RULES = {
+    [ACTION_TYPES.ORDER_UP]: { phases: [GAME_PHASES.ORDER_UP_ROUND1], onTurn: true },
+    [ACTION_TYPES.CALL_TRUMP]: { phases: [GAME_PHASES.CALL_TRUMP, GAME_PHASES.DEALER_MUST_CALL], onTurn: true },
+    [ACTION_TYPES.DISCARD]: { phases: [GAME_PHASES.DEALER_DISCARD], onTurn: true },
+    [ACTION_TYPES.GO_ALONE]: { phases: [GAME_PHASES.GO_ALONE], onTurn: true },
+    [ACTION_TYPES.DEFEND_ALONE]: { phases: [GAME_PHASES.DEFEND_ALONE], onTurn: true },
+    [ACTION_TYPES.PLAY_CARD]: { phases: [GAME_PHASES.PLAYING], onTurn: true },
+    [ACTION_TYPES.MISDEAL]: { phases: [GAME_PHASES.ORDER_UP_ROUND1], onTurn: false },
+    [ACTION_TYPES.FARMERS_HAND]: { phases: [GAME_PHASES.ORDER_UP_ROUND1], onTurn: false }
+};
+
+/**
+ * Phase function for each action type
+ * @private
+ */
+const ACTION_HANDLERS = {
+    [ACTION_TYPES.ORDER_UP]: (state, role, action) => handleOrderUpDecision(state, role, action.orderedUp),
+    [ACTION_TYPES.CALL_TRUMP]: (state, role, action) => handleCallTrumpDecision(state, role, action.suit, { seed: action.seed }),
+    [ACTION_TYPES.DISCARD]: (state, role, action) => handleDealerDiscard(state, role, action.card),
+    [ACTION_TYPES.GO_ALONE]: (state, role, action) => handleGoAloneDecision(state, role, action.goAlone),
+    [ACTION_TYPES.DEFEND_ALONE]: (state, role, action) => handleDefendAloneDecision(state, role, action.defendAlone),
+    [ACTION_TYPES.PLAY_CARD]: (state, role, action) => handlePlayCard(state, role, action.card),
+    [ACTION_TYPES.MISDEAL]: (state, role, action) => handleMisdealCall(state, role, { seed: action.seed }),
+    [ACTION_TYPES.FARMERS_HAND]: (state, role, action) => handleFarmersHand(state, role, action.cards)
+};
+
+/**
+ * Checks that a player may take an action now: the game isn't paused, the action
+ * fits the phase and, for most actions, it is the player's turn
+ * @param {Object} gameState - Current game state
+ * @param {string} playerRole - Role of the player acting
+ * @param {Object} action - The action
+ * @throws {ActionError} If the action is not allowed
+ */
+export function authorizeAction(gameState, playerRole, action) {
+    const rule = ACTION_RULES[action?.type];
+
+    if (!rule) {
+        throw new ActionError(`Unknown action: ${action?.type}`, ACTION_ERRORS.UNKNOWN_ACTION);
+    }
+
+    if (!gameState.players[playerRole]) {
+        throw new ActionError(`Invalid player role: ${playerRole}`, ACTION_ERRORS.NOT_SEATED);
+    }
+
+    if (isPaused(gameState)) {
+        const waitingFor = Object.keys(gameState.reconnectDeadlines).map(role => gameState.players[role].name);
+        throw new ActionError(`Waiting for ${waitingFor.join(' and ')} to reconnect`, ACTION_ERRORS.GAME_PAUSED);
+    }
+
+    if (!rule.phases.includes(gameState.currentPhase)) {
+        throw new ActionError(`Can't ${action.type} during ${gameState.currentPhase}`, ACTION_ERRORS.WRONG_PHASE);
+    }
+
+    if (rule.onTurn && getPlayerToAct(gameState) !== playerRole) {
+        throw new ActionError(`It is ${getPlayerToAct(gameState)}'s turn, not ${playerRole}'s`, ACTION_ERRORS.NOT_YOUR_TURN);
+    }
+}
+
+/**
+ * Applies a player's action to the game, once authorizeAction allows it
+ * @param {Object} gameState - Current game state
+ * @param {string} playerRole - Role of the player acting
+ * @param {Object} action - The action, e.g. { type: 'playCard', card }
+ * @returns {Object} Updated game state
+ * @throws {ActionError} If the action is not allowed, or the phase function refuses it
+ */
+export function applyAction(gameState, playerRole, action) {
+    authorizeAction(gameState, playerRole, action);
+
+    try {
+        return ACTION_HANDLERS[action.type](gameState, playerRole, action);
+    } catch (error) {
+        // E.g. a card not in the player's hand, or not following suit
+        throw new ActionError(error.message, ACTION_ERRORS.INVALID_ACTION);
+    }
+}
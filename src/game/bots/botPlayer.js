@@ -0,0 +1,229 @@
+/**
+ * @file Computer opponents for empty seats
+ * @module game/bots/botPlayer
+ * @description Decides and applies bot moves. Bots act through applyAction, the same
+ * path used for human players, so every bot move passes the same validation.
+ */
+
+import { log } from '../../utils/logger.js';
+import { GAME_PHASES, DEBUG_LEVELS, SUITS } from '../../config/constants.js';
+import { isTeammate, getPlayerToAct } from '../../utils/players.js';
+import { getCardValue, getEffectiveSuit, getWinningCardIndex } from '../../client/utils/cardUtils.js';
+import { getLegalPlays, getLedSuit } from '../phases/playing.js';
+import { applyAction, ACTION_TYPES } from '../actions.js';
+import { getBidRecommendation, recommendGoAlone, BID_RECOMMENDATIONS } from '../logic/handEvaluator.js';
+
+export const BOT_DIFFICULTY = {
+    EASY: 'easy',
+    MEDIUM: 'medium',
+    HARD: 'hard'
+};
+
+/**
+ * Seats a bot in every seat no human has taken, except seats the host has locked
+ * @param {Object} gameState - Current game state
+ * @param {string} [difficulty=BOT_DIFFICULTY.MEDIUM] - Difficulty for the new bots
+ * @returns {Object} Updated game state
+ */
+export function fillEmptySeats(gameState, difficulty = BOT_DIFFICULTY.MEDIUM) {
+    if (!Object.values(BOT_DIFFICULTY).includes(difficulty)) {
+        throw new Error(`Unknown bot difficulty: ${difficulty}`);
+    }
+
+    const players = { ...gameState.players };
+    gameState.playerOrder.forEach(role => {
+        const seat = players[role];
+        if (seat.socketId || seat.isBot || gameState.lockedSeats?.includes(role)) return;
+
+        players[role] = {
+            ...seat,
+            isBot: true,
+            botDifficulty: difficulty,
+            name: `${role.charAt(0).toUpperCase() + role.slice(1)} (Bot)`
+        };
+    });
+
+    return { ...gameState, players };
+}
+
+/**
+ * Gets the bot that has to act next, if any
+ * @param {Object} gameState - Current game state
+ * @returns {string|null} Role of the bot to act, or null if a human is up
+ */
+export function getBotToAct(gameState) {
+    const role = getPlayerToAct(gameState);
+    return role && gameState.players[role]?.isBot ? role : null;
+}
+
+/**
+ * Counts the cards in a hand that would be trump for a given suit
+ * @private
+ * @param {Array} hand - Cards to count
+ * @param {string} suit - Candidate trump suit
+ * @returns {number} Number of trump cards
+ */
+function countTrump(hand, suit) {
+    return hand.filter(card => getEffectiveSuit(card, suit) === suit).length;
+}
+
+/**
+ * Sorts cards from lowest to highest for a trump suit
+ * @private
+ */
+function lowestFirst(cards, trumpSuit) {
+    return [...cards].sort((a, b) => getCardValue(a, trumpSuit) - getCardValue(b, trumpSuit));
+}
+
+/**
+ * Minimum trump count the easy bot needs to make trump
+ * @private
+ */
+const EASY_BID_THRESHOLD = 4;
+
+/**
+ * Decides a bidding action. The easy bot only counts trump; the others use the hand evaluator.
+ * @private
+ */
+function chooseBid(gameState, role, difficulty) {
+    const isRoundOne = gameState.currentPhase === GAME_PHASES.ORDER_UP_ROUND1;
+
+    if (difficulty !== BOT_DIFFICULTY.EASY) {
+        const { action, suit } = getBidRecommendation(gameState, role);
+        const makesTrump = action !== BID_RECOMMENDATIONS.PASS;
+        return isRoundOne
+            ? { type: ACTION_TYPES.ORDER_UP, orderedUp: makesTrump }
+            : { type: ACTION_TYPES.CALL_TRUMP, suit: makesTrump ? suit : null };
+    }
+
+    const hand = gameState.players[role].hand;
+
+    if (isRoundOne) {
+        const { suit } = gameState.upCard;
+        // The dealer gets the up card if trump is ordered
+        const pickUp = role === gameState.dealer ? 1 : 0;
+        return { type: ACTION_TYPES.ORDER_UP, orderedUp: countTrump(hand, suit) + pickUp >= EASY_BID_THRESHOLD };
+    }
+
+    const [bestSuit] = SUITS
+        .filter(suit => suit !== gameState.upCard.suit)
+        .sort((a, b) => countTrump(hand, b) - countTrump(hand, a));
+
+    const mustCall = gameState.currentPhase === GAME_PHASES.DEALER_MUST_CALL;
+    return { type: ACTION_TYPES.CALL_TRUMP, suit: mustCall || countTrump(hand, bestSuit) >= EASY_BID_THRESHOLD ? bestSuit : null };
+}
+
+/**
+ * Decides whether to go alone after making trump
+ * @private
+ */
+function chooseGoAlone(gameState, role, difficulty) {
+    const { trumpSuit } = gameState;
+    const hand = gameState.players[role].hand;
+
+    const goAlone = {
+        [BOT_DIFFICULTY.EASY]: false,
+        [BOT_DIFFICULTY.MEDIUM]: countTrump(hand, trumpSuit) === 5,
+        [BOT_DIFFICULTY.HARD]: recommendGoAlone(hand, trumpSuit).goAlone
+    }[difficulty];
+
+    return { type: ACTION_TYPES.GO_ALONE, goAlone };
+}
+
+/**
+ * Trump count the hard bot needs to defend alone
+ * @private
+ */
+const DEFEND_ALONE_THRESHOLD = 4;
+
+/**
+ * Decides whether to defend alone against the makers. Only the hard bot ever does.
+ * @private
+ */
+function chooseDefendAlone(gameState, role, difficulty) {
+    const hand = gameState.players[role].hand;
+    const defendAlone = difficulty === BOT_DIFFICULTY.HARD && countTrump(hand, gameState.trumpSuit) >= DEFEND_ALONE_THRESHOLD;
+
+    return { type: ACTION_TYPES.DEFEND_ALONE, defendAlone };
+}
+
+/**
+ * Decides which card to play
+ * @private
+ */
+function chooseCard(gameState, role, difficulty, random) {
+    const { trumpSuit, currentTrick } = gameState;
+    const legal = lowestFirst(getLegalPlays(gameState, role), trumpSuit);
+
+    if (difficulty === BOT_DIFFICULTY.EASY) {
+        return { type: ACTION_TYPES.PLAY_CARD, card: legal[Math.floor(random() * legal.length)] };
+    }
+
+    // Leading: cash the best card when strong in trump, otherwise lead low
+    if (currentTrick.length === 0) {
+        const best = legal[legal.length - 1];
+        const leadHigh = difficulty === BOT_DIFFICULTY.HARD && getEffectiveSuit(best, trumpSuit) === trumpSuit;
+        return { type: ACTION_TYPES.PLAY_CARD, card: leadHigh ? best : legal[0] };
+    }
+
+    const ledSuit = getLedSuit(gameState);
+    const cards = currentTrick.map(play => play.card);
+    const winningPlay = currentTrick[getWinningCardIndex(cards, trumpSuit, ledSuit)];
+
+    // Don't overtake a partner who is already winning the trick
+    if (difficulty === BOT_DIFFICULTY.HARD && isTeammate(role, winningPlay.player)) {
+        return { type: ACTION_TYPES.PLAY_CARD, card: legal[0] };
+    }
+
+    const cheapestWinner = legal.find(card =>
+        getWinningCardIndex([...cards, card], trumpSuit, ledSuit) === cards.length
+    );
+
+    return { type: ACTION_TYPES.PLAY_CARD, card: cheapestWinner || legal[0] };
+}
+
+/**
+ * Decides what a bot should do in the current game state
+ * @param {Object} gameState - Current game state
+ * @param {string} role - Role of the bot
+ * @param {Function} [random=Math.random] - Random number source for the easy bot
+ * @returns {Object|null} Action to apply, or null if the bot has nothing to do
+ */
+export function chooseBotAction(gameState, role, random = Math.random) {
+    const difficulty = gameState.players[role]?.botDifficulty || BOT_DIFFICULTY.MEDIUM;
+
+    switch (gameState.currentPhase) {
+        case GAME_PHASES.ORDER_UP_ROUND1:
+        case GAME_PHASES.CALL_TRUMP:
+        case GAME_PHASES.DEALER_MUST_CALL:
+            return chooseBid(gameState, role, difficulty);
+        case GAME_PHASES.DEALER_DISCARD:
+            return { type: ACTION_TYPES.DISCARD, card: lowestFirst(gameState.players[role].hand, gameState.trumpSuit)[0] };
+        case GAME_PHASES.GO_ALONE:
+            return chooseGoAlone(gameState, role, difficulty);
+        case GAME_PHASES.DEFEND_ALONE:
+            return chooseDefendAlone(gameState, role, difficulty);
+        case GAME_PHASES.PLAYING:
+            return chooseCard(gameState, role, difficulty, random);
+        default:
+            return null;
+    }
+}
+
+/**
+ * Lets the bot whose turn it is make its move
+ * @param {Object} gameState - Current game state
+ * @param {Function} [random=Math.random] - Random number source for the easy bot
+ * @returns {Object} Updated game state, unchanged if no bot has to act
+ */
+export function takeBotTurn(gameState, random = Math.random) {
+    const role = getBotToAct(gameState);
+    const action = role && chooseBotAction(gameState, role, random);
+
+    if (!action) {
+        return gameState;
+    }
+
+    log(DEBUG_LEVELS.VERBOSE, `[takeBotTurn] Bot ${role} chose ${action.type}`);
+    return applyAction(gameState, role, action);
+}
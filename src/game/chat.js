@@ -0,0 +1,149 @@
+/**
+ * @file Table chat
+ * @module game/chat
+ * @description Chat between the players at a table. Every message is run through
+ * the profanity filter before anyone sees it, and the table keeps the most recent
+ * messages as its history. Unless the table allows table talk, players can only use
+ * the quick phrases while a hand is being played, so nobody can talk about their cards.
+ */
+
+import { randomUUID } from 'crypto';
+import { getRules } from './rules.js';
+import { isHandInProgress } from './state.js';
+
+/** Canned messages anyone can send at any time; all safe for kids */
+export const QUICK_PHRASES = {
+    hello: 'Hello!',
+    good_luck: 'Good luck!',
+    nice_hand: 'Nice hand!',
+    well_played: 'Well played!',
+    oops: 'Oops!',
+    thanks: 'Thanks!',
+    be_right_back: 'Be right back',
+    good_game: 'Good game'
+};
+
+/** Longest free-text message, in characters */
+export const MAX_CHAT_LENGTH = 200;
+
+/** Messages kept in a table's history */
+export const CHAT_HISTORY_LIMIT = 50;
+
+// Whole words only, so "class" or "Scunthorpe" come through untouched
+const BLOCKED_WORDS = [
+    'arse', 'arsehole', 'ass', 'asshole', 'bastard', 'bitch', 'bollocks', 'bullshit',
+    'crap', 'cunt', 'damn', 'dick', 'dickhead', 'fag', 'faggot', 'fuck', 'fucker',
+    'fucking', 'motherfucker', 'nigga', 'nigger', 'piss', 'prick', 'pussy', 'retard',
+    'shit', 'shitty', 'slut', 'twat', 'wanker', 'whore'
+];
+
+// Look-alike characters people use to slip words past a filter
+const LOOK_ALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's', '!': 'i' };
+
+const WORD_PATTERN = /[\w@$!]+/g;
+
+/**
+ * Stars out blocked words in a message
+ * @param {string} text - The message
+ * @returns {string} The message with every blocked word replaced by asterisks
+ */
+export function filterProfanity(text) {
+    return text.replace(WORD_PATTERN, (word) => {
+        const normalized = word.toLowerCase().replace(/[013457@$!]/g, char => LOOK_ALIKES[char]);
+        return BLOCKED_WORDS.includes(normalized) ? '*'.repeat(word.length) : word;
+    });
+}
+
+/**
+ * Builds a chat message from a player, checking it against the table's rules
+ * @param {Object} gameState - Current game state
+ * @param {string} role - Seat of the player sending it
+ * @param {Object} content - What they sent
+ * @param {string} [content.phraseId] - Key of a quick phrase
+ * @param {string} [content.text] - Free text, if no quick phrase was picked
+ * @returns {Object} The message, filtered and ready to send
+ * @throws {Error} If the message is empty, too long or not allowed right now
+ */
+export function createChatMessage(gameState, role, { phraseId, text }) {
+    const message = {
+        id: randomUUID(),
+        role,
+        name: gameState.players[role].name,
+        phraseId: phraseId || null,
+        sentAt: Date.now()
+    };
+
+    if (phraseId) {
+        if (!QUICK_PHRASES[phraseId]) {
+            throw new Error(`Unknown quick phrase: ${phraseId}`);
+        }
+        return { ...message, text: QUICK_PHRASES[phraseId] };
+    }
+
+    const trimmed = typeof text === 'string' ? text.trim() : '';
+    if (!trimmed) {
+        throw new Error('Message is empty');
+    }
+    if (trimmed.length > MAX_CHAT_LENGTH) {
+        throw new Error(`Messages can be at most ${MAX_CHAT_LENGTH} characters`);
+    }
+    if (isHandInProgress(gameState) && !getRules(gameState).tableTalk) {
+        throw new Error('Only quick phrases are allowed while a hand is being played');
+    }
+
+    return { ...message, text: filterProfanity(trimmed) };
+}
+
+/**
+ * Adds a message to a table's chat history, dropping the oldest past the limit
+ * @param {Object} gameState - Current game state
+ * @param {Object} message - Message from createChatMessage
+ * @returns {Object} Updated game state
+ */
+export function addChatMessage(gameState, message) {
+    return {
+        ...gameState,
+        chatHistory: [...(gameState.chatHistory || []), message].slice(-CHAT_HISTORY_LIMIT)
+    };
+}
+
+/**
+ * Mutes or unmutes another player for one player. A muted player's messages are
+ * not sent to them, and are left out of the history they see.
+ * @param {Object} gameState - Current game state
+ * @param {string} role - Seat of the player muting
+ * @param {string} mutedRole - Seat of the player to mute
+ * @param {boolean} muted - Whether to mute them
+ * @returns {Object} Updated game state
+ * @throws {Error} If either seat does not exist, or a player tries to mute themselves
+ */
+export function setPlayerMuted(gameState, role, mutedRole, muted) {
+    if (!gameState.players[mutedRole]) {
+        throw new Error(`Invalid seat: ${mutedRole}`);
+    }
+    if (role === mutedRole) {
+        throw new Error('You cannot mute yourself');
+    }
+
+    const player = gameState.players[role];
+    const mutedRoles = (player.mutedRoles || []).filter(r => r !== mutedRole);
+
+    return {
+        ...gameState,
+        players: {
+            ...gameState.players,
+            [role]: { ...player, mutedRoles: muted ? [...mutedRoles, mutedRole] : mutedRoles }
+        }
+    };
+}
+
+/**
+ * Checks whether a player has muted whoever sits in another seat
+ * @param {Object} gameState - Current game state
+ * @param {string|null} viewerRole - Seat of the player reading, or null for a spectator
+ * @param {string} senderRole - Seat the message came from
+ * @returns {boolean} True if the message should be kept from the viewer
+ */
+export function isMuted(gameState, viewerRole, senderRole) {
+    return !!viewerRole && (gameState.players[viewerRole]?.mutedRoles || []).includes(senderRole);
+}
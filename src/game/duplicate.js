@@ -0,0 +1,231 @@
+/**
+ * @file Duplicate Euchre tournament support
+ * @module game/duplicate
+ * @description Generates seeded board sets, moves pairs between tables, and turns
+ * raw euchre points into board-by-board comparison scores (matchpoints or IMPs).
+ */
+
+import { PLAYER_ROLES } from '../config/constants.js';
+import { normalizeSeed } from '../client/utils/cardUtils.js';
+import { startNewHand } from './phases/dealing.js';
+
+export const DUPLICATE_SCORING = {
+    MATCHPOINTS: 'matchpoints',
+    IMPS: 'imps'
+};
+
+/**
+ * IMP scale for euchre point differences. Hands are worth 1 to 4 points
+ * (more with a defend-alone bonus), so swings are compressed above 4.
+ * @private
+ */
+const IMP_SCALE = [
+    { minDifference: 8, imps: 6 },
+    { minDifference: 6, imps: 5 },
+    { minDifference: 4, imps: 4 },
+    { minDifference: 3, imps: 3 },
+    { minDifference: 2, imps: 2 },
+    { minDifference: 1, imps: 1 }
+];
+
+/**
+ * Generates a set of boards for a duplicate event. Each board carries the seed
+ * and dealer needed to deal the same cards at every table.
+ * @param {Object} options - Board set options
+ * @param {number} options.boardCount - Number of boards to generate
+ * @param {number|string} options.baseSeed - Seed the whole set is derived from
+ * @returns {Array<{boardNumber: number, seed: number, dealer: string}>} The boards
+ */
+export function generateBoardSet({ boardCount, baseSeed }) {
+    if (!Number.isInteger(boardCount) || boardCount < 1) {
+        throw new Error('A board set needs at least one board');
+    }
+
+    return Array.from({ length: boardCount }, (_, i) => ({
+        boardNumber: i + 1,
+        seed: normalizeSeed(`${baseSeed}:board-${i + 1}`),
+        // The deal rotates around the table from board to board
+        dealer: PLAYER_ROLES[i % PLAYER_ROLES.length]
+    }));
+}
+
+/**
+ * Creates a Mitchell movement. North/south pairs stay at their table, east/west
+ * pairs move up one table and the boards move down one table each round, so every
+ * board is played at every table and no pair plays a board twice. With an odd number
+ * of tables every pair meets every other direction's pair. With an even number the
+ * east/west pairs would come back to boards they have played halfway through, so they
+ * skip a table after half the rounds; each then meets one north/south pair twice and
+ * misses another.
+ * @param {Array<string>} pairIds - Identifiers of the competing pairs (an even number)
+ * @param {Array<Object>} boards - Board set from generateBoardSet
+ * @returns {Array<Array<{tableNumber: number, nsPair: string, ewPair: string, boardNumbers: Array<number>}>>} Rounds of table assignments
+ */
+export function createMovement(pairIds, boards) {
+    if (pairIds.length < 4 || pairIds.length % 2 !== 0) {
+        throw new Error('A duplicate movement needs an even number of pairs, and at least four');
+    }
+
+    const tableCount = pairIds.length / 2;
+
+    if (boards.length % tableCount !== 0) {
+        throw new Error(`The number of boards must be a multiple of the ${tableCount} tables`);
+    }
+
+    const nsPairs = pairIds.slice(0, tableCount);
+    const ewPairs = pairIds.slice(tableCount);
+    const boardsPerRound = boards.length / tableCount;
+    const skipAfter = tableCount % 2 === 0 ? tableCount / 2 : tableCount;
+
+    return Array.from({ length: tableCount }, (_, round) =>
+        nsPairs.map((nsPair, table) => {
+            const boardGroup = (table - round + tableCount) % tableCount;
+            const ewMove = round < skipAfter ? round : round + 1;
+            return {
+                tableNumber: table + 1,
+                nsPair,
+                ewPair: ewPairs[(table + ewMove) % tableCount],
+                boardNumbers: boards
+                    .slice(boardGroup * boardsPerRound, (boardGroup + 1) * boardsPerRound)
+                    .map(board => board.boardNumber)
+            };
+        })
+    );
+}
+
+/**
+ * Deals a duplicate board at a table
+ * @param {Object} gameState - Current game state
+ * @param {Object} board - Board from generateBoardSet
+ * @param {Object} assignment - Where the board is being played
+ * @param {string} assignment.eventId - Identifier of the duplicate event
+ * @param {number} assignment.tableNumber - Table the board is played at
+ * @param {string} assignment.nsPair - Pair sitting north/south
+ * @param {string} assignment.ewPair - Pair sitting east/west
+ * @returns {Object} Updated game state with the board dealt
+ */
+export function dealBoard(gameState, board, { eventId, tableNumber, nsPair, ewPair }) {
+    const updatedState = startNewHand(
+        { ...gameState, dealer: board.dealer },
+        { rotateDealer: false, seed: board.seed }
+    );
+
+    updatedState.duplicate = {
+        eventId,
+        boardNumber: board.boardNumber,
+        tableNumber,
+        nsPair,
+        ewPair
+    };
+
+    return updatedState;
+}
+
+/**
+ * Builds the board result for a duplicate hand once it has been scored
+ * @param {Object} gameState - Game state after handleEndOfHand
+ * @returns {Object} Board result ready for gameRepository.saveBoardResult
+ */
+export function getBoardResult(gameState) {
+    const { duplicate } = gameState;
+
+    if (!duplicate) {
+        throw new Error('This game is not part of a duplicate event');
+    }
+
+    const score = [...gameState.messages].reverse().find(m => m.type === 'score');
+
+    if (!score) {
+        throw new Error(`Board ${duplicate.boardNumber} has not been scored yet`);
+    }
+
+    const nsScored = score.team === 'north+south';
+
+    return {
+        ...duplicate,
+        nsPoints: nsScored ? score.points : 0,
+        ewPoints: nsScored ? 0 : score.points,
+        rule: score.rule
+    };
+}
+
+/**
+ * Converts a point difference into IMPs, keeping its sign
+ * @param {number} difference - Point difference between two results
+ * @returns {number} IMPs won (positive) or lost (negative)
+ */
+export function pointsToImps(difference) {
+    const step = IMP_SCALE.find(({ minDifference }) => Math.abs(difference) >= minDifference);
+    return step ? Math.sign(difference) * step.imps : 0;
+}
+
+/**
+ * Scores a single board by comparing every table's result
+ * @private
+ * @param {Array<Object>} results - All results for one board
+ * @param {string} method - One of DUPLICATE_SCORING
+ * @returns {Array<{nsPair: string, ewPair: string, nsScore: number, ewScore: number}>} Comparison scores per table
+ */
+function scoreBoard(results, method) {
+    const nets = results.map(result => result.nsPoints - result.ewPoints);
+
+    if (method === DUPLICATE_SCORING.IMPS) {
+        // Compare each table against the board's average result
+        const datum = nets.reduce((sum, net) => sum + net, 0) / nets.length;
+        return results.map((result, i) => {
+            const imps = pointsToImps(Math.round(nets[i] - datum));
+            return { nsPair: result.nsPair, ewPair: result.ewPair, nsScore: imps, ewScore: -imps };
+        });
+    }
+
+    // Matchpoints: 2 for every result beaten, 1 for every tie
+    const top = 2 * (results.length - 1);
+    return results.map((result, i) => {
+        const matchpoints = nets.reduce((total, net, j) => {
+            if (i === j) return total;
+            if (nets[i] > net) return total + 2;
+            return nets[i] === net ? total + 1 : total;
+        }, 0);
+        return { nsPair: result.nsPair, ewPair: result.ewPair, nsScore: matchpoints, ewScore: top - matchpoints };
+    });
+}
+
+/**
+ * Ranks the pairs of a duplicate event from their board results
+ * @param {Array<Object>} boardResults - Results from gameRepository.findBoardResults
+ * @param {string} [method=DUPLICATE_SCORING.MATCHPOINTS] - One of DUPLICATE_SCORING
+ * @returns {Array<{rank: number, pairId: string, score: number, boardsPlayed: number}>} Pairs ordered best first
+ */
+export function rankPairs(boardResults, method = DUPLICATE_SCORING.MATCHPOINTS) {
+    if (!Object.values(DUPLICATE_SCORING).includes(method)) {
+        throw new Error(`Unknown duplicate scoring method: ${method}`);
+    }
+
+    const byBoard = new Map();
+    boardResults.forEach(result => {
+        byBoard.set(result.boardNumber, [...(byBoard.get(result.boardNumber) || []), result]);
+    });
+
+    const totals = new Map();
+    const addScore = (pairId, score) => {
+        const total = totals.get(pairId) || { pairId, score: 0, boardsPlayed: 0 };
+        total.score += score;
+        total.boardsPlayed += 1;
+        totals.set(pairId, total);
+    };
+
+    byBoard.forEach(results => {
+        scoreBoard(results, method).forEach(({ nsPair, ewPair, nsScore, ewScore }) => {
+            addScore(nsPair, nsScore);
+            addScore(ewPair, ewScore);
+        });
+    });
+
+    const standings = [...totals.values()].sort((a, b) => b.score - a.score);
+
+    // Pairs with equal scores share a rank
+    return standings.map((standing, i) => ({
+        rank: standings.findIndex(other => other.score === standing.score) + 1,
+        ...standing
+    }));
+}
@@ -0,0 +1,229 @@
+/**
+ * @file Game event log
+ * @module game/history/eventLog
+ * @description Records everything that moves a game along as an append-only list of
+ * numbered events: each deal (with its seed), each new game and each accepted action,
+ * whoever made it. Replaying the events through the phase functions from a snapshot
+ * gives back the game as it was played, and checks every move again on the way, so
+ * the log settles disputes and lets a crashed table be rebuilt.
+ *
+ * The record functions apply a change and add its event to `unsavedEvents`. A snapshot
+ * of the whole state is taken at every hand boundary and left in `unsavedSnapshot`;
+ * takeUnsavedEvents hands both over for storage. Seating, chat and reconnects are not
+ * logged; they are only in the snapshots. A table's log ends with a close event, so
+ * a log without one belongs to a table that was still open when the server stopped.
+ */
+
+import { applyAction, ACTION_TYPES } from '../actions.js';
+import { startNewHand } from '../phases/dealing.js';
+import { isThrowInPass } from '../phases/bidding.js';
+import { startNewGame } from '../phases/endGame.js';
+import { generateSeed } from '../../client/utils/cardUtils.js';
+import { assertValidGameState } from '../schema.js';
+
+export const GAME_LOG_EVENTS = {
+    DEAL: 'deal',
+    NEW_GAME: 'newGame',
+    ACTION: 'action',
+    CLOSE: 'close'
+};
+
+// Every state a game moves to is checked against the schema, except in production
+const CHECK_STATE = process.env.NODE_ENV !== 'production';
+
+/**
+ * Checks the state an event moved a game to against the game state schema
+ * @private
+ * @param {Object} gameState - Game state after the event
+ * @param {Object} event - The event
+ * @returns {Object} The same game state
+ * @throws {GameStateError} If the state doesn't match the schema
+ */
+function checkState(gameState, event) {
+    if (!CHECK_STATE) return gameState;
+
+    const move = event.action ? ` ${event.action.type} by ${event.role}` : '';
+    return assertValidGameState(gameState, `event ${event.seq} (${event.type}${move}) of game ${gameState.gameId}`);
+}
+
+/**
+ * Adds an event to a game's unsaved events with the next sequence number
+ * @private
+ * @param {Object} gameState - Game state after the change
+ * @param {Object} event - The event's type and details
+ * @returns {Object} Updated game state
+ * @throws {GameStateError} If the state doesn't match the schema
+ */
+function appendEvent(gameState, event) {
+    const seq = (gameState.eventSeq || 0) + 1;
+    checkState({ ...gameState, eventSeq: seq }, { ...event, seq });
+
+    return {
+        ...gameState,
+        eventSeq: seq,
+        unsavedEvents: [
+            ...(gameState.unsavedEvents || []),
+            { gameId: gameState.gameId, seq, at: new Date().toISOString(), ...event }
+        ]
+    };
+}
+
+/**
+ * Takes a snapshot of a game, to be stored with its events
+ * @param {Object} gameState - Current game state
+ * @returns {Object} `{ gameId, seq, takenAt, state }`, where seq is the last event the state includes
+ */
+export function createSnapshot(gameState) {
+    const { unsavedEvents, unsavedSnapshot, ...state } = gameState;
+
+    return {
+        gameId: gameState.gameId,
+        seq: gameState.eventSeq || 0,
+        takenAt: new Date().toISOString(),
+        state: structuredClone(state)
+    };
+}
+
+/**
+ * Leaves a snapshot of a game that has just reached a hand boundary
+ * @private
+ * @param {Object} gameState - Game state right after a deal
+ * @returns {Object} Updated game state
+ */
+function withSnapshot(gameState) {
+    return { ...gameState, unsavedSnapshot: createSnapshot(gameState) };
+}
+
+/**
+ * Deals the next hand and logs the deal
+ * @param {Object} gameState - Current game state
+ * @param {Object} [options={}] - Deal options
+ * @param {number|string} [options.seed] - Seed for the shuffle; a random one is generated if omitted
+ * @returns {Object} Updated game state
+ */
+export function recordDeal(gameState, { seed = generateSeed() } = {}) {
+    const dealt = startNewHand(gameState, { seed });
+    return withSnapshot(appendEvent(dealt, { type: GAME_LOG_EVENTS.DEAL, seed: dealt.dealSeed }));
+}
+
+/**
+ * Starts a new game and logs it
+ * @param {Object} gameState - Game state after a game has ended
+ * @param {Object} [options={}] - Options for the next game
+ * @param {number|string} [options.seed] - Seed for the first hand of the next match game
+ * @returns {Object} Updated game state
+ */
+export function recordNewGame(gameState, { seed = generateSeed() } = {}) {
+    const started = startNewGame(gameState, { seed });
+    return withSnapshot(appendEvent(started, { type: GAME_LOG_EVENTS.NEW_GAME, seed }));
+}
+
+/**
+ * Tells whether an action may deal a new hand: a misdeal, or the dealer's pass at a
+ * table that redeals when everyone passes
+ * @private
+ * @param {Object} gameState - Current game state
+ * @param {string} playerRole - Role of the player acting
+ * @param {Object} move - The action, without a seed
+ * @returns {boolean} True if the action needs a seed for the new deal
+ */
+function dealsNewHand(gameState, playerRole, move) {
+    if (move.type === ACTION_TYPES.MISDEAL) return true;
+    return move.type === ACTION_TYPES.CALL_TRUMP && !move.suit && isThrowInPass(gameState, playerRole);
+}
+
+/**
+ * Applies a player's action and logs it. A misdeal or a pass that throws the hand in
+ * is re-dealt from a seed picked here, never one sent with the action, so the replay
+ * deals the same cards.
+ * @param {Object} gameState - Current game state
+ * @param {string} playerRole - Role of the player acting
+ * @param {Object} action - The action, e.g. { type: 'playCard', card }
+ * @returns {Object} Updated game state
+ * @throws {ActionError} If the action is not allowed
+ */
+export function recordAction(gameState, playerRole, action) {
+    const { seed, ...move } = action;
+    const redeal = dealsNewHand(gameState, playerRole, move);
+    const logged = redeal ? { ...move, seed: generateSeed() } : move;
+
+    const updatedState = appendEvent(applyAction(gameState, playerRole, logged), {
+        type: GAME_LOG_EVENTS.ACTION,
+        role: playerRole,
+        action: logged
+    });
+
+    return redeal ? withSnapshot(updatedState) : updatedState;
+}
+
+/**
+ * Logs that a table has closed, ending its log
+ * @param {Object} gameState - The table's final game state
+ * @returns {Object} Updated game state
+ */
+export function recordClose(gameState) {
+    return appendEvent(gameState, { type: GAME_LOG_EVENTS.CLOSE });
+}
+
+/**
+ * Hands over the events and snapshot a game has not stored yet
+ * @param {Object} gameState - Current game state
+ * @returns {Object} `{ gameState, events, snapshot }`: the state without them, the
+ * events in order, and the latest snapshot or null
+ */
+export function takeUnsavedEvents(gameState) {
+    const { unsavedEvents = [], unsavedSnapshot = null, ...state } = gameState;
+    return { gameState: state, events: unsavedEvents, snapshot: unsavedSnapshot };
+}
+
+/**
+ * Applies one logged event to a game, as it was applied when it happened
+ * @param {Object} gameState - Game state up to the event before
+ * @param {Object} event - The event
+ * @returns {Object} Updated game state
+ * @throws {Error} If the event is out of sequence, or its move is not allowed
+ */
+export function applyGameEvent(gameState, event) {
+    const expected = (gameState.eventSeq || 0) + 1;
+    if (event.seq !== expected) {
+        throw new Error(`Expected event ${expected} of game ${gameState.gameId}, got ${event.seq}`);
+    }
+
+    let updatedState;
+    switch (event.type) {
+        case GAME_LOG_EVENTS.DEAL:
+            updatedState = startNewHand(gameState, { seed: event.seed });
+            break;
+        case GAME_LOG_EVENTS.NEW_GAME:
+            updatedState = startNewGame(gameState, { seed: event.seed });
+            break;
+        case GAME_LOG_EVENTS.ACTION:
+            updatedState = applyAction(gameState, event.role, event.action);
+            break;
+        case GAME_LOG_EVENTS.CLOSE:
+            updatedState = gameState;
+            break;
+        default:
+            throw new Error(`Unknown game event: ${event.type}`);
+    }
+
+    return checkState({ ...updatedState, eventSeq: event.seq }, event);
+}
+
+/**
+ * Rebuilds a game from a snapshot and the events logged after it. Seats held for
+ * disconnected players are let go first, since reconnects are not in the log and a
+ * held seat would stop the replay.
+ * @param {Object} snapshot - Snapshot from createSnapshot
+ * @param {Array} events - Events after the snapshot, in any order
+ * @returns {Object} The game state after the last event
+ * @throws {Error} If an event is missing or a logged move is not allowed
+ */
+export function rebuildGameState(snapshot, events) {
+    const start = { ...structuredClone(snapshot.state), eventSeq: snapshot.seq, reconnectDeadlines: {} };
+
+    return events
+        .filter(event => event.seq > snapshot.seq)
+        .sort((a, b) => a.seq - b.seq)
+        .reduce(applyGameEvent, start);
+}
@@ -0,0 +1,221 @@
+/**
+ * @file Structured hand records
+ * @module game/history/handRecord
+ * @description Builds a record of every hand as it is played: the deal, the up card,
+ * each bid, the dealer's discard, any go-alone decision, every trick and the score
+ * change. Finished records are kept in `gameState.handHistory`, along with hands that
+ * were thrown in and dealt again.
+ */
+
+import { GAME_PHASES } from '../../config/constants.js';
+import { getNextPlayer } from '../../utils/players.js';
+
+const copyCard = ({ rank, suit }) => ({ rank, suit });
+
+/** Why a hand was thrown in without being played */
+export const THROW_IN_REASONS = {
+    ALL_PASSED: 'allPassed',
+    MISDEAL: 'misdeal'
+};
+
+/**
+ * Starts a record for a freshly dealt hand
+ * @param {Object} gameState - Game state right after the deal
+ * @returns {Object} The new hand record
+ */
+export function createHandRecord(gameState) {
+    return {
+        handNumber: (gameState.handHistory || []).length + 1,
+        dealer: gameState.dealer,
+        dealSeed: gameState.dealSeed ?? null,
+        hands: Object.fromEntries(gameState.playerOrder.map(role => [
+            role,
+            (gameState.players[role]?.hand || []).map(copyCard)
+        ])),
+        upCard: gameState.upCard ? copyCard(gameState.upCard) : null,
+        kitty: (gameState.kitty || []).map(copyCard),
+        farmersHand: null,
+        bids: [],
+        discard: null,
+        trumpSuit: null,
+        maker: null,
+        goAlone: null,
+        defendAlone: null,
+        tricks: [],
+        score: null,
+        thrownIn: null
+    };
+}
+
+/**
+ * Applies a change to the current hand record. States without a record are returned unchanged.
+ * @private
+ * @param {Object} gameState - Current game state
+ * @param {Function} update - Receives the record and returns the fields to change
+ * @returns {Object} Updated game state
+ */
+function updateHandRecord(gameState, update) {
+    if (!gameState.handRecord) {
+        return gameState;
+    }
+
+    return {
+        ...gameState,
+        handRecord: { ...gameState.handRecord, ...update(gameState.handRecord) }
+    };
+}
+
+/**
+ * Records a bid
+ * @param {Object} gameState - Current game state
+ * @param {Object} bid - The bid
+ * @param {string} bid.player - Role of the bidder
+ * @param {number} bid.round - Bidding round (1 or 2)
+ * @param {string} bid.action - 'order', 'call' or 'pass'
+ * @param {string} [bid.suit] - Suit named when calling trump
+ * @returns {Object} Updated game state
+ */
+export function recordBid(gameState, { player, round, action, suit }) {
+    const bid = suit ? { player, round, action, suit } : { player, round, action };
+    return updateHandRecord(gameState, record => ({
+        bids: [...record.bids, bid],
+        ...(action === 'pass' ? {} : { trumpSuit: suit || record.upCard?.suit, maker: player })
+    }));
+}
+
+/**
+ * Records the card the dealer discarded after picking up
+ * @param {Object} gameState - Current game state
+ * @param {Object} card - The discarded card
+ * @returns {Object} Updated game state
+ */
+export function recordDiscard(gameState, card) {
+    return updateHandRecord(gameState, () => ({ discard: copyCard(card) }));
+}
+
+/**
+ * Records a farmer's hand swap with the kitty
+ * @param {Object} gameState - Current game state
+ * @param {string} player - Role of the player who swapped
+ * @param {Array} cards - The cards swapped out
+ * @returns {Object} Updated game state
+ */
+export function recordFarmersHand(gameState, player, cards) {
+    return updateHandRecord(gameState, () => ({ farmersHand: { player, cards: cards.map(copyCard) } }));
+}
+
+/**
+ * Records the maker's decision to go alone or play with their partner
+ * @param {Object} gameState - Current game state
+ * @param {string} player - Role of the maker
+ * @param {boolean} alone - Whether the maker went alone
+ * @returns {Object} Updated game state
+ */
+export function recordGoAlone(gameState, player, alone) {
+    return updateHandRecord(gameState, () => ({ goAlone: { player, alone: Boolean(alone) } }));
+}
+
+/**
+ * Records a defender defending alone
+ * @param {Object} gameState - Current game state
+ * @param {string} player - Role of the lone defender
+ * @returns {Object} Updated game state
+ */
+export function recordDefendAlone(gameState, player) {
+    return updateHandRecord(gameState, () => ({ defendAlone: player }));
+}
+
+/**
+ * Completes the current record with the tricks and score change and files it in the hand history
+ * @param {Object} gameState - Game state after the hand has been scored
+ * @param {Object} scoreChange - Points awarded for the hand
+ * @param {string} scoreChange.team - Team that scored
+ * @param {number} scoreChange.points - Points scored
+ * @param {string} scoreChange.rule - One of SCORING_RULES
+ * @returns {Object} Updated game state
+ */
+export function completeHandRecord(gameState, { team, points, rule }) {
+    if (!gameState.handRecord) {
+        return gameState;
+    }
+
+    const handRecord = {
+        ...gameState.handRecord,
+        tricks: (gameState.tricks || []).map(trick => ({
+            leader: trick.leader,
+            winner: trick.winner,
+            plays: trick.plays.map(({ player, card }) => ({ player, card: copyCard(card) }))
+        })),
+        score: { team, points, rule, scores: { ...gameState.scores } }
+    };
+
+    return {
+        ...gameState,
+        handRecord,
+        handHistory: [...(gameState.handHistory || []), handRecord]
+    };
+}
+
+/**
+ * Files the current record in the hand history as thrown in, for a hand that is dealt
+ * again without being played
+ * @param {Object} gameState - Game state before the new deal
+ * @param {string} reason - One of THROW_IN_REASONS
+ * @param {string} player - Role of the player whose pass or misdeal call threw the hand in
+ * @returns {Object} Updated game state
+ */
+export function recordThrowIn(gameState, reason, player) {
+    if (!gameState.handRecord) {
+        return gameState;
+    }
+
+    const handRecord = { ...gameState.handRecord, thrownIn: { reason, player } };
+
+    return {
+        ...gameState,
+        handRecord,
+        handHistory: [...(gameState.handHistory || []), handRecord]
+    };
+}
+
+/**
+ * Deals a recorded hand back onto the table, ready for bidding
+ * @param {Object} gameState - Current game state
+ * @param {Object} record - Hand record, e.g. from importHand
+ * @returns {Object} Updated game state holding the recorded deal
+ */
+export function loadHandRecord(gameState, record) {
+    const players = { ...gameState.players };
+    gameState.playerOrder.forEach(role => {
+        if (!record.hands[role]) {
+            throw new Error(`Hand record is missing the ${role} hand`);
+        }
+        players[role] = { ...players[role], hand: record.hands[role].map(copyCard) };
+    });
+
+    const updatedState = {
+        ...gameState,
+        players,
+        dealer: record.dealer,
+        dealSeed: record.dealSeed ?? null,
+        upCard: copyCard(record.upCard),
+        kitty: record.kitty.map(copyCard),
+        currentPhase: GAME_PHASES.ORDER_UP_ROUND1,
+        currentPlayer: getNextPlayer(record.dealer, gameState.playerOrder),
+        trumpSuit: null,
+        makerTeam: null,
+        playerWhoCalledTrump: null,
+        goingAlone: false,
+        playerGoingAlone: null,
+        partnerSittingOut: null,
+        defenderGoingAlone: null,
+        defenderPartnerSittingOut: null,
+        farmersHandUsed: false,
+        discardPile: [],
+        currentTrick: [],
+        tricks: []
+    };
+
+    updatedState.handRecord = createHandRecord(updatedState);
+    return updatedState;
+}
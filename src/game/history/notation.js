@@ -0,0 +1,288 @@
+/**
+ * @file Euchre Hand Notation (EHN)
+ * @module game/history/notation
+ * @description Plain-text export and import of hand records, in the spirit of PGN for chess.
+ *
+ * A hand is a block of tag pairs followed by one line per event, in the order they happened:
+ *
+ *     [Hand "3"]
+ *     [Dealer "north"]
+ *     [Seed "2206715513"]
+ *     [South "JH AH 10H AC 9S"]
+ *     [West "QH KS QS JS 10S"]
+ *     [North "AD KD QD 10D 9D"]
+ *     [East "KH JD 9H KC QC"]
+ *     [UpCard "9C"]
+ *     [Kitty "JC 10C AS"]
+ *     [Trump "hearts"]
+ *     [Maker "south"]
+ *     [Result "north+south 1 made"]
+ *     [Score "4-2"]
+ *
+ *     bid 1 east pass
+ *     bid 1 south pass
+ *     bid 1 west pass
+ *     bid 1 north pass
+ *     bid 2 east pass
+ *     bid 2 south call hearts
+ *     alone south no
+ *     trick 1 east KH, south JH, west QH, north 9D => south
+ *     ...
+ *
+ * Cards are written rank then suit letter (9, 10, J, Q, K, A and H, D, C, S).
+ * Tags: Hand, Dealer, Seed (optional), one tag per seat with the cards dealt, UpCard,
+ * Kitty (the face-down cards), Trump and Maker once trump is made, Result (scoring
+ * team, points and scoring rule) and Score (north/south-east/west after the hand).
+ * Event lines:
+ * - `farmer <player> <cards>` - a farmer's hand swapped these cards for the kitty
+ * - `bid <round> <player> pass|order|call <suit>` - a bid; order is round one only
+ * - `discard <card>` - the dealer's discard after picking up
+ * - `alone <player> yes|no` - the maker's go-alone decision
+ * - `defend <player>` - a defender defending alone
+ * - `thrownin allPassed|misdeal <player>` - the hand was thrown in by the dealer's pass or a misdeal call, and dealt again
+ * - `trick <number> <player> <card>, ... => <winner>` - a trick in the order played
+ * Lines starting with `;` are comments. Hands in a file are separated by a blank line.
+ */
+
+import { PLAYER_ROLES, SUITS } from '../../config/constants.js';
+import { THROW_IN_REASONS } from './handRecord.js';
+
+const RANKS = ['9', '10', 'J', 'Q', 'K', 'A'];
+const SUIT_LETTERS = { hearts: 'H', diamonds: 'D', clubs: 'C', spades: 'S' };
+const SUITS_BY_LETTER = Object.fromEntries(Object.entries(SUIT_LETTERS).map(([suit, letter]) => [letter, suit]));
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+/**
+ * Writes a card in notation form
+ * @param {Object} card - The card
+ * @returns {string} e.g. "10H"
+ */
+export function cardToNotation({ rank, suit }) {
+    return `${rank}${SUIT_LETTERS[suit]}`;
+}
+
+/**
+ * Reads a card written in notation form
+ * @param {string} text - e.g. "10H"
+ * @returns {Object} The card
+ */
+export function notationToCard(text) {
+    const rank = text.slice(0, -1);
+    const suit = SUITS_BY_LETTER[text.slice(-1)];
+
+    if (!RANKS.includes(rank) || !suit) {
+        throw new Error(`Invalid card in hand notation: ${text}`);
+    }
+
+    return { rank, suit };
+}
+
+const cardsToNotation = (cards) => cards.map(cardToNotation).join(' ');
+const notationToCards = (text) => text.trim() ? text.trim().split(/\s+/).map(notationToCard) : [];
+
+/**
+ * Exports a hand record to notation
+ * @param {Object} record - Hand record from the game state
+ * @returns {string} The hand in notation form
+ */
+export function exportHand(record) {
+    const tags = [
+        ['Hand', record.handNumber],
+        ['Dealer', record.dealer],
+        ['Seed', record.dealSeed],
+        ...Object.entries(record.hands).map(([role, cards]) => [capitalize(role), cardsToNotation(cards)]),
+        ['UpCard', record.upCard && cardToNotation(record.upCard)],
+        ['Kitty', cardsToNotation(record.kitty || [])],
+        ['Trump', record.trumpSuit],
+        ['Maker', record.maker],
+        ['Result', record.score && `${record.score.team} ${record.score.points} ${record.score.rule}`],
+        ['Score', record.score && `${record.score.scores['north+south']}-${record.score.scores['east+west']}`]
+    ];
+
+    const lines = tags
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([name, value]) => `[${name} "${value}"]`);
+
+    lines.push('');
+
+    if (record.farmersHand) {
+        lines.push(`farmer ${record.farmersHand.player} ${cardsToNotation(record.farmersHand.cards)}`);
+    }
+
+    record.bids.forEach(({ round, player, action, suit }) => {
+        lines.push(`bid ${round} ${player} ${action}${suit ? ` ${suit}` : ''}`);
+    });
+
+    if (record.discard) {
+        lines.push(`discard ${cardToNotation(record.discard)}`);
+    }
+
+    if (record.goAlone) {
+        lines.push(`alone ${record.goAlone.player} ${record.goAlone.alone ? 'yes' : 'no'}`);
+    }
+
+    if (record.defendAlone) {
+        lines.push(`defend ${record.defendAlone}`);
+    }
+
+    if (record.thrownIn) {
+        lines.push(`thrownin ${record.thrownIn.reason} ${record.thrownIn.player}`);
+    }
+
+    record.tricks.forEach((trick, i) => {
+        const plays = trick.plays.map(({ player, card }) => `${player} ${cardToNotation(card)}`).join(', ');
+        lines.push(`trick ${i + 1} ${plays} => ${trick.winner}`);
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Checks a role read from notation
+ * @private
+ */
+function parseRole(text, lineNumber) {
+    if (!PLAYER_ROLES.includes(text)) {
+        throw new Error(`Line ${lineNumber}: unknown player "${text}"`);
+    }
+    return text;
+}
+
+/**
+ * Applies one event line to the record being imported
+ * @private
+ */
+function parseEvent(record, line, lineNumber) {
+    const [keyword, ...args] = line.split(/\s+/);
+
+    switch (keyword) {
+        case 'farmer':
+            record.farmersHand = { player: parseRole(args[0], lineNumber), cards: notationToCards(args.slice(1).join(' ')) };
+            break;
+        case 'bid': {
+            const [round, player, action, suit] = args;
+            if (!['pass', 'order', 'call'].includes(action) || (action === 'call' && !SUITS.includes(suit))) {
+                throw new Error(`Line ${lineNumber}: invalid bid "${line}"`);
+            }
+            const bid = { player: parseRole(player, lineNumber), round: Number(round), action };
+            record.bids.push(suit ? { ...bid, suit } : bid);
+            break;
+        }
+        case 'discard':
+            record.discard = notationToCard(args[0]);
+            break;
+        case 'alone':
+            record.goAlone = { player: parseRole(args[0], lineNumber), alone: args[1] === 'yes' };
+            break;
+        case 'defend':
+            record.defendAlone = parseRole(args[0], lineNumber);
+            break;
+        case 'thrownin':
+            if (!Object.values(THROW_IN_REASONS).includes(args[0])) {
+                throw new Error(`Line ${lineNumber}: invalid throw-in "${line}"`);
+            }
+            record.thrownIn = { reason: args[0], player: parseRole(args[1], lineNumber) };
+            break;
+        case 'trick': {
+            const match = line.match(/^trick\s+\d+\s+(.+?)\s*=>\s*(\w+)$/);
+            if (!match) {
+                throw new Error(`Line ${lineNumber}: invalid trick "${line}"`);
+            }
+            const plays = match[1].split(',').map(play => {
+                const [player, card] = play.trim().split(/\s+/);
+                return { player: parseRole(player, lineNumber), card: notationToCard(card) };
+            });
+            record.tricks.push({ leader: plays[0].player, winner: parseRole(match[2], lineNumber), plays });
+            break;
+        }
+        default:
+            throw new Error(`Line ${lineNumber}: unknown event "${keyword}"`);
+    }
+}
+
+/**
+ * Imports a hand record from notation
+ * @param {string} text - A hand in notation form
+ * @returns {Object} The hand record
+ */
+export function importHand(text) {
+    const tags = {};
+    const record = {
+        handNumber: null,
+        dealer: null,
+        dealSeed: null,
+        hands: {},
+        upCard: null,
+        kitty: [],
+        farmersHand: null,
+        bids: [],
+        discard: null,
+        trumpSuit: null,
+        maker: null,
+        goAlone: null,
+        defendAlone: null,
+        tricks: [],
+        score: null,
+        thrownIn: null
+    };
+
+    text.split(/\r?\n/).forEach((rawLine, i) => {
+        const line = rawLine.trim();
+        if (!line || line.startsWith(';')) return;
+
+        const tag = line.match(/^\[(\w+)\s+"([^"]*)"\]$/);
+        if (tag) {
+            tags[tag[1]] = tag[2];
+        } else {
+            parseEvent(record, line, i + 1);
+        }
+    });
+
+    if (!tags.Dealer || !tags.UpCard) {
+        throw new Error('Hand notation must include the Dealer and UpCard tags');
+    }
+
+    record.handNumber = tags.Hand ? Number(tags.Hand) : null;
+    record.dealer = parseRole(tags.Dealer, 0);
+    record.dealSeed = tags.Seed ? Number(tags.Seed) : null;
+    record.upCard = notationToCard(tags.UpCard);
+    record.kitty = notationToCards(tags.Kitty || '');
+    record.trumpSuit = tags.Trump || null;
+    record.maker = tags.Maker || null;
+
+    PLAYER_ROLES.forEach(role => {
+        if (tags[capitalize(role)] !== undefined) {
+            record.hands[role] = notationToCards(tags[capitalize(role)]);
+        }
+    });
+
+    if (tags.Result) {
+        const [team, points, rule] = tags.Result.split(/\s+/);
+        const [ns, ew] = (tags.Score || '0-0').split('-').map(Number);
+        record.score = { team, points: Number(points), rule, scores: { 'north+south': ns, 'east+west': ew } };
+    }
+
+    return record;
+}
+
+/**
+ * Exports several hand records, e.g. a game's hand history, as one document
+ * @param {Array<Object>} records - Hand records
+ * @returns {string} The hands in notation form, separated by blank lines
+ */
+export function exportHands(records) {
+    return records.map(exportHand).join('\n\n');
+}
+
+/**
+ * Imports every hand in a document written by exportHands
+ * @param {string} text - Hands in notation form
+ * @returns {Array<Object>} The hand records
+ */
+export function importHands(text) {
+    return text
+        .split(/\r?\n\s*\r?\n(?=\s*\[)/)
+        .filter(block => block.trim())
+        .map(importHand);
+}
@@ -0,0 +1,71 @@
+/**
+ * @file Lobby of open tables
+ * @module game/lobby
+ * @description Summarises the tables on the server for the lobby browser and picks
+ * a table for quick join. Summaries only carry what the lobby shows; no hands,
+ * no password.
+ */
+
+import { GAME_PHASES } from '../config/constants.js';
+import { getRules } from './rules.js';
+import { getOpenSeats } from './tableManager.js';
+
+/** Socket.IO room of everyone browsing the lobby */
+export const LOBBY_ROOM = 'lobby';
+
+/**
+ * Summarises a table for the lobby
+ * @param {Object} gameState - The table's game state
+ * @returns {Object} Table summary
+ */
+export function getTableSummary(gameState) {
+    const rules = getRules(gameState);
+    const seats = Object.fromEntries(gameState.playerOrder.map(role => {
+        const player = gameState.players[role];
+        const seated = player?.socketId || player?.isBot;
+        return [role, seated ? { name: player.name, isBot: !!player.isBot, isFlagged: !!player.isFlagged } : null];
+    }));
+
+    return {
+        gameId: gameState.gameId,
+        name: gameState.tableName,
+        variant: rules.allPass,
+        targetScore: rules.winningScore,
+        matchLength: rules.matchLength,
+        phase: gameState.currentPhase,
+        seats,
+        seatsFilled: Object.values(seats).filter(Boolean).length,
+        openSeats: getOpenSeats(gameState),
+        lockedSeats: gameState.lockedSeats || [],
+        allowSpectators: gameState.allowSpectators !== false,
+        spectatorHands: gameState.spectatorHands,
+        turnTimeLimits: gameState.turnTimeLimits,
+        hasPassword: !!gameState.passwordHash,
+        createdAt: gameState.createdAt
+    };
+}
+
+/**
+ * Lists every public table on the server, oldest first. Private tables are only
+ * reachable through their invite code.
+ * @param {Object} tables - Table manager
+ * @returns {Array<Object>} Table summaries
+ */
+export function listTables(tables) {
+    return tables.getTables()
+        .filter(gameState => !gameState.isPrivate)
+        .map(getTableSummary)
+        .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+}
+
+/**
+ * Picks the table quick join should seat a player at: the fullest table still in
+ * the lobby that has a seat free and no password. Ties go to the oldest table.
+ * @param {Object} tables - Table manager
+ * @returns {Object|null} Summary of the table, or null if none is open
+ */
+export function findQuickJoinTable(tables) {
+    return listTables(tables)
+        .filter(table => table.phase === GAME_PHASES.LOBBY && !table.hasPassword && table.openSeats.length > 0)
+        .reduce((best, table) => (!best || table.seatsFilled > best.seatsFilled ? table : best), null);
+}
@@ -0,0 +1,246 @@
+/**
+ * @file Hand-strength evaluation for bidding decisions
+ * @module game/logic/handEvaluator
+ * @description Scores a five-card hand against a candidate trump suit and recommends
+ * whether to order up, call, pass or go alone. Used by the bots and by player hints.
+ */
+
+import { GAME_PHASES, SUITS } from '../../config/constants.js';
+import { getCardValue, getEffectiveSuit, isRightBower, isLeftBower } from '../../client/utils/cardUtils.js';
+
+export const BID_RECOMMENDATIONS = {
+    ORDER_UP: 'order_up',
+    CALL: 'call',
+    PASS: 'pass',
+    GO_ALONE: 'go_alone'
+};
+
+/**
+ * Seats relative to the dealer, in bidding order
+ */
+export const SEAT_POSITIONS = {
+    LEFT_OF_DEALER: 'left_of_dealer',
+    DEALER_PARTNER: 'dealer_partner',
+    RIGHT_OF_DEALER: 'right_of_dealer',
+    DEALER: 'dealer'
+};
+
+/**
+ * Hand scores needed to make trump and to go alone
+ * @private
+ */
+const MAKE_THRESHOLD = 6;
+const GO_ALONE_THRESHOLD = 10;
+
+/**
+ * Worth of each trump card, bowers first
+ * @private
+ */
+const TRUMP_WEIGHTS = { A: 2, K: 1.75, Q: 1.5, 10: 1.25, 9: 1 };
+const RIGHT_BOWER_WEIGHT = 3;
+const LEFT_BOWER_WEIGHT = 2.5;
+
+const OFF_SUIT_ACE_WEIGHT = 1;
+const OFF_SUIT_KING_WEIGHT = 0.25;
+const VOID_WEIGHT = 0.5;
+
+/**
+ * Share of the up card's worth gained (by the dealer's partner) or handed away
+ * (by the opponents) when ordering it up
+ * @private
+ */
+const UP_CARD_SHARE = 0.5;
+
+/**
+ * Bonus for leading the first trick after naming trump in the second round
+ * @private
+ */
+const LEAD_BONUS = 0.5;
+
+/**
+ * Gets how much a single card is worth toward taking tricks in a trump suit
+ * @private
+ * @param {Object} card - Card to weigh
+ * @param {string} trumpSuit - Candidate trump suit
+ * @returns {number} The card's weight
+ */
+function getCardWeight(card, trumpSuit) {
+    if (isRightBower(card, trumpSuit)) return RIGHT_BOWER_WEIGHT;
+    if (isLeftBower(card, trumpSuit)) return LEFT_BOWER_WEIGHT;
+    if (card.suit === trumpSuit) return TRUMP_WEIGHTS[card.rank] || 0;
+    if (card.rank === 'A') return OFF_SUIT_ACE_WEIGHT;
+    if (card.rank === 'K') return OFF_SUIT_KING_WEIGHT;
+    return 0;
+}
+
+/**
+ * Gets a seat's position relative to the dealer
+ * @param {string} role - Role of the seat
+ * @param {string} dealer - Role of the dealer
+ * @param {Array<string>} playerOrder - Roles in turn order
+ * @returns {string} One of SEAT_POSITIONS
+ */
+export function getSeatPosition(role, dealer, playerOrder) {
+    const offset = (playerOrder.indexOf(role) - playerOrder.indexOf(dealer) + playerOrder.length) % playerOrder.length;
+    return [
+        SEAT_POSITIONS.DEALER,
+        SEAT_POSITIONS.LEFT_OF_DEALER,
+        SEAT_POSITIONS.DEALER_PARTNER,
+        SEAT_POSITIONS.RIGHT_OF_DEALER
+    ][offset];
+}
+
+/**
+ * Scores a hand against a candidate trump suit
+ * @param {Array} hand - The five cards held
+ * @param {string} trumpSuit - Candidate trump suit
+ * @param {Object} [context={}] - Where the hand is being bid from
+ * @param {string} [context.seat] - One of SEAT_POSITIONS
+ * @param {Object} [context.upCard] - The turned-up card, when bidding on its suit in round one
+ * @param {number} [context.round=1] - Bidding round (1 or 2)
+ * @returns {{score: number, trumpCount: number, breakdown: Object}} Hand strength
+ */
+export function evaluateHand(hand, trumpSuit, { seat, upCard, round = 1 } = {}) {
+    let cards = hand;
+    let seatBonus = 0;
+
+    if (round === 1 && upCard && upCard.suit === trumpSuit) {
+        if (seat === SEAT_POSITIONS.DEALER) {
+            // The dealer picks up the card and discards the weakest one
+            cards = [...hand, upCard]
+                .sort((a, b) => getCardWeight(b, trumpSuit) - getCardWeight(a, trumpSuit)
+                    || getCardValue(b, trumpSuit) - getCardValue(a, trumpSuit))
+                .slice(0, hand.length);
+        } else if (seat === SEAT_POSITIONS.DEALER_PARTNER) {
+            seatBonus = UP_CARD_SHARE * getCardWeight(upCard, trumpSuit);
+        } else if (seat) {
+            seatBonus = -UP_CARD_SHARE * getCardWeight(upCard, trumpSuit);
+        }
+    } else if (round === 2 && seat === SEAT_POSITIONS.LEFT_OF_DEALER) {
+        seatBonus = LEAD_BONUS;
+    }
+
+    const trumpCards = cards.filter(card => getEffectiveSuit(card, trumpSuit) === trumpSuit);
+    const trump = trumpCards.reduce((sum, card) => sum + getCardWeight(card, trumpSuit), 0);
+    const offSuit = cards
+        .filter(card => getEffectiveSuit(card, trumpSuit) !== trumpSuit)
+        .reduce((sum, card) => sum + getCardWeight(card, trumpSuit), 0);
+
+    // A void is only worth something with enough trump to ruff
+    const voidCount = SUITS
+        .filter(suit => suit !== trumpSuit)
+        .filter(suit => !cards.some(card => getEffectiveSuit(card, trumpSuit) === suit))
+        .length;
+    const voids = trumpCards.length >= 2 ? voidCount * VOID_WEIGHT : 0;
+
+    const breakdown = { trump, offSuit, voids, seat: seatBonus };
+
+    return {
+        score: trump + offSuit + voids + seatBonus,
+        trumpCount: trumpCards.length,
+        breakdown
+    };
+}
+
+/**
+ * Turns the distance between a score and a decision threshold into a confidence
+ * @private
+ * @param {number} distance - How far the score is from the nearest threshold
+ * @returns {number} Confidence from 0.5 (coin flip) to 1
+ */
+function toConfidence(distance) {
+    return Math.round(Math.min(1, 0.5 + Math.abs(distance) / 4) * 100) / 100;
+}
+
+/**
+ * Picks the recommendation for a hand score
+ * @private
+ */
+function recommendFromScore(score, makeAction, mustCall) {
+    if (score >= GO_ALONE_THRESHOLD) {
+        return { action: BID_RECOMMENDATIONS.GO_ALONE, confidence: toConfidence(score - GO_ALONE_THRESHOLD) };
+    }
+
+    if (score >= MAKE_THRESHOLD || mustCall) {
+        const distance = Math.min(score - MAKE_THRESHOLD, GO_ALONE_THRESHOLD - score);
+        return { action: makeAction, confidence: mustCall ? 1 : toConfidence(distance) };
+    }
+
+    return { action: BID_RECOMMENDATIONS.PASS, confidence: toConfidence(MAKE_THRESHOLD - score) };
+}
+
+/**
+ * Recommends a bid for a hand
+ * @param {Array} hand - The five cards held
+ * @param {Object} context - Bidding situation
+ * @param {Object} context.upCard - The turned-up card
+ * @param {string} context.seat - One of SEAT_POSITIONS
+ * @param {number} [context.round=1] - Bidding round (1 or 2)
+ * @param {boolean} [context.mustCall=false] - Whether the dealer is stuck and must name trump
+ * @returns {{action: string, suit: string|null, confidence: number, score: number}} The recommendation
+ */
+export function recommendBid(hand, { upCard, seat, round = 1, mustCall = false }) {
+    if (round === 1) {
+        const { score } = evaluateHand(hand, upCard.suit, { seat, upCard, round });
+        const recommendation = recommendFromScore(score, BID_RECOMMENDATIONS.ORDER_UP, false);
+        return {
+            ...recommendation,
+            suit: recommendation.action === BID_RECOMMENDATIONS.PASS ? null : upCard.suit,
+            score
+        };
+    }
+
+    // The turned-down suit can't be named in the second round
+    const [best] = SUITS
+        .filter(suit => suit !== upCard.suit)
+        .map(suit => ({ suit, score: evaluateHand(hand, suit, { seat, round }).score }))
+        .sort((a, b) => b.score - a.score);
+
+    const recommendation = recommendFromScore(best.score, BID_RECOMMENDATIONS.CALL, mustCall);
+    return {
+        ...recommendation,
+        suit: recommendation.action === BID_RECOMMENDATIONS.PASS ? null : best.suit,
+        score: best.score
+    };
+}
+
+/**
+ * Recommends whether the maker should go alone once trump is set
+ * @param {Array} hand - The maker's hand after any discard
+ * @param {string} trumpSuit - The trump suit
+ * @returns {{goAlone: boolean, confidence: number, score: number}} The recommendation
+ */
+export function recommendGoAlone(hand, trumpSuit) {
+    const { score } = evaluateHand(hand, trumpSuit);
+    return {
+        goAlone: score >= GO_ALONE_THRESHOLD,
+        confidence: toConfidence(score - GO_ALONE_THRESHOLD),
+        score
+    };
+}
+
+/**
+ * Recommends a bid for a player from the current game state, for bots and hints
+ * @param {Object} gameState - Current game state
+ * @param {string} role - Role of the player bidding
+ * @returns {Object|null} Recommendation from recommendBid, or null outside bidding
+ */
+export function getBidRecommendation(gameState, role) {
+    const rounds = {
+        [GAME_PHASES.ORDER_UP_ROUND1]: 1,
+        [GAME_PHASES.CALL_TRUMP]: 2,
+        [GAME_PHASES.DEALER_MUST_CALL]: 2
+    };
+    const round = rounds[gameState.currentPhase];
+
+    if (!round || !gameState.upCard) {
+        return null;
+    }
+
+    return recommendBid(gameState.players[role].hand, {
+        upCard: gameState.upCard,
+        seat: getSeatPosition(role, gameState.dealer, gameState.playerOrder),
+        round,
+        mustCall: gameState.currentPhase === GAME_PHASES.DEALER_MUST_CALL
+    });
+}
@@ -0,0 +1,249 @@
+/**
+ * @file Double-dummy trick solver
+ * @module game/logic/trickSolver
+ * @description Works out the best result each side can force with all four hands
+ * visible, and finds the plays in a finished hand that cost a trick. Card legality
+ * and trick winners come from isValidPlay and getWinningCardIndex in cardUtils.
+ */
+
+import { PLAYER_ROLES } from '../../config/constants.js';
+import { getTeamForPlayer, getPartner } from '../../utils/players.js';
+import { isValidPlay, getWinningCardIndex, getEffectiveSuit } from '../../client/utils/cardUtils.js';
+
+const NORTH_SOUTH = 'north+south';
+const EAST_WEST = 'east+west';
+
+/**
+ * Checks whether two cards are the same card
+ * @private
+ */
+const sameCard = (a, b) => a.rank === b.rank && a.suit === b.suit;
+
+/**
+ * Builds the starting search position
+ * @private
+ * @param {Object} deal - Deal to solve
+ * @returns {Object} Search position
+ */
+function createPosition({ hands, trumpSuit, leader, playerOrder = PLAYER_ROLES, partnerSittingOut = null, defenderPartnerSittingOut = null }) {
+    const activeOrder = playerOrder.filter(role => role !== partnerSittingOut && role !== defenderPartnerSittingOut);
+
+    if (!activeOrder.includes(leader)) {
+        throw new Error(`Leader ${leader} is not playing this hand`);
+    }
+
+    return {
+        hands: Object.fromEntries(activeOrder.map(role => [role, [...(hands[role] || [])]])),
+        trumpSuit,
+        activeOrder,
+        trick: [],
+        next: leader
+    };
+}
+
+/**
+ * Gets the cards the player to move may legally play
+ * @private
+ */
+function getLegalCards(position) {
+    const hand = position.hands[position.next];
+    const ledSuit = position.trick.length ? getEffectiveSuit(position.trick[0].card, position.trumpSuit) : null;
+    return hand.filter(card => isValidPlay(card, hand, ledSuit, position.trumpSuit));
+}
+
+/**
+ * Plays a card from a position
+ * @private
+ * @returns {{position: Object, winner: string|null}} The new position, and the trick winner if the card completed a trick
+ */
+function applyPlay(position, card) {
+    const { next, activeOrder, trumpSuit } = position;
+    const hands = { ...position.hands, [next]: position.hands[next].filter(c => !sameCard(c, card)) };
+    const trick = [...position.trick, { player: next, card }];
+
+    if (trick.length < activeOrder.length) {
+        const nextPlayer = activeOrder[(activeOrder.indexOf(next) + 1) % activeOrder.length];
+        return { position: { ...position, hands, trick, next: nextPlayer }, winner: null };
+    }
+
+    const ledSuit = getEffectiveSuit(trick[0].card, trumpSuit);
+    const winner = trick[getWinningCardIndex(trick.map(play => play.card), trumpSuit, ledSuit)].player;
+
+    return { position: { ...position, hands, trick: [], next: winner }, winner };
+}
+
+/**
+ * Builds a memo key for a position at the start of a trick
+ * @private
+ */
+function positionKey(position) {
+    const hands = position.activeOrder.map(role =>
+        position.hands[role].map(card => `${card.rank}${card.suit[0]}`).sort().join('')
+    );
+    return `${position.next}|${hands.join('|')}`;
+}
+
+/**
+ * Alpha-beta search for the number of remaining tricks north/south take with best play.
+ * Values at the start of a trick are searched with a full window, so they are exact and can be memoised.
+ * @private
+ */
+function search(position, alpha, beta, memo) {
+    const atTrickStart = position.trick.length === 0;
+    let key;
+
+    if (atTrickStart) {
+        if (position.hands[position.next].length === 0) return 0;
+
+        key = positionKey(position);
+        if (memo.has(key)) return memo.get(key);
+
+        alpha = -Infinity;
+        beta = Infinity;
+    }
+
+    const maximizing = getTeamForPlayer(position.next) === NORTH_SOUTH;
+    let best = maximizing ? -Infinity : Infinity;
+
+    for (const card of getLegalCards(position)) {
+        const value = getPlayValue(position, card, alpha, beta, memo);
+
+        if (maximizing) {
+            best = Math.max(best, value);
+            alpha = Math.max(alpha, best);
+        } else {
+            best = Math.min(best, value);
+            beta = Math.min(beta, best);
+        }
+
+        if (alpha >= beta) break;
+    }
+
+    if (atTrickStart) memo.set(key, best);
+    return best;
+}
+
+/**
+ * Gets the north/south tricks from this trick on if a card is played
+ * @private
+ */
+function getPlayValue(position, card, alpha, beta, memo) {
+    const { position: after, winner } = applyPlay(position, card);
+    const point = winner && getTeamForPlayer(winner) === NORTH_SOUTH ? 1 : 0;
+    return point + search(after, alpha - point, beta - point, memo);
+}
+
+/**
+ * Solves a deal with perfect play from both sides
+ * @param {Object} deal - Deal to solve
+ * @param {Object} deal.hands - Cards held by each role
+ * @param {string} deal.trumpSuit - The trump suit
+ * @param {string} deal.leader - Role leading the first trick
+ * @param {Array<string>} [deal.playerOrder=PLAYER_ROLES] - Roles in turn order
+ * @param {string|null} [deal.partnerSittingOut=null] - Partner of a lone maker
+ * @param {string|null} [deal.defenderPartnerSittingOut=null] - Partner of a lone defender
+ * @returns {{'north+south': number, 'east+west': number}} Tricks each side takes
+ */
+export function solveDeal(deal) {
+    const position = createPosition(deal);
+    const nsTricks = search(position, -Infinity, Infinity, new Map());
+
+    return {
+        [NORTH_SOUTH]: nsTricks,
+        [EAST_WEST]: position.hands[position.next].length - nsTricks
+    };
+}
+
+/**
+ * Rebuilds the hands each player held when play began from the recorded tricks
+ * @private
+ */
+function getStartingHands(tricks) {
+    const hands = {};
+    tricks.forEach(trick => trick.plays.forEach(({ player, card }) => {
+        hands[player] = [...(hands[player] || []), card];
+    }));
+    return hands;
+}
+
+/**
+ * Compares the play of a finished hand with perfect play
+ * @param {Object} gameState - Game state after the hand's last trick
+ * @returns {{optimal: Object, actual: Object, mistakes: Array<{trickNumber: number, player: string, card: Object, bestCards: Array, tricksLost: number}>}} The analysis
+ */
+export function analyzeHand(gameState) {
+    const { tricks = [], trumpSuit, playerOrder = PLAYER_ROLES } = gameState;
+
+    if (!tricks.length || !trumpSuit) {
+        throw new Error('There is no finished hand to analyze');
+    }
+
+    const memo = new Map();
+    let position = createPosition({
+        hands: getStartingHands(tricks),
+        trumpSuit,
+        leader: tricks[0].leader,
+        playerOrder,
+        partnerSittingOut: gameState.goingAlone ? gameState.partnerSittingOut : null,
+        defenderPartnerSittingOut: gameState.defenderPartnerSittingOut
+    });
+
+    const optimalNs = search(position, -Infinity, Infinity, memo);
+    const mistakes = [];
+
+    tricks.forEach((trick, trickIndex) => {
+        trick.plays.forEach(({ player, card }) => {
+            const values = getLegalCards(position).map(legal => ({
+                card: legal,
+                value: getPlayValue(position, legal, -Infinity, Infinity, memo)
+            }));
+            const maximizing = getTeamForPlayer(player) === NORTH_SOUTH;
+            const bestValue = (maximizing ? Math.max : Math.min)(...values.map(v => v.value));
+            const actual = values.find(v => sameCard(v.card, card));
+
+            if (!actual) {
+                throw new Error(`Trick ${trickIndex + 1} contains an illegal play by ${player}`);
+            }
+
+            const tricksLost = Math.abs(bestValue - actual.value);
+            if (tricksLost > 0) {
+                mistakes.push({
+                    trickNumber: trickIndex + 1,
+                    player,
+                    card,
+                    bestCards: values.filter(v => v.value === bestValue).map(v => v.card),
+                    tricksLost
+                });
+            }
+
+            position = applyPlay(position, card).position;
+        });
+    });
+
+    const actualNs = tricks.filter(trick => getTeamForPlayer(trick.winner) === NORTH_SOUTH).length;
+
+    return {
+        optimal: { [NORTH_SOUTH]: optimalNs, [EAST_WEST]: tricks.length - optimalNs },
+        actual: { [NORTH_SOUTH]: actualNs, [EAST_WEST]: tricks.length - actualNs },
+        mistakes
+    };
+}
+
+/**
+ * Compares the play of a hand from the hand history with perfect play
+ * @param {Object} record - Finished hand record from game/history/handRecord
+ * @param {Array<string>} [playerOrder=PLAYER_ROLES] - Roles in turn order
+ * @returns {Object} The analysis, as from analyzeHand
+ */
+export function analyzeHandRecord(record, playerOrder = PLAYER_ROLES) {
+    const { goAlone, defendAlone } = record;
+
+    return analyzeHand({
+        tricks: record.tricks,
+        trumpSuit: record.trumpSuit,
+        playerOrder,
+        goingAlone: Boolean(goAlone?.alone),
+        partnerSittingOut: goAlone?.alone ? getPartner(goAlone.player) : null,
+        defenderPartnerSittingOut: defendAlone ? getPartner(defendAlone) : null
+    });
+}
@@ -6,9 +6,11 @@
 
 import { log } from '../../utils/logger.js';
 import { GAME_PHASES, SUITS, DEBUG_LEVELS } from '../../config/constants.js';
-import { getNextPlayer, getPartner } from '../../utils/players.js';
-import { cardToString } from '../../utils/deck.js';
-import { handleGoAloneDecision as goAlonePhaseDecision } from './goAlonePhase.js';
+import { getNextPlayer, getPartner, isTeammate, getTeamForPlayer } from '../../utils/players.js';
+import { startNewHand } from './dealing.js';
+import { getRules, ALL_PASS_RULES } from '../rules.js';
+import { recordBid, recordDiscard, recordGoAlone, recordDefendAlone, recordThrowIn, THROW_IN_REASONS } from '../history/handRecord.js';
+import { cardToNotation } from '../history/notation.js';
 
 /**
  * Handles a player's decision to order up the dealer
@@ -41,6 +43,8 @@ export function handleOrderUpDecision(gameState, playerRole, orderedUp) {
         // Player ordered up the dealer
         updatedState.trumpSuit = updatedState.upCard.suit;
         updatedState.dealerCalledTrump = true;
+        updatedState.playerWhoCalledTrump = playerRole;
+        updatedState.makerTeam = getTeamForPlayer(playerRole);
         updatedState.currentPhase = GAME_PHASES.DEALER_DISCARD;
         updatedState.currentPlayer = updatedState.dealer;
         
@@ -70,7 +74,7 @@ export function handleOrderUpDecision(gameState, playerRole, orderedUp) {
         updatedState.currentPlayer = nextPlayerRole;
     }
 
-    return updatedState;
+    return recordBid(updatedState, { player: playerRole, round: 1, action: orderedUp ? 'order' : 'pass' });
 }
 
 /**
@@ -81,7 +85,7 @@ export function handleOrderUpDecision(gameState, playerRole, orderedUp) {
  * @returns {Object} Updated game state
  */
 export function handleDealerDiscard(gameState, dealerRole, cardToDiscard) {
-    log(DEBUG_LEVELS.INFO, `[handleDealerDiscard] Dealer ${dealerRole} discarding ${cardToString(cardToDiscard)}`);
+    log(DEBUG_LEVELS.INFO, `[handleDealerDiscard] Dealer ${dealerRole} discarding ${cardToNotation(cardToDiscard)}`);
     
     if (gameState.currentPhase !== GAME_PHASES.DEALER_DISCARD) {
         throw new Error('Not in dealer discard phase');
@@ -110,13 +114,14 @@ export function handleDealerDiscard(gameState, dealerRole, cardToDiscard) {
     // Update game state
     updatedState.discardPile.push(cardToDiscard);
     updatedState.currentPhase = GAME_PHASES.GO_ALONE;
-    updatedState.currentPlayer = gameState.playerOrder[0]; // Start with first player for go alone decision
+    updatedState.currentPlayer = gameState.playerWhoCalledTrump; // The maker decides whether to go alone
+    // The discard is buried face down, so the message everyone sees doesn't name it
     updatedState.messages.push({
         type: 'game',
-        text: `Dealer (${dealerRole}) picked up the ${cardToString(updatedState.upCard)} and discarded ${cardToString(cardToDiscard)}`
+        text: `Dealer (${dealerRole}) picked up the ${cardToNotation(updatedState.upCard)}`
     });
     
-    return updatedState;
+    return recordDiscard(updatedState, cardToDiscard);
 }
 
 /**
@@ -124,15 +129,27 @@ export function handleDealerDiscard(gameState, dealerRole, cardToDiscard) {
  * @param {Object} gameState - Current game state
  * @param {string} playerRole - Role of the player making the decision
  * @param {string|null} suitToCall - Suit being called as trump, or null to pass
+ * @param {Object} [options={}] - Options for a pass that throws the hand in
+ * @param {number|string} [options.seed] - Seed for the redeal; a random one is generated if omitted
  * @returns {Object} Updated game state
  */
-export function handleCallTrumpDecision(gameState, playerRole, suitToCall) {
+export function handleCallTrumpDecision(gameState, playerRole, suitToCall, { seed } = {}) {
     log(DEBUG_LEVELS.INFO, `[handleCallTrumpDecision] Player ${playerRole} ${suitToCall ? `called ${suitToCall}` : 'passed'}`);
     
-    if (gameState.currentPhase !== GAME_PHASES.CALL_TRUMP) {
+    const dealerMustCall = gameState.currentPhase === GAME_PHASES.DEALER_MUST_CALL;
+    
+    if (gameState.currentPhase !== GAME_PHASES.CALL_TRUMP && !dealerMustCall) {
         throw new Error('Not in call trump phase');
     }
     
+    if (dealerMustCall && playerRole !== gameState.dealer) {
+        throw new Error('Only the dealer can call trump at this time');
+    }
+    
+    if (dealerMustCall && !suitToCall) {
+        throw new Error('Dealer must call a suit (stick the dealer)');
+    }
+    
     const updatedState = { ...gameState };
     const nextPlayerRole = getNextPlayer(
         playerRole,
@@ -153,6 +170,8 @@ export function handleCallTrumpDecision(gameState, playerRole, suitToCall) {
         }
         
         updatedState.trumpSuit = suitToCall;
+        updatedState.playerWhoCalledTrump = playerRole;
+        updatedState.makerTeam = getTeamForPlayer(playerRole);
         updatedState.messages.push({
             type: 'bidding',
             player: playerRole,
@@ -171,8 +190,20 @@ export function handleCallTrumpDecision(gameState, playerRole, suitToCall) {
             action: 'passed'
         });
         
-        if (nextPlayerRole === updatedState.dealer) {
-            // Dealer must call a suit or redeal
+        const { allPass } = getRules(updatedState);
+        
+        if (allPass === ALL_PASS_RULES.REDEAL && playerRole === updatedState.dealer) {
+            // Everyone passed, including the dealer: throw the hand in
+            updatedState.messages.push({
+                type: 'game',
+                text: 'All players passed. The deal passes to the left.'
+            });
+            const passed = recordBid(updatedState, { player: playerRole, round: 2, action: 'pass' });
+            return startNewHand(recordThrowIn(passed, THROW_IN_REASONS.ALL_PASSED, playerRole), { seed });
+        }
+        
+        if (allPass === ALL_PASS_RULES.STICK_THE_DEALER && nextPlayerRole === updatedState.dealer) {
+            // Stick the dealer: dealer must call a suit
             updatedState.currentPhase = GAME_PHASES.DEALER_MUST_CALL;
             updatedState.currentPlayer = updatedState.dealer;
             updatedState.messages.push({
@@ -185,7 +216,25 @@ export function handleCallTrumpDecision(gameState, playerRole, suitToCall) {
         }
     }
     
-    return updatedState;
+    return recordBid(updatedState, {
+        player: playerRole,
+        round: 2,
+        action: suitToCall ? 'call' : 'pass',
+        suit: suitToCall
+    });
+}
+
+/**
+ * Tells whether a pass in the second round of bidding throws the hand in, which is
+ * the dealer passing at a table that redeals when everyone passes
+ * @param {Object} gameState - Current game state
+ * @param {string} playerRole - Role of the player passing
+ * @returns {boolean} True if the pass deals a new hand
+ */
+export function isThrowInPass(gameState, playerRole) {
+    return gameState.currentPhase === GAME_PHASES.CALL_TRUMP
+        && playerRole === gameState.dealer
+        && getRules(gameState).allPass === ALL_PASS_RULES.REDEAL;
 }
 
 /**
@@ -196,6 +245,107 @@ export function handleCallTrumpDecision(gameState, playerRole, suitToCall) {
  * @returns {Object} Updated game state
  */
 export function handleGoAloneDecision(gameState, playerRole, goAlone) {
-    return goAlonePhaseDecision(gameState, playerRole, goAlone);
+    log(DEBUG_LEVELS.INFO, `[handleGoAloneDecision] Player ${playerRole} ${goAlone ? 'is going alone' : 'will play with partner'}`);
+    
+    if (gameState.currentPhase !== GAME_PHASES.GO_ALONE) {
+        throw new Error('Not in go alone phase');
+    }
+    
+    if (playerRole !== gameState.playerWhoCalledTrump) {
+        throw new Error('Only the player who called trump can go alone');
+    }
+    
+    const updatedState = { ...gameState, messages: [...(gameState.messages || [])] };
+    const partner = getPartner(playerRole);
+    
+    updatedState.goingAlone = Boolean(goAlone);
+    updatedState.playerGoingAlone = goAlone ? playerRole : null;
+    updatedState.partnerSittingOut = goAlone ? partner : null;
+    
+    updatedState.messages.push(goAlone
+        ? { type: 'game', text: `${playerRole} is going alone! ${partner} will sit out this hand.`, important: true }
+        : { type: 'game', text: `${playerRole} will play with their partner.` });
+    
+    const recorded = recordGoAlone(updatedState, playerRole, goAlone);
+    
+    if (!getRules(updatedState).allowDefendAlone) {
+        return startPlay(recorded);
+    }
+    
+    // The defenders decide in turn, starting left of the maker
+    return {
+        ...recorded,
+        currentPhase: GAME_PHASES.DEFEND_ALONE,
+        currentPlayer: getNextPlayer(playerRole, updatedState.playerOrder)
+    };
+}
+
+/**
+ * Starts the first trick once bidding is over. Play starts left of the dealer,
+ * passing over any partner sitting out.
+ * @private
+ * @param {Object} gameState - Game state with every lone hand decided
+ * @returns {Object} Updated game state
+ */
+function startPlay(gameState) {
+    const currentPlayer = getNextPlayer(
+        gameState.dealer,
+        gameState.playerOrder,
+        gameState.goingAlone,
+        gameState.playerGoingAlone,
+        gameState.partnerSittingOut,
+        gameState.defenderPartnerSittingOut
+    );
+    
+    return {
+        ...gameState,
+        currentPhase: GAME_PHASES.PLAYING,
+        currentPlayer,
+        trickLeader: currentPlayer,
+        currentTrick: []
+    };
 }
 
+/**
+ * Handles a defender's decision to defend alone against the makers. Tables that
+ * allow it ask each defender in turn, starting left of the maker; once one of them
+ * defends alone, or both decline, play starts.
+ * @param {Object} gameState - Current game state
+ * @param {string} playerRole - Role of the defender making the decision
+ * @param {boolean} defendAlone - Whether the defender sits their partner out
+ * @returns {Object} Updated game state
+ */
+export function handleDefendAloneDecision(gameState, playerRole, defendAlone) {
+    log(DEBUG_LEVELS.INFO, `[handleDefendAloneDecision] Player ${playerRole} ${defendAlone ? 'is defending alone' : 'will defend with partner'}`);
+    
+    if (gameState.currentPhase !== GAME_PHASES.DEFEND_ALONE) {
+        throw new Error('Not in defend alone phase');
+    }
+    
+    if (isTeammate(playerRole, gameState.playerWhoCalledTrump)) {
+        throw new Error('Only a defender can defend alone');
+    }
+    
+    const updatedState = { ...gameState, messages: [...(gameState.messages || [])] };
+    const partner = getPartner(playerRole);
+    
+    if (!defendAlone) {
+        updatedState.messages.push({ type: 'game', text: `${playerRole} will defend with their partner.` });
+        
+        // The first defender to decline leaves the choice to their partner
+        const firstDefender = getNextPlayer(gameState.playerWhoCalledTrump, gameState.playerOrder);
+        return playerRole === firstDefender
+            ? { ...updatedState, currentPlayer: partner }
+            : startPlay(updatedState);
+    }
+    
+    updatedState.defenderGoingAlone = playerRole;
+    updatedState.defenderPartnerSittingOut = partner;
+    updatedState.messages.push({
+        type: 'game',
+        text: `${playerRole} is defending alone! ${partner} will sit out this hand.`,
+        important: true
+    });
+    
+    return startPlay(recordDefendAlone(updatedState, playerRole));
+}
@@ -0,0 +1,201 @@
+/**
+ * @file Dealing phase module for Euchre game
+ * @module game/phases/dealing
+ * @description Handles shuffling and dealing a new hand, plus the deal-related
+ * house rules (farmer's hand and no-ace/no-face misdeals)
+ */
+
+import { log } from '../../utils/logger.js';
+import { GAME_PHASES, DEBUG_LEVELS } from '../../config/constants.js';
+import { getNextPlayer } from '../../utils/players.js';
+import { createDeck, shuffleDeck, dealCards, createSeededRandom, generateSeed, normalizeSeed } from '../../client/utils/cardUtils.js';
+import { getRules, isNineTenHand } from '../rules.js';
+import { createHandRecord, recordFarmersHand, recordThrowIn, THROW_IN_REASONS } from '../history/handRecord.js';
+
+const CARDS_PER_PLAYER = 5;
+const FARMERS_HAND_SWAP_SIZE = 3;
+
+/**
+ * Deals a hand from a seed. The same seed, dealer and seating always produce the same cards.
+ * @param {number|string} seed - Seed for the shuffle
+ * @param {string} dealer - Role of the dealer
+ * @param {Array} playerOrder - Player roles in seating order
+ * @returns {{hands: Object, kitty: Array, upCard: Object}} Hands keyed by role, the face-down kitty and the up card
+ */
+export function dealFromSeed(seed, dealer, playerOrder) {
+    // Deal starts to the left of the dealer
+    const firstPlayer = getNextPlayer(dealer, playerOrder);
+    const seats = playerOrder.map((_, i) => playerOrder[(playerOrder.indexOf(firstPlayer) + i) % playerOrder.length]);
+    const deck = shuffleDeck(createDeck(), createSeededRandom(seed));
+    const { hands, remainingDeck } = dealCards(deck, seats.length, CARDS_PER_PLAYER);
+
+    // Turn up the top card of the kitty; the rest stay face down
+    const kitty = [...remainingDeck];
+    const upCard = kitty.pop();
+
+    return {
+        hands: Object.fromEntries(seats.map((role, i) => [role, hands[i]])),
+        kitty,
+        upCard
+    };
+}
+
+/**
+ * Shuffles and deals a new hand
+ * @param {Object} gameState - Current game state
+ * @param {Object} [options={}] - Deal options
+ * @param {boolean} [options.rotateDealer=true] - Pass the deal to the left before dealing
+ * @param {number|string} [options.seed] - Seed for the shuffle; a random one is generated if omitted
+ * @returns {Object} Updated game state in the first round of bidding
+ */
+export function startNewHand(gameState, { rotateDealer = true, seed = generateSeed() } = {}) {
+    const updatedState = { ...gameState };
+    const { playerOrder } = updatedState;
+
+    if (!updatedState.dealer) {
+        updatedState.dealer = playerOrder[0];
+    } else if (rotateDealer) {
+        updatedState.dealer = getNextPlayer(updatedState.dealer, playerOrder);
+    }
+
+    const dealSeed = normalizeSeed(seed);
+    log(DEBUG_LEVELS.INFO, `[startNewHand] ${updatedState.dealer} is dealing with seed ${dealSeed}`);
+
+    const firstPlayer = getNextPlayer(updatedState.dealer, playerOrder);
+    const { hands, kitty, upCard } = dealFromSeed(dealSeed, updatedState.dealer, playerOrder);
+
+    updatedState.players = { ...updatedState.players };
+    Object.entries(hands).forEach(([role, hand]) => {
+        updatedState.players[role] = { ...updatedState.players[role], hand };
+    });
+
+    updatedState.upCard = upCard;
+    updatedState.kitty = kitty;
+    updatedState.dealSeed = dealSeed;
+
+    Object.assign(updatedState, {
+        currentPhase: GAME_PHASES.ORDER_UP_ROUND1,
+        currentPlayer: firstPlayer,
+        trumpSuit: null,
+        makerTeam: null,
+        playerWhoCalledTrump: null,
+        dealerCalledTrump: false,
+        goingAlone: false,
+        playerGoingAlone: null,
+        partnerSittingOut: null,
+        defenderGoingAlone: null,
+        defenderPartnerSittingOut: null,
+        farmersHandUsed: false,
+        discardPile: [],
+        currentTrick: [],
+        tricks: [],
+        messages: [...(updatedState.messages || [])]
+    });
+
+    updatedState.messages.push({
+        type: 'game',
+        text: `${updatedState.dealer} dealt. ${firstPlayer} is first to bid.`
+    });
+
+    updatedState.handRecord = createHandRecord(updatedState);
+    return updatedState;
+}
+
+/**
+ * Handles a player calling a misdeal on a hand with no aces and no face cards
+ * @param {Object} gameState - Current game state
+ * @param {string} playerRole - Role of the player calling the misdeal
+ * @param {Object} [options={}] - Deal options
+ * @param {number|string} [options.seed] - Seed for the new shuffle; a random one is generated if omitted
+ * @returns {Object} Updated game state with the same dealer dealing again
+ */
+export function handleMisdealCall(gameState, playerRole, { seed } = {}) {
+    log(DEBUG_LEVELS.INFO, `[handleMisdealCall] Player ${playerRole} called a misdeal`);
+
+    if (!getRules(gameState).noAceNoFaceMisdeal) {
+        throw new Error('No-ace/no-face misdeals are not allowed at this table');
+    }
+
+    if (gameState.currentPhase !== GAME_PHASES.ORDER_UP_ROUND1) {
+        throw new Error('A misdeal can only be called before trump is ordered');
+    }
+
+    if (!isNineTenHand(gameState.players[playerRole]?.hand)) {
+        throw new Error('Only a hand with no aces and no face cards can be thrown in');
+    }
+
+    const thrownIn = recordThrowIn(gameState, THROW_IN_REASONS.MISDEAL, playerRole);
+    const updatedState = startNewHand(thrownIn, { rotateDealer: false, seed });
+    updatedState.messages.push({
+        type: 'game',
+        text: `${playerRole} called a misdeal (no ace, no face). ${updatedState.dealer} deals again.`,
+        important: true
+    });
+
+    return updatedState;
+}
+
+/**
+ * Handles a player exchanging three cards from a farmer's hand for the face-down kitty
+ * @param {Object} gameState - Current game state
+ * @param {string} playerRole - Role of the player holding the farmer's hand
+ * @param {Array} cardsToSwap - The three cards to exchange
+ * @returns {Object} Updated game state
+ */
+export function handleFarmersHand(gameState, playerRole, cardsToSwap) {
+    log(DEBUG_LEVELS.INFO, `[handleFarmersHand] Player ${playerRole} is swapping a farmer's hand`);
+
+    if (!getRules(gameState).farmersHand) {
+        throw new Error("The farmer's hand is not allowed at this table");
+    }
+
+    if (gameState.currentPhase !== GAME_PHASES.ORDER_UP_ROUND1) {
+        throw new Error("A farmer's hand can only be swapped before trump is ordered");
+    }
+
+    if (gameState.farmersHandUsed) {
+        throw new Error("The kitty has already been swapped this hand");
+    }
+
+    const hand = gameState.players[playerRole]?.hand;
+
+    if (!isNineTenHand(hand)) {
+        throw new Error("Only a hand of nines and tens is a farmer's hand");
+    }
+
+    if (!Array.isArray(cardsToSwap) || cardsToSwap.length !== FARMERS_HAND_SWAP_SIZE) {
+        throw new Error(`Exactly ${FARMERS_HAND_SWAP_SIZE} cards must be swapped`);
+    }
+
+    const remainingHand = [...hand];
+    cardsToSwap.forEach(cardToSwap => {
+        const cardIndex = remainingHand.findIndex(card =>
+            card.rank === cardToSwap.rank && card.suit === cardToSwap.suit
+        );
+
+        if (cardIndex === -1) {
+            throw new Error('Player does not have the specified card');
+        }
+
+        remainingHand.splice(cardIndex, 1);
+    });
+
+    const updatedState = { ...gameState };
+    const swappedOut = hand.filter(card => !remainingHand.includes(card));
+
+    updatedState.players = {
+        ...updatedState.players,
+        [playerRole]: {
+            ...updatedState.players[playerRole],
+            hand: [...remainingHand, ...updatedState.kitty]
+        }
+    };
+    updatedState.kitty = swappedOut;
+    updatedState.farmersHandUsed = true;
+    updatedState.messages = [...updatedState.messages, {
+        type: 'game',
+        text: `${playerRole} exchanged a farmer's hand with the kitty.`
+    }];
+
+    return recordFarmersHand(updatedState, playerRole, swappedOut);
+}
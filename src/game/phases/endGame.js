@@ -1,5 +1,21 @@
-import { GAME_PHASES, WINNING_SCORE } from '../../config/constants.js';
+import { GAME_PHASES, HAND_POINTS, SCORING_RULES } from '../../config/constants.js';
 import { log } from '../../utils/logger.js';
+import { getRules, getGamesToWinMatch } from '../rules.js';
+import { startNewHand } from './dealing.js';
+import { completeHandRecord } from '../history/handRecord.js';
+
+/**
+ * Human-readable descriptions of each scoring rule, appended to score messages
+ * @private
+ */
+const RULE_DESCRIPTIONS = {
+    [SCORING_RULES.MADE]: 'makers took 3 or 4 tricks',
+    [SCORING_RULES.MARCH]: 'makers took all 5 tricks',
+    [SCORING_RULES.LONE_MADE]: 'lone hand took 3 or 4 tricks',
+    [SCORING_RULES.LONE_MARCH]: 'lone hand took all 5 tricks',
+    [SCORING_RULES.EUCHRE]: 'makers took fewer than 3 tricks',
+    [SCORING_RULES.DEFEND_ALONE_EUCHRE]: 'lone defender euchred the makers'
+};
 
 /**
  * Checks if the game has been won and updates the game state accordingly
@@ -12,10 +28,11 @@ export function checkGameOver(gameState) {
     // Create a deep copy of the game state
     const updatedState = JSON.parse(JSON.stringify(gameState));
     
-    // Check if either team has reached the winning score
+    // Check if either team has reached the table's winning score
+    const { winningScore } = getRules(updatedState);
     const teamScores = calculateTeamScores(updatedState);
     const winningTeam = Object.entries(teamScores).find(
-        ([_, score]) => score >= WINNING_SCORE
+        ([_, score]) => score >= winningScore
     )?.[0];
     
     if (winningTeam) {
@@ -64,26 +81,64 @@ function endGame(gameState, winningTeam) {
     gameState.matchStats.teamWins[winningTeam] += 1;
     gameState.matchStats.lastUpdated = new Date().toISOString();
     
+    if (getRules(gameState).matchLength > 1 && gameState.matchStats.teamWins[winningTeam] >= getGamesToWinMatch(gameState)) {
+        return endMatch(gameState, winningTeam);
+    }
+    
+    return gameState;
+}
+
+/**
+ * Handles the end of a best-of-N match
+ * @private
+ * @param {Object} gameState - Current game state
+ * @param {string} matchWinner - The team that won the match
+ * @returns {Object} Updated game state with match over status
+ */
+function endMatch(gameState, matchWinner) {
+    const { teamWins } = gameState.matchStats;
+    log(1, `[endMatch] Match over! ${matchWinner} wins the match!`);
+    
+    gameState.matchOver = true;
+    gameState.matchWinner = matchWinner;
+    gameState.currentPhase = GAME_PHASES.MATCH_OVER;
+    
+    gameState.messages.push({
+        type: 'match_over',
+        team: matchWinner,
+        text: `Match Over! ${matchWinner} wins the match ${teamWins[matchWinner]}-${teamWins[getOpponentTeam(matchWinner)]}!`,
+        important: true
+    });
+    
     return gameState;
 }
 
 /**
  * Handles a request to start a new game
  * @param {Object} gameState - Current game state
+ * @param {Object} [options={}] - Options for the next game
+ * @param {number|string} [options.seed] - Seed for the first hand of the next match game
  * @returns {Object} Reset game state for a new game
  */
-export function startNewGame(gameState) {
+export function startNewGame(gameState, { seed } = {}) {
     log(1, '[startNewGame] Starting a new game');
     
     // Create a deep copy of the game state
     const updatedState = JSON.parse(JSON.stringify(gameState));
     
+    // In the middle of a match the same table plays on
+    if (getRules(updatedState).matchLength > 1 && !updatedState.matchOver) {
+        return startNextMatchGame(updatedState, seed);
+    }
+    
     // Reset game-specific state
     updatedState.gameOver = false;
     updatedState.winningTeam = null;
     updatedState.currentPhase = GAME_PHASES.LOBBY;
     updatedState.players = {};
     updatedState.messages = [];
+    updatedState.handRecord = null;
+    updatedState.handHistory = [];
     
     // Reset player scores
     updatedState.scores = {
@@ -91,6 +146,13 @@ export function startNewGame(gameState) {
         'east+west': 0
     };
     
+    // A finished match is cleared so the next one starts from zero
+    if (updatedState.matchOver) {
+        updatedState.matchOver = false;
+        updatedState.matchWinner = null;
+        delete updatedState.matchStats;
+    }
+    
     // Add game message
     updatedState.messages.push({
         type: 'game',
@@ -101,6 +163,31 @@ export function startNewGame(gameState) {
     return updatedState;
 }
 
+/**
+ * Starts the next game of a match, keeping the players seated
+ * @private
+ * @param {Object} gameState - Game state after a game has ended
+ * @param {number|string} [seed] - Seed for the first hand; a random one is generated if omitted
+ * @returns {Object} Game state with the next game dealt
+ */
+function startNextMatchGame(gameState, seed) {
+    const { gamesPlayed } = gameState.matchStats || { gamesPlayed: 0 };
+    
+    gameState.gameOver = false;
+    gameState.winningTeam = null;
+    gameState.scores = {
+        'north+south': 0,
+        'east+west': 0
+    };
+    gameState.messages = [{
+        type: 'game',
+        text: `Game ${gamesPlayed + 1} of a best of ${getRules(gameState).matchLength} match is starting!`,
+        important: true
+    }];
+    
+    return startNewHand(gameState, { seed });
+}
+
 /**
  * Calculates the current scores for each team
  * @private
@@ -139,47 +226,21 @@ export function handleEndOfHand(gameState) {
     const makerTeam = updatedState.makerTeam;
     const makerTricks = tricksByTeam[makerTeam] || 0;
     const makerWon = makerTricks >= 3;
+    const opponentTeam = getOpponentTeam(makerTeam);
+    const scoringTeam = makerWon ? makerTeam : opponentTeam;
+    const { points, rule, text } = scoreHand(updatedState, makerTeam, makerTricks);
     
-    // Calculate points
-    let points = 1; // Standard win
-    
-    if (makerTricks === 5) {
-        // March (won all 5 tricks)
-        points = 2;
-        updatedState.messages.push({
-            type: 'score',
-            text: `Team ${makerTeam} made a march! 2 points!`,
-            important: true
-        });
-    } else if (makerTricks === 0) {
-        // Euchred (didn't make bid)
-        points = 2; // Other team gets 2 points
-        updatedState.messages.push({
-            type: 'score',
-            text: `Team ${makerTeam} was euchred! 2 points for ${getOpponentTeam(makerTeam)}!`,
-            important: true
-        });
-    } else if (makerWon) {
-        updatedState.messages.push({
-            type: 'score',
-            text: `Team ${makerTeam} made their bid! 1 point.`,
-            important: true
-        });
-    } else {
-        updatedState.messages.push({
-            type: 'score',
-            text: `Team ${makerTeam} was set! 1 point for ${getOpponentTeam(makerTeam)}.`,
-            important: true
-        });
-    }
+    updatedState.messages.push({
+        type: 'score',
+        rule,
+        team: scoringTeam,
+        points,
+        text: `${text} (Rule: ${RULE_DESCRIPTIONS[rule]})`,
+        important: true
+    });
     
     // Update scores
-    if (makerWon) {
-        updatedState.scores[makerTeam] = (updatedState.scores[makerTeam] || 0) + points;
-    } else {
-        const opponentTeam = getOpponentTeam(makerTeam);
-        updatedState.scores[opponentTeam] = (updatedState.scores[opponentTeam] || 0) + points;
-    }
+    updatedState.scores[scoringTeam] = (updatedState.scores[scoringTeam] || 0) + points;
     
     // Add score summary
     updatedState.messages.push({
@@ -189,7 +250,58 @@ export function handleEndOfHand(gameState) {
     });
     
     // Check for game over
-    return checkGameOver(updatedState);
+    return checkGameOver(completeHandRecord(updatedState, { team: scoringTeam, points, rule }));
+}
+
+/**
+ * Determines the points and scoring rule for a completed hand
+ * @private
+ * @param {Object} gameState - Current game state
+ * @param {string} makerTeam - The team that called trump
+ * @param {number} makerTricks - Number of tricks taken by the makers
+ * @returns {{points: number, rule: string, text: string}} Scoring outcome
+ */
+function scoreHand(gameState, makerTeam, makerTricks) {
+    const opponentTeam = getOpponentTeam(makerTeam);
+    const makerAlone = Boolean(gameState.goingAlone && gameState.playerGoingAlone);
+    
+    if (makerTricks === 5) {
+        return makerAlone
+            ? {
+                points: HAND_POINTS.LONE_MARCH,
+                rule: SCORING_RULES.LONE_MARCH,
+                text: `Team ${makerTeam} made a lone hand march! ${HAND_POINTS.LONE_MARCH} points!`
+            }
+            : {
+                points: HAND_POINTS.MARCH,
+                rule: SCORING_RULES.MARCH,
+                text: `Team ${makerTeam} made a march! ${HAND_POINTS.MARCH} points!`
+            };
+    }
+    
+    if (makerTricks >= 3) {
+        return {
+            points: HAND_POINTS.MADE,
+            rule: makerAlone ? SCORING_RULES.LONE_MADE : SCORING_RULES.MADE,
+            text: `Team ${makerTeam} made their bid! ${HAND_POINTS.MADE} point.`
+        };
+    }
+    
+    if (gameState.defenderGoingAlone) {
+        const bonus = getRules(gameState).defendAloneBonus;
+        return {
+            points: bonus,
+            rule: SCORING_RULES.DEFEND_ALONE_EUCHRE,
+            text: `${gameState.defenderGoingAlone} defended alone and euchred team ${makerTeam}! ${bonus} points for ${opponentTeam}!`
+        };
+    }
+    
+    // Euchred: the makers took fewer than 3 tricks
+    return {
+        points: HAND_POINTS.EUCHRE,
+        rule: SCORING_RULES.EUCHRE,
+        text: `Team ${makerTeam} was euchred! ${HAND_POINTS.EUCHRE} points for ${opponentTeam}!`
+    };
 }
 
 /**
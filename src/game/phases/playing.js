@@ -0,0 +1,145 @@
+/**
+ * @file Playing phase module for Euchre game
+ * @module game/phases/playing
+ * @description Handles playing cards to tricks, deciding trick winners and
+ * handing the finished hand over to scoring
+ */
+
+import { log } from '../../utils/logger.js';
+import { GAME_PHASES, DEBUG_LEVELS } from '../../config/constants.js';
+import { getNextPlayer, getTeamForPlayer } from '../../utils/players.js';
+import { isValidPlay, getWinningCardIndex, getEffectiveSuit } from '../../client/utils/cardUtils.js';
+import { handleEndOfHand } from './endGame.js';
+
+const TRICKS_PER_HAND = 5;
+
+/**
+ * Gets the number of players taking part in each trick this hand
+ * @param {Object} gameState - Current game state
+ * @returns {number} Number of active players
+ */
+export function getActivePlayerCount(gameState) {
+    let count = gameState.playerOrder.length;
+    if (gameState.goingAlone && gameState.partnerSittingOut) count--;
+    if (gameState.defenderPartnerSittingOut) count--;
+    return count;
+}
+
+/**
+ * Gets the suit led to the current trick
+ * @param {Object} gameState - Current game state
+ * @returns {string|null} The led suit, or null if the trick hasn't been led
+ */
+export function getLedSuit(gameState) {
+    const [lead] = gameState.currentTrick || [];
+    return lead ? getEffectiveSuit(lead.card, gameState.trumpSuit) : null;
+}
+
+/**
+ * Gets the cards a player may legally play right now
+ * @param {Object} gameState - Current game state
+ * @param {string} playerRole - Role of the player
+ * @returns {Array} Legal cards from the player's hand
+ */
+export function getLegalPlays(gameState, playerRole) {
+    const hand = gameState.players[playerRole]?.hand || [];
+    const ledSuit = getLedSuit(gameState);
+    return hand.filter(card => isValidPlay(card, hand, ledSuit, gameState.trumpSuit));
+}
+
+/**
+ * Handles a player playing a card to the current trick
+ * @param {Object} gameState - Current game state
+ * @param {string} playerRole - Role of the player playing the card
+ * @param {Object} card - The card being played
+ * @returns {Object} Updated game state
+ */
+export function handlePlayCard(gameState, playerRole, card) {
+    log(DEBUG_LEVELS.INFO, `[handlePlayCard] Player ${playerRole} played ${card?.rank} of ${card?.suit}`);
+
+    if (gameState.currentPhase !== GAME_PHASES.PLAYING) {
+        throw new Error('Not in playing phase');
+    }
+
+    if (playerRole !== gameState.currentPlayer) {
+        throw new Error('Not your turn to play');
+    }
+
+    const hand = gameState.players[playerRole].hand;
+    const cardIndex = hand.findIndex(c => c.rank === card?.rank && c.suit === card?.suit);
+
+    if (cardIndex === -1) {
+        throw new Error('Player does not have the specified card');
+    }
+
+    const playedCard = hand[cardIndex];
+
+    if (!isValidPlay(playedCard, hand, getLedSuit(gameState), gameState.trumpSuit)) {
+        throw new Error('You must follow suit');
+    }
+
+    const updatedState = { ...gameState };
+    updatedState.players = {
+        ...updatedState.players,
+        [playerRole]: {
+            ...updatedState.players[playerRole],
+            hand: hand.filter((_, i) => i !== cardIndex)
+        }
+    };
+    updatedState.currentTrick = [...(updatedState.currentTrick || []), { player: playerRole, card: playedCard }];
+
+    if (updatedState.currentTrick.length < getActivePlayerCount(updatedState)) {
+        updatedState.currentPlayer = getNextPlayer(
+            playerRole,
+            updatedState.playerOrder,
+            updatedState.goingAlone,
+            updatedState.playerGoingAlone,
+            updatedState.partnerSittingOut,
+            updatedState.defenderPartnerSittingOut
+        );
+        return updatedState;
+    }
+
+    return completeTrick(updatedState);
+}
+
+/**
+ * Decides the winner of a full trick and moves on to the next trick or to scoring
+ * @private
+ * @param {Object} gameState - Game state with a full current trick
+ * @returns {Object} Updated game state
+ */
+function completeTrick(gameState) {
+    const plays = gameState.currentTrick;
+    const ledSuit = getEffectiveSuit(plays[0].card, gameState.trumpSuit);
+    const winningIndex = getWinningCardIndex(plays.map(p => p.card), gameState.trumpSuit, ledSuit);
+    const winner = plays[winningIndex].player;
+
+    const trick = {
+        leader: plays[0].player,
+        plays,
+        winner,
+        team: getTeamForPlayer(winner)
+    };
+
+    const updatedState = {
+        ...gameState,
+        tricks: [...(gameState.tricks || []), trick],
+        currentTrick: [],
+        currentPlayer: winner,
+        trickLeader: winner,
+        messages: [...(gameState.messages || []), {
+            type: 'trick',
+            player: winner,
+            text: `${winner} won trick ${(gameState.tricks || []).length + 1}.`
+        }]
+    };
+
+    if (updatedState.tricks.length < TRICKS_PER_HAND) {
+        return updatedState;
+    }
+
+    updatedState.currentPhase = GAME_PHASES.SCORING;
+    updatedState.currentPlayer = null;
+    return handleEndOfHand(updatedState);
+}
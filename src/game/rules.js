@@ -0,0 +1,98 @@
+/**
+ * @file Table rule variants for Euchre
+ * @module game/rules
+ * @description Defines the per-game rules object chosen when a table is created,
+ * and the helpers the bidding and dealing phases use to read it.
+ */
+
+import { HAND_POINTS, WINNING_SCORE, WINNING_SCORE_OPTIONS } from '../config/constants.js';
+
+/**
+ * What happens when all four players pass in the second round of bidding.
+ * "Stick the dealer" is also known as "screw the dealer".
+ */
+export const ALL_PASS_RULES = {
+    STICK_THE_DEALER: 'stick_the_dealer',
+    REDEAL: 'redeal'
+};
+
+/**
+ * Rules used when a table doesn't choose its own
+ */
+export const DEFAULT_RULES = Object.freeze({
+    allPass: ALL_PASS_RULES.STICK_THE_DEALER,
+    farmersHand: false,
+    noAceNoFaceMisdeal: false,
+    allowDefendAlone: false,
+    defendAloneBonus: HAND_POINTS.DEFEND_ALONE_BONUS,
+    winningScore: WINNING_SCORE,
+    matchLength: 1,
+    // Free-text chat during a hand; without it players may only use the quick phrases
+    tableTalk: false
+});
+
+/**
+ * Validators for each supported rule, keyed by rule name
+ * @private
+ */
+const RULE_VALIDATORS = {
+    allPass: value => Object.values(ALL_PASS_RULES).includes(value),
+    farmersHand: value => typeof value === 'boolean',
+    noAceNoFaceMisdeal: value => typeof value === 'boolean',
+    allowDefendAlone: value => typeof value === 'boolean',
+    defendAloneBonus: value => Number.isInteger(value) && value > 0,
+    winningScore: value => WINNING_SCORE_OPTIONS.includes(value),
+    // Best of N games, so N must be odd
+    matchLength: value => Number.isInteger(value) && value > 0 && value % 2 === 1,
+    tableTalk: value => typeof value === 'boolean'
+};
+
+/**
+ * Creates a validated rules object for a new table
+ * @param {Object} [overrides={}] - Rules chosen by the table creator
+ * @returns {Object} Frozen rules object with defaults filled in
+ * @throws {Error} If a rule is unknown or has an invalid value
+ */
+export function createRules(overrides = {}) {
+    Object.entries(overrides).forEach(([name, value]) => {
+        const validate = RULE_VALIDATORS[name];
+
+        if (!validate) {
+            throw new Error(`Unknown rule: ${name}`);
+        }
+
+        if (!validate(value)) {
+            throw new Error(`Invalid value for rule ${name}: ${JSON.stringify(value)}`);
+        }
+    });
+
+    return Object.freeze({ ...DEFAULT_RULES, ...overrides });
+}
+
+/**
+ * Gets the rules in effect for a game, falling back to the defaults
+ * @param {Object} gameState - Current game state
+ * @returns {Object} The game's rules
+ */
+export function getRules(gameState) {
+    return { ...DEFAULT_RULES, ...gameState?.rules };
+}
+
+/**
+ * Checks if a hand holds nothing but nines and tens. Such a hand qualifies
+ * for the farmer's hand swap and for a no-ace/no-face misdeal.
+ * @param {Array} hand - The player's hand
+ * @returns {boolean} True if every card is a nine or a ten
+ */
+export function isNineTenHand(hand) {
+    return Array.isArray(hand) && hand.length > 0 && hand.every(card => ['9', '10'].includes(card.rank));
+}
+
+/**
+ * Gets the number of game wins needed to take a best-of-N match
+ * @param {Object} gameState - Current game state
+ * @returns {number} Games a team must win to win the match
+ */
+export function getGamesToWinMatch(gameState) {
+    return Math.floor(getRules(gameState).matchLength / 2) + 1;
+}
@@ -0,0 +1,272 @@
+/**
+ * @file Game state schema
+ * @module game/schema
+ * @description The one definition of what a game state and a card look like, for the
+ * server and the client alike; it only depends on the shared constants. The server
+ * checks every state its event log moves a game to against it, except in production
+ * (see game/history/eventLog), so a phase function that drifts from the schema fails
+ * its tests instead of a live table.
+ *
+ * A schema node has a `type` ('string', 'integer', 'number', 'boolean', 'object',
+ * 'array', 'map' or 'any', or a list of them) and may add:
+ * - `nullable`: null is allowed
+ * - `optional`: the property may be left out of its object
+ * - `enum`: the allowed values
+ * - `properties`: schemas of an object's known properties; others are allowed
+ * - `items`: schema of each element of an array
+ * - `keys` / `values`: allowed keys and the schema of each value of a map
+ * - `renamed`: old property names, each with the name that replaced it
+ */
+
+import { GAME_PHASES, PLAYER_ROLES, SUITS, TEAMS, VALUES } from '../config/constants.js';
+
+const nullable = schema => ({ ...schema, nullable: true });
+const optional = schema => ({ ...schema, optional: true });
+
+const ROLE = { type: 'string', enum: PLAYER_ROLES };
+const SUIT = { type: 'string', enum: SUITS };
+const TEAM = { type: 'integer', enum: Object.values(TEAMS) };
+const TEAM_NAME = { type: 'string', enum: ['north+south', 'east+west'] };
+
+export const CARD_SCHEMA = {
+    type: 'object',
+    properties: {
+        rank: { type: 'string', enum: VALUES },
+        suit: SUIT,
+        id: optional({ type: 'integer' }),
+        code: optional({ type: 'string' })
+    },
+    renamed: { value: 'rank' }
+};
+
+const CARDS = { type: 'array', items: CARD_SCHEMA };
+
+const PLAY_SCHEMA = {
+    type: 'object',
+    properties: { player: ROLE, card: CARD_SCHEMA }
+};
+
+const PLAYER_SCHEMA = {
+    type: 'object',
+    properties: {
+        team: TEAM,
+        hand: CARDS,
+        name: { type: 'string' },
+        socketId: nullable({ type: 'string' }),
+        isBot: optional({ type: 'boolean' }),
+        userId: optional(nullable({ type: 'string' })),
+        playerToken: optional(nullable({ type: 'string' })),
+        cardCount: optional({ type: 'integer' })
+    },
+    renamed: { id: 'userId' }
+};
+
+export const GAME_STATE_SCHEMA = {
+    type: 'object',
+    properties: {
+        gameId: nullable({ type: 'string' }),
+        rules: { type: 'object' },
+        playerOrder: { type: 'array', items: ROLE },
+        players: { type: 'map', keys: PLAYER_ROLES, values: PLAYER_SCHEMA },
+        currentPhase: { type: 'string', enum: Object.values(GAME_PHASES) },
+        deck: CARDS,
+        kitty: CARDS,
+        upCard: nullable(CARD_SCHEMA),
+        dealSeed: nullable({ type: ['integer', 'string'] }),
+        discardPile: CARDS,
+        dealer: nullable(ROLE),
+        currentPlayer: nullable(ROLE),
+        trumpSuit: nullable(SUIT),
+        makerTeam: nullable(TEAM_NAME),
+        playerWhoCalledTrump: nullable(ROLE),
+        goingAlone: { type: 'boolean' },
+        playerGoingAlone: nullable(ROLE),
+        partnerSittingOut: nullable(ROLE),
+        defenderGoingAlone: nullable(ROLE),
+        defenderPartnerSittingOut: nullable(ROLE),
+        currentTrick: { type: 'array', items: PLAY_SCHEMA },
+        tricks: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: { leader: ROLE, plays: { type: 'array', items: PLAY_SCHEMA }, winner: ROLE, team: TEAM_NAME }
+            }
+        },
+        scores: {
+            type: 'object',
+            properties: { 'north+south': { type: 'integer' }, 'east+west': { type: 'integer' } }
+        },
+        messages: { type: 'array' },
+        reconnectDeadlines: { type: 'map', keys: PLAYER_ROLES, values: { type: 'number' } },
+        turnClock: nullable({ type: 'object' }),
+        chatHistory: { type: 'array' },
+        handRecord: nullable({ type: 'object' }),
+        handHistory: { type: 'array' },
+        eventSeq: { type: 'integer' }
+    },
+    renamed: {
+        gamePhase: 'currentPhase',
+        trump: 'trumpSuit',
+        playerSlots: 'playerOrder',
+        currentTrickPlays: 'currentTrick',
+        team1Score: 'scores',
+        team2Score: 'scores'
+    }
+};
+
+/** Properties that must be set, not null, once a game reaches each phase */
+export const PHASE_REQUIREMENTS = {
+    [GAME_PHASES.ORDER_UP_ROUND1]: ['dealer', 'currentPlayer', 'upCard'],
+    [GAME_PHASES.CALL_TRUMP]: ['dealer', 'currentPlayer'],
+    [GAME_PHASES.DEALER_MUST_CALL]: ['dealer', 'currentPlayer'],
+    [GAME_PHASES.DEALER_DISCARD]: ['dealer', 'currentPlayer', 'trumpSuit', 'makerTeam'],
+    [GAME_PHASES.GO_ALONE]: ['dealer', 'currentPlayer', 'trumpSuit', 'makerTeam'],
+    [GAME_PHASES.DEFEND_ALONE]: ['dealer', 'currentPlayer', 'trumpSuit', 'makerTeam'],
+    [GAME_PHASES.PLAYING]: ['dealer', 'currentPlayer', 'trumpSuit', 'makerTeam'],
+    [GAME_PHASES.SCORING]: ['dealer']
+};
+
+/**
+ * Names the type of a value for an error message
+ * @private
+ */
+function describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Checks a value against one type name
+ * @private
+ */
+function hasType(value, type) {
+    switch (type) {
+        case 'any': return true;
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'array': return Array.isArray(value);
+        case 'object':
+        case 'map': return typeof value === 'object' && value !== null && !Array.isArray(value);
+        default: return typeof value === type;
+    }
+}
+
+/**
+ * Joins a property name onto a path, as in `players.south.hand`
+ * @private
+ */
+function joinPath(path, key) {
+    return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Checks a value against a schema node and everything under it
+ * @param {*} value - The value to check
+ * @param {Object} schema - Schema node
+ * @param {string} [path=''] - Where the value is, for the messages
+ * @returns {Array<Object>} Violations, each `{ path, message }`; empty if the value is valid
+ */
+export function validate(value, schema, path = '') {
+    if (value === null) {
+        return schema.nullable ? [] : [{ path, message: 'must not be null' }];
+    }
+
+    const types = [].concat(schema.type);
+    if (!types.some(type => hasType(value, type))) {
+        return [{ path, message: `must be ${types.join(' or ')}, got ${describeType(value)}` }];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [{ path, message: `must be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}` }];
+    }
+
+    const violations = [];
+
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+        if (value[key] === undefined) {
+            if (!propertySchema.optional) violations.push({ path: joinPath(path, key), message: 'is required' });
+            return;
+        }
+        violations.push(...validate(value[key], propertySchema, joinPath(path, key)));
+    });
+
+    Object.entries(schema.renamed || {}).forEach(([oldKey, newKey]) => {
+        if (oldKey in value) {
+            violations.push({ path: joinPath(path, oldKey), message: `has been replaced by ${newKey}` });
+        }
+    });
+
+    if (schema.items) {
+        value.forEach((item, index) => violations.push(...validate(item, schema.items, `${path}[${index}]`)));
+    }
+
+    if (schema.values) {
+        Object.entries(value).forEach(([key, item]) => {
+            if (schema.keys && !schema.keys.includes(key)) {
+                violations.push({ path: joinPath(path, key), message: `is not one of ${schema.keys.join(', ')}` });
+                return;
+            }
+            violations.push(...validate(item, schema.values, joinPath(path, key)));
+        });
+    }
+
+    return violations;
+}
+
+/**
+ * Checks a card
+ * @param {Object} card - The card
+ * @param {string} [path='card'] - Where the card is, for the messages
+ * @returns {Array<Object>} Violations, each `{ path, message }`
+ */
+export function validateCard(card, path = 'card') {
+    return validate(card, CARD_SCHEMA, path);
+}
+
+/**
+ * Checks a game state: the shape of every property, then what its phase needs set
+ * @param {Object} gameState - The game state
+ * @returns {Array<Object>} Violations, each `{ path, message }`; empty if the state is valid
+ */
+export function validateGameState(gameState) {
+    const violations = validate(gameState, GAME_STATE_SCHEMA);
+    if (violations.length > 0) return violations;
+
+    const { currentPhase } = gameState;
+    return (PHASE_REQUIREMENTS[currentPhase] || [])
+        .filter(key => gameState[key] === null)
+        .map(key => ({ path: key, message: `must be set in the ${currentPhase} phase` }));
+}
+
+/**
+ * Thrown when a game state doesn't match the schema
+ */
+export class GameStateError extends Error {
+    /**
+     * @param {string} context - What produced the state, e.g. 'deal'
+     * @param {Array<Object>} violations - Violations from validateGameState
+     */
+    constructor(context, violations) {
+        const lines = violations.map(({ path, message }) => `  ${path}: ${message}`);
+        super(`Invalid game state after ${context}:\n${lines.join('\n')}`);
+        this.name = 'GameStateError';
+        this.context = context;
+        this.violations = violations;
+    }
+}
+
+/**
+ * Checks a game state and throws if it doesn't match the schema
+ * @param {Object} gameState - The game state
+ * @param {string} context - What produced the state, for the error message
+ * @returns {Object} The same game state
+ * @throws {GameStateError} Listing every violation by path
+ */
+export function assertValidGameState(gameState, context) {
+    const violations = validateGameState(gameState);
+    if (violations.length > 0) {
+        throw new GameStateError(context, violations);
+    }
+    return gameState;
+}
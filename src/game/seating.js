@@ -0,0 +1,231 @@
+/**
+ * @file Seating at a table
+ * @module game/seating
+ * @description Moves people in and out of seats. A seat keeps its team, hand and
+ * score; only the occupant (name, socket, bot flags) changes hands.
+ */
+
+import { randomInt } from 'crypto';
+import { GAME_PHASES } from '../config/constants.js';
+
+/** Fields that belong to whoever sits in a seat rather than to the seat itself */
+const OCCUPANT_FIELDS = [
+    'name',
+    'socketId',
+    'userId',
+    'playerToken',
+    'isBot',
+    'botDifficulty',
+    'isConnected',
+    'timeoutStrikes',
+    'isFlagged',
+    'mutedRoles'
+];
+
+// No 0/O or 1/I/L, so codes can be read out loud
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 6;
+
+/**
+ * Creates a short invite code for a private table
+ * @returns {string} The code
+ */
+export function generateInviteCode() {
+    return Array.from({ length: INVITE_CODE_LENGTH }, () => INVITE_CODE_ALPHABET[randomInt(INVITE_CODE_ALPHABET.length)]).join('');
+}
+
+/**
+ * Gets the name an empty seat shows
+ * @param {string} role - The seat
+ * @returns {string} E.g. 'North'
+ */
+export function getDefaultSeatName(role) {
+    return role.charAt(0).toUpperCase() + role.slice(1);
+}
+
+/**
+ * Puts a person in a seat, replacing any bot there
+ * @param {Object} gameState - Current game state
+ * @param {string} role - The seat
+ * @param {Object} person - Who sits down
+ * @param {string} person.socketId - Their socket
+ * @param {string} [person.userId] - Their account or guest id
+ * @param {string} [person.playerToken] - Token that lets them reclaim the seat from another socket
+ * @param {string} [person.name] - Their name; defaults to the seat's name
+ * @returns {Object} Updated game state
+ */
+export function takeSeat(gameState, role, { socketId, userId, playerToken, name }) {
+    const { botDifficulty, ...player } = gameState.players[role];
+
+    return {
+        ...gameState,
+        players: {
+            ...gameState.players,
+            [role]: {
+                ...player,
+                name: name || (player.isBot ? getDefaultSeatName(role) : player.name),
+                socketId,
+                userId: userId || null,
+                playerToken: playerToken || player.playerToken || null,
+                isBot: false,
+                isConnected: true,
+                // Strikes and mutes belong to the last person who sat here
+                timeoutStrikes: 0,
+                isFlagged: false,
+                mutedRoles: []
+            }
+        }
+    };
+}
+
+/**
+ * Takes the person out of a seat. In the lobby the seat is emptied for someone else;
+ * once the game is underway it stays in their name but marked disconnected.
+ * @param {Object} gameState - Current game state
+ * @param {string} role - The seat
+ * @returns {Object} Updated game state
+ */
+export function vacateSeat(gameState, role) {
+    const player = gameState.players[role];
+    const seat = gameState.currentPhase === GAME_PHASES.LOBBY
+        ? { ...player, socketId: null, userId: null, playerToken: null, isConnected: false, name: getDefaultSeatName(role) }
+        : { ...player, socketId: null, isConnected: false };
+
+    return { ...gameState, players: { ...gameState.players, [role]: seat } };
+}
+
+/**
+ * Checks whether the game is waiting for someone to reconnect
+ * @param {Object} gameState - Current game state
+ * @returns {boolean} True while any seat is being held for a disconnected player
+ */
+export function isPaused(gameState) {
+    return Object.keys(gameState.reconnectDeadlines || {}).length > 0;
+}
+
+/**
+ * Holds a disconnected player's seat, pausing the game until they come back or
+ * the deadline passes
+ * @param {Object} gameState - Current game state
+ * @param {string} role - The seat
+ * @param {number} deadline - Time (ms since epoch) the seat is held until
+ * @returns {Object} Updated game state
+ */
+export function holdSeat(gameState, role, deadline) {
+    return {
+        ...vacateSeat(gameState, role),
+        reconnectDeadlines: { ...gameState.reconnectDeadlines, [role]: deadline }
+    };
+}
+
+/**
+ * Gives a held seat back to its player on a new socket. Works whether the seat is
+ * still held or a bot has taken it over in the meantime.
+ * @param {Object} gameState - Current game state
+ * @param {string} role - The seat
+ * @param {string} socketId - The player's new socket
+ * @param {string} [userId] - Their identity now; a guest gets a new one on every connection
+ * @returns {Object} Updated game state
+ */
+export function reclaimSeat(gameState, role, socketId, userId) {
+    const { [role]: _, ...reconnectDeadlines } = gameState.reconnectDeadlines || {};
+    const { botDifficulty, ...player } = gameState.players[role];
+
+    return {
+        ...gameState,
+        reconnectDeadlines,
+        players: {
+            ...gameState.players,
+            [role]: {
+                ...player,
+                name: player.isBot ? player.playerName || getDefaultSeatName(role) : player.name,
+                socketId,
+                userId: userId || player.userId || null,
+                isBot: false,
+                isConnected: true
+            }
+        }
+    };
+}
+
+/**
+ * Hands a player's seat to a bot so the game can go on without them. The seat
+ * keeps the player's token and identity, so they can still reclaim it.
+ * @param {Object} gameState - Current game state
+ * @param {string} role - The seat
+ * @param {string} difficulty - Bot difficulty
+ * @returns {Object} Updated game state
+ */
+export function handSeatToBot(gameState, role, difficulty) {
+    const { [role]: _, ...reconnectDeadlines } = gameState.reconnectDeadlines || {};
+    const player = gameState.players[role];
+
+    return {
+        ...gameState,
+        reconnectDeadlines,
+        players: {
+            ...gameState.players,
+            [role]: {
+                ...player,
+                playerName: player.name,
+                name: `${getDefaultSeatName(role)} (Bot)`,
+                socketId: null,
+                isBot: true,
+                botDifficulty: difficulty,
+                isConnected: false
+            }
+        }
+    };
+}
+
+/**
+ * Swaps the people in two seats, e.g. to sit partners across from each other.
+ * Either seat may be empty, which moves a player to a free seat.
+ * @param {Object} gameState - Current game state
+ * @param {string} from - First seat
+ * @param {string} to - Second seat
+ * @returns {Object} Updated game state
+ * @throws {Error} If the cards are already dealt or a seat does not exist
+ */
+export function swapSeats(gameState, from, to) {
+    if (gameState.currentPhase !== GAME_PHASES.LOBBY) {
+        throw new Error('Seats can only be changed before the deal');
+    }
+
+    const first = gameState.players[from];
+    const second = gameState.players[to];
+    if (!first || !second) {
+        throw new Error(`Invalid seat: ${first ? to : from}`);
+    }
+
+    const occupant = (player, role) => Object.fromEntries(OCCUPANT_FIELDS.map(field => [
+        field,
+        field === 'name' && !player.socketId && !player.isBot ? getDefaultSeatName(role) : player[field]
+    ]));
+
+    return {
+        ...gameState,
+        players: {
+            ...gameState.players,
+            [from]: { ...first, ...occupant(second, from) },
+            [to]: { ...second, ...occupant(first, to) }
+        }
+    };
+}
+
+/**
+ * Locks or unlocks a seat. Nobody can join into a locked seat; the host can
+ * still move a player there.
+ * @param {Object} gameState - Current game state
+ * @param {string} role - The seat
+ * @param {boolean} locked - Whether to lock it
+ * @returns {Object} Updated game state
+ */
+export function setSeatLocked(gameState, role, locked) {
+    if (!gameState.players[role]) {
+        throw new Error(`Invalid seat: ${role}`);
+    }
+
+    const lockedSeats = (gameState.lockedSeats || []).filter(r => r !== role);
+    return { ...gameState, lockedSeats: locked ? [...lockedSeats, role] : lockedSeats };
+}
@@ -0,0 +1,77 @@
+/**
+ * @file Game state factory
+ * @module game/state
+ * @description Builds fresh game state objects. Each table owns its own state;
+ * nothing here is shared between games.
+ */
+
+import { GAME_PHASES, PLAYER_ROLES } from '../config/constants.js';
+import { initializePlayers } from '../utils/players.js';
+import { createRules } from './rules.js';
+
+/** Phases in which a hand is being played, from the deal to the score */
+const HAND_IN_PROGRESS = new Set([
+    GAME_PHASES.ORDER_UP_ROUND1,
+    GAME_PHASES.DEALER_DISCARD,
+    GAME_PHASES.CALL_TRUMP,
+    GAME_PHASES.DEALER_MUST_CALL,
+    GAME_PHASES.GO_ALONE,
+    GAME_PHASES.DEFEND_ALONE,
+    GAME_PHASES.PLAYING,
+    GAME_PHASES.SCORING
+]);
+
+/**
+ * Creates the initial state for a new game
+ * @param {Object} [options={}] - Table options
+ * @param {string} [options.gameId] - Identifier of the game
+ * @param {Object} [options.rules] - Rule variants chosen at table creation
+ * @returns {Object} A new game state in the lobby phase
+ */
+export function createGameState({ gameId = null, rules = {} } = {}) {
+    return {
+        gameId,
+        rules: createRules(rules),
+        playerOrder: [...PLAYER_ROLES],
+        players: initializePlayers(),
+        currentPhase: GAME_PHASES.LOBBY,
+        deck: [],
+        kitty: [],
+        upCard: null,
+        dealSeed: null,
+        discardPile: [],
+        dealer: null,
+        currentPlayer: null,
+        trumpSuit: null,
+        makerTeam: null,
+        playerWhoCalledTrump: null,
+        goingAlone: false,
+        playerGoingAlone: null,
+        partnerSittingOut: null,
+        defenderGoingAlone: null,
+        defenderPartnerSittingOut: null,
+        currentTrick: [],
+        tricks: [],
+        scores: {
+            'north+south': 0,
+            'east+west': 0
+        },
+        messages: [],
+        reconnectDeadlines: {},
+        turnClock: null,
+        chatHistory: [],
+        handRecord: null,
+        handHistory: [],
+        // Sequence number of the last event in the game's log
+        eventSeq: 0
+    };
+}
+
+/**
+ * Checks whether a hand is being played, so a missing player holds everyone up
+ * @param {Object} gameState - Current game state
+ * @returns {boolean} True from the deal until the hand is scored
+ */
+export function isHandInProgress(gameState) {
+    return HAND_IN_PROGRESS.has(gameState.currentPhase);
+}
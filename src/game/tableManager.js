@@ -0,0 +1,265 @@
+/**
+ * @file Game tables hosted by the server
+ * @module game/tableManager
+ * @description Keeps one isolated game state per table. Each table has its own id
+ * and Socket.IO room; nothing is shared between tables.
+ */
+
+import { randomUUID } from 'crypto';
+import { log } from '../utils/logger.js';
+import { verifyPassword } from '../utils/passwords.js';
+import { DEBUG_LEVELS, GAME_PHASES, RECONNECT_GRACE_PERIOD } from '../config/constants.js';
+import { createGameState } from './state.js';
+import { generateInviteCode } from './seating.js';
+import { createTurnTimeLimits } from './turnClock.js';
+
+/** Table settings, as opposed to game progress; they survive a reset */
+const TABLE_FIELDS = [
+    'tableName',
+    'createdAt',
+    'allowSpectators',
+    'passwordHash',
+    'isPrivate',
+    'inviteCode',
+    'hostId',
+    'lockedSeats',
+    'spectatorHands',
+    'spectatorDelay',
+    'reconnectGracePeriod',
+    'turnTimeLimits',
+    'eventSeq' // The table's event log carries on numbering from one game to the next
+];
+
+/** What spectators see of the players' hands */
+export const SPECTATOR_HANDS = {
+    HIDDEN: 'hidden',
+    REVEALED: 'revealed'
+};
+
+/**
+ * Gets the Socket.IO room for a table
+ * @param {string} gameId - The table's game id
+ * @returns {string} Room name
+ */
+export function getTableRoom(gameId) {
+    return `table:${gameId}`;
+}
+
+/**
+ * Gets the Socket.IO room for a table's spectators. They are kept apart from the
+ * players so their state can be delayed.
+ * @param {string} gameId - The table's game id
+ * @returns {string} Room name
+ */
+export function getSpectatorRoom(gameId) {
+    return `table:${gameId}:spectators`;
+}
+
+/**
+ * Checks a password against the one a table was created with
+ * @param {Object} gameState - The table's game state
+ * @param {string} [password] - Password given by the player
+ * @returns {Promise<boolean>} True if the table has no password or the password matches
+ */
+export async function checkTablePassword(gameState, password) {
+    return !gameState.passwordHash || verifyPassword(password, gameState.passwordHash);
+}
+
+/**
+ * Gets the seats a new player may take. Bots give up their seat to a person in the
+ * lobby, but not once the game has started.
+ * @param {Object} gameState - The table's game state
+ * @returns {Array<string>} Roles of the open seats, in seating order
+ */
+export function getOpenSeats(gameState) {
+    return gameState.playerOrder.filter(role => {
+        const player = gameState.players[role];
+        return !!player
+            && !player.socketId
+            && !gameState.lockedSeats?.includes(role)
+            && !gameState.reconnectDeadlines?.[role]
+            && (!player.isBot || gameState.currentPhase === GAME_PHASES.LOBBY);
+    });
+}
+
+/**
+ * TableManager holds the game state of every table on the server
+ */
+export class TableManager {
+    constructor() {
+        this.tables = new Map(); // gameId -> game state
+    }
+
+    /**
+     * Opens a new table
+     * @param {Object} [options={}] - Table options
+     * @param {string} [options.name] - Display name of the table
+     * @param {Object} [options.rules] - Rule variants for the table
+     * @param {string} [options.passwordHash] - Hash from hashPassword of the password players must give to sit down
+     * @param {boolean} [options.allowSpectators=true] - Whether people may watch the table
+     * @param {boolean} [options.isPrivate=false] - Keep the table out of the lobby; players join with its invite code
+     * @param {string} [options.hostId] - Account or guest id of the player who runs the table
+     * @param {string} [options.spectatorHands='hidden'] - Whether spectators see every hand or none
+     * @param {number} [options.spectatorDelay=0] - Milliseconds spectators' view lags behind the game
+     * @param {number} [options.reconnectGracePeriod] - Milliseconds a disconnected player's seat is held
+     * @param {Object} [options.turnTimeLimits] - Milliseconds a player has to bid, discard or play; 0 means no clock
+     * @returns {Object} The new table's game state
+     * @throws {Error} If a spectator setting or time limit is invalid
+     */
+    createTable({
+        name,
+        rules,
+        passwordHash = null,
+        allowSpectators = true,
+        isPrivate = false,
+        hostId = null,
+        spectatorHands = SPECTATOR_HANDS.HIDDEN,
+        spectatorDelay = 0,
+        reconnectGracePeriod = RECONNECT_GRACE_PERIOD,
+        turnTimeLimits
+    } = {}) {
+        if (!Object.values(SPECTATOR_HANDS).includes(spectatorHands)) {
+            throw new Error(`Invalid spectator hands setting: ${spectatorHands}`);
+        }
+        if (!Number.isInteger(spectatorDelay) || spectatorDelay < 0) {
+            throw new Error(`Invalid spectator delay: ${spectatorDelay}`);
+        }
+        if (!Number.isInteger(reconnectGracePeriod) || reconnectGracePeriod < 0) {
+            throw new Error(`Invalid reconnect grace period: ${reconnectGracePeriod}`);
+        }
+
+        const gameId = randomUUID();
+        const gameState = {
+            ...createGameState({ gameId, rules }),
+            tableName: name || `Table ${this.tables.size + 1}`,
+            createdAt: new Date().toISOString(),
+            allowSpectators,
+            passwordHash,
+            isPrivate,
+            inviteCode: isPrivate ? this.createInviteCode() : null,
+            hostId,
+            lockedSeats: [],
+            spectatorHands,
+            spectatorDelay,
+            reconnectGracePeriod,
+            turnTimeLimits: createTurnTimeLimits(turnTimeLimits)
+        };
+
+        this.tables.set(gameId, gameState);
+        log(DEBUG_LEVELS.INFO, `[TableManager] Opened table ${gameId} (${gameState.tableName})`);
+        return gameState;
+    }
+
+    /**
+     * Creates an invite code no other table is using
+     * @private
+     * @returns {string} The code
+     */
+    createInviteCode() {
+        let code;
+        do {
+            code = generateInviteCode();
+        } while (this.findTableByInviteCode(code));
+        return code;
+    }
+
+    /**
+     * Finds a private table by its invite code
+     * @param {string} inviteCode - The code, in any case
+     * @returns {Object|null} The table's game state, or null if no table has that code
+     */
+    findTableByInviteCode(inviteCode) {
+        const code = String(inviteCode || '').trim().toUpperCase();
+        if (!code) return null;
+        return this.getTables().find(gameState => gameState.inviteCode === code) || null;
+    }
+
+    /**
+     * Gets a table's game state
+     * @param {string} gameId - The table's game id
+     * @returns {Object} The game state
+     * @throws {Error} If there is no such table
+     */
+    getTable(gameId) {
+        const gameState = this.tables.get(gameId);
+
+        if (!gameState) {
+            throw new Error(`Table not found: ${gameId}`);
+        }
+
+        return gameState;
+    }
+
+    /**
+     * Checks whether a table exists
+     * @param {string} gameId - The table's game id
+     * @returns {boolean} True if the table is open
+     */
+    hasTable(gameId) {
+        return this.tables.has(gameId);
+    }
+
+    /**
+     * Replaces a table's game state with the result of an update
+     * @param {string} gameId - The table's game id
+     * @param {Function} updateFn - Takes the current state and returns the new state
+     * @returns {Object} The updated game state
+     */
+    updateTable(gameId, updateFn) {
+        const updatedState = updateFn(this.getTable(gameId));
+        this.tables.set(gameId, updatedState);
+        return updatedState;
+    }
+
+    /**
+     * Puts a table back as it was, e.g. one rebuilt from its event log after a restart
+     * @param {Object} gameState - The table's game state
+     * @returns {Object} The table's game state
+     * @throws {Error} If a table with the same id is already open
+     */
+    restoreTable(gameState) {
+        if (this.tables.has(gameState.gameId)) {
+            throw new Error(`Table ${gameState.gameId} is already open`);
+        }
+
+        this.tables.set(gameState.gameId, gameState);
+        log(DEBUG_LEVELS.INFO, `[TableManager] Restored table ${gameState.gameId}`);
+        return gameState;
+    }
+
+    /**
+     * Clears a finished game so the same players can start another
+     * @param {string} gameId - The table's game id
+     * @returns {Object} The table's game state, back in the lobby with everyone still seated
+     */
+    resetTable(gameId) {
+        return this.updateTable(gameId, (gameState) => ({
+            ...createGameState({ gameId, rules: gameState.rules }),
+            ...Object.fromEntries(TABLE_FIELDS.map(field => [field, gameState[field]])),
+            players: Object.fromEntries(
+                Object.entries(gameState.players).map(([role, player]) => [role, { ...player, hand: [] }])
+            )
+        }));
+    }
+
+    /**
+     * Closes a table
+     * @param {string} gameId - The table's game id
+     * @returns {boolean} True if a table was closed
+     */
+    removeTable(gameId) {
+        log(DEBUG_LEVELS.INFO, `[TableManager] Closing table ${gameId}`);
+        return this.tables.delete(gameId);
+    }
+
+    /**
+     * Gets every open table's game state
+     * @returns {Array<Object>} Game states
+     */
+    getTables() {
+        return Array.from(this.tables.values());
+    }
+}
+
+// Export a singleton instance
+export const tableManager = new TableManager();
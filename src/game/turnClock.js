@@ -0,0 +1,149 @@
+/**
+ * @file Turn clocks
+ * @module game/turnClock
+ * @description Keeps a clock on whoever the game is waiting on, so nobody can stall a
+ * table forever. The clock lives in the game state (`turnClock`) for clients to count
+ * down; when it runs out the server plays the safest move for the player and gives
+ * them a strike.
+ */
+
+import { GAME_PHASES, SUITS, TIMEOUT_STRIKE_LIMIT, TURN_TIME_LIMITS } from '../config/constants.js';
+import { getCardValue } from '../client/utils/cardUtils.js';
+import { getPlayerToAct } from '../utils/players.js';
+import { getLegalPlays } from './phases/playing.js';
+import { ACTION_TYPES } from './actions.js';
+import { isPaused } from './seating.js';
+
+/** Kind of turn for each phase on the clock; other phases have no clock */
+const TIMED_PHASES = {
+    [GAME_PHASES.ORDER_UP_ROUND1]: 'bidding',
+    [GAME_PHASES.CALL_TRUMP]: 'bidding',
+    [GAME_PHASES.DEALER_MUST_CALL]: 'bidding',
+    [GAME_PHASES.GO_ALONE]: 'bidding',
+    [GAME_PHASES.DEFEND_ALONE]: 'bidding',
+    [GAME_PHASES.DEALER_DISCARD]: 'discard',
+    [GAME_PHASES.PLAYING]: 'playing'
+};
+
+/**
+ * Checks and fills in a table's time limits
+ * @param {Object} [overrides={}] - Limits chosen by the table creator, in milliseconds
+ * @returns {Object} Limit for each kind of turn
+ * @throws {Error} If a kind of turn is unknown or a limit is invalid
+ */
+export function createTurnTimeLimits(overrides = {}) {
+    Object.entries(overrides).forEach(([turn, limit]) => {
+        if (!(turn in TURN_TIME_LIMITS)) {
+            throw new Error(`Unknown turn time limit: ${turn}`);
+        }
+        if (!Number.isInteger(limit) || limit < 0) {
+            throw new Error(`Invalid time limit for ${turn}: ${JSON.stringify(limit)}`);
+        }
+    });
+
+    return { ...TURN_TIME_LIMITS, ...overrides };
+}
+
+/**
+ * Gets how long the player to act has for the current turn
+ * @param {Object} gameState - Current game state
+ * @returns {number} Milliseconds, or 0 if this turn isn't timed
+ */
+export function getTurnTimeLimit(gameState) {
+    const turn = TIMED_PHASES[gameState.currentPhase];
+    return turn ? { ...TURN_TIME_LIMITS, ...gameState.turnTimeLimits }[turn] : 0;
+}
+
+/**
+ * Identifies a turn, so a clock is only restarted when a move has been made.
+ * The trick count tells apart two turns in a row for a player who won a trick, and
+ * the deal seed the first bid of a hand redealt by the same dealer after a misdeal.
+ * @private
+ */
+function getTurnKey(gameState, role) {
+    return [
+        gameState.currentPhase,
+        role,
+        gameState.dealSeed,
+        gameState.tricks?.length || 0,
+        gameState.currentTrick?.length || 0
+    ].join(':');
+}
+
+/**
+ * Starts the clock for the player the game is waiting on, or stops it when a bot is
+ * up, the game is paused or the phase isn't timed. A clock already running for the
+ * same turn is left alone.
+ * @param {Object} gameState - Current game state
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Object} Game state with `turnClock` set or cleared
+ */
+export function updateTurnClock(gameState, now = Date.now()) {
+    const role = getPlayerToAct(gameState);
+    const limit = getTurnTimeLimit(gameState);
+
+    if (!role || !limit || gameState.players[role]?.isBot || isPaused(gameState)) {
+        return gameState.turnClock ? { ...gameState, turnClock: null } : gameState;
+    }
+
+    const turnKey = getTurnKey(gameState, role);
+    if (gameState.turnClock?.turnKey === turnKey) {
+        return gameState;
+    }
+
+    return {
+        ...gameState,
+        turnClock: { role, phase: gameState.currentPhase, turnKey, startedAt: now, deadline: now + limit }
+    };
+}
+
+/**
+ * Picks the move made for a player whose time ran out: pass when bidding, the
+ * lowest card when discarding or playing. A dealer stuck with the call names the
+ * first suit other than the one turned down.
+ * @param {Object} gameState - Current game state
+ * @param {string} role - The player out of time
+ * @returns {Object|null} Action to apply, or null if the phase isn't timed
+ */
+export function getTimeoutAction(gameState, role) {
+    const lowest = cards => [...cards].sort((a, b) => getCardValue(a, gameState.trumpSuit) - getCardValue(b, gameState.trumpSuit))[0];
+
+    switch (gameState.currentPhase) {
+        case GAME_PHASES.ORDER_UP_ROUND1:
+            return { type: ACTION_TYPES.ORDER_UP, orderedUp: false };
+        case GAME_PHASES.CALL_TRUMP:
+            return { type: ACTION_TYPES.CALL_TRUMP, suit: null };
+        case GAME_PHASES.DEALER_MUST_CALL:
+            return { type: ACTION_TYPES.CALL_TRUMP, suit: SUITS.find(suit => suit !== gameState.upCard?.suit) };
+        case GAME_PHASES.GO_ALONE:
+            return { type: ACTION_TYPES.GO_ALONE, goAlone: false };
+        case GAME_PHASES.DEFEND_ALONE:
+            return { type: ACTION_TYPES.DEFEND_ALONE, defendAlone: false };
+        case GAME_PHASES.DEALER_DISCARD:
+            return { type: ACTION_TYPES.DISCARD, card: lowest(gameState.players[role].hand) };
+        case GAME_PHASES.PLAYING:
+            return { type: ACTION_TYPES.PLAY_CARD, card: lowest(getLegalPlays(gameState, role)) };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Gives a player a strike for letting their clock run out. The strikes stay with
+ * the player for the rest of their time at the table.
+ * @param {Object} gameState - Current game state
+ * @param {string} role - The player out of time
+ * @returns {Object} Updated game state
+ */
+export function recordTimeout(gameState, role) {
+    const player = gameState.players[role];
+    const timeoutStrikes = (player.timeoutStrikes || 0) + 1;
+
+    return {
+        ...gameState,
+        players: {
+            ...gameState.players,
+            [role]: { ...player, timeoutStrikes, isFlagged: timeoutStrikes >= TIMEOUT_STRIKE_LIMIT }
+        }
+    };
+}
@@ -0,0 +1,129 @@
+/**
+ * @file Main server file for Euchre Multiplayer
+ * @description Sets up the Express server and socket.io. Any number of tables can be
+ * played at once; each keeps its own game state in the table manager.
+ */
+
+import express from 'express';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+import { AUTH_RATE_LIMITS, DEBUG_LEVELS } from './config/constants.js';
+import { log } from './utils/logger.js';
+import { tableManager } from './game/tableManager.js';
+import { initializeSocket } from './socket/index.js';
+import { createAuthRouter } from './auth/routes.js';
+import { gameRepository } from './db/gameRepository.js';
+import { recoverTables } from './socket/recovery.js';
+import { RateLimiter } from './socket/middleware/rateLimiter.js';
+import { MemoryRateLimitStore, createRedisRateLimitStore } from './socket/middleware/rateLimitStores.js';
+
+// Set up __dirname equivalent for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const PORT = process.env.PORT || 3000;
+
+// Initialize Express app
+const app = express();
+const server = http.createServer(app);
+
+app.use(express.json());
+
+// Serve static files from the public directory
+const publicPath = path.join(__dirname, '../public');
+app.use(express.static(publicPath));
+
+// Share rate limits through Redis when several server processes run side by side
+const rateLimitStore = process.env.RATE_LIMIT_STORE === 'redis'
+    ? createRedisRateLimitStore()
+    : new MemoryRateLimitStore();
+
+// API Routes. Registering and logging in are limited per address through the same
+// store as the sockets, so a ban covers both
+app.use('/api/auth', createAuthRouter(undefined, {
+    rateLimiter: new RateLimiter({ limits: AUTH_RATE_LIMITS, store: rateLimitStore })
+}));
+
+app.get('/api/status', (req, res) => {
+    res.json({
+        status: 'ok',
+        tables: tableManager.getTables().length,
+        timestamp: new Date().toISOString(),
+        environment: process.env.NODE_ENV || 'development'
+    });
+});
+
+const socketOptions = {
+    rateLimiter: new RateLimiter({ store: rateLimitStore }),
+    gameRepository
+};
+
+const io = initializeSocket(server, tableManager, socketOptions);
+
+// Every game's event log is stored, and the tables left open when the server last
+// stopped are brought back; play goes on if the storage can't be reached
+gameRepository.connect()
+    .then(() => recoverTables(io, tableManager, gameRepository, socketOptions))
+    .catch((error) => {
+        log(DEBUG_LEVELS.ERROR, `Could not connect game storage: ${error.message}`);
+    });
+
+// Handle server errors
+server.on('error', (error) => {
+    log(DEBUG_LEVELS.ERROR, `Server error: ${error.message}`);
+    if (error.syscall !== 'listen') {
+        throw error;
+    }
+
+    // Handle specific listen errors with friendly messages
+    switch (error.code) {
+        case 'EACCES':
+            log(DEBUG_LEVELS.ERROR, `Port ${PORT} requires elevated privileges`);
+            process.exit(1);
+            break;
+        case 'EADDRINUSE':
+            log(DEBUG_LEVELS.ERROR, `Port ${PORT} is already in use`);
+            process.exit(1);
+            break;
+        default:
+            throw error;
+    }
+});
+
+// Start the server unless it is being imported by the tests
+if (process.env.NODE_ENV !== 'test') {
+    server.listen(PORT, () => {
+        log(DEBUG_LEVELS.INFO, `Server running on port ${PORT}`);
+        log(DEBUG_LEVELS.INFO, `Environment: ${process.env.NODE_ENV || 'development'}`);
+    });
+}
+
+// Handle process termination: stop taking connections, then let the game storage
+// write out what it still holds before the process exits
+const shutdown = (signal) => {
+    log(DEBUG_LEVELS.INFO, `${signal} received. Shutting down gracefully...`);
+    io.close();
+    server.close(async () => {
+        log(DEBUG_LEVELS.INFO, 'Server closed');
+        try {
+            await rateLimitStore.close();
+        } catch (error) {
+            log(DEBUG_LEVELS.ERROR, `Could not close the rate limit store: ${error.message}`);
+        }
+        try {
+            await gameRepository.disconnect();
+        } catch (error) {
+            log(DEBUG_LEVELS.ERROR, `Could not disconnect game storage: ${error.message}`);
+        }
+        process.exit(0);
+    });
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// Export for testing purposes
+export { app, server, io };
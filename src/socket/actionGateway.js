@@ -0,0 +1,69 @@
+/**
+ * @file Action gateway
+ * @module socket/actionGateway
+ * @description The way every move from a socket reaches the game. Each action event is
+ * turned into an action, and the action is made for the seat held by the socket's
+ * identity, never for a seat the client names. applyAction then checks the phase and
+ * whose turn it is. Anything refused carries an ACTION_ERRORS code.
+ */
+
+import { GAME_EVENTS } from '../config/constants.js';
+import { ACTION_TYPES, ACTION_ERRORS, ActionError } from '../game/actions.js';
+
+/**
+ * Card as the game page sends it, which names the rank `value`
+ * @private
+ */
+function toCard(card) {
+    return card && { ...card, rank: card.rank ?? card.value };
+}
+
+/** Builds the action for each action event from the event's data */
+export const ACTION_EVENTS = {
+    [GAME_EVENTS.PLAYER_ACTION]: action => action,
+    [GAME_EVENTS.ACTION_ORDER_UP]: ({ decision }) => ({ type: ACTION_TYPES.ORDER_UP, orderedUp: !!decision }),
+    [GAME_EVENTS.ACTION_CALL_TRUMP]: ({ suit }) => ({ type: ACTION_TYPES.CALL_TRUMP, suit: suit || null }),
+    [GAME_EVENTS.ACTION_DEALER_DISCARD]: ({ cardToDiscard }) => ({ type: ACTION_TYPES.DISCARD, card: toCard(cardToDiscard) }),
+    [GAME_EVENTS.ACTION_GO_ALONE]: ({ decision }) => ({ type: ACTION_TYPES.GO_ALONE, goAlone: !!decision }),
+    [GAME_EVENTS.ACTION_DEFEND_ALONE]: ({ decision }) => ({ type: ACTION_TYPES.DEFEND_ALONE, defendAlone: !!decision }),
+    [GAME_EVENTS.ACTION_PLAY_CARD]: ({ card }) => ({ type: ACTION_TYPES.PLAY_CARD, card: toCard(card) })
+};
+
+/**
+ * Turns an action event into an action
+ * @param {string} event - One of the ACTION_EVENTS
+ * @param {Object} data - The event's data
+ * @returns {Object} The action
+ * @throws {ActionError} If the event is not an action event
+ */
+export function toAction(event, data) {
+    const build = ACTION_EVENTS[event];
+    if (!build) {
+        throw new ActionError(`Unknown action event: ${event}`, ACTION_ERRORS.UNKNOWN_ACTION);
+    }
+    return build(data || {});
+}
+
+/**
+ * Gets the seat a socket acts for: the one it sat down in, as long as the socket's
+ * identity still holds it
+ * @param {Object} tables - Table manager
+ * @param {Object} socket - The socket
+ * @returns {Object} The table's game id and the seat
+ * @throws {ActionError} If the socket is spectating, not seated, or its seat has passed to someone else
+ */
+export function getActingSeat(tables, socket) {
+    const { gameId, role, spectating, user } = socket.data;
+
+    if (spectating) {
+        throw new ActionError('Spectators cannot take game actions', ACTION_ERRORS.SPECTATOR);
+    }
+    if (!gameId || !role || !tables.hasTable(gameId)) {
+        throw new ActionError('You are not seated at a table', ACTION_ERRORS.NOT_SEATED);
+    }
+    if (tables.getTable(gameId).players[role]?.userId !== user?.id) {
+        throw new ActionError('That seat belongs to someone else', ACTION_ERRORS.NOT_YOUR_SEAT);
+    }
+
+    return { gameId, role };
+}
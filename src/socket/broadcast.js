@@ -0,0 +1,138 @@
+/**
+ * @file Game state broadcasting
+ * @module socket/broadcast
+ * @description Sends a table's game state to the sockets in its room. Every socket
+ * gets its own view, so no one sees another player's cards. Spectators get the
+ * table's spectator view, after the table's spectator delay.
+ */
+
+import { GAME_EVENTS } from '../config/constants.js';
+import { getTableRoom, getSpectatorRoom, SPECTATOR_HANDS } from '../game/tableManager.js';
+import { LOBBY_ROOM, listTables } from '../game/lobby.js';
+import { isMuted } from '../game/chat.js';
+
+/**
+ * Builds the game state as one seat sees it
+ * @param {Object} gameState - Full game state
+ * @param {string|null} viewerRole - Seat of the viewer, or null for someone not seated
+ * @returns {Object} Game state with hidden information removed
+ */
+export function getPlayerView(gameState, viewerRole) {
+    // Player tokens let their owner reclaim a seat, so nobody else ever sees them
+    const players = Object.fromEntries(
+        Object.entries(gameState.players || {}).map(([role, player]) => [
+            role,
+            role === viewerRole
+                ? player
+                : { ...player, hand: [], cardCount: player.hand?.length || 0, playerToken: undefined }
+        ])
+    );
+
+    return {
+        ...gameState,
+        players,
+        chatHistory: (gameState.chatHistory || []).filter(message => !isMuted(gameState, viewerRole, message.role)),
+        deck: [],
+        kitty: [],
+        // Only the dealer knows which card they buried
+        discardPile: viewerRole && viewerRole === gameState.dealer ? gameState.discardPile : [],
+        // The seed and the hand record both reveal the deal; finished hands are in handHistory
+        dealSeed: null,
+        handRecord: null,
+        passwordHash: undefined
+    };
+}
+
+/**
+ * Builds the game state as spectators see it: every hand and the dealer's discard, or
+ * none of them, depending on the table. The kitty stays hidden either way.
+ * @param {Object} gameState - Full game state
+ * @returns {Object} Game state with hidden information removed
+ */
+export function getSpectatorView(gameState) {
+    const view = getPlayerView(gameState, null);
+
+    if (gameState.spectatorHands === SPECTATOR_HANDS.REVEALED) {
+        view.players = Object.fromEntries(Object.entries(view.players).map(([role, player]) => [
+            role,
+            { ...player, hand: gameState.players[role].hand }
+        ]));
+        view.discardPile = gameState.discardPile;
+    }
+
+    return view;
+}
+
+/**
+ * Sends something to a table's spectators, after the table's spectator delay
+ * @private
+ * @param {Object} gameState - The table's game state
+ * @param {Function} send - Sends it
+ */
+function sendToSpectators(gameState, send) {
+    if (gameState.spectatorDelay > 0) {
+        setTimeout(send, gameState.spectatorDelay);
+    } else {
+        send();
+    }
+}
+
+/**
+ * Sends each socket at a table its view of the game state
+ * @param {Object} io - Socket.IO server instance
+ * @param {Object} gameState - The table's game state
+ */
+export function broadcastGameState(io, gameState) {
+    const room = io.sockets.adapter.rooms.get(getTableRoom(gameState.gameId));
+    if (!room) return;
+
+    room.forEach((socketId) => {
+        const socket = io.sockets.sockets.get(socketId);
+        socket?.emit(GAME_EVENTS.STATE_UPDATE, getPlayerView(gameState, socket.data.role));
+    });
+
+    const spectatorView = getSpectatorView(gameState);
+    sendToSpectators(gameState, () => io.to(getSpectatorRoom(gameState.gameId)).emit(GAME_EVENTS.STATE_UPDATE, spectatorView));
+}
+
+/**
+ * Sends a chat message to everyone at a table who hasn't muted its sender.
+ * Spectators get it on the table's delay, along with the rest of the game.
+ * @param {Object} io - Socket.IO server instance
+ * @param {Object} gameState - The table's game state
+ * @param {Object} message - The chat message
+ */
+export function sendChatMessage(io, gameState, message) {
+    const room = io.sockets.adapter.rooms.get(getTableRoom(gameState.gameId));
+
+    room?.forEach((socketId) => {
+        const socket = io.sockets.sockets.get(socketId);
+        if (socket && !isMuted(gameState, socket.data.role, message.role)) {
+            socket.emit(GAME_EVENTS.CHAT_MESSAGE, message);
+        }
+    });
+
+    sendToSpectators(gameState, () => io.to(getSpectatorRoom(gameState.gameId)).emit(GAME_EVENTS.CHAT_MESSAGE, message));
+}
+
+/**
+ * Sends an event to everyone at a table. Spectators get it on the table's delay, in
+ * step with the game states it belongs to.
+ * @param {Object} io - Socket.IO server instance
+ * @param {Object} gameState - The table's game state
+ * @param {string} event - Event name
+ * @param {Object} payload - Event data
+ */
+export function emitToTable(io, gameState, event, payload) {
+    io.to(getTableRoom(gameState.gameId)).emit(event, payload);
+    sendToSpectators(gameState, () => io.to(getSpectatorRoom(gameState.gameId)).emit(event, payload));
+}
+
+/**
+ * Sends the list of tables to everyone browsing the lobby
+ * @param {Object} io - Socket.IO server instance
+ * @param {Object} tables - Table manager
+ */
+export function broadcastLobby(io, tables) {
+    io.to(LOBBY_ROOM).emit(GAME_EVENTS.LOBBY_UPDATE, { tables: listTables(tables) });
+}
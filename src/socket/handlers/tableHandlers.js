@@ -0,0 +1,928 @@
+/**
+ * @file Table event handlers for socket connections
+ * @module socket/handlers/tableHandlers
+ * @description Handles creating, joining and playing at game tables. Every change goes
+ * through the table manager and is broadcast only to that table's room. Deals and moves
+ * are recorded in the game's event log, which is stored when a repository is given.
+ */
+
+import { randomUUID } from 'crypto';
+import { log } from '../../utils/logger.js';
+import { hashPassword } from '../../utils/passwords.js';
+import { DEBUG_LEVELS, GAME_EVENTS, GAME_PHASES } from '../../config/constants.js';
+import {
+    tableManager as defaultTableManager,
+    getTableRoom,
+    getSpectatorRoom,
+    getOpenSeats,
+    checkTablePassword
+} from '../../game/tableManager.js';
+import { LOBBY_ROOM, findQuickJoinTable, getTableSummary, listTables } from '../../game/lobby.js';
+import { ActionError, ACTION_ERRORS } from '../../game/actions.js';
+import { recordDeal, recordNewGame, recordAction, recordClose, takeUnsavedEvents } from '../../game/history/eventLog.js';
+import { fillEmptySeats, getBotToAct, chooseBotAction, BOT_DIFFICULTY } from '../../game/bots/botPlayer.js';
+import { getRules } from '../../game/rules.js';
+import { analyzeHandRecord } from '../../game/logic/trickSolver.js';
+import { isHandInProgress } from '../../game/state.js';
+import { createChatMessage, addChatMessage, setPlayerMuted } from '../../game/chat.js';
+import { updateTurnClock, getTimeoutAction, recordTimeout } from '../../game/turnClock.js';
+import {
+    takeSeat,
+    vacateSeat,
+    swapSeats,
+    setSeatLocked,
+    holdSeat,
+    reclaimSeat,
+    handSeatToBot,
+    isPaused
+} from '../../game/seating.js';
+import { getRoleByPlayerToken, getRoleByUserId } from '../../utils/players.js';
+import {
+    broadcastGameState,
+    broadcastLobby,
+    emitToTable,
+    getPlayerView,
+    getSpectatorView,
+    sendChatMessage
+} from '../broadcast.js';
+import { ACTION_EVENTS, toAction, getActingSeat } from '../actionGateway.js';
+
+/** Delay before the next hand is dealt, so players can see how the last one ended */
+export const NEXT_HAND_DELAY = 3000;
+
+/** Upper bound on bot moves after one action; a full hand is well under this */
+const MAX_BOT_TURNS = 50;
+
+// Pending deals of the next hand, by game id
+const nextHandTimers = new Map();
+
+// Seats held for disconnected players, by "gameId:role"
+const reconnectTimers = new Map();
+
+// Running turn clocks, by game id
+const turnTimers = new Map();
+
+/**
+ * Lets every bot whose turn it is act
+ * @private
+ * @param {Object} gameState - Game state after a player's action
+ * @returns {Object} Game state once a human is up or the hand is over
+ */
+function runBots(gameState) {
+    let updatedState = gameState;
+
+    for (let turns = 0; turns < MAX_BOT_TURNS && !isPaused(updatedState); turns++) {
+        const role = getBotToAct(updatedState);
+        const action = role && chooseBotAction(updatedState, role);
+        if (!action) break;
+
+        updatedState = recordAction(updatedState, role, action);
+    }
+
+    return updatedState;
+}
+
+/**
+ * Stores the events and snapshot an update added to a table's log. Storage runs in
+ * the background; a failure is logged and play carries on.
+ * @private
+ * @param {Object} repository - Game repository, or null to keep no log
+ * @param {Object} unsaved - Events and snapshot from takeUnsavedEvents
+ */
+function saveGameLog(repository, { events, snapshot }) {
+    if (!repository || events.length === 0) return;
+
+    repository.appendEvents(events)
+        .then(() => snapshot && repository.saveSnapshot(snapshot))
+        .catch((error) => {
+            log(DEBUG_LEVELS.ERROR, `[saveGameLog] Could not store events of game ${events[0].gameId}: ${error.message}`);
+        });
+}
+
+/**
+ * Applies an update to a table, lets the bots respond and tells the room
+ * @private
+ * @param {Object} io - Socket.IO server instance
+ * @param {Object} tables - Table manager
+ * @param {string} gameId - The table's game id
+ * @param {Function} updateFn - Takes the current state and returns the new state
+ * @param {Object} options - Handler options
+ * @returns {Object} The updated game state
+ */
+function updateTable(io, tables, gameId, updateFn, options) {
+    const previousState = tables.getTable(gameId);
+    const previousPhase = previousState.currentPhase;
+    let unsaved;
+    const gameState = tables.updateTable(gameId, (state) => {
+        unsaved = takeUnsavedEvents(updateTurnClock(runBots(updateFn(state))));
+        return unsaved.gameState;
+    });
+
+    saveGameLog(options.gameRepository, unsaved);
+    scheduleTurnTimeout(io, tables, gameId, options);
+    broadcastGameState(io, gameState);
+
+    // The lobby only hears about seat and phase changes, not every card played
+    if (JSON.stringify(getTableSummary(previousState)) !== JSON.stringify(getTableSummary(gameState))) {
+        broadcastLobby(io, tables);
+    }
+
+    if (gameState.currentPhase !== previousPhase) {
+        if (gameState.currentPhase === GAME_PHASES.GAME_OVER) {
+            emitToTable(io, gameState, GAME_EVENTS.GAME_OVER, {
+                winningTeam: gameState.winningTeam,
+                scores: gameState.scores
+            });
+        } else if (gameState.currentPhase === GAME_PHASES.MATCH_OVER) {
+            emitToTable(io, gameState, GAME_EVENTS.MATCH_OVER, {
+                matchWinner: gameState.matchWinner,
+                matchStats: gameState.matchStats
+            });
+        }
+    }
+
+    if (gameState.currentPhase === GAME_PHASES.SCORING) {
+        scheduleNextHand(io, tables, gameId, options);
+    }
+
+    return gameState;
+}
+
+/**
+ * Deals the next hand at a table after a short pause
+ * @private
+ * @param {Object} io - Socket.IO server instance
+ * @param {Object} tables - Table manager
+ * @param {string} gameId - The table's game id
+ * @param {Object} options - Handler options
+ */
+function scheduleNextHand(io, tables, gameId, options) {
+    if (nextHandTimers.has(gameId)) return;
+
+    nextHandTimers.set(gameId, setTimeout(() => {
+        nextHandTimers.delete(gameId);
+
+        if (!tables.hasTable(gameId) || tables.getTable(gameId).currentPhase !== GAME_PHASES.SCORING) {
+            return;
+        }
+
+        try {
+            const gameState = updateTable(io, tables, gameId, recordDeal, options);
+            emitToTable(io, gameState, GAME_EVENTS.ROUND_STARTED, { dealer: gameState.dealer });
+        } catch (error) {
+            log(DEBUG_LEVELS.ERROR, `[scheduleNextHand] Error dealing at table ${gameId}: ${error.message}`);
+        }
+    }, options.nextHandDelay));
+}
+
+/**
+ * Sets a timer for the table's turn clock, so the server moves for a player who
+ * lets it run out. Each timeout is a strike against the player.
+ * @private
+ * @param {Object} io - Socket.IO server instance
+ * @param {Object} tables - Table manager
+ * @param {string} gameId - The table's game id
+ * @param {Object} options - Handler options
+ */
+function scheduleTurnTimeout(io, tables, gameId, options) {
+    const { turnClock } = tables.getTable(gameId);
+    const timer = turnTimers.get(gameId);
+    if (timer?.deadline === turnClock?.deadline) return;
+
+    clearTimeout(timer?.timeout);
+    turnTimers.delete(gameId);
+    if (!turnClock) return;
+
+    const timeout = setTimeout(() => {
+        turnTimers.delete(gameId);
+        if (!tables.hasTable(gameId)) return;
+
+        const gameState = tables.getTable(gameId);
+        if (gameState.turnClock?.deadline !== turnClock.deadline) return;
+
+        const { role } = turnClock;
+        const action = getTimeoutAction(gameState, role);
+
+        try {
+            const updatedState = updateTable(io, tables, gameId, state => recordTimeout(recordAction(state, role, action), role), options);
+            const { timeoutStrikes, isFlagged } = updatedState.players[role];
+            emitToTable(io, updatedState, GAME_EVENTS.TURN_TIMEOUT, { role, action, timeoutStrikes, isFlagged });
+            log(DEBUG_LEVELS.INFO, `[scheduleTurnTimeout] ${role} ran out of time at table ${gameId} (strike ${timeoutStrikes})`);
+        } catch (error) {
+            log(DEBUG_LEVELS.ERROR, `[scheduleTurnTimeout] Error at table ${gameId}: ${error.message}`);
+        }
+    }, Math.max(turnClock.deadline - Date.now(), 0));
+
+    // Game timers alone shouldn't keep the process alive
+    timeout.unref();
+    turnTimers.set(gameId, { timeout, deadline: turnClock.deadline });
+}
+
+/**
+ * Closes a table once nobody is seated at it or expected back, ending its event log
+ * so it is not brought back after a restart
+ * @private
+ * @param {Object} io - Socket.IO server instance
+ * @param {Object} tables - Table manager
+ * @param {string} gameId - The table's game id
+ * @param {Object} options - Handler options
+ */
+function closeTableIfEmpty(io, tables, gameId, options) {
+    const gameState = tables.getTable(gameId);
+    if (isPaused(gameState) || Object.values(gameState.players).some(player => player.socketId)) return;
+
+    if (gameState.eventSeq > 0) {
+        saveGameLog(options.gameRepository, takeUnsavedEvents(recordClose(gameState)));
+    }
+    tables.removeTable(gameId);
+    broadcastLobby(io, tables);
+}
+
+/**
+ * Lets a bot take over a held seat once its player's grace period is up
+ * @private
+ * @param {Object} io - Socket.IO server instance
+ * @param {Object} tables - Table manager
+ * @param {string} gameId - The table's game id
+ * @param {string} role - The held seat
+ * @param {Object} options - Handler options
+ */
+function scheduleSeatExpiry(io, tables, gameId, role, options) {
+    const key = `${gameId}:${role}`;
+    clearTimeout(reconnectTimers.get(key));
+
+    reconnectTimers.set(key, setTimeout(() => {
+        reconnectTimers.delete(key);
+        if (!tables.hasTable(gameId) || !tables.getTable(gameId).reconnectDeadlines?.[role]) return;
+
+        try {
+            updateTable(io, tables, gameId, state => handSeatToBot(state, role, BOT_DIFFICULTY.MEDIUM), options);
+            log(DEBUG_LEVELS.INFO, `[scheduleSeatExpiry] A bot took over ${role} at table ${gameId}`);
+            closeTableIfEmpty(io, tables, gameId, options);
+        } catch (error) {
+            log(DEBUG_LEVELS.ERROR, `[scheduleSeatExpiry] Error at table ${gameId}: ${error.message}`);
+        }
+    }, tables.getTable(gameId).reconnectGracePeriod).unref());
+}
+
+/**
+ * Stops waiting for a player who is back
+ * @private
+ * @param {string} gameId - The table's game id
+ * @param {string} role - The seat
+ */
+function cancelSeatExpiry(gameId, role) {
+    const key = `${gameId}:${role}`;
+    clearTimeout(reconnectTimers.get(key));
+    reconnectTimers.delete(key);
+}
+
+/**
+ * Points each seated socket at the seat it now occupies, after players were moved
+ * @private
+ * @param {Object} io - Socket.IO server instance
+ * @param {Object} gameState - The table's game state
+ */
+function syncSocketRoles(io, gameState) {
+    Object.entries(gameState.players).forEach(([role, player]) => {
+        const seatedSocket = player.socketId && io.sockets.sockets.get(player.socketId);
+        if (seatedSocket) seatedSocket.data.role = role;
+    });
+}
+
+/**
+ * Starts play at a table, or the next game once one is over
+ * @private
+ * @param {Object} io - Socket.IO server instance
+ * @param {Object} tables - Table manager
+ * @param {string} gameId - The table's game id
+ * @param {Object} options - Handler options
+ */
+function startTable(io, tables, gameId, options) {
+    const gameState = tables.getTable(gameId);
+
+    switch (gameState.currentPhase) {
+        case GAME_PHASES.LOBBY: {
+            const emptySeats = gameState.playerOrder.filter(role => {
+                const player = gameState.players[role];
+                return !player.socketId && !player.isBot;
+            });
+
+            if (emptySeats.length > 0) {
+                throw new Error(`Waiting for players: ${emptySeats.join(', ')}`);
+            }
+
+            updateTable(io, tables, gameId, recordDeal, options);
+            break;
+        }
+
+        case GAME_PHASES.GAME_OVER:
+        case GAME_PHASES.MATCH_OVER:
+            // The next game of a match is dealt straight away; otherwise the table starts over
+            if (getRules(gameState).matchLength > 1 && !gameState.matchOver) {
+                updateTable(io, tables, gameId, recordNewGame, options);
+            } else {
+                tables.resetTable(gameId);
+                updateTable(io, tables, gameId, recordDeal, options);
+            }
+            break;
+
+        default:
+            throw new Error('The game has already started');
+    }
+
+    emitToTable(io, tables.getTable(gameId), GAME_EVENTS.GAME_STARTED, { gameId });
+}
+
+/**
+ * Opens a table again from a rebuilt game state, e.g. after a restart. Nobody is
+ * connected yet, so while the game is unfinished every player's seat is held for the
+ * table's grace period, as if they had all just dropped; rejoining with their player
+ * token puts them back where they were. A finished game is closed straight away.
+ * @param {Object} io - Socket.IO server instance
+ * @param {Object} tables - Table manager
+ * @param {Object} gameState - The rebuilt game state
+ * @param {Object} [options={}] - Handler options, as for registerTableHandlers
+ * @returns {boolean} True if the table is open again
+ */
+export function resumeTable(io, tables, gameState, options = {}) {
+    const handlerOptions = { nextHandDelay: NEXT_HAND_DELAY, ...options };
+    const { gameId } = tables.restoreTable(gameState);
+    const finished = [GAME_PHASES.LOBBY, GAME_PHASES.GAME_OVER, GAME_PHASES.MATCH_OVER].includes(gameState.currentPhase);
+    const heldRoles = finished ? [] : gameState.playerOrder.filter(role => !gameState.players[role].isBot);
+
+    if (heldRoles.length > 0) {
+        const deadline = Date.now() + gameState.reconnectGracePeriod;
+        updateTable(io, tables, gameId, state => heldRoles.reduce((held, role) => holdSeat(held, role, deadline), state), handlerOptions);
+        heldRoles.forEach(role => scheduleSeatExpiry(io, tables, gameId, role, handlerOptions));
+    }
+
+    closeTableIfEmpty(io, tables, gameId, handlerOptions);
+    return tables.hasTable(gameId);
+}
+
+/**
+ * Register table-related socket event handlers
+ * @param {Object} io - Socket.IO server instance
+ * @param {Object} socket - The socket instance
+ * @param {Object} [tables] - Table manager; defaults to the server's
+ * @param {Object} [options={}] - Handler options
+ * @param {number} [options.nextHandDelay=NEXT_HAND_DELAY] - Milliseconds before the next hand is dealt
+ * @param {Object} [options.gameRepository] - Repository the event log of every game is stored in; none by default
+ */
+export function registerTableHandlers(io, socket, tables = defaultTableManager, options = {}) {
+    const handlerOptions = { nextHandDelay: NEXT_HAND_DELAY, ...options };
+
+    /**
+     * Registers a handler that answers through the acknowledgement callback, if any,
+     * and reports failures to the socket
+     * @param {string} event - Event name
+     * @param {string} errorCode - Code sent with any error that doesn't carry its own
+     * @param {Function} handler - Takes the event data and returns the reply, or a promise of it
+     */
+    const on = (event, errorCode, handler) => {
+        socket.on(event, async (data, callback) => {
+            if (typeof data === 'function') {
+                callback = data;
+                data = {};
+            }
+
+            try {
+                const reply = { success: true, ...(await handler(data || {})) };
+                if (typeof callback === 'function') callback(reply);
+            } catch (error) {
+                log(DEBUG_LEVELS.ERROR, `[${event}] Error: ${error.message}`);
+                const reply = {
+                    success: false,
+                    error: {
+                        message: error.message,
+                        code: error.code || errorCode
+                    }
+                };
+                socket.emit(GAME_EVENTS.ERROR, reply);
+                if (typeof callback === 'function') callback(reply);
+            }
+        });
+    };
+
+    /**
+     * Gets the table this socket is seated at, after checking the seat is still held
+     * by the identity the socket logged in with
+     * @returns {string} The table's game id
+     */
+    const requireSeat = () => getActingSeat(tables, socket).gameId;
+
+    /**
+     * Gets the table this socket's player is the host of
+     * @returns {string} The table's game id
+     */
+    const requireHost = () => {
+        const gameId = requireSeat();
+        if (tables.getTable(gameId).hostId !== socket.data.user.id) {
+            throw new ActionError('Only the host can do that', ACTION_ERRORS.NOT_HOST);
+        }
+        return gameId;
+    };
+
+    /**
+     * Gets the table this socket is seated at, for a move anyone seated may make at an
+     * open table but only the host may make at a private one
+     * @returns {string} The table's game id
+     */
+    const requireHostAtPrivateTable = () => {
+        const gameId = requireSeat();
+        const { isPrivate, hostId } = tables.getTable(gameId);
+        if (isPrivate && hostId && hostId !== socket.data.user.id) {
+            throw new ActionError('Only the host can do that', ACTION_ERRORS.NOT_HOST);
+        }
+        return gameId;
+    };
+
+    /**
+     * Takes this socket out of its seat. In the lobby the seat is freed for someone
+     * else. During a hand, a dropped connection holds the seat for the table's grace
+     * period and pauses the game; leaving on purpose hands the seat to a bot at once.
+     * If the host goes, the next person seated takes over.
+     * @param {Object} [options={}] - Leave options
+     * @param {boolean} [options.disconnected=false] - True if the connection dropped
+     */
+    const leaveTable = ({ disconnected = false } = {}) => {
+        const { gameId, role, spectating } = socket.data;
+        socket.data.gameId = null;
+        socket.data.role = null;
+        socket.data.spectating = false;
+        if (!gameId) return;
+
+        if (spectating) {
+            socket.leave(getSpectatorRoom(gameId));
+            return;
+        }
+
+        socket.leave(getTableRoom(gameId));
+        if (!tables.hasTable(gameId)) return;
+
+        const gameState = tables.getTable(gameId);
+        if (gameState.players[role]?.socketId !== socket.id) return;
+
+        const handInProgress = isHandInProgress(gameState);
+        const holdForReconnect = handInProgress && disconnected && gameState.reconnectGracePeriod > 0;
+        const deadline = Date.now() + gameState.reconnectGracePeriod;
+
+        updateTable(io, tables, gameId, (state) => {
+            let updatedState;
+            if (holdForReconnect) {
+                updatedState = holdSeat(state, role, deadline);
+            } else if (handInProgress) {
+                updatedState = handSeatToBot(state, role, BOT_DIFFICULTY.MEDIUM);
+                updatedState.players[role] = { ...updatedState.players[role], userId: null, playerToken: null };
+            } else {
+                updatedState = vacateSeat(state, role);
+            }
+
+            if (updatedState.hostId === socket.data.user.id) {
+                const nextHost = updatedState.playerOrder.map(r => updatedState.players[r]).find(p => p.socketId);
+                updatedState.hostId = nextHost?.userId || null;
+            }
+            return updatedState;
+        }, handlerOptions);
+
+        if (holdForReconnect) {
+            scheduleSeatExpiry(io, tables, gameId, role, handlerOptions);
+            emitToTable(io, gameState, GAME_EVENTS.PLAYER_DISCONNECTED, {
+                role,
+                name: gameState.players[role].name,
+                deadline
+            });
+        }
+
+        log(DEBUG_LEVELS.INFO, `[leaveTable] ${role} ${holdForReconnect ? 'disconnected from' : 'left'} table ${gameId}`);
+        closeTableIfEmpty(io, tables, gameId, handlerOptions);
+    };
+
+    /**
+     * Seats this socket at a table
+     * @param {string} gameId - Table to join
+     * @param {Object} options - Join options
+     * @param {string} [options.playerName] - The player's name; players with an account go by its display name
+     * @param {string} [options.role] - Seat wanted; defaults to the first open one
+     * @param {string} [options.password] - Table password, if it has one
+     * @param {string} [options.inviteCode] - Invite code; required at a private table
+     * @returns {Promise<Object>} The table and seat joined
+     */
+    const joinTable = async (gameId, { playerName, role, password, inviteCode }) => {
+        const table = tables.getTable(gameId);
+        const { user } = socket.data;
+
+        if (table.isPrivate && String(inviteCode || '').trim().toUpperCase() !== table.inviteCode) {
+            throw new Error('This table is private; you need its invite code');
+        }
+
+        if (!(await checkTablePassword(table, password))) {
+            throw new Error('Wrong table password');
+        }
+
+        // Seats may have changed hands while the password was checked
+        const gameState = tables.getTable(gameId);
+        if ((socket.data.gameId === gameId && !socket.data.spectating) || getRoleByUserId(gameState, user.id)) {
+            throw new Error('You are already seated at this table');
+        }
+
+        if (role && !gameState.players[role]) {
+            throw new Error(`Invalid player role: ${role}`);
+        }
+
+        const openSeats = getOpenSeats(gameState);
+        const seat = role || openSeats[0];
+        if (!seat) {
+            throw new Error('Table is full');
+        }
+        if (!openSeats.includes(seat)) {
+            throw new Error(`Seat ${seat} is already taken`);
+        }
+
+        leaveTable();
+        socket.join(getTableRoom(gameId));
+        socket.data.gameId = gameId;
+        socket.data.role = seat;
+
+        const playerToken = randomUUID();
+        const name = user.isGuest ? playerName || user.displayName : user.displayName;
+        updateTable(io, tables, gameId, (state) => ({
+            ...takeSeat(state, seat, { socketId: socket.id, userId: user.id, playerToken, name }),
+            hostId: state.hostId || user.id
+        }), handlerOptions);
+
+        log(DEBUG_LEVELS.INFO, `[joinTable] ${name || seat} (${user.id}) sat ${seat} at table ${gameId}`);
+        return { gameId, role: seat, playerToken };
+    };
+
+    /**
+     * Open a new table
+     * @param {Object} data - Table options
+     * @param {string} [data.name] - Table name
+     * @param {Object} [data.rules] - Rule variants
+     * @param {string} [data.password] - Password to sit down at the table
+     * @param {boolean} [data.allowSpectators] - Whether people may watch
+     * @param {boolean} [data.isPrivate] - Hide the table from the lobby and hand out an invite code
+     * @param {string} [data.spectatorHands] - Whether spectators see every hand ('revealed') or none ('hidden')
+     * @param {number} [data.spectatorDelay] - Milliseconds spectators' view lags behind the game
+     * @param {number} [data.reconnectGracePeriod] - Milliseconds a dropped player's seat is held
+     * @param {Object} [data.turnTimeLimits] - Milliseconds to bid, discard and play ({ bidding, discard, playing })
+     */
+    on(GAME_EVENTS.CREATE_TABLE, 'CREATE_TABLE_ERROR', async (data) => {
+        const {
+            name,
+            rules,
+            password,
+            allowSpectators,
+            isPrivate,
+            spectatorHands,
+            spectatorDelay,
+            reconnectGracePeriod,
+            turnTimeLimits
+        } = data;
+        const gameState = tables.createTable({
+            name,
+            rules,
+            passwordHash: password ? await hashPassword(password) : null,
+            allowSpectators,
+            isPrivate: !!isPrivate,
+            hostId: socket.data.user.id,
+            spectatorHands,
+            spectatorDelay,
+            reconnectGracePeriod,
+            turnTimeLimits
+        });
+        broadcastLobby(io, tables);
+        return { gameId: gameState.gameId, inviteCode: gameState.inviteCode };
+    });
+
+    /**
+     * Sit down at a table
+     * @param {Object} data - Join data
+     * @param {string} [data.gameId] - Table to join
+     * @param {string} [data.inviteCode] - Invite code of a private table; enough on its own to find it
+     * @param {string} [data.playerName] - The player's name
+     * @param {string} [data.role] - Seat wanted; defaults to the first open one
+     * @param {string} [data.password] - Table password, if it has one
+     */
+    on(GAME_EVENTS.JOIN_TABLE, 'JOIN_TABLE_ERROR', ({ gameId, ...options }) => {
+        if (!gameId && options.inviteCode) {
+            const table = tables.findTableByInviteCode(options.inviteCode);
+            if (!table) {
+                throw new Error(`No table has invite code ${options.inviteCode}`);
+            }
+            return joinTable(table.gameId, options);
+        }
+
+        return joinTable(gameId, options);
+    });
+
+    /**
+     * Watch a table without taking a seat. Spectators only receive state; every game
+     * action from them is refused.
+     * @param {Object} data - Table to watch
+     * @param {string} [data.gameId] - The table
+     * @param {string} [data.inviteCode] - Invite code; required for a private table
+     * @param {string} [data.password] - Table password, if it has one
+     */
+    on(GAME_EVENTS.WATCH_TABLE, 'WATCH_TABLE_ERROR', async ({ gameId, inviteCode, password }) => {
+        const table = gameId ? tables.getTable(gameId) : tables.findTableByInviteCode(inviteCode);
+
+        if (!table) {
+            throw new Error(`No table has invite code ${inviteCode}`);
+        }
+        if (table.allowSpectators === false) {
+            throw new Error('This table does not allow spectators');
+        }
+        if (table.isPrivate && String(inviteCode || '').trim().toUpperCase() !== table.inviteCode) {
+            throw new Error('This table is private; you need its invite code');
+        }
+        if (!(await checkTablePassword(table, password))) {
+            throw new Error('Wrong table password');
+        }
+
+        // The game has moved on while the password was checked
+        const gameState = tables.getTable(table.gameId);
+
+        leaveTable();
+        socket.join(getSpectatorRoom(gameState.gameId));
+        socket.data.gameId = gameState.gameId;
+        socket.data.spectating = true;
+
+        const view = getSpectatorView(gameState);
+        setTimeout(() => socket.emit(GAME_EVENTS.STATE_UPDATE, view), gameState.spectatorDelay || 0);
+
+        log(DEBUG_LEVELS.INFO, `[${GAME_EVENTS.WATCH_TABLE}] ${socket.id} is watching table ${gameState.gameId}`);
+        return { gameId: gameState.gameId };
+    });
+
+    /**
+     * Take back a seat after reconnecting, with the same hand. The token is the one
+     * handed out when the player first sat down; a logged-in player can also get
+     * their seat back without it, from any device.
+     * @param {Object} data - Rejoin data
+     * @param {string} data.gameId - The table
+     * @param {string} [data.playerToken] - The player's token
+     */
+    on(GAME_EVENTS.REJOIN_TABLE, 'REJOIN_TABLE_ERROR', ({ gameId, playerToken }) => {
+        const { user } = socket.data;
+        const table = tables.getTable(gameId);
+        const role = getRoleByPlayerToken(table, playerToken) || (!user.isGuest && getRoleByUserId(table, user.id));
+        if (!role) {
+            throw new Error('No seat is reserved for you at this table');
+        }
+
+        // A guest comes back as a new guest, but an account seat stays with its account
+        const seatUserId = table.players[role].userId;
+        if (seatUserId && seatUserId !== user.id && !seatUserId.startsWith('guest:')) {
+            throw new Error('This seat belongs to another account');
+        }
+
+        // Another tab may still hold the seat; the newest connection wins
+        const previousSocketId = tables.getTable(gameId).players[role].socketId;
+        const previousSocket = previousSocketId && previousSocketId !== socket.id && io.sockets.sockets.get(previousSocketId);
+        if (previousSocket) {
+            previousSocket.leave(getTableRoom(gameId));
+            previousSocket.data.gameId = null;
+            previousSocket.data.role = null;
+        }
+
+        if (socket.data.gameId !== gameId) {
+            leaveTable();
+        }
+        socket.join(getTableRoom(gameId));
+        socket.data.gameId = gameId;
+        socket.data.role = role;
+        cancelSeatExpiry(gameId, role);
+
+        const gameState = updateTable(io, tables, gameId, state => ({
+            ...reclaimSeat(state, role, socket.id, user.id),
+            hostId: !state.hostId || state.hostId === seatUserId ? user.id : state.hostId
+        }), handlerOptions);
+
+        emitToTable(io, gameState, GAME_EVENTS.PLAYER_CONNECTED, { role, name: gameState.players[role].name });
+        log(DEBUG_LEVELS.INFO, `[${GAME_EVENTS.REJOIN_TABLE}] ${role} is back at table ${gameId}`);
+        return { gameId, role };
+    });
+
+    /**
+     * Sit down at the fullest open table, or open a new one if there is none
+     * @param {Object} data - Join data
+     * @param {string} [data.playerName] - The player's name
+     */
+    on(GAME_EVENTS.QUICK_JOIN, 'QUICK_JOIN_ERROR', ({ playerName }) => {
+        const table = findQuickJoinTable(tables);
+        const gameId = table ? table.gameId : tables.createTable().gameId;
+        return joinTable(gameId, { playerName });
+    });
+
+    /**
+     * Start receiving the list of tables
+     */
+    on(GAME_EVENTS.LOBBY_SUBSCRIBE, 'LOBBY_ERROR', () => {
+        socket.join(LOBBY_ROOM);
+        return { tables: listTables(tables) };
+    });
+
+    /**
+     * Stop receiving the list of tables
+     */
+    on(GAME_EVENTS.LOBBY_UNSUBSCRIBE, 'LOBBY_ERROR', () => {
+        socket.leave(LOBBY_ROOM);
+        return {};
+    });
+
+    /**
+     * Leave the current table
+     */
+    on(GAME_EVENTS.LEAVE_TABLE, 'LEAVE_TABLE_ERROR', () => {
+        leaveTable();
+        return {};
+    });
+
+    /**
+     * Put bots in every empty seat; only the host may at a private table
+     * @param {Object} data - Bot options
+     * @param {string} [data.difficulty] - Bot difficulty
+     */
+    on(GAME_EVENTS.FILL_BOTS, 'FILL_BOTS_ERROR', ({ difficulty }) => {
+        const gameId = requireHostAtPrivateTable();
+        if (tables.getTable(gameId).currentPhase !== GAME_PHASES.LOBBY) {
+            throw new Error('Bots can only be added in the lobby');
+        }
+
+        updateTable(io, tables, gameId, state => fillEmptySeats(state, difficulty), handlerOptions);
+        return {};
+    });
+
+    /**
+     * Host: swap the people in two seats, or move a player to an empty seat
+     * @param {Object} data - Seats to swap
+     * @param {string} data.from - First seat
+     * @param {string} data.to - Second seat
+     */
+    on(GAME_EVENTS.SWAP_SEATS, 'SEATING_ERROR', ({ from, to }) => {
+        updateTable(io, tables, requireHost(), (state) => {
+            const updatedState = swapSeats(state, from, to);
+            syncSocketRoles(io, updatedState);
+            return updatedState;
+        }, handlerOptions);
+        return {};
+    });
+
+    /**
+     * Host: lock a seat so nobody can join into it, or unlock it
+     * @param {Object} data - Seat to lock
+     * @param {string} data.role - The seat
+     * @param {boolean} [data.locked=true] - Whether to lock it
+     */
+    on(GAME_EVENTS.LOCK_SEAT, 'SEATING_ERROR', ({ role, locked = true }) => {
+        updateTable(io, tables, requireHost(), state => setSeatLocked(state, role, locked), handlerOptions);
+        return {};
+    });
+
+    /**
+     * Host: remove a player or bot from the table
+     * @param {Object} data - Who to remove
+     * @param {string} data.role - Their seat
+     */
+    on(GAME_EVENTS.KICK_PLAYER, 'SEATING_ERROR', ({ role }) => {
+        const gameId = requireHost();
+        const player = tables.getTable(gameId).players[role];
+
+        if (!player || (!player.socketId && !player.isBot)) {
+            throw new Error(`Nobody is sitting ${role}`);
+        }
+        if (player.userId === socket.data.user.id) {
+            throw new Error('You cannot kick yourself');
+        }
+        if (player.isBot && tables.getTable(gameId).currentPhase !== GAME_PHASES.LOBBY) {
+            throw new Error('Bots can only be removed before the deal');
+        }
+
+        const kickedSocket = player.socketId && io.sockets.sockets.get(player.socketId);
+        if (kickedSocket) {
+            kickedSocket.leave(getTableRoom(gameId));
+            kickedSocket.data.gameId = null;
+            kickedSocket.data.role = null;
+            kickedSocket.emit(GAME_EVENTS.KICKED, { gameId });
+        }
+
+        updateTable(io, tables, gameId, (state) => {
+            // Mid-hand a bot plays on in the kicked player's place
+            if (isHandInProgress(state)) {
+                const updatedState = handSeatToBot(state, role, BOT_DIFFICULTY.MEDIUM);
+                updatedState.players[role] = { ...updatedState.players[role], userId: null, playerToken: null };
+                return updatedState;
+            }
+
+            const { botDifficulty, ...seat } = state.players[role];
+            return vacateSeat({ ...state, players: { ...state.players, [role]: { ...seat, isBot: false } } }, role);
+        }, handlerOptions);
+
+        log(DEBUG_LEVELS.INFO, `[${GAME_EVENTS.KICK_PLAYER}] ${player.name} was removed from ${role} at table ${gameId}`);
+        return {};
+    });
+
+    /**
+     * Start the game once every seat is taken; only the host may at a private table
+     */
+    on(GAME_EVENTS.START_GAME, 'START_GAME_ERROR', () => {
+        startTable(io, tables, requireHostAtPrivateTable(), handlerOptions);
+        return {};
+    });
+
+    /**
+     * Make a move in the game, either as { type, ... } through player_action or
+     * through one of the per-move events. The move is always made for this socket's seat.
+     * @param {Object} data - The action, e.g. { type: 'playCard', card }, or the event's data
+     */
+    Object.keys(ACTION_EVENTS).forEach((event) => {
+        on(event, 'ACTION_ERROR', (data) => {
+            const { gameId, role } = getActingSeat(tables, socket);
+            const action = toAction(event, data);
+
+            updateTable(io, tables, gameId, state => recordAction(state, role, action), handlerOptions);
+            return {};
+        });
+    });
+
+    /**
+     * Say something to the table, either a quick phrase or free text
+     * @param {Object} data - The message
+     * @param {string} [data.phraseId] - Key of a quick phrase
+     * @param {string} [data.text] - Free text; only between hands unless the table allows table talk
+     */
+    on(GAME_EVENTS.CHAT_MESSAGE, 'CHAT_ERROR', (data) => {
+        const gameId = requireSeat();
+        const message = createChatMessage(tables.getTable(gameId), socket.data.role, data);
+        const gameState = tables.updateTable(gameId, state => addChatMessage(state, message));
+
+        sendChatMessage(io, gameState, message);
+        return { message };
+    });
+
+    /**
+     * Stop or start receiving chat from whoever sits in a seat
+     * @param {Object} data - Who to mute
+     * @param {string} data.role - Their seat
+     * @param {boolean} [data.muted=true] - Whether to mute them
+     */
+    on(GAME_EVENTS.MUTE_PLAYER, 'CHAT_ERROR', ({ role, muted = true }) => {
+        const gameId = requireSeat();
+        const gameState = tables.updateTable(gameId, state => setPlayerMuted(state, socket.data.role, role, muted));
+        return { mutedRoles: gameState.players[socket.data.role].mutedRoles };
+    });
+
+    /**
+     * Send this socket its view of the table
+     */
+    on(GAME_EVENTS.REQUEST_FULL_STATE, 'STATE_ERROR', () => {
+        if (socket.data.spectating && tables.hasTable(socket.data.gameId)) {
+            const gameState = tables.getTable(socket.data.gameId);
+            if (gameState.spectatorDelay > 0) {
+                throw new Error('Spectators at this table see the game on a delay');
+            }
+            return { gameState: getSpectatorView(gameState) };
+        }
+
+        const gameState = tables.getTable(requireSeat());
+        return { gameState: getPlayerView(gameState, socket.data.role) };
+    });
+
+    /**
+     * Compare the play of a finished hand with perfect play, to find the cards that cost a trick
+     * @param {Object} data - Hand to analyze
+     * @param {number} [data.handNumber] - The hand's number; defaults to the last hand played out
+     */
+    on(GAME_EVENTS.HAND_ANALYSIS, 'ANALYSIS_ERROR', ({ handNumber }) => {
+        let gameState;
+        if (socket.data.spectating && tables.hasTable(socket.data.gameId)) {
+            gameState = tables.getTable(socket.data.gameId);
+            if (gameState.spectatorDelay > 0) {
+                throw new Error('Spectators at this table see the game on a delay');
+            }
+        } else {
+            gameState = tables.getTable(requireSeat());
+        }
+
+        const playedHands = (gameState.handHistory || []).filter(record => record.tricks.length > 0);
+        const record = handNumber === undefined
+            ? playedHands.at(-1)
+            : playedHands.find(played => played.handNumber === handNumber);
+        if (!record) {
+            throw new Error(handNumber === undefined ? 'No hand has been played out yet' : `Hand ${handNumber} was not played out`);
+        }
+
+        return { handNumber: record.handNumber, analysis: analyzeHandRecord(record, gameState.playerOrder) };
+    });
+
+    socket.on('disconnect', () => {
+        try {
+            leaveTable({ disconnected: true });
+        } catch (error) {
+            log(DEBUG_LEVELS.ERROR, `[disconnect] Error: ${error.message}`);
+        }
+    });
+}
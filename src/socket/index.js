@@ -0,0 +1,59 @@
+/**
+ * @file Main socket configuration file
+ * @module socket
+ * @description Configures socket.io and registers the table handlers. Game state lives
+ * in the table manager; sockets only ever see their own table's room. Every socket is
+ * authenticated in the handshake, as an account or a guest, and rate limited per
+ * account, or per address for a guest.
+ */
+
+import { Server } from 'socket.io';
+import { log } from '../utils/logger.js';
+import { DEBUG_LEVELS } from '../config/constants.js';
+import { tableManager as defaultTableManager } from '../game/tableManager.js';
+import { registerTableHandlers } from './handlers/tableHandlers.js';
+import { authenticateSocket } from './middleware/auth.js';
+import { RateLimiter, rateLimitSocket } from './middleware/rateLimiter.js';
+
+/**
+ * Initialize socket.io with all event handlers
+ * @param {Object} server - The HTTP server instance
+ * @param {Object} [tables] - Table manager holding every game; defaults to the server's
+ * @param {Object} [options={}] - Options passed on to the table handlers and the auth middleware
+ * @param {boolean} [options.allowGuests=true] - Whether players without an account may connect
+ * @param {string} [options.sessionSecret] - Key session tokens are signed with; defaults to the server's
+ * @param {RateLimiter} [options.rateLimiter] - Limiter for incoming events; defaults to the standard limits kept in memory
+ * @returns {Object} Configured socket.io instance
+ */
+export function initializeSocket(server, tables = defaultTableManager, options = {}) {
+    log(DEBUG_LEVELS.INFO, '[initializeSocket] Initializing socket.io');
+
+    const io = new Server(server, {
+        cors: {
+            origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
+            methods: ['GET', 'POST'],
+            credentials: true
+        }
+    });
+
+    io.use(authenticateSocket(options));
+    io.use(rateLimitSocket(options.rateLimiter || new RateLimiter()));
+
+    io.on('connection', (socket) => {
+        const { user } = socket.data;
+        log(DEBUG_LEVELS.INFO, `[socket:connection] Client connected: ${socket.id} as ${user.isGuest ? 'guest' : user.id}`);
+
+        registerTableHandlers(io, socket, tables, options);
+
+        socket.on('disconnect', (reason) => {
+            log(DEBUG_LEVELS.INFO, `[socket:disconnect] Client disconnected: ${socket.id} (${reason})`);
+        });
+    });
+
+    io.engine.on('connection_error', (err) => {
+        log(DEBUG_LEVELS.ERROR, `[socket:error] Connection error: ${err.message}`);
+    });
+
+    log(DEBUG_LEVELS.INFO, '[initializeSocket] Socket.io initialized');
+    return io;
+}
@@ -0,0 +1,56 @@
+/**
+ * @file Socket authentication
+ * @module socket/middleware/auth
+ * @description Handshake middleware that works out who is on the other end of each
+ * socket. A client with a session token (`auth: { token }`) is the account it
+ * belongs to; a client without one plays as a guest. The identity is kept in
+ * `socket.data.user`, and seats, hosts and actions are tied to it rather than to
+ * the socket, which changes on every reconnect.
+ */
+
+import { randomUUID } from 'crypto';
+import { log } from '../../utils/logger.js';
+import { DEBUG_LEVELS } from '../../config/constants.js';
+import { verifySessionToken } from '../../auth/sessions.js';
+
+const MAX_GUEST_NAME_LENGTH = 30;
+
+/**
+ * Creates an identity for a player without an account. It lasts as long as the socket.
+ * @param {string} [name] - Name the guest asked for, if any
+ * @returns {Object} The guest's identity
+ */
+export function createGuestIdentity(name) {
+    const displayName = String(name || '').trim().slice(0, MAX_GUEST_NAME_LENGTH) || null;
+    return { id: `guest:${randomUUID()}`, displayName, isGuest: true };
+}
+
+/**
+ * Creates the handshake middleware
+ * @param {Object} [options={}] - Middleware options
+ * @param {boolean} [options.allowGuests=true] - Whether sockets without a session token may connect
+ * @param {string} [options.sessionSecret] - Key session tokens are signed with; defaults to the server's
+ * @returns {Function} Socket.IO middleware
+ */
+export function authenticateSocket({ allowGuests = true, sessionSecret } = {}) {
+    return (socket, next) => {
+        const { token, guestName } = socket.handshake.auth || {};
+
+        if (!token) {
+            if (!allowGuests) {
+                return next(new Error('Please log in to play'));
+            }
+            socket.data.user = createGuestIdentity(guestName);
+            return next();
+        }
+
+        try {
+            const session = verifySessionToken(token, { secret: sessionSecret });
+            socket.data.user = { id: session.sub, displayName: session.name, isGuest: false };
+            next();
+        } catch (error) {
+            log(DEBUG_LEVELS.WARNING, `[authenticateSocket] Refused ${socket.id}: ${error.message}`);
+            next(new Error(error.message));
+        }
+    };
+}
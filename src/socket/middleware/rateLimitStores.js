@@ -0,0 +1,151 @@
+/**
+ * @file Rate limit stores
+ * @module socket/middleware/rateLimitStores
+ * @description Where the rate limiter keeps its counters and bans. The memory store is
+ * enough for a single server process; with several processes behind a load balancer
+ * they must share the Redis store, or each would count only the events it sees.
+ *
+ * Every store has the same methods:
+ * - `hit(key, windowMs)` counts an event in a fixed window and resolves to `{ count, resetAt }`
+ * - `ban(key, until)` bans a key until a time
+ * - `getBan(key)` resolves to the time the key's ban ends, or null
+ * - `close()` releases the store's connections
+ */
+
+import { createClient } from 'redis';
+import { log } from '../../utils/logger.js';
+import { DEBUG_LEVELS } from '../../config/constants.js';
+import databaseConfig from '../../config/database.js';
+
+// How often the memory store drops counters whose window has ended
+const SWEEP_INTERVAL = 60 * 1000;
+
+// Counts an event and starts the window on the first one, in a single round trip
+const HIT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then
+    redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return { count, redis.call('PTTL', KEYS[1]) }
+`;
+
+/**
+ * MemoryRateLimitStore keeps counters and bans in this process
+ */
+export class MemoryRateLimitStore {
+    constructor() {
+        this.counters = new Map(); // key -> { count, resetAt }
+        this.bans = new Map(); // key -> time the ban ends
+        this.lastSweep = Date.now();
+    }
+
+    /**
+     * Drops counters and bans that have run out
+     * @private
+     * @param {number} now - Current time in ms
+     */
+    sweep(now) {
+        if (now - this.lastSweep < SWEEP_INTERVAL) return;
+        this.lastSweep = now;
+
+        this.counters.forEach((counter, key) => {
+            if (counter.resetAt <= now) this.counters.delete(key);
+        });
+        this.bans.forEach((until, key) => {
+            if (until <= now) this.bans.delete(key);
+        });
+    }
+
+    async hit(key, windowMs, now = Date.now()) {
+        this.sweep(now);
+
+        let counter = this.counters.get(key);
+        if (!counter || counter.resetAt <= now) {
+            counter = { count: 0, resetAt: now + windowMs };
+            this.counters.set(key, counter);
+        }
+        counter.count++;
+
+        return { ...counter };
+    }
+
+    async ban(key, until) {
+        this.bans.set(key, until);
+    }
+
+    async getBan(key, now = Date.now()) {
+        const until = this.bans.get(key);
+        return until > now ? until : null;
+    }
+
+    async close() {
+        this.counters.clear();
+        this.bans.clear();
+    }
+}
+
+/**
+ * RedisRateLimitStore keeps counters and bans in Redis (or anything that speaks its
+ * protocol), so every server process sharing it enforces the same limits. Keys expire
+ * by themselves when their window or ban ends.
+ */
+export class RedisRateLimitStore {
+    /**
+     * @param {Object} client - A connected (or connecting) node-redis client
+     * @param {Object} [options={}] - Store options
+     * @param {string} [options.prefix='euchre:ratelimit:'] - Prefix for every key
+     */
+    constructor(client, { prefix = 'euchre:ratelimit:' } = {}) {
+        this.client = client;
+        this.prefix = prefix;
+    }
+
+    async hit(key, windowMs, now = Date.now()) {
+        const [count, ttl] = await this.client.eval(HIT_SCRIPT, {
+            keys: [this.prefix + key],
+            arguments: [String(windowMs)]
+        });
+
+        return { count: Number(count), resetAt: now + Math.max(Number(ttl), 0) };
+    }
+
+    async ban(key, until, now = Date.now()) {
+        if (until <= now) return;
+        await this.client.set(`${this.prefix}ban:${key}`, String(until), { PX: until - now });
+    }
+
+    async getBan(key, now = Date.now()) {
+        const until = Number(await this.client.get(`${this.prefix}ban:${key}`));
+        return until > now ? until : null;
+    }
+
+    async close() {
+        await this.client.quit();
+    }
+}
+
+/**
+ * Creates a Redis store connected with the server's Redis settings. Commands sent
+ * while Redis can't be reached fail straight away instead of queueing until it comes
+ * back, so the rate limiter lets events through in the meantime.
+ * @param {Object} [redisConfig] - Host, port and password; defaults to `config.redis`
+ * @returns {RedisRateLimitStore} The store
+ */
+export function createRedisRateLimitStore(redisConfig = databaseConfig.redis) {
+    const { host, port, password } = redisConfig;
+    const client = createClient({
+        socket: { host, port: Number(port) },
+        password: password || undefined,
+        disableOfflineQueue: true
+    });
+
+    client.on('error', (error) => {
+        log(DEBUG_LEVELS.ERROR, `[RedisRateLimitStore] ${error.message}`);
+    });
+    client.connect().catch(() => {
+        // Reported by the error listener; the client keeps trying to reconnect
+    });
+
+    log(DEBUG_LEVELS.INFO, `[RedisRateLimitStore] Using Redis at ${host}:${port}`);
+    return new RedisRateLimitStore(client);
+}
@@ -0,0 +1,190 @@
+/**
+ * @file Socket rate limiting
+ * @module socket/middleware/rateLimiter
+ * @description Limits how often each user can send each event. Every incoming event is
+ * counted in a fixed window per event against the sender's account, so the limits
+ * follow an account across sockets, or against a guest's address, since a guest gets a
+ * new identity every time they connect. Events over the limit are refused with
+ * `RATE_LIMITED`; a user who keeps going past the limits is banned for a while and
+ * every event and new connection of theirs is refused with `BANNED`.
+ */
+
+import { log } from '../../utils/logger.js';
+import { DEBUG_LEVELS, GAME_EVENTS, RATE_LIMITS, RATE_LIMIT_BAN, RATE_LIMIT_STORE_TIMEOUT } from '../../config/constants.js';
+import { MemoryRateLimitStore } from './rateLimitStores.js';
+
+/** Codes sent back with a refused event */
+export const RATE_LIMIT_ERRORS = {
+    RATE_LIMITED: 'RATE_LIMITED',
+    BANNED: 'BANNED'
+};
+
+/**
+ * Rejects if a store call hasn't settled in time, so a store that can't be reached
+ * fails like one that refuses the call
+ * @private
+ * @param {Promise} promise - The store call
+ * @param {number} timeoutMs - How long to wait, in ms
+ * @returns {Promise} The call's result
+ */
+function withTimeout(promise, timeoutMs) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Rate limit store did not answer within ${timeoutMs} ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * RateLimiter counts each user's events and bans those who keep breaking the limits
+ */
+export class RateLimiter {
+    /**
+     * @param {Object} [options={}] - Limiter options
+     * @param {Object} [options.limits] - `{ points, windowMs }` per event name, and `'*'` for the rest
+     * @param {Object} [options.ban] - `{ violations, windowMs, duration }`; `null` never bans
+     * @param {Object} [options.store] - Where counters are kept; defaults to this process's memory
+     * @param {number} [options.timeoutMs] - How long to wait on the store before giving up
+     */
+    constructor({
+        limits = RATE_LIMITS,
+        ban = RATE_LIMIT_BAN,
+        store = new MemoryRateLimitStore(),
+        timeoutMs = RATE_LIMIT_STORE_TIMEOUT
+    } = {}) {
+        this.limits = limits;
+        this.banRule = ban;
+        this.store = store;
+        this.timeoutMs = timeoutMs;
+    }
+
+    /**
+     * Gets the time a user's ban ends
+     * @param {string} userId - The user's id
+     * @param {number} [now=Date.now()] - Current time in ms
+     * @returns {Promise<number|null>} When the ban ends, or null if they aren't banned
+     * @throws {Error} If the store fails or doesn't answer in time
+     */
+    async getBan(userId, now = Date.now()) {
+        return withTimeout(this.store.getBan(userId, now), this.timeoutMs);
+    }
+
+    /**
+     * Counts an event from a user
+     * @param {string} userId - The user's id
+     * @param {string} event - The event's name
+     * @param {number} [now=Date.now()] - Current time in ms
+     * @returns {Promise<Object>} `{ allowed: true }`, or `{ allowed: false, code, retryAfter }`
+     * with the ms until they may try again
+     * @throws {Error} If the store fails or doesn't answer in time
+     */
+    async consume(userId, event, now = Date.now()) {
+        return withTimeout(this.countEvent(userId, event, now), this.timeoutMs);
+    }
+
+    /**
+     * Counts an event against the store's counters and bans
+     * @private
+     */
+    async countEvent(userId, event, now) {
+        const bannedUntil = await this.store.getBan(userId, now);
+        if (bannedUntil) {
+            return { allowed: false, code: RATE_LIMIT_ERRORS.BANNED, retryAfter: bannedUntil - now };
+        }
+
+        const limitKey = this.limits[event] ? event : '*';
+        const limit = this.limits[limitKey];
+        if (!limit) {
+            return { allowed: true };
+        }
+
+        const { count, resetAt } = await this.store.hit(`${userId}:${limitKey}`, limit.windowMs, now);
+        if (count <= limit.points) {
+            return { allowed: true };
+        }
+
+        if (this.banRule) {
+            const { count: violations } = await this.store.hit(`${userId}:violations`, this.banRule.windowMs, now);
+            if (violations >= this.banRule.violations) {
+                await this.store.ban(userId, now + this.banRule.duration, now);
+                log(DEBUG_LEVELS.WARNING, `[RateLimiter] Banned ${userId} for ${this.banRule.duration} ms`);
+                return { allowed: false, code: RATE_LIMIT_ERRORS.BANNED, retryAfter: this.banRule.duration };
+            }
+        }
+
+        return { allowed: false, code: RATE_LIMIT_ERRORS.RATE_LIMITED, retryAfter: resetAt - now };
+    }
+}
+
+/**
+ * Describes how long a refused user has to wait
+ * @param {Object} result - Refusal from RateLimiter#consume
+ * @returns {string} Message for the player
+ */
+export function getRefusalMessage({ code, retryAfter }) {
+    const seconds = Math.ceil(retryAfter / 1000);
+    return code === RATE_LIMIT_ERRORS.BANNED
+        ? `You have been sending too much; try again in ${seconds} seconds`
+        : `Slow down; try again in ${seconds} seconds`;
+}
+
+/**
+ * Gets who a socket's events are counted against: the account it signed in with, or
+ * for a guest the address it connected from
+ * @param {Object} socket - Socket that has been through the auth middleware
+ * @returns {string} Key for the limiter
+ */
+export function getRateLimitKey(socket) {
+    const { user } = socket.data;
+    return user.isGuest ? `address:${socket.handshake.address}` : user.id;
+}
+
+/**
+ * Creates the middleware that rate limits every socket. Add it after the auth
+ * middleware, which gives each socket the identity its events are counted against.
+ * Banned users can't connect; everyone else's incoming events are counted before
+ * their handlers run, one at a time and in the order they arrived, and refused events
+ * are answered through their acknowledgement and a `game_error`, the same way a failed
+ * handler is.
+ * @param {RateLimiter} limiter - The limiter to count events with
+ * @returns {Function} Socket.IO middleware
+ */
+export function rateLimitSocket(limiter) {
+    return async (socket, next) => {
+        const limitKey = getRateLimitKey(socket);
+
+        try {
+            const bannedUntil = await limiter.getBan(limitKey);
+            if (bannedUntil) {
+                const retryAfter = bannedUntil - Date.now();
+                return next(new Error(getRefusalMessage({ code: RATE_LIMIT_ERRORS.BANNED, retryAfter })));
+            }
+        } catch (error) {
+            // Let them in rather than lock everyone out while the store is down
+            log(DEBUG_LEVELS.ERROR, `[rateLimitSocket] Could not check bans: ${error.message}`);
+        }
+
+        // Each packet waits for the one before it, so a slow store can't reorder them
+        let previousPacket = Promise.resolve();
+        socket.use(([event, ...args], nextPacket) => {
+            previousPacket = previousPacket.then(() => limiter.consume(limitKey, event)).then((result) => {
+                if (result.allowed) return nextPacket();
+
+                log(DEBUG_LEVELS.WARNING, `[rateLimitSocket] Refused ${event} from ${limitKey} (${result.code})`);
+                const reply = {
+                    success: false,
+                    error: { message: getRefusalMessage(result), code: result.code }
+                };
+                socket.emit(GAME_EVENTS.ERROR, reply);
+
+                const callback = args[args.length - 1];
+                if (typeof callback === 'function') callback(reply);
+            }).catch((error) => {
+                log(DEBUG_LEVELS.ERROR, `[rateLimitSocket] Could not count ${event}: ${error.message}`);
+                nextPacket();
+            });
+        });
+
+        next();
+    };
+}
@@ -0,0 +1,42 @@
+/**
+ * @file Table recovery
+ * @module socket/recovery
+ * @description Brings back the tables that were open when the server last stopped, so
+ * a restart or a deploy doesn't end every game mid-hand. Each game whose event log was
+ * never closed is rebuilt from its latest snapshot and the moves logged since, and its
+ * table opened again with every player's seat held until they rejoin.
+ */
+
+import { log } from '../utils/logger.js';
+import { DEBUG_LEVELS } from '../config/constants.js';
+import { resumeTable } from './handlers/tableHandlers.js';
+
+/**
+ * Rebuilds and reopens every table left open in storage. A game that can't be
+ * rebuilt is logged and skipped, so one bad log doesn't keep the others closed.
+ * @param {Object} io - Socket.IO server instance
+ * @param {Object} tables - Table manager
+ * @param {Object} repository - Game repository the event logs are stored in
+ * @param {Object} [options={}] - Handler options, as for registerTableHandlers
+ * @returns {Promise<Array<string>>} Game ids of the tables opened again
+ */
+export async function recoverTables(io, tables, repository, options = {}) {
+    const gameIds = await repository.findOpenGames();
+    const recovered = [];
+
+    for (const gameId of gameIds) {
+        if (tables.hasTable(gameId)) continue;
+
+        try {
+            const gameState = await repository.rebuildGame(gameId);
+            if (resumeTable(io, tables, gameState, { ...options, gameRepository: repository })) {
+                recovered.push(gameId);
+            }
+        } catch (error) {
+            log(DEBUG_LEVELS.ERROR, `[recoverTables] Could not recover table ${gameId}: ${error.message}`);
+        }
+    }
+
+    log(DEBUG_LEVELS.INFO, `[recoverTables] Recovered ${recovered.length} of ${gameIds.length} open tables`);
+    return recovered;
+}
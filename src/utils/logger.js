@@ -0,0 +1,63 @@
+/**
+ * @file Logger
+ * @module utils/logger
+ * @description Leveled logging for the server and the client. Messages go to the
+ * console, which doesn't block the event loop the way the old synchronous file writes
+ * did; to keep a log file, redirect the server's output. The level starts from the
+ * `LOG_LEVEL` environment variable (error, info, warning, verbose or debug) and is
+ * WARNING if that isn't set.
+ */
+
+import { DEBUG_LEVELS } from '../config/constants.js';
+
+/** LOG_LEVEL names, including the `debug` the example environment uses */
+const LEVEL_NAMES = {
+    error: DEBUG_LEVELS.ERROR,
+    info: DEBUG_LEVELS.INFO,
+    warning: DEBUG_LEVELS.WARNING,
+    warn: DEBUG_LEVELS.WARNING,
+    verbose: DEBUG_LEVELS.VERBOSE,
+    debug: DEBUG_LEVELS.VERBOSE
+};
+
+/**
+ * Reads the starting level from the environment, if there is one
+ * @private
+ */
+function levelFromEnvironment() {
+    const name = typeof process !== 'undefined' ? process.env?.LOG_LEVEL : undefined;
+    return LEVEL_NAMES[name?.toLowerCase()] ?? DEBUG_LEVELS.WARNING;
+}
+
+let currentDebugLevel = levelFromEnvironment();
+
+/**
+ * Logs a message if its level is at or below the current debug level
+ * @param {number} level - The debug level of the message
+ * @param {string} message - The message to log
+ */
+function log(level, message) {
+    if (level > currentDebugLevel) return;
+
+    const levelName = Object.keys(DEBUG_LEVELS).find(key => DEBUG_LEVELS[key] === level) || 'LOG';
+    if (level === DEBUG_LEVELS.ERROR) {
+        console.error(`[${levelName}] ${message}`);
+    } else {
+        console.log(`[${levelName}] ${message}`);
+    }
+}
+
+/**
+ * Sets the current debug level
+ * @param {number} level - The new debug level
+ */
+function setDebugLevel(level) {
+    if (Object.values(DEBUG_LEVELS).includes(level)) {
+        currentDebugLevel = level;
+        log(DEBUG_LEVELS.INFO, `Debug level set to ${Object.keys(DEBUG_LEVELS).find(key => DEBUG_LEVELS[key] === level)}`);
+    } else {
+        log(DEBUG_LEVELS.WARNING, 'Invalid debug level specified.');
+    }
+}
+
+export { log, setDebugLevel, currentDebugLevel };
@@ -0,0 +1,38 @@
+/**
+ * @file Password hashing
+ * @module utils/passwords
+ * @description Salted scrypt hashes for table passwords and account passwords, so no
+ * password is ever stored in the clear. Hashing runs on libuv's thread pool, so a login
+ * doesn't hold up play at every other table.
+ */
+
+import { randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+
+const scryptAsync = promisify(scrypt);
+
+/**
+ * Hashes a password with a salt
+ * @param {string} password - The password
+ * @param {string} [salt] - Salt to reuse when checking a password; a new one by default
+ * @returns {Promise<string>} "salt:hash" in hex
+ */
+export async function hashPassword(password, salt = randomBytes(16).toString('hex')) {
+    const hash = await scryptAsync(password, salt, 32);
+    return `${salt}:${hash.toString('hex')}`;
+}
+
+/**
+ * Checks a password against a hash from hashPassword, in constant time
+ * @param {string} password - Password given by the user
+ * @param {string} passwordHash - The stored "salt:hash"
+ * @returns {Promise<boolean>} True if the password matches
+ */
+export async function verifyPassword(password, passwordHash) {
+    if (typeof password !== 'string' || typeof passwordHash !== 'string') return false;
+
+    const [salt] = passwordHash.split(':');
+    const expected = Buffer.from(passwordHash);
+    const actual = Buffer.from(await hashPassword(password, salt));
+    return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
@@ -1,4 +1,4 @@
-import { PLAYER_ROLES, TEAMS } from '../config/constants.js';
+import { GAME_PHASES, PLAYER_ROLES, TEAMS } from '../config/constants.js';
 import { log, currentDebugLevel } from './logger.js';
 
 /**
@@ -21,7 +21,7 @@ export function isTeammate(player1Role, player2Role) {
  * @param {string} playerRole - The player's role
  * @returns {string} - The team name
  */
-function getTeamForPlayer(playerRole) {
+export function getTeamForPlayer(playerRole) {
   if (['north', 'south'].includes(playerRole)) {
     return 'north+south';
   } else if (['east', 'west'].includes(playerRole)) {
@@ -52,9 +52,10 @@ export function getPartner(playerRole) {
  * @param {boolean} [goingAlone=false] - Whether someone is going alone
  * @param {string} [playerGoingAlone] - The role of the player going alone
  * @param {string} [partnerSittingOut] - The role of the sitting out partner
+ * @param {string} [defenderPartnerSittingOut] - The role of the partner sitting out for a lone defender
  * @returns {string} The next player's role
  */
-export function getNextPlayer(currentPlayerRole, playerSlots, goingAlone = false, playerGoingAlone, partnerSittingOut) {
+export function getNextPlayer(currentPlayerRole, playerSlots, goingAlone = false, playerGoingAlone, partnerSittingOut, defenderPartnerSittingOut) {
     if (!currentPlayerRole || !playerSlots || playerSlots.length === 0) {
         log(currentDebugLevel, 'Invalid parameters for getNextPlayer');
         return undefined;
@@ -66,16 +67,17 @@ export function getNextPlayer(currentPlayerRole, playerSlots, goingAlone = false
         return undefined;
     }
 
-    let nextIndex = (currentIndex + 1) % playerSlots.length;
-    let nextPlayer = playerSlots[nextIndex];
+    // Skip the partner sitting out for a lone maker, and the lone defender's partner
+    // as well; with both sitting out, the two can be next to each other
+    const isSittingOut = role => (goingAlone && role === partnerSittingOut)
+        || (defenderPartnerSittingOut && role === defenderPartnerSittingOut);
 
-    // Skip the sitting out partner if someone is going alone
-    if (goingAlone && nextPlayer === partnerSittingOut) {
+    let nextIndex = (currentIndex + 1) % playerSlots.length;
+    while (isSittingOut(playerSlots[nextIndex]) && nextIndex !== currentIndex) {
         nextIndex = (nextIndex + 1) % playerSlots.length;
-        nextPlayer = playerSlots[nextIndex];
     }
 
-    return nextPlayer;
+    return playerSlots[nextIndex];
 }
 
 /**
@@ -108,6 +110,56 @@ export function getRoleBySocketId(gameState, socketId) {
     return playerEntry ? playerEntry[0] : null;
 }
 
+/**
+ * Gets a player's role by the token they were given when they sat down. Unlike the
+ * socket ID, the token survives a reconnect.
+ * @param {Object} gameState - The current game state
+ * @param {string} playerToken - The token to look up
+ * @returns {string|null} The player's role or null if not found
+ */
+export function getRoleByPlayerToken(gameState, playerToken) {
+    if (!gameState || !playerToken) return null;
+
+    const playerEntry = Object.entries(gameState.players).find(
+        ([_, player]) => player.playerToken === playerToken
+    );
+
+    return playerEntry ? playerEntry[0] : null;
+}
+
+/**
+ * Gets the seat held by an account at a table
+ * @param {Object} gameState - The current game state
+ * @param {string} userId - The account's id
+ * @returns {string|null} The player's role or null if not found
+ */
+export function getRoleByUserId(gameState, userId) {
+    if (!gameState || !userId) return null;
+
+    const playerEntry = Object.entries(gameState.players).find(
+        ([_, player]) => player.userId === userId
+    );
+
+    return playerEntry ? playerEntry[0] : null;
+}
+
+/**
+ * Gets the player whose move the game is waiting on. That is usually the current
+ * player, but the dealer discards and the maker decides whether to go alone.
+ * @param {Object} gameState - The current game state
+ * @returns {string|null} The player's role or null if nobody has to act
+ */
+export function getPlayerToAct(gameState) {
+    switch (gameState.currentPhase) {
+        case GAME_PHASES.DEALER_DISCARD:
+            return gameState.dealer || null;
+        case GAME_PHASES.GO_ALONE:
+            return gameState.playerWhoCalledTrump || null;
+        default:
+            return gameState.currentPlayer || null;
+    }
+}
+
 /**
  * Initializes the players object with default values
  * @returns {Object} The initialized players object
@@ -0,0 +1,186 @@
+/**
+ * @file dealing.unit.test.js - Unit tests for the Dealing phase and table rule variants
+ * @module test/dealing.unit
+ * @description Test suite for dealing a new hand and the house rules that act on the deal:
+ * - Dealing five cards to each seat and turning up the kitty
+ * - Reproducible deals from a stored seed
+ * - Farmer's hand swaps
+ * - No-ace/no-face misdeals
+ * - Stick-the-dealer versus redeal when everyone passes
+ *
+ * @requires chai
+ * @requires ../src/game/phases/dealing.js
+ * @requires ../src/game/phases/bidding.js
+ * @requires ../src/game/rules.js
+ */
+
+import { expect } from 'chai';
+import { startNewHand, dealFromSeed, handleMisdealCall, handleFarmersHand } from '../../src/game/phases/dealing.js';
+import { handleCallTrumpDecision } from '../../src/game/phases/bidding.js';
+import { createRules, ALL_PASS_RULES } from '../../src/game/rules.js';
+import { createGameState } from '../../src/game/state.js';
+import { GAME_PHASES } from '../../src/config/constants.js';
+
+const FARMERS_HAND = [
+    { rank: '9', suit: 'hearts' },
+    { rank: '10', suit: 'hearts' },
+    { rank: '9', suit: 'clubs' },
+    { rank: '10', suit: 'spades' },
+    { rank: '9', suit: 'diamonds' }
+];
+
+describe('Dealing Phase', () => {
+    let gameState;
+
+    beforeEach(() => {
+        gameState = createGameState({ gameId: 'test-game' });
+    });
+
+    describe('startNewHand', () => {
+        it('should deal five cards to every seat and turn up a card', () => {
+            const result = startNewHand(gameState);
+
+            result.playerOrder.forEach(role => {
+                expect(result.players[role].hand).to.have.lengthOf(5);
+            });
+            expect(result.kitty).to.have.lengthOf(3);
+            expect(result.upCard).to.have.property('suit');
+            expect(result.currentPhase).to.equal(GAME_PHASES.ORDER_UP_ROUND1);
+        });
+
+        it('should pass the deal to the left on each new hand', () => {
+            const first = startNewHand(gameState);
+            const second = startNewHand(first);
+
+            expect(first.dealer).to.equal(first.playerOrder[0]);
+            expect(second.dealer).to.equal(first.playerOrder[1]);
+            expect(second.currentPlayer).to.equal(first.playerOrder[2]);
+        });
+    });
+
+    describe('seeded deals', () => {
+        it('should store the seed used for the deal', () => {
+            const result = startNewHand(gameState, { seed: 12345 });
+
+            expect(result.dealSeed).to.equal(12345);
+        });
+
+        it('should deal identical hands from the same seed', () => {
+            const first = startNewHand(gameState, { seed: 'club-night-board-1' });
+            const second = startNewHand(gameState, { seed: 'club-night-board-1' });
+
+            first.playerOrder.forEach(role => {
+                expect(second.players[role].hand).to.deep.equal(first.players[role].hand);
+            });
+            expect(second.upCard).to.deep.equal(first.upCard);
+            expect(second.kitty).to.deep.equal(first.kitty);
+        });
+
+        it('should reproduce a dealt hand from its seed and dealer', () => {
+            const dealt = startNewHand(gameState);
+
+            const { hands, upCard } = dealFromSeed(dealt.dealSeed, dealt.dealer, dealt.playerOrder);
+
+            dealt.playerOrder.forEach(role => {
+                expect(hands[role]).to.deep.equal(dealt.players[role].hand);
+            });
+            expect(upCard).to.deep.equal(dealt.upCard);
+        });
+
+        it('should deal different hands from different seeds', () => {
+            const first = startNewHand(gameState, { seed: 1 });
+            const second = startNewHand(gameState, { seed: 2 });
+
+            expect(second.players.west.hand).to.not.deep.equal(first.players.west.hand);
+        });
+    });
+
+    describe('handleMisdealCall', () => {
+        it('should redeal with the same dealer when the rule is enabled', () => {
+            const dealt = startNewHand({ ...gameState, rules: createRules({ noAceNoFaceMisdeal: true }) });
+            dealt.players.west.hand = [...FARMERS_HAND];
+
+            const result = handleMisdealCall(dealt, 'west');
+
+            expect(result.dealer).to.equal(dealt.dealer);
+            expect(result.messages.some(m => m.text.includes('called a misdeal'))).to.be.true;
+        });
+
+        it('should reject a misdeal when the rule is disabled', () => {
+            const dealt = startNewHand(gameState);
+            dealt.players.west.hand = [...FARMERS_HAND];
+
+            expect(() => handleMisdealCall(dealt, 'west')).to.throw('not allowed');
+        });
+
+        it('should reject a misdeal for a hand holding a face card', () => {
+            const dealt = startNewHand({ ...gameState, rules: createRules({ noAceNoFaceMisdeal: true }) });
+            dealt.players.west.hand = [...FARMERS_HAND.slice(1), { rank: 'K', suit: 'clubs' }];
+
+            expect(() => handleMisdealCall(dealt, 'west')).to.throw('no aces and no face cards');
+        });
+    });
+
+    describe('handleFarmersHand', () => {
+        it('should exchange three cards with the face-down kitty', () => {
+            const dealt = startNewHand({ ...gameState, rules: createRules({ farmersHand: true }) });
+            dealt.players.west.hand = [...FARMERS_HAND];
+            const kitty = [...dealt.kitty];
+
+            const result = handleFarmersHand(dealt, 'west', FARMERS_HAND.slice(0, 3));
+
+            expect(result.players.west.hand).to.have.lengthOf(5);
+            expect(result.players.west.hand).to.include.deep.members(kitty);
+            expect(result.kitty).to.deep.equal(FARMERS_HAND.slice(0, 3));
+            expect(result.farmersHandUsed).to.be.true;
+        });
+
+        it('should only allow one swap per hand', () => {
+            const dealt = startNewHand({ ...gameState, rules: createRules({ farmersHand: true }) });
+            dealt.players.west.hand = [...FARMERS_HAND];
+
+            const swapped = handleFarmersHand(dealt, 'west', FARMERS_HAND.slice(0, 3));
+            swapped.players.west.hand = [...FARMERS_HAND];
+
+            expect(() => handleFarmersHand(swapped, 'west', FARMERS_HAND.slice(0, 3))).to.throw('already been swapped');
+        });
+    });
+
+    describe('all players pass', () => {
+        const secondRound = (rules) => ({
+            ...startNewHand({ ...gameState, rules: createRules(rules) }),
+            currentPhase: GAME_PHASES.CALL_TRUMP
+        });
+
+        it('should stick the dealer by default', () => {
+            const state = secondRound({});
+            const beforeDealer = state.playerOrder[3];
+
+            const result = handleCallTrumpDecision(state, beforeDealer, null);
+
+            expect(result.currentPhase).to.equal(GAME_PHASES.DEALER_MUST_CALL);
+            expect(result.currentPlayer).to.equal(state.dealer);
+            expect(() => handleCallTrumpDecision(result, state.dealer, null)).to.throw('Dealer must call');
+        });
+
+        it('should let the dealer pass and redeal when playing redeal', () => {
+            const state = secondRound({ allPass: ALL_PASS_RULES.REDEAL });
+            const beforeDealer = state.playerOrder[3];
+
+            const atDealer = handleCallTrumpDecision(state, beforeDealer, null);
+            expect(atDealer.currentPlayer).to.equal(state.dealer);
+
+            const result = handleCallTrumpDecision(atDealer, state.dealer, null);
+
+            expect(result.currentPhase).to.equal(GAME_PHASES.ORDER_UP_ROUND1);
+            expect(result.dealer).to.equal(state.playerOrder[1]);
+        });
+    });
+
+    describe('createRules', () => {
+        it('should reject unknown rules and invalid values', () => {
+            expect(() => createRules({ bogus: true })).to.throw('Unknown rule');
+            expect(() => createRules({ allPass: 'sometimes' })).to.throw('Invalid value');
+        });
+    });
+});
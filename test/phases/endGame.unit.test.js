@@ -16,7 +16,9 @@
 
 import { expect } from 'chai';
 import { checkGameOver, handleEndOfHand, startNewGame } from '../../src/game/phases/endGame.js';
-import { GAME_PHASES, WINNING_SCORE } from '../../src/config/constants.js';
+import { GAME_PHASES, WINNING_SCORE, HAND_POINTS, SCORING_RULES } from '../../src/config/constants.js';
+import { createRules } from '../../src/game/rules.js';
+import { createGameState } from '../../src/game/state.js';
 
 /**
  * @description Test suite for the End Game Phase of the Euchre game.
@@ -125,6 +127,108 @@ describe('End Game Phase', () => {
                 m.text.includes('was euchred! 2 points for')
             )).to.be.true;
         });
+        
+        /**
+         * @test {handleEndOfHand}
+         * @description Verifies that makers who take one or two tricks are euchred too,
+         * for the same 2 points as taking none.
+         */
+        it('should award 2 points for euchre when the makers take 1 or 2 tricks', () => {
+            [1, 2].forEach(makerTricks => {
+                const state = {
+                    ...gameState,
+                    scores: { 'north+south': 0, 'east+west': 0 },
+                    tricks: [
+                        ...Array(makerTricks).fill({ team: 'north+south' }),
+                        ...Array(5 - makerTricks).fill({ team: 'east+west' })
+                    ]
+                };
+
+                const result = handleEndOfHand(state);
+                const scoreMessage = result.messages.find(m => m.type === 'score');
+
+                expect(result.scores['east+west']).to.equal(HAND_POINTS.EUCHRE);
+                expect(scoreMessage.rule).to.equal(SCORING_RULES.EUCHRE);
+                expect(scoreMessage.text).to.include('Rule: makers took fewer than 3 tricks');
+            });
+        });
+
+        /**
+         * @test {handleEndOfHand}
+         * @description Verifies that a maker going alone and taking all 5 tricks scores 4 points
+         * and that the score message names the lone march rule.
+         */
+        it('should award 4 points for a lone hand march', () => {
+            gameState.scores['north+south'] = 0;
+            gameState.goingAlone = true;
+            gameState.playerGoingAlone = 'north';
+            gameState.partnerSittingOut = 'south';
+            gameState.tricks = Array(5).fill({ team: 'north+south' });
+            
+            const result = handleEndOfHand(gameState);
+            
+            expect(result.scores['north+south']).to.equal(HAND_POINTS.LONE_MARCH);
+            const scoreMessage = result.messages.find(m => m.type === 'score');
+            expect(scoreMessage.rule).to.equal(SCORING_RULES.LONE_MARCH);
+            expect(scoreMessage.points).to.equal(4);
+            expect(scoreMessage.text).to.include('lone hand march! 4 points!');
+            expect(scoreMessage.text).to.include('Rule: lone hand took all 5 tricks');
+        });
+        
+        /**
+         * @test {handleEndOfHand}
+         * @description Verifies that a lone hand taking only 3 tricks scores a single point.
+         */
+        it('should award 1 point when a lone hand takes 3 tricks', () => {
+            gameState.scores['north+south'] = 0;
+            gameState.goingAlone = true;
+            gameState.playerGoingAlone = 'north';
+            gameState.tricks = [
+                ...Array(3).fill({ team: 'north+south' }),
+                ...Array(2).fill({ team: 'east+west' })
+            ];
+            
+            const result = handleEndOfHand(gameState);
+            
+            expect(result.scores['north+south']).to.equal(1);
+            expect(result.messages.find(m => m.type === 'score').rule).to.equal(SCORING_RULES.LONE_MADE);
+        });
+        
+        /**
+         * @test {handleEndOfHand}
+         * @description Verifies that a lone defender who euchres the makers scores the default bonus.
+         */
+        it('should award the defend alone bonus when a lone defender euchres the makers', () => {
+            gameState.scores['east+west'] = 0;
+            gameState.defenderGoingAlone = 'east';
+            gameState.defenderPartnerSittingOut = 'west';
+            gameState.tricks = [
+                ...Array(4).fill({ team: 'east+west' }),
+                { team: 'north+south' }
+            ];
+            
+            const result = handleEndOfHand(gameState);
+            
+            expect(result.scores['east+west']).to.equal(HAND_POINTS.DEFEND_ALONE_BONUS);
+            const scoreMessage = result.messages.find(m => m.type === 'score');
+            expect(scoreMessage.rule).to.equal(SCORING_RULES.DEFEND_ALONE_EUCHRE);
+            expect(scoreMessage.team).to.equal('east+west');
+        });
+        
+        /**
+         * @test {handleEndOfHand}
+         * @description Verifies that the defend alone bonus can be configured per game.
+         */
+        it('should use a configured defend alone bonus', () => {
+            gameState.scores['east+west'] = 0;
+            gameState.defenderGoingAlone = 'east';
+            gameState.rules = createRules({ allowDefendAlone: true, defendAloneBonus: 6 });
+            gameState.tricks = Array(5).fill({ team: 'east+west' });
+            
+            const result = handleEndOfHand(gameState);
+            
+            expect(result.scores['east+west']).to.equal(6);
+        });
     });
 
     /**
@@ -175,6 +279,80 @@ describe('End Game Phase', () => {
         });
     });
 
+    /**
+     * @description Test suite for per-table winning scores and best-of-N matches.
+     */
+    describe('winning score and match formats', () => {
+        /**
+         * @test {checkGameOver}
+         * @description Verifies that a table's configured winning score is used instead of the default.
+         */
+        it('should end the game at the table winning score', () => {
+            gameState.rules = createRules({ winningScore: 5 });
+            gameState.scores = { 'north+south': 5, 'east+west': 2 };
+            
+            const result = checkGameOver(gameState);
+            
+            expect(result.gameOver).to.be.true;
+            expect(result.winningTeam).to.equal('north+south');
+        });
+        
+        /**
+         * @test {checkGameOver}
+         * @description Verifies that winning a game doesn't end a best-of-3 match early.
+         */
+        it('should not end a match before a team wins enough games', () => {
+            gameState.rules = createRules({ matchLength: 3 });
+            gameState.scores['north+south'] = WINNING_SCORE;
+            
+            const result = checkGameOver(gameState);
+            
+            expect(result.currentPhase).to.equal(GAME_PHASES.GAME_OVER);
+            expect(result.matchOver).to.be.undefined;
+        });
+        
+        /**
+         * @test {checkGameOver}
+         * @description Verifies that the match ends with a match winner once a team wins the majority of games.
+         */
+        it('should declare a match winner after the deciding game', () => {
+            gameState.rules = createRules({ matchLength: 3 });
+            gameState.scores['east+west'] = WINNING_SCORE;
+            gameState.matchStats = { gamesPlayed: 2, teamWins: { 'north+south': 1, 'east+west': 1 } };
+            
+            const result = checkGameOver(gameState);
+            
+            expect(result.matchOver).to.be.true;
+            expect(result.matchWinner).to.equal('east+west');
+            expect(result.currentPhase).to.equal(GAME_PHASES.MATCH_OVER);
+            expect(result.messages.some(m => 
+                m.type === 'match_over' && 
+                m.text.includes('east+west wins the match 2-1!')
+            )).to.be.true;
+        });
+        
+        /**
+         * @test {startNewGame}
+         * @description Verifies that the next game of a match keeps the table together instead of returning to the lobby.
+         */
+        it('should deal the next game of a match without returning to the lobby', () => {
+            const midMatch = {
+                ...createGameState({ rules: { matchLength: 3 } }),
+                gameOver: true,
+                currentPhase: GAME_PHASES.GAME_OVER,
+                scores: { 'north+south': 10, 'east+west': 4 },
+                matchStats: { gamesPlayed: 1, teamWins: { 'north+south': 1, 'east+west': 0 } }
+            };
+            
+            const result = startNewGame(midMatch);
+            
+            expect(result.currentPhase).to.equal(GAME_PHASES.ORDER_UP_ROUND1);
+            expect(Object.keys(result.players)).to.have.lengthOf(4);
+            expect(result.scores).to.deep.equal({ 'north+south': 0, 'east+west': 0 });
+            expect(result.matchStats.gamesPlayed).to.equal(1);
+        });
+    });
+
     /**
      * @description Test suite for the startNewGame function.
      * Tests the game state reset functionality for starting a new game.
@@ -0,0 +1,161 @@
+/**
+ * @file goAlone.unit.test.js - Unit tests for the go-alone decision
+ * @module test/goAlone.unit
+ * @description Test suite for the maker's decision to go alone once trump is made:
+ * - Only the maker decides, and only in the GO_ALONE phase
+ * - Going alone sits the partner out and play starts left of the dealer
+ * - A lone hand plays through to scoring with three players per trick
+ * - Tables that allow it ask each defender in turn whether to defend alone
+ *
+ * @requires chai
+ * @requires ../src/game/phases/bidding.js
+ * @requires ../src/game/phases/playing.js
+ */
+
+import { expect } from 'chai';
+import { startNewHand } from '../../src/game/phases/dealing.js';
+import { handleOrderUpDecision, handleDealerDiscard, handleGoAloneDecision, handleDefendAloneDecision } from '../../src/game/phases/bidding.js';
+import { handlePlayCard, getLegalPlays } from '../../src/game/phases/playing.js';
+import { createGameState } from '../../src/game/state.js';
+import { getNextPlayer, getPartner } from '../../src/utils/players.js';
+import { GAME_PHASES } from '../../src/config/constants.js';
+
+/**
+ * Deals a hand, has the first bidder order the dealer up and the dealer discard,
+ * leaving the game waiting on the maker's go-alone decision
+ */
+function orderUpAndDiscard(rules = {}) {
+    const dealt = startNewHand(createGameState({ gameId: 'test-game', rules }), { seed: 42 });
+    const maker = dealt.currentPlayer;
+    const ordered = handleOrderUpDecision(dealt, maker, true);
+    const [discard] = ordered.players[ordered.dealer].hand;
+
+    return { maker, gameState: handleDealerDiscard(ordered, ordered.dealer, discard) };
+}
+
+describe('Go Alone Phase', () => {
+    describe('handleGoAloneDecision', () => {
+        it('should wait on the maker once the dealer has discarded', () => {
+            const { maker, gameState } = orderUpAndDiscard();
+
+            expect(gameState.currentPhase).to.equal(GAME_PHASES.GO_ALONE);
+            expect(gameState.playerWhoCalledTrump).to.equal(maker);
+        });
+
+        it('should only let the maker decide, and only in the go alone phase', () => {
+            const { maker, gameState } = orderUpAndDiscard();
+            const other = gameState.playerOrder.find(role => role !== maker);
+
+            expect(() => handleGoAloneDecision(gameState, other, true))
+                .to.throw('Only the player who called trump can go alone');
+            expect(() => handleGoAloneDecision({ ...gameState, currentPhase: GAME_PHASES.PLAYING }, maker, true))
+                .to.throw('Not in go alone phase');
+        });
+
+        it('should sit the partner out and start play left of the dealer', () => {
+            const { maker, gameState } = orderUpAndDiscard();
+            const result = handleGoAloneDecision(gameState, maker, true);
+
+            expect(result.currentPhase).to.equal(GAME_PHASES.PLAYING);
+            expect(result).to.include({ goingAlone: true, playerGoingAlone: maker });
+            expect(result.partnerSittingOut).to.not.equal(maker);
+            expect(result.currentPlayer).to.not.equal(result.partnerSittingOut);
+            expect(result.handRecord.goAlone).to.deep.equal({ player: maker, alone: true });
+        });
+
+        it('should play with the partner when the maker declines', () => {
+            const { maker, gameState } = orderUpAndDiscard();
+            const result = handleGoAloneDecision(gameState, maker, false);
+            const leftOfDealer = result.playerOrder[(result.playerOrder.indexOf(result.dealer) + 1) % 4];
+
+            expect(result).to.include({ goingAlone: false, playerGoingAlone: null, partnerSittingOut: null });
+            expect(result.currentPlayer).to.equal(leftOfDealer);
+        });
+
+        it('should play a lone hand through to scoring with three players per trick', () => {
+            const { maker, gameState } = orderUpAndDiscard();
+            let state = handleGoAloneDecision(gameState, maker, true);
+            const partner = state.partnerSittingOut;
+
+            while (state.currentPhase === GAME_PHASES.PLAYING && state.handHistory.length === 0) {
+                const [card] = getLegalPlays(state, state.currentPlayer);
+                state = handlePlayCard(state, state.currentPlayer, card);
+            }
+
+            const [hand] = state.handHistory;
+            expect(hand.tricks).to.have.lengthOf(5);
+            hand.tricks.forEach(trick => {
+                expect(trick.plays).to.have.lengthOf(3);
+                expect(trick.plays.map(play => play.player)).to.not.include(partner);
+            });
+            expect(hand.goAlone).to.deep.equal({ player: maker, alone: true });
+        });
+    });
+
+    describe('handleDefendAloneDecision', () => {
+        /** Leaves the game waiting on the defender left of the maker */
+        function makerDecides(goAlone) {
+            const { maker, gameState } = orderUpAndDiscard({ allowDefendAlone: true });
+            const state = handleGoAloneDecision(gameState, maker, goAlone);
+            return { maker, defender: getNextPlayer(maker, state.playerOrder), state };
+        }
+
+        it('should start play straight away at tables that don\'t allow it', () => {
+            const { maker, gameState } = orderUpAndDiscard();
+
+            expect(handleGoAloneDecision(gameState, maker, false).currentPhase).to.equal(GAME_PHASES.PLAYING);
+        });
+
+        it('should ask the defender left of the maker first', () => {
+            const { defender, state } = makerDecides(false);
+
+            expect(state.currentPhase).to.equal(GAME_PHASES.DEFEND_ALONE);
+            expect(state.currentPlayer).to.equal(defender);
+        });
+
+        it('should only let a defender decide, and only in the defend alone phase', () => {
+            const { maker, defender, state } = makerDecides(false);
+
+            expect(() => handleDefendAloneDecision(state, getPartner(maker), true))
+                .to.throw('Only a defender can defend alone');
+            expect(() => handleDefendAloneDecision({ ...state, currentPhase: GAME_PHASES.PLAYING }, defender, true))
+                .to.throw('Not in defend alone phase');
+        });
+
+        it('should ask the partner when the first defender declines, then start play', () => {
+            const { defender, state } = makerDecides(false);
+            const declined = handleDefendAloneDecision(state, defender, false);
+
+            expect(declined.currentPhase).to.equal(GAME_PHASES.DEFEND_ALONE);
+            expect(declined.currentPlayer).to.equal(getPartner(defender));
+
+            const playing = handleDefendAloneDecision(declined, getPartner(defender), false);
+            const leftOfDealer = getNextPlayer(playing.dealer, playing.playerOrder);
+            expect(playing.currentPhase).to.equal(GAME_PHASES.PLAYING);
+            expect(playing).to.include({ defenderGoingAlone: null, defenderPartnerSittingOut: null, currentPlayer: leftOfDealer });
+        });
+
+        it('should sit the defender\'s partner out and start play without them', () => {
+            const { defender, state } = makerDecides(false);
+            const result = handleDefendAloneDecision(state, defender, true);
+
+            expect(result.currentPhase).to.equal(GAME_PHASES.PLAYING);
+            expect(result).to.include({ defenderGoingAlone: defender, defenderPartnerSittingOut: getPartner(defender) });
+            expect(result.currentPlayer).to.not.equal(getPartner(defender));
+            expect(result.trickLeader).to.equal(result.currentPlayer);
+            expect(result.handRecord.defendAlone).to.equal(defender);
+        });
+
+        it('should play a hand with both a lone maker and a lone defender two to a trick', () => {
+            const { defender, state } = makerDecides(true);
+            let played = handleDefendAloneDecision(state, defender, true);
+
+            while (played.currentPhase === GAME_PHASES.PLAYING && played.handHistory.length === 0) {
+                const [card] = getLegalPlays(played, played.currentPlayer);
+                played = handlePlayCard(played, played.currentPlayer, card);
+            }
+
+            played.handHistory[0].tricks.forEach(trick => expect(trick.plays).to.have.lengthOf(2));
+        });
+    });
+});
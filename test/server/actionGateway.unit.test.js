@@ -0,0 +1,121 @@
+/**
+ * @file actionGateway.unit.test.js - Unit tests for authorizing player actions
+ * @module test/server/actionGateway.unit
+ * @description Tests that actions are refused from the wrong seat, in the wrong phase
+ * or while the game is paused, each with its error code, and that socket events map
+ * onto actions for the caller's own seat.
+ *
+ * @requires chai
+ * @requires ../src/game/actions.js
+ * @requires ../src/socket/actionGateway.js
+ */
+
+import { expect } from 'chai';
+import { applyAction, authorizeAction, ActionError, ACTION_ERRORS } from '../../src/game/actions.js';
+import { toAction, getActingSeat } from '../../src/socket/actionGateway.js';
+import { TableManager } from '../../src/game/tableManager.js';
+import { takeSeat, holdSeat } from '../../src/game/seating.js';
+import { startNewHand } from '../../src/game/phases/dealing.js';
+import { getNextPlayer } from '../../src/utils/players.js';
+import { GAME_EVENTS } from '../../src/config/constants.js';
+
+/**
+ * Gets the code of the ActionError a function throws
+ */
+function errorCode(fn) {
+    try {
+        fn();
+    } catch (error) {
+        expect(error).to.be.an.instanceOf(ActionError);
+        return error.code;
+    }
+    throw new Error('Expected an ActionError');
+}
+
+describe('Action gateway', function() {
+    let tables;
+    let gameId;
+    let state;
+
+    beforeEach(function() {
+        tables = new TableManager();
+        ({ gameId } = tables.createTable());
+        state = tables.updateTable(gameId, (table) => {
+            let seated = table;
+            seated.playerOrder.forEach((role) => {
+                seated = takeSeat(seated, role, { socketId: `socket-${role}`, userId: `user-${role}` });
+            });
+            return startNewHand(seated);
+        });
+    });
+
+    describe('authorizeAction', function() {
+        it('should let the player whose turn it is act', function() {
+            const pass = { type: 'orderUp', orderedUp: false };
+
+            expect(() => authorizeAction(state, state.currentPlayer, pass)).to.not.throw();
+            expect(applyAction(state, state.currentPlayer, pass).currentPlayer).to.not.equal(state.currentPlayer);
+        });
+
+        it('should refuse a player acting out of turn', function() {
+            const other = getNextPlayer(state.currentPlayer, state.playerOrder);
+
+            expect(errorCode(() => applyAction(state, other, { type: 'orderUp', orderedUp: true }))).to.equal(ACTION_ERRORS.NOT_YOUR_TURN);
+        });
+
+        it('should refuse an action in the wrong phase', function() {
+            const discard = { type: 'discard', card: state.players[state.dealer].hand[0] };
+
+            expect(errorCode(() => applyAction(state, state.dealer, discard))).to.equal(ACTION_ERRORS.WRONG_PHASE);
+        });
+
+        it('should refuse an unknown action', function() {
+            expect(errorCode(() => applyAction(state, state.currentPlayer, { type: 'cheat' }))).to.equal(ACTION_ERRORS.UNKNOWN_ACTION);
+        });
+
+        it('should refuse every action while the game is paused', function() {
+            const paused = holdSeat(state, 'north', Date.now() + 1000);
+            const pass = { type: 'orderUp', orderedUp: false };
+
+            expect(errorCode(() => applyAction(paused, state.currentPlayer, pass))).to.equal(ACTION_ERRORS.GAME_PAUSED);
+        });
+
+        it('should pass on a move the phase function refuses as invalid', function() {
+            const ordered = applyAction(state, state.currentPlayer, { type: 'orderUp', orderedUp: true });
+            const notInHand = { type: 'discard', card: { suit: 'hearts', rank: 'Z' } };
+
+            expect(errorCode(() => applyAction(ordered, ordered.dealer, notInHand))).to.equal(ACTION_ERRORS.INVALID_ACTION);
+        });
+    });
+
+    describe('toAction', function() {
+        it('should map the per-move events onto actions', function() {
+            expect(toAction(GAME_EVENTS.ACTION_ORDER_UP, { decision: true })).to.deep.equal({ type: 'orderUp', orderedUp: true });
+            expect(toAction(GAME_EVENTS.ACTION_CALL_TRUMP, { suit: null })).to.deep.equal({ type: 'callTrump', suit: null });
+            expect(toAction(GAME_EVENTS.ACTION_DEFEND_ALONE, { decision: true })).to.deep.equal({ type: 'defendAlone', defendAlone: true });
+            expect(toAction(GAME_EVENTS.ACTION_PLAY_CARD, { card: { suit: 'clubs', value: 'A' } }).card)
+                .to.include({ suit: 'clubs', rank: 'A' });
+        });
+
+        it('should pass player_action through as it is', function() {
+            const action = { type: 'goAlone', goAlone: false };
+            expect(toAction(GAME_EVENTS.PLAYER_ACTION, action)).to.equal(action);
+        });
+    });
+
+    describe('getActingSeat', function() {
+        const socketFor = data => ({ data: { gameId, ...data } });
+
+        it('should give the seat held by the socket\'s identity', function() {
+            const socket = socketFor({ role: 'west', user: { id: 'user-west' } });
+            expect(getActingSeat(tables, socket)).to.deep.equal({ gameId, role: 'west' });
+        });
+
+        it('should refuse spectators, strangers and someone else\'s seat', function() {
+            expect(errorCode(() => getActingSeat(tables, socketFor({ spectating: true })))).to.equal(ACTION_ERRORS.SPECTATOR);
+            expect(errorCode(() => getActingSeat(tables, { data: {} }))).to.equal(ACTION_ERRORS.NOT_SEATED);
+            expect(errorCode(() => getActingSeat(tables, socketFor({ role: 'west', user: { id: 'user-east' } }))))
+                .to.equal(ACTION_ERRORS.NOT_YOUR_SEAT);
+        });
+    });
+});
@@ -0,0 +1,135 @@
+/**
+ * @file botPlayer.unit.test.js - Unit tests for computer opponents
+ * @module test/server/botPlayer.unit
+ * @description Tests seating bots in empty seats, bot decisions at each difficulty,
+ * and full hands played by bots through the regular phase functions.
+ *
+ * @requires chai
+ * @requires ../src/game/bots/botPlayer.js
+ */
+
+import { expect } from 'chai';
+import {
+    fillEmptySeats,
+    getBotToAct,
+    chooseBotAction,
+    takeBotTurn,
+    BOT_DIFFICULTY
+} from '../../src/game/bots/botPlayer.js';
+import { createGameState } from '../../src/game/state.js';
+import { startNewHand } from '../../src/game/phases/dealing.js';
+import { GAME_PHASES } from '../../src/config/constants.js';
+
+const MAX_BOT_TURNS = 200;
+
+/**
+ * Lets bots act until the hand is scored, the cards are redealt or a human has to act
+ */
+function playOutHand(state) {
+    let current = state;
+    for (let turn = 0; turn < MAX_BOT_TURNS && getBotToAct(current); turn++) {
+        current = takeBotTurn(current, () => 0.5);
+        if (current.dealSeed !== state.dealSeed || current.messages.some(m => m.type === 'score')) break;
+    }
+    return current;
+}
+
+describe('Bot players', () => {
+    let gameState;
+
+    beforeEach(() => {
+        gameState = createGameState({ gameId: 'bot-game' });
+    });
+
+    describe('fillEmptySeats', () => {
+        it('should seat bots only in seats without a player', () => {
+            gameState.players.south = { ...gameState.players.south, name: 'Alice', socketId: 'socket-1' };
+
+            const result = fillEmptySeats(gameState, BOT_DIFFICULTY.HARD);
+
+            expect(result.players.south.isBot).to.not.be.true;
+            ['west', 'north', 'east'].forEach(role => {
+                expect(result.players[role]).to.include({ isBot: true, botDifficulty: 'hard' });
+            });
+        });
+
+        it('should reject an unknown difficulty', () => {
+            expect(() => fillEmptySeats(gameState, 'impossible')).to.throw('Unknown bot difficulty');
+        });
+    });
+
+    describe('getBotToAct', () => {
+        it('should not act for a human player', () => {
+            gameState.players.south = { ...gameState.players.south, socketId: 'socket-1' };
+            const state = startNewHand(fillEmptySeats(gameState));
+
+            const humanTurn = { ...state, currentPlayer: 'south' };
+
+            expect(getBotToAct(humanTurn)).to.be.null;
+            expect(takeBotTurn(humanTurn)).to.equal(humanTurn);
+        });
+    });
+
+    describe('chooseBotAction', () => {
+        it('should order up with three trump', () => {
+            const state = startNewHand(fillEmptySeats(gameState), { seed: 7 });
+            const role = state.currentPlayer;
+            state.upCard = { rank: '9', suit: 'hearts' };
+            state.players[role].hand = [
+                { rank: 'J', suit: 'hearts' },
+                { rank: 'A', suit: 'hearts' },
+                { rank: 'K', suit: 'hearts' },
+                { rank: '9', suit: 'clubs' },
+                { rank: '10', suit: 'spades' }
+            ];
+
+            expect(chooseBotAction(state, role)).to.deep.equal({ type: 'orderUp', orderedUp: true });
+        });
+
+        it('should name a suit when the dealer is stuck', () => {
+            const state = {
+                ...startNewHand(fillEmptySeats(gameState), { seed: 7 }),
+                currentPhase: GAME_PHASES.DEALER_MUST_CALL
+            };
+
+            const action = chooseBotAction(state, state.dealer);
+
+            expect(action.type).to.equal('callTrump');
+            expect(action.suit).to.be.a('string').and.not.equal(state.upCard.suit);
+        });
+
+        it('should only defend alone as a hard bot holding four trump', () => {
+            const dealt = startNewHand(fillEmptySeats(gameState, BOT_DIFFICULTY.HARD), { seed: 7 });
+            const role = 'south';
+            const state = { ...dealt, currentPhase: GAME_PHASES.DEFEND_ALONE, currentPlayer: role, trumpSuit: 'spades' };
+            state.players[role].hand = [
+                { rank: 'J', suit: 'spades' },
+                { rank: 'J', suit: 'clubs' },
+                { rank: 'A', suit: 'spades' },
+                { rank: 'K', suit: 'spades' },
+                { rank: '9', suit: 'hearts' }
+            ];
+
+            expect(chooseBotAction(state, role)).to.deep.equal({ type: 'defendAlone', defendAlone: true });
+
+            state.players[role].botDifficulty = BOT_DIFFICULTY.MEDIUM;
+            expect(chooseBotAction(state, role)).to.deep.equal({ type: 'defendAlone', defendAlone: false });
+        });
+    });
+
+    describe('full hands', () => {
+        Object.values(BOT_DIFFICULTY).forEach(difficulty => {
+            it(`should play a legal hand to a score with ${difficulty} bots`, () => {
+                [1, 2, 3, 4, 5].forEach(seed => {
+                    const state = startNewHand(fillEmptySeats(gameState, difficulty), { seed });
+
+                    const result = playOutHand(state);
+                    const scored = result.messages.some(m => m.type === 'score');
+                    const redealt = result.dealSeed !== state.dealSeed;
+
+                    expect(scored || redealt, `seed ${seed}`).to.be.true;
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,108 @@
+/**
+ * @file chat.unit.test.js - Unit tests for table chat
+ * @module test/server/chat.unit
+ * @description Tests quick phrases, the profanity filter, table talk during a hand,
+ * the history limit and muting.
+ *
+ * @requires chai
+ * @requires ../src/game/chat.js
+ */
+
+import { expect } from 'chai';
+import {
+    QUICK_PHRASES,
+    MAX_CHAT_LENGTH,
+    CHAT_HISTORY_LIMIT,
+    filterProfanity,
+    createChatMessage,
+    addChatMessage,
+    setPlayerMuted,
+    isMuted
+} from '../../src/game/chat.js';
+import { takeSeat } from '../../src/game/seating.js';
+import { createGameState } from '../../src/game/state.js';
+import { getPlayerView } from '../../src/socket/broadcast.js';
+import { GAME_PHASES } from '../../src/config/constants.js';
+
+describe('Chat', function() {
+    let state;
+
+    beforeEach(function() {
+        state = takeSeat(createGameState({ gameId: 'g1' }), 'south', { socketId: 's1', name: 'Alice' });
+        state = takeSeat(state, 'west', { socketId: 's2', name: 'Bob' });
+    });
+
+    describe('filterProfanity', function() {
+        it('should star out blocked words, look-alikes included', function() {
+            expect(filterProfanity('Oh shit, that was a SH1T lead')).to.equal('Oh ****, that was a **** lead');
+        });
+
+        it('should leave words that only contain a blocked word alone', function() {
+            expect(filterProfanity('A classic Scunthorpe assassination')).to.equal('A classic Scunthorpe assassination');
+        });
+    });
+
+    describe('createChatMessage', function() {
+        it('should send a quick phrase by its key', function() {
+            const message = createChatMessage(state, 'south', { phraseId: 'nice_hand' });
+
+            expect(message).to.include({ role: 'south', name: 'Alice', phraseId: 'nice_hand', text: QUICK_PHRASES.nice_hand });
+        });
+
+        it('should refuse an unknown phrase, an empty message or one that is too long', function() {
+            expect(() => createChatMessage(state, 'south', { phraseId: 'taunt' })).to.throw('Unknown quick phrase');
+            expect(() => createChatMessage(state, 'south', { text: '   ' })).to.throw('Message is empty');
+            expect(() => createChatMessage(state, 'south', { text: 'x'.repeat(MAX_CHAT_LENGTH + 1) })).to.throw('at most');
+        });
+
+        it('should filter free text', function() {
+            expect(createChatMessage(state, 'south', { text: 'damn it' }).text).to.equal('**** it');
+        });
+
+        it('should only allow quick phrases during a hand unless the table allows table talk', function() {
+            const playing = { ...state, currentPhase: GAME_PHASES.PLAYING };
+
+            expect(() => createChatMessage(playing, 'south', { text: 'I have both bowers' })).to.throw('Only quick phrases');
+            expect(createChatMessage(playing, 'south', { phraseId: 'good_luck' }).text).to.equal(QUICK_PHRASES.good_luck);
+
+            const tableTalk = { ...playing, rules: { ...playing.rules, tableTalk: true } };
+            expect(createChatMessage(tableTalk, 'south', { text: 'I have both bowers' }).text).to.equal('I have both bowers');
+        });
+    });
+
+    describe('addChatMessage', function() {
+        it('should keep only the most recent messages', function() {
+            let chatty = state;
+            for (let i = 0; i < CHAT_HISTORY_LIMIT + 5; i++) {
+                chatty = addChatMessage(chatty, createChatMessage(chatty, 'south', { text: `message ${i}` }));
+            }
+
+            expect(chatty.chatHistory).to.have.lengthOf(CHAT_HISTORY_LIMIT);
+            expect(chatty.chatHistory[0].text).to.equal('message 5');
+        });
+    });
+
+    describe('muting', function() {
+        it('should hide a muted player\'s messages from the player who muted them', function() {
+            let muted = setPlayerMuted(state, 'south', 'west', true);
+            muted = addChatMessage(muted, createChatMessage(muted, 'west', { phraseId: 'hello' }));
+
+            expect(isMuted(muted, 'south', 'west')).to.be.true;
+            expect(getPlayerView(muted, 'south').chatHistory).to.be.empty;
+            expect(getPlayerView(muted, 'west').chatHistory).to.have.lengthOf(1);
+            expect(getPlayerView(muted, null).chatHistory).to.have.lengthOf(1);
+        });
+
+        it('should unmute, and refuse to mute yourself', function() {
+            const unmuted = setPlayerMuted(setPlayerMuted(state, 'south', 'west', true), 'south', 'west', false);
+
+            expect(isMuted(unmuted, 'south', 'west')).to.be.false;
+            expect(() => setPlayerMuted(state, 'south', 'south', true)).to.throw('cannot mute yourself');
+        });
+
+        it('should clear mutes when someone new sits down', function() {
+            const muted = setPlayerMuted(state, 'south', 'west', true);
+            expect(takeSeat(muted, 'south', { socketId: 's9' }).players.south.mutedRoles).to.be.empty;
+        });
+    });
+});
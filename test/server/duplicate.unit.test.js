@@ -0,0 +1,159 @@
+/**
+ * @file duplicate.unit.test.js - Unit tests for duplicate Euchre tournaments
+ * @module test/server/duplicate.unit
+ * @description Tests the board set generator, the Mitchell movement, board results
+ * and the matchpoint and IMP comparison scorers.
+ *
+ * @requires chai
+ * @requires ../src/game/duplicate.js
+ */
+
+import { expect } from 'chai';
+import {
+    generateBoardSet,
+    createMovement,
+    dealBoard,
+    getBoardResult,
+    pointsToImps,
+    rankPairs,
+    DUPLICATE_SCORING
+} from '../../src/game/duplicate.js';
+import { createGameState } from '../../src/game/state.js';
+
+const result = (boardNumber, tableNumber, nsPair, ewPair, nsPoints, ewPoints) => ({
+    eventId: 'club-night',
+    boardNumber,
+    tableNumber,
+    nsPair,
+    ewPair,
+    nsPoints,
+    ewPoints
+});
+
+describe('Duplicate Euchre', () => {
+    describe('generateBoardSet', () => {
+        it('should generate numbered boards with a rotating dealer', () => {
+            const boards = generateBoardSet({ boardCount: 5, baseSeed: 'club-night' });
+
+            expect(boards.map(b => b.boardNumber)).to.deep.equal([1, 2, 3, 4, 5]);
+            expect(boards[0].dealer).to.equal(boards[4].dealer);
+            expect(boards[0].dealer).to.not.equal(boards[1].dealer);
+        });
+
+        it('should generate the same boards from the same base seed', () => {
+            const first = generateBoardSet({ boardCount: 4, baseSeed: 'club-night' });
+            const second = generateBoardSet({ boardCount: 4, baseSeed: 'club-night' });
+
+            expect(second).to.deep.equal(first);
+        });
+    });
+
+    describe('dealBoard', () => {
+        it('should deal the same cards at every table', () => {
+            const [board] = generateBoardSet({ boardCount: 1, baseSeed: 'club-night' });
+
+            const table1 = dealBoard(createGameState(), board, { eventId: 'club-night', tableNumber: 1, nsPair: 'A', ewPair: 'B' });
+            const table2 = dealBoard(createGameState(), board, { eventId: 'club-night', tableNumber: 2, nsPair: 'C', ewPair: 'D' });
+
+            expect(table1.dealer).to.equal(board.dealer);
+            expect(table2.players.north.hand).to.deep.equal(table1.players.north.hand);
+            expect(table2.upCard).to.deep.equal(table1.upCard);
+            expect(table2.duplicate).to.include({ boardNumber: 1, tableNumber: 2, nsPair: 'C' });
+        });
+    });
+
+    describe('createMovement', () => {
+        it('should play every board once at every table', () => {
+            const boards = generateBoardSet({ boardCount: 6, baseSeed: 1 });
+            const rounds = createMovement(['A', 'B', 'C', 'D', 'E', 'F'], boards);
+
+            expect(rounds).to.have.lengthOf(3);
+            [1, 2, 3].forEach(tableNumber => {
+                const played = rounds.flatMap(round => round.find(t => t.tableNumber === tableNumber).boardNumbers);
+                expect(played.sort()).to.deep.equal([1, 2, 3, 4, 5, 6]);
+            });
+        });
+
+        it('should move east/west pairs to meet every north/south pair', () => {
+            const boards = generateBoardSet({ boardCount: 3, baseSeed: 1 });
+            const rounds = createMovement(['A', 'B', 'C', 'D', 'E', 'F'], boards);
+
+            const opponentsOfA = rounds.map(round => round.find(t => t.nsPair === 'A').ewPair);
+            expect(opponentsOfA.sort()).to.deep.equal(['D', 'E', 'F']);
+        });
+
+        [2, 4, 5].forEach(tableCount => {
+            it(`should never bring a pair back to a board with ${tableCount} tables`, () => {
+                const pairIds = Array.from({ length: tableCount * 2 }, (_, i) => `P${i + 1}`);
+                const boards = generateBoardSet({ boardCount: tableCount * 2, baseSeed: 1 });
+                const rounds = createMovement(pairIds, boards);
+
+                pairIds.forEach(pairId => {
+                    const played = rounds.flatMap(round => round
+                        .filter(t => t.nsPair === pairId || t.ewPair === pairId)
+                        .flatMap(t => t.boardNumbers));
+                    expect(played.sort((a, b) => a - b), pairId).to.deep.equal(boards.map(b => b.boardNumber));
+                });
+                rounds.forEach(round => {
+                    const seated = round.flatMap(t => [t.nsPair, t.ewPair]);
+                    expect(new Set(seated).size).to.equal(pairIds.length);
+                });
+            });
+        });
+
+        it('should reject an odd number of pairs', () => {
+            expect(() => createMovement(['A', 'B', 'C', 'D', 'E'], [])).to.throw('even number of pairs');
+        });
+    });
+
+    describe('getBoardResult', () => {
+        it('should record the points from the hand score message', () => {
+            const state = {
+                duplicate: { eventId: 'club-night', boardNumber: 3, tableNumber: 1, nsPair: 'A', ewPair: 'B' },
+                messages: [{ type: 'score', team: 'east+west', points: 2, rule: 'euchre' }]
+            };
+
+            expect(getBoardResult(state)).to.include({ nsPoints: 0, ewPoints: 2, boardNumber: 3 });
+        });
+    });
+
+    describe('rankPairs', () => {
+        const boardResults = [
+            result(1, 1, 'A', 'C', 2, 0),
+            result(1, 2, 'B', 'D', 1, 0),
+            result(2, 1, 'A', 'C', 0, 1),
+            result(2, 2, 'B', 'D', 0, 1)
+        ];
+
+        it('should award matchpoints board by board', () => {
+            const standings = rankPairs(boardResults, DUPLICATE_SCORING.MATCHPOINTS);
+            const scoreOf = pairId => standings.find(s => s.pairId === pairId).score;
+
+            // Board 1: A beats B, C loses to D. Board 2: everyone ties.
+            expect(scoreOf('A')).to.equal(3);
+            expect(scoreOf('B')).to.equal(1);
+            expect(scoreOf('D')).to.equal(3);
+            expect(standings[0].rank).to.equal(1);
+            expect(standings[1].rank).to.equal(1);
+        });
+
+        it('should award IMPs against the board average', () => {
+            const standings = rankPairs([
+                result(1, 1, 'A', 'C', 4, 0),
+                result(1, 2, 'B', 'D', 0, 2)
+            ], DUPLICATE_SCORING.IMPS);
+            const scoreOf = pairId => standings.find(s => s.pairId === pairId).score;
+
+            expect(scoreOf('A')).to.equal(3);
+            expect(scoreOf('B')).to.equal(-3);
+            expect(scoreOf('D')).to.equal(3);
+        });
+
+        it('should compress large swings on the IMP scale', () => {
+            expect(pointsToImps(0)).to.equal(0);
+            expect(pointsToImps(4)).to.equal(4);
+            expect(pointsToImps(-7)).to.equal(-5);
+            expect(pointsToImps(10)).to.equal(6);
+        });
+    });
+});
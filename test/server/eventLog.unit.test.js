@@ -0,0 +1,179 @@
+/**
+ * @file eventLog.unit.test.js - Unit tests for the game event log
+ * @module test/server/eventLog.unit
+ * @description Tests recording deals and moves as numbered events, snapshots at hand
+ * boundaries, and rebuilding a game by replaying its events, both directly and
+ * through the game repository.
+ *
+ * @requires chai
+ * @requires ../src/game/history/eventLog.js
+ */
+
+import { expect } from 'chai';
+import {
+    GAME_LOG_EVENTS,
+    recordDeal,
+    recordAction,
+    recordClose,
+    takeUnsavedEvents,
+    applyGameEvent,
+    rebuildGameState
+} from '../../src/game/history/eventLog.js';
+import { ActionError } from '../../src/game/actions.js';
+import { chooseBotAction, getBotToAct, fillEmptySeats } from '../../src/game/bots/botPlayer.js';
+import { createGameState } from '../../src/game/state.js';
+import { holdSeat } from '../../src/game/seating.js';
+import { GameRepository } from '../../src/db/gameRepository.js';
+import { MemoryAdapter } from '../../src/db/adapters/memoryAdapter.js';
+import { GAME_PHASES } from '../../src/config/constants.js';
+
+/**
+ * Has the bots in every seat play until the hand is scored
+ */
+function playHand(gameState) {
+    let state = gameState;
+    while (state.currentPhase !== GAME_PHASES.SCORING && state.currentPhase !== GAME_PHASES.GAME_OVER) {
+        const role = getBotToAct(state);
+        state = recordAction(state, role, chooseBotAction(state, role));
+    }
+    return state;
+}
+
+describe('Game event log', function() {
+    let table;
+
+    beforeEach(function() {
+        table = fillEmptySeats(createGameState({ gameId: 'g1' }), 'medium');
+    });
+
+    describe('recording', function() {
+        it('should number each event and snapshot the deal', function() {
+            const dealt = recordAction(recordDeal(table, { seed: 42 }), table.playerOrder[1], { type: 'orderUp', orderedUp: false });
+            const { gameState, events, snapshot } = takeUnsavedEvents(dealt);
+
+            expect(events.map(({ seq, type }) => [seq, type])).to.deep.equal([[1, GAME_LOG_EVENTS.DEAL], [2, GAME_LOG_EVENTS.ACTION]]);
+            expect(events[0]).to.include({ gameId: 'g1', seed: 42 });
+            expect(events[1]).to.deep.include({ role: table.playerOrder[1], action: { type: 'orderUp', orderedUp: false } });
+            expect(snapshot).to.include({ gameId: 'g1', seq: 1 });
+            expect(gameState).to.not.have.any.keys('unsavedEvents', 'unsavedSnapshot');
+            expect(gameState.eventSeq).to.equal(2);
+        });
+
+        it('should not log a refused move', function() {
+            const dealt = takeUnsavedEvents(recordDeal(table)).gameState;
+            const waiting = table.playerOrder[2];
+
+            expect(() => recordAction(dealt, waiting, { type: 'orderUp', orderedUp: true })).to.throw(ActionError);
+            expect(dealt.eventSeq).to.equal(1);
+        });
+
+        it('should pick the seed for a misdeal itself', function() {
+            const dealt = takeUnsavedEvents(recordDeal({ ...table, rules: { ...table.rules, noAceNoFaceMisdeal: true } })).gameState;
+            const nineTen = [9, 10].flatMap(rank => ['hearts', 'spades', 'clubs'].map(suit => ({ rank: String(rank), suit }))).slice(0, 5);
+            const ready = { ...dealt, players: { ...dealt.players, south: { ...dealt.players.south, hand: nineTen } } };
+
+            const { events, snapshot } = takeUnsavedEvents(recordAction(ready, 'south', { type: 'misdeal', seed: 7 }));
+
+            expect(events[0].action.seed).to.be.a('number').and.not.equal(7);
+            expect(snapshot.seq).to.equal(2);
+        });
+    });
+
+    describe('rebuilding', function() {
+        it('should replay a whole hand to the same state', function() {
+            const { gameState: start, snapshot } = takeUnsavedEvents(recordDeal(table));
+            const { gameState: played, events } = takeUnsavedEvents(playHand(start));
+
+            expect(rebuildGameState(snapshot, events)).to.deep.equal(played);
+        });
+
+        it('should replay past a seat held after the snapshot was taken', function() {
+            const { gameState: start, snapshot } = takeUnsavedEvents(recordDeal(table));
+            const { events } = takeUnsavedEvents(playHand(start));
+            const heldSnapshot = { ...snapshot, state: holdSeat(snapshot.state, 'north', Date.now() + 1000) };
+
+            expect(rebuildGameState(heldSnapshot, events).currentPhase).to.be.oneOf([GAME_PHASES.SCORING, GAME_PHASES.GAME_OVER]);
+        });
+
+        it('should refuse a missing event or a move that breaks the rules', function() {
+            const { gameState: start, snapshot } = takeUnsavedEvents(recordDeal(table));
+            const { events } = takeUnsavedEvents(playHand(start));
+
+            expect(() => rebuildGameState(snapshot, events.slice(1))).to.throw('Expected event 2 of game g1, got 3');
+
+            const plays = events.filter(event => event.action?.type === 'playCard');
+            const [lead, follow] = plays;
+            const tampered = events.map(event => (event === follow
+                ? { ...event, action: { type: 'playCard', card: lead.action.card } }
+                : event));
+            expect(() => rebuildGameState(snapshot, tampered)).to.throw(ActionError);
+        });
+
+        it('should replay across a hand everyone passed and the deal was thrown in', function() {
+            const redealTable = { ...table, rules: { ...table.rules, allPass: 'redeal' } };
+            const { gameState: start, snapshot } = takeUnsavedEvents(recordDeal(redealTable, { seed: 42 }));
+
+            let state = start;
+            while (state.dealSeed === start.dealSeed) {
+                const pass = state.currentPhase === GAME_PHASES.ORDER_UP_ROUND1
+                    ? { type: 'orderUp', orderedUp: false }
+                    : { type: 'callTrump', suit: null, seed: 7 };
+                state = recordAction(state, state.currentPlayer, pass);
+            }
+            const redealt = takeUnsavedEvents(state);
+            const firstBidder = redealt.gameState.currentPlayer;
+            const { gameState: played, events } = takeUnsavedEvents(
+                recordAction(redealt.gameState, firstBidder, { type: 'orderUp', orderedUp: false })
+            );
+            const allEvents = [...redealt.events, ...events];
+
+            expect(redealt.gameState.dealSeed).to.not.equal(start.dealSeed);
+            expect(redealt.events.at(-1).action.seed).to.be.a('number').and.not.equal(7);
+            expect(redealt.snapshot.seq).to.equal(redealt.gameState.eventSeq);
+            expect(rebuildGameState(snapshot, allEvents)).to.deep.equal(played);
+            expect(rebuildGameState(redealt.snapshot, events)).to.deep.equal(played);
+        });
+
+        it('should refuse an unknown event', function() {
+            expect(() => applyGameEvent(table, { seq: 1, type: 'teleport' })).to.throw('Unknown game event: teleport');
+        });
+    });
+
+    describe('GameRepository#rebuildGame', function() {
+        it('should rebuild a stored game, or the game as it was at an earlier event', async function() {
+            const repository = new GameRepository(new MemoryAdapter());
+            await repository.connect();
+
+            const dealt = takeUnsavedEvents(recordDeal(table));
+            const dealtPlayers = structuredClone(dealt.gameState.players);
+            const played = takeUnsavedEvents(playHand(dealt.gameState));
+            await repository.appendEvents([...dealt.events, ...played.events]);
+            await repository.saveSnapshot(dealt.snapshot);
+
+            expect(await repository.rebuildGame('g1')).to.deep.equal(played.gameState);
+            expect((await repository.rebuildGame('g1', { toSeq: 1 })).players).to.deep.equal(dealtPlayers);
+        });
+
+        it('should only append the next event in sequence', async function() {
+            const repository = new GameRepository(new MemoryAdapter());
+            const { events } = takeUnsavedEvents(recordDeal(table));
+
+            await repository.appendEvents(events);
+            let error;
+            await repository.appendEvents(events).catch((caught) => { error = caught; });
+            expect(error.message).to.equal('Expected event 2 of game g1, got 1');
+        });
+
+        it('should find the games whose log has not been closed', async function() {
+            const repository = new GameRepository(new MemoryAdapter());
+            const open = takeUnsavedEvents(recordDeal(table));
+            const closed = takeUnsavedEvents(recordClose(takeUnsavedEvents(recordDeal({ ...table, gameId: 'g2' })).gameState));
+
+            await repository.appendEvents(open.events);
+            await repository.appendEvents([{ gameId: 'g2', seq: 1, type: GAME_LOG_EVENTS.DEAL }, ...closed.events]);
+
+            expect(closed.events[0]).to.include({ seq: 2, type: GAME_LOG_EVENTS.CLOSE });
+            expect(await repository.findOpenGames()).to.deep.equal(['g1']);
+        });
+    });
+});
@@ -0,0 +1,221 @@
+/**
+ * @file gameRepository.unit.test.js - Unit tests for the storage adapters
+ * @module test/server/gameRepository.unit
+ * @description Runs the same checks against the in-memory and JSON file adapters, then
+ * tests what only the JSON file adapter does: surviving a restart, auto-saving and
+ * saving on exit. The MongoDB adapter needs a running server and is not tested here.
+ *
+ * @requires chai
+ * @requires sinon
+ * @requires ../src/db/gameRepository.js
+ */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { GameRepository, createStorageAdapter } from '../../src/db/gameRepository.js';
+import { MemoryAdapter } from '../../src/db/adapters/memoryAdapter.js';
+import { JsonFileAdapter } from '../../src/db/adapters/jsonFileAdapter.js';
+import { GAME_LOG_EVENTS } from '../../src/game/history/eventLog.js';
+import { GAME_PHASES } from '../../src/config/constants.js';
+
+/**
+ * Builds a stored game with one human player
+ */
+function createGame(gameId, userId, currentPhase = GAME_PHASES.PLAYING) {
+    return { gameId, currentPhase, players: { south: { userId, name: 'Alice' }, north: { userId: null, isBot: true } } };
+}
+
+describe('Storage adapters', function() {
+    let saveDir;
+
+    beforeEach(function() {
+        saveDir = fs.mkdtempSync(path.join(os.tmpdir(), 'euchre-'));
+    });
+
+    afterEach(function() {
+        fs.rmSync(saveDir, { recursive: true, force: true });
+    });
+
+    const adapters = {
+        memory: () => new MemoryAdapter(),
+        json: () => new JsonFileAdapter({ SAVE_FILE: path.join(saveDir, 'game_state.json'), AUTO_SAVE: false })
+    };
+
+    Object.entries(adapters).forEach(([name, createAdapter]) => {
+        describe(name, function() {
+            let repository;
+
+            beforeEach(async function() {
+                repository = new GameRepository(createAdapter());
+                await repository.connect();
+            });
+
+            afterEach(async function() {
+                await repository.disconnect();
+            });
+
+            it('should load a saved game as a copy', async function() {
+                const game = createGame('g1', 'user-1');
+                expect(await repository.saveGame(game)).to.equal('g1');
+
+                const loaded = await repository.loadGame('g1');
+                expect(loaded).to.deep.include(game);
+                expect(loaded.createdAt).to.be.a('string');
+
+                loaded.players.south.name = 'Mallory';
+                expect((await repository.loadGame('g1')).players.south.name).to.equal('Alice');
+            });
+
+            it('should refuse to load a game that was never saved or was deleted', async function() {
+                await repository.saveGame(createGame('g1', 'user-1'));
+
+                expect(await repository.deleteGame('g1')).to.be.true;
+                expect(await repository.deleteGame('g1')).to.be.false;
+
+                let error;
+                await repository.loadGame('g1').catch((caught) => { error = caught; });
+                expect(error.message).to.equal('Game g1 not found');
+            });
+
+            it('should find only the games a player is still playing', async function() {
+                await repository.saveGame(createGame('playing', 'user-1'));
+                await repository.saveGame(createGame('finished', 'user-1', GAME_PHASES.MATCH_OVER));
+                await repository.saveGame(createGame('someone-else', 'user-2'));
+
+                const games = await repository.findActiveGamesByPlayer('user-1');
+                expect(games.map(game => game.gameId)).to.deep.equal(['playing']);
+            });
+
+            it('should keep one result per board and table, in order', async function() {
+                await repository.saveBoardResult({ eventId: 'e1', boardNumber: 2, tableNumber: 1, points: 1 });
+                await repository.saveBoardResult({ eventId: 'e1', boardNumber: 1, tableNumber: 2, points: 2 });
+                await repository.saveBoardResult({ eventId: 'e1', boardNumber: 1, tableNumber: 2, points: 4 });
+                await repository.saveBoardResult({ eventId: 'e2', boardNumber: 1, tableNumber: 1, points: 1 });
+
+                const results = await repository.findBoardResults('e1');
+                expect(results.map(({ boardNumber, tableNumber, points }) => [boardNumber, tableNumber, points]))
+                    .to.deep.equal([[1, 2, 4], [2, 1, 1]]);
+            });
+
+            it('should find an account by id or by username in any case, and keep names unique', async function() {
+                const account = { id: 'a1', username: 'Alice', displayName: 'Alice', passwordHash: 'salt:hash' };
+                await repository.createAccount(account);
+
+                expect(await repository.loadAccount('a1')).to.deep.equal(account);
+                expect(await repository.findAccountByUsername('alice')).to.deep.equal(account);
+                expect(await repository.findAccountByUsername('bob')).to.be.null;
+
+                let error;
+                await repository.createAccount({ ...account, id: 'a2', username: 'ALICE' }).catch((caught) => { error = caught; });
+                expect(error.message).to.equal('The username ALICE is taken');
+            });
+        });
+    });
+
+    describe('json file', function() {
+        let saveFile;
+
+        beforeEach(function() {
+            saveFile = path.join(saveDir, 'game_state.json');
+        });
+
+        it('should pick up the saved games after a restart', async function() {
+            const before = new JsonFileAdapter({ SAVE_FILE: saveFile, AUTO_SAVE: false });
+            await before.connect();
+            await before.saveGame(createGame('g1', 'user-1'));
+            await before.disconnect();
+
+            const after = new JsonFileAdapter({ SAVE_FILE: saveFile, AUTO_SAVE: false });
+            await after.connect();
+            expect((await after.loadGame('g1')).players.south.userId).to.equal('user-1');
+            await after.disconnect();
+        });
+
+        it('should pick up the registered accounts after a restart', async function() {
+            const before = new JsonFileAdapter({ SAVE_FILE: saveFile, AUTO_SAVE: false });
+            await before.connect();
+            await before.createAccount({ id: 'a1', username: 'alice', passwordHash: 'salt:hash' });
+            await before.disconnect();
+
+            const after = new JsonFileAdapter({ SAVE_FILE: saveFile, AUTO_SAVE: false });
+            await after.connect();
+            expect((await after.findAccountByUsername('Alice')).id).to.equal('a1');
+            await after.disconnect();
+        });
+
+        it('should not write on exit when SAVE_ON_EXIT is off', async function() {
+            const adapter = new JsonFileAdapter({ SAVE_FILE: saveFile, AUTO_SAVE: false, SAVE_ON_EXIT: false });
+            await adapter.connect();
+            await adapter.saveGame(createGame('g1', 'user-1'));
+            await adapter.disconnect();
+
+            expect(fs.existsSync(saveFile)).to.be.false;
+        });
+
+        it('should write changes on the auto-save timer', async function() {
+            const clock = sinon.useFakeTimers();
+            try {
+                const adapter = new JsonFileAdapter({ SAVE_FILE: saveFile, SAVE_ON_EXIT: false, autoSaveInterval: 30000 });
+                await adapter.connect();
+                await adapter.saveGame(createGame('g1', 'user-1'));
+
+                clock.tick(29000);
+                expect(fs.existsSync(saveFile)).to.be.false;
+
+                clock.tick(1000);
+                await adapter.disconnect();
+                expect(JSON.parse(fs.readFileSync(saveFile, 'utf8')).games).to.have.property('g1');
+            } finally {
+                clock.restore();
+            }
+        });
+
+        it('should only write when something has changed', async function() {
+            const adapter = new JsonFileAdapter({ SAVE_FILE: saveFile, AUTO_SAVE: false });
+            await adapter.connect();
+
+            expect(await adapter.save()).to.be.false;
+            await adapter.saveGame(createGame('g1', 'user-1'));
+            expect(await adapter.save()).to.be.true;
+            expect(await adapter.save()).to.be.false;
+            await adapter.disconnect();
+        });
+
+        it('should keep only the latest snapshot of a game and drop a closed game\'s log', async function() {
+            const adapter = new JsonFileAdapter({ SAVE_FILE: saveFile, AUTO_SAVE: false });
+            await adapter.connect();
+            await adapter.appendEvents([{ gameId: 'open', seq: 1, type: GAME_LOG_EVENTS.DEAL }, { gameId: 'open', seq: 2, type: GAME_LOG_EVENTS.DEAL }]);
+            await adapter.saveSnapshot({ gameId: 'open', seq: 1, state: {} });
+            await adapter.saveSnapshot({ gameId: 'open', seq: 2, state: {} });
+            await adapter.appendEvents([{ gameId: 'closed', seq: 1, type: GAME_LOG_EVENTS.DEAL }]);
+            await adapter.saveSnapshot({ gameId: 'closed', seq: 1, state: {} });
+            await adapter.appendEvents([{ gameId: 'closed', seq: 2, type: GAME_LOG_EVENTS.CLOSE }]);
+            await adapter.disconnect();
+
+            const saved = JSON.parse(fs.readFileSync(saveFile, 'utf8'));
+            expect(saved.snapshots.open.map(snapshot => snapshot.seq)).to.deep.equal([2]);
+            expect(saved.events).to.have.all.keys('open');
+            expect(saved.snapshots).to.have.all.keys('open');
+        });
+
+        it('should start empty from a corrupt file', async function() {
+            fs.writeFileSync(saveFile, '{ not json');
+
+            const adapter = new JsonFileAdapter({ SAVE_FILE: saveFile, AUTO_SAVE: false });
+            await adapter.connect();
+            expect(await adapter.findActiveGamesByPlayer('user-1')).to.be.empty;
+            await adapter.disconnect();
+        });
+    });
+
+    describe('createStorageAdapter', function() {
+        it('should create the adapter for a backend and refuse an unknown one', function() {
+            expect(createStorageAdapter('memory')).to.be.an.instanceOf(MemoryAdapter);
+            expect(createStorageAdapter('json')).to.be.an.instanceOf(JsonFileAdapter);
+            expect(() => createStorageAdapter('floppy')).to.throw('Unknown storage backend: floppy');
+        });
+    });
+});
@@ -0,0 +1,146 @@
+/**
+ * @file handEvaluator.unit.test.js - Unit tests for hand-strength evaluation
+ * @module test/server/handEvaluator.unit
+ * @description Checks bidding recommendations against textbook euchre hands.
+ *
+ * @requires chai
+ * @requires ../src/game/logic/handEvaluator.js
+ */
+
+import { expect } from 'chai';
+import {
+    evaluateHand,
+    recommendBid,
+    recommendGoAlone,
+    getSeatPosition,
+    getBidRecommendation,
+    BID_RECOMMENDATIONS,
+    SEAT_POSITIONS
+} from '../../src/game/logic/handEvaluator.js';
+import { createGameState } from '../../src/game/state.js';
+import { startNewHand } from '../../src/game/phases/dealing.js';
+import { GAME_PHASES } from '../../src/config/constants.js';
+
+const card = (code) => {
+    const suits = { H: 'hearts', D: 'diamonds', C: 'clubs', S: 'spades' };
+    return { rank: code.slice(0, -1), suit: suits[code.slice(-1)] };
+};
+const hand = (...codes) => codes.map(card);
+
+describe('Hand evaluator', () => {
+    describe('evaluateHand', () => {
+        it('should count the left bower as trump', () => {
+            const result = evaluateHand(hand('JD', '9H', 'AC', 'KS', '10S'), 'hearts');
+
+            expect(result.trumpCount).to.equal(2);
+        });
+
+        it('should value bowers above the trump ace', () => {
+            const withBowers = evaluateHand(hand('JH', 'JD', '9C', '10C', '9S'), 'hearts');
+            const withAceKing = evaluateHand(hand('AH', 'KH', '9C', '10C', '9S'), 'hearts');
+
+            expect(withBowers.score).to.be.greaterThan(withAceKing.score);
+        });
+
+        it('should only value voids when holding trump to ruff with', () => {
+            const ruffer = evaluateHand(hand('JH', 'AH', 'AC', 'KC', 'QC'), 'hearts');
+            const noTrump = evaluateHand(hand('AC', 'KC', 'QC', 'JC', '10C'), 'hearts');
+
+            expect(ruffer.breakdown.voids).to.equal(1);
+            expect(noTrump.breakdown.voids).to.equal(0);
+        });
+
+        it('should let the dealer count the up card', () => {
+            const cards = hand('AH', 'KH', 'AC', '9S', '10D');
+            const asDealer = evaluateHand(cards, 'hearts', { seat: SEAT_POSITIONS.DEALER, upCard: card('JH') });
+            const asOpponent = evaluateHand(cards, 'hearts', { seat: SEAT_POSITIONS.LEFT_OF_DEALER, upCard: card('JH') });
+
+            expect(asDealer.trumpCount).to.equal(3);
+            expect(asDealer.score).to.be.greaterThan(asOpponent.score);
+        });
+    });
+
+    describe('recommendBid', () => {
+        it('should order up three trump with a bower and an off-suit ace', () => {
+            const result = recommendBid(hand('JH', 'AH', '10H', 'AC', '9S'), {
+                upCard: card('9H'),
+                seat: SEAT_POSITIONS.DEALER_PARTNER
+            });
+
+            expect(result.action).to.equal(BID_RECOMMENDATIONS.ORDER_UP);
+            expect(result.suit).to.equal('hearts');
+        });
+
+        it('should pass two small trump and no aces', () => {
+            const result = recommendBid(hand('10H', '9H', 'KC', 'QS', '10D'), {
+                upCard: card('QH'),
+                seat: SEAT_POSITIONS.LEFT_OF_DEALER
+            });
+
+            expect(result.action).to.equal(BID_RECOMMENDATIONS.PASS);
+            expect(result.confidence).to.be.greaterThan(0.8);
+        });
+
+        it('should pass a marginal hand rather than order a bower to the dealer', () => {
+            const cards = hand('AH', 'KH', 'AC', '9S', '10D');
+
+            const opponent = recommendBid(cards, { upCard: card('JH'), seat: SEAT_POSITIONS.LEFT_OF_DEALER });
+            const dealer = recommendBid(cards, { upCard: card('JH'), seat: SEAT_POSITIONS.DEALER });
+
+            expect(opponent.action).to.equal(BID_RECOMMENDATIONS.PASS);
+            expect(dealer.action).to.equal(BID_RECOMMENDATIONS.ORDER_UP);
+        });
+
+        it('should recommend going alone with both bowers, the ace and an off-suit ace', () => {
+            const result = recommendBid(hand('JH', 'JD', 'AH', 'KH', 'AC'), {
+                upCard: card('9H'),
+                seat: SEAT_POSITIONS.LEFT_OF_DEALER
+            });
+
+            expect(result.action).to.equal(BID_RECOMMENDATIONS.GO_ALONE);
+        });
+
+        it('should call the strongest suit in the second round, never the turned-down suit', () => {
+            const result = recommendBid(hand('JS', 'JC', 'AS', 'KH', 'AD'), {
+                upCard: card('9C'),
+                seat: SEAT_POSITIONS.RIGHT_OF_DEALER,
+                round: 2
+            });
+
+            expect(result.action).to.equal(BID_RECOMMENDATIONS.CALL);
+            expect(result.suit).to.equal('spades');
+        });
+
+        it('should always name a suit when the dealer is stuck', () => {
+            const result = recommendBid(hand('9H', '10H', '9C', '10S', '9D'), {
+                upCard: card('QS'),
+                seat: SEAT_POSITIONS.DEALER,
+                round: 2,
+                mustCall: true
+            });
+
+            expect(result.action).to.equal(BID_RECOMMENDATIONS.CALL);
+            expect(result.suit).to.not.equal('spades');
+            expect(result.confidence).to.equal(1);
+        });
+    });
+
+    describe('recommendGoAlone', () => {
+        it('should not go alone on three trump', () => {
+            const result = recommendGoAlone(hand('JH', 'AH', 'KH', '9C', '10S'), 'hearts');
+
+            expect(result.goAlone).to.be.false;
+        });
+    });
+
+    describe('getBidRecommendation', () => {
+        it('should read the bidding situation from the game state', () => {
+            const state = startNewHand(createGameState(), { seed: 3 });
+
+            expect(getSeatPosition(state.currentPlayer, state.dealer, state.playerOrder))
+                .to.equal(SEAT_POSITIONS.LEFT_OF_DEALER);
+            expect(getBidRecommendation(state, state.currentPlayer)).to.have.property('confidence');
+            expect(getBidRecommendation({ ...state, currentPhase: GAME_PHASES.PLAYING }, state.currentPlayer)).to.be.null;
+        });
+    });
+});
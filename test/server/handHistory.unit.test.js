@@ -0,0 +1,153 @@
+/**
+ * @file handHistory.unit.test.js - Unit tests for hand records and hand notation
+ * @module test/server/handHistory.unit
+ * @description Tests that every hand is recorded as it is played and that records
+ * survive a round trip through the plain-text hand notation.
+ *
+ * @requires chai
+ * @requires ../src/game/history/handRecord.js
+ * @requires ../src/game/history/notation.js
+ */
+
+import { expect } from 'chai';
+import { loadHandRecord, THROW_IN_REASONS } from '../../src/game/history/handRecord.js';
+import { exportHand, importHand, exportHands, importHands, notationToCard } from '../../src/game/history/notation.js';
+import { fillEmptySeats, takeBotTurn, getBotToAct } from '../../src/game/bots/botPlayer.js';
+import { createGameState } from '../../src/game/state.js';
+import { startNewHand, handleMisdealCall } from '../../src/game/phases/dealing.js';
+import { handleOrderUpDecision, handleCallTrumpDecision } from '../../src/game/phases/bidding.js';
+import { GAME_PHASES } from '../../src/config/constants.js';
+
+/**
+ * Has bots play hands from the given seeds until one is scored
+ */
+function playRecordedHand(seeds = [1, 2, 3, 4, 5, 6, 7, 8]) {
+    for (const seed of seeds) {
+        let state = startNewHand(fillEmptySeats(createGameState(), 'hard'), { seed });
+        while (getBotToAct(state) && !state.handHistory.length && state.dealSeed === seed) {
+            state = takeBotTurn(state);
+        }
+        if (state.handHistory.length) return state;
+    }
+    throw new Error('No hand was played to a score');
+}
+
+describe('Hand history', () => {
+    let played;
+
+    before(() => {
+        played = playRecordedHand();
+    });
+
+    describe('hand records', () => {
+        it('should start a record when a hand is dealt', () => {
+            const dealt = startNewHand(createGameState(), { seed: 99 });
+
+            expect(dealt.handRecord).to.include({ handNumber: 1, dealer: dealt.dealer, dealSeed: 99 });
+            expect(dealt.handRecord.hands.south).to.deep.equal(dealt.players.south.hand.map(({ rank, suit }) => ({ rank, suit })));
+            expect(dealt.handRecord.upCard).to.deep.equal({ rank: dealt.upCard.rank, suit: dealt.upCard.suit });
+        });
+
+        it('should record the bids, tricks and score change of a finished hand', () => {
+            const [record] = played.handHistory;
+
+            expect(record.bids.length).to.be.at.least(1);
+            expect(record.bids.filter(bid => bid.action !== 'pass')).to.have.lengthOf(1);
+            expect(record.trumpSuit).to.equal(played.trumpSuit);
+            expect(record.maker).to.equal(played.playerWhoCalledTrump);
+            expect(record.goAlone).to.include({ player: played.playerWhoCalledTrump });
+            expect(record.tricks).to.have.lengthOf(5);
+            expect(record.tricks[0]).to.have.keys('leader', 'winner', 'plays');
+            expect(record.score.scores).to.deep.equal(played.scores);
+        });
+
+        it('should record the dealer discard when trump is ordered up', () => {
+            const [record] = played.handHistory;
+            const orderedUp = record.bids.some(bid => bid.action === 'order');
+
+            expect(Boolean(record.discard)).to.equal(orderedUp);
+        });
+
+        it('should file a hand everyone passed with its bids before dealing again', () => {
+            const table = createGameState({ rules: { allPass: 'redeal' } });
+            let state = startNewHand(table, { seed: 99 });
+            const { dealer } = state;
+            while (!state.handHistory.length) {
+                state = state.currentPhase === GAME_PHASES.ORDER_UP_ROUND1
+                    ? handleOrderUpDecision(state, state.currentPlayer, false)
+                    : handleCallTrumpDecision(state, state.currentPlayer, null, { seed: 100 });
+            }
+
+            const [record] = state.handHistory;
+            expect(record).to.include({ handNumber: 1, dealSeed: 99, score: null });
+            expect(record.thrownIn).to.deep.equal({ reason: THROW_IN_REASONS.ALL_PASSED, player: dealer });
+            expect(record.bids.every(bid => bid.action === 'pass')).to.be.true;
+            expect(record.bids.at(-1)).to.deep.equal({ player: dealer, round: 2, action: 'pass' });
+            expect(record.tricks).to.be.empty;
+            expect(state.handRecord).to.include({ handNumber: 2, dealSeed: 100 });
+        });
+
+        it('should file a hand thrown in on a misdeal', () => {
+            const dealt = startNewHand(createGameState({ rules: { noAceNoFaceMisdeal: true } }), { seed: 99 });
+            const nineTen = [9, 10].flatMap(rank => ['hearts', 'spades', 'clubs'].map(suit => ({ rank: String(rank), suit }))).slice(0, 5);
+            const ready = { ...dealt, players: { ...dealt.players, south: { ...dealt.players.south, hand: nineTen } } };
+
+            const redealt = handleMisdealCall(ready, 'south', { seed: 100 });
+
+            expect(redealt.handHistory).to.have.lengthOf(1);
+            expect(redealt.handHistory[0].thrownIn).to.deep.equal({ reason: THROW_IN_REASONS.MISDEAL, player: 'south' });
+            expect(redealt.handHistory[0].dealSeed).to.equal(99);
+            expect(redealt.handRecord.handNumber).to.equal(2);
+        });
+
+        it('should deal a recorded hand back onto the table', () => {
+            const [record] = played.handHistory;
+
+            const loaded = loadHandRecord(createGameState(), record);
+
+            expect(loaded.currentPhase).to.equal(GAME_PHASES.ORDER_UP_ROUND1);
+            expect(loaded.dealer).to.equal(record.dealer);
+            expect(loaded.players.west.hand).to.deep.equal(record.hands.west);
+            expect(loaded.upCard).to.deep.equal(record.upCard);
+        });
+    });
+
+    describe('hand notation', () => {
+        it('should round-trip a hand record through the notation', () => {
+            const [record] = played.handHistory;
+
+            const text = exportHand(record);
+
+            expect(text).to.include(`[Dealer "${record.dealer}"]`);
+            expect(text).to.match(/^trick 5 /m);
+            expect(importHand(text)).to.deep.equal(record);
+        });
+
+        it('should round-trip several hands in one document', () => {
+            const [record] = played.handHistory;
+            const second = { ...record, handNumber: 2 };
+
+            expect(importHands(exportHands([record, second]))).to.deep.equal([record, second]);
+        });
+
+        it('should round-trip a thrown-in hand', () => {
+            const [record] = played.handHistory;
+            const thrownIn = { ...record, tricks: [], score: null, thrownIn: { reason: THROW_IN_REASONS.MISDEAL, player: 'west' } };
+
+            expect(exportHand(thrownIn)).to.match(/^thrownin misdeal west$/m);
+            expect(importHand(exportHand(thrownIn))).to.deep.equal(thrownIn);
+        });
+
+        it('should ignore comment lines', () => {
+            const [record] = played.handHistory;
+
+            expect(importHand(`; shared from table 4\n${exportHand(record)}`)).to.deep.equal(record);
+        });
+
+        it('should reject malformed cards and events', () => {
+            expect(() => notationToCard('1H')).to.throw('Invalid card');
+            expect(() => importHand('[Dealer "north"]\n[UpCard "9H"]\nshuffle twice')).to.throw('unknown event');
+            expect(() => importHand('bid 1 north pass')).to.throw('Dealer and UpCard');
+        });
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * @file lobby.unit.test.js - Unit tests for the lobby of open tables
+ * @module test/server/lobby.unit
+ * @description Tests table summaries, the table list and how quick join picks a table.
+ *
+ * @requires chai
+ * @requires ../src/game/lobby.js
+ */
+
+import { expect } from 'chai';
+import { getTableSummary, listTables, findQuickJoinTable } from '../../src/game/lobby.js';
+import { TableManager, checkTablePassword } from '../../src/game/tableManager.js';
+import { fillEmptySeats } from '../../src/game/bots/botPlayer.js';
+import { startNewHand } from '../../src/game/phases/dealing.js';
+import { hashPassword } from '../../src/utils/passwords.js';
+
+/**
+ * Seats people in the given seats of a table
+ */
+function seat(tables, gameId, roles) {
+    return tables.updateTable(gameId, state => ({
+        ...state,
+        players: Object.fromEntries(Object.entries(state.players).map(([role, player]) => [
+            role,
+            roles.includes(role) ? { ...player, socketId: `socket-${role}`, name: `Player ${role}` } : player
+        ]))
+    }));
+}
+
+describe('Lobby', function() {
+    let tables;
+
+    beforeEach(function() {
+        tables = new TableManager();
+    });
+
+    describe('getTableSummary', function() {
+        it('should describe the table without revealing hands or the password', async function() {
+            const table = tables.createTable({
+                name: 'Friday',
+                rules: { winningScore: 7, allPass: 'redeal' },
+                passwordHash: await hashPassword('secret'),
+                allowSpectators: false
+            });
+            const summary = getTableSummary(seat(tables, table.gameId, ['south']));
+
+            expect(summary).to.include({
+                name: 'Friday',
+                variant: 'redeal',
+                targetScore: 7,
+                seatsFilled: 1,
+                allowSpectators: false,
+                hasPassword: true
+            });
+            expect(summary.seats.south).to.deep.equal({ name: 'Player south', isBot: false, isFlagged: false });
+            expect(summary.seats.north).to.be.null;
+            expect(summary.openSeats).to.deep.equal(['west', 'north', 'east']);
+            expect(JSON.stringify(summary)).to.not.include('secret');
+            expect(JSON.stringify(summary)).to.not.include(table.passwordHash);
+        });
+
+        it('should count bots as seated but leave their seats open in the lobby', function() {
+            const table = tables.updateTable(tables.createTable().gameId, state => fillEmptySeats(state));
+            const summary = getTableSummary(table);
+
+            expect(summary.seatsFilled).to.equal(4);
+            expect(summary.openSeats).to.have.lengthOf(4);
+            expect(summary.seats.west.isBot).to.be.true;
+        });
+    });
+
+    describe('listTables', function() {
+        it('should list every table', function() {
+            tables.createTable({ name: 'A' });
+            tables.createTable({ name: 'B' });
+
+            expect(listTables(tables).map(t => t.name)).to.have.members(['A', 'B']);
+        });
+    });
+
+    describe('findQuickJoinTable', function() {
+        it('should pick the fullest table with an open seat', function() {
+            const quiet = tables.createTable();
+            const busy = tables.createTable();
+            seat(tables, quiet.gameId, ['south']);
+            seat(tables, busy.gameId, ['south', 'west', 'north']);
+
+            expect(findQuickJoinTable(tables).gameId).to.equal(busy.gameId);
+        });
+
+        it('should skip full, private and started tables', async function() {
+            const full = tables.createTable();
+            seat(tables, full.gameId, ['south', 'west', 'north', 'east']);
+            tables.createTable({ passwordHash: await hashPassword('secret') });
+            const started = tables.createTable();
+            tables.updateTable(started.gameId, state => startNewHand(fillEmptySeats(state)));
+
+            expect(findQuickJoinTable(tables)).to.be.null;
+        });
+    });
+
+    describe('checkTablePassword', function() {
+        it('should accept anyone at a table without a password', async function() {
+            expect(await checkTablePassword(tables.createTable(), undefined)).to.be.true;
+        });
+
+        it('should only accept the right password', async function() {
+            const table = tables.createTable({ passwordHash: await hashPassword('secret') });
+
+            expect(table.passwordHash).to.not.include('secret');
+            expect(await checkTablePassword(table, 'secret')).to.be.true;
+            expect(await checkTablePassword(table, 'Secret')).to.be.false;
+            expect(await checkTablePassword(table)).to.be.false;
+        });
+    });
+});
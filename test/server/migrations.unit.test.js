@@ -0,0 +1,132 @@
+/**
+ * @file migrations.unit.test.js - Unit tests for stored game migrations
+ * @module test/server/migrations.unit
+ * @description Tests upgrading old game documents one schema version at a time, on
+ * load through the game repository and all at once, with and without a dry run.
+ *
+ * @requires chai
+ * @requires ../src/db/migrations.js
+ */
+
+import { expect } from 'chai';
+import {
+    CURRENT_SCHEMA_VERSION,
+    MIGRATIONS,
+    migrateDocument,
+    migrateSnapshot
+} from '../../src/db/migrations.js';
+import { GameRepository } from '../../src/db/gameRepository.js';
+import { MemoryAdapter } from '../../src/db/adapters/memoryAdapter.js';
+import { GAME_PHASES } from '../../src/config/constants.js';
+
+/**
+ * A game as it was saved before the state had a schema version
+ */
+function createLegacyGame(gameId = 'old') {
+    return {
+        gameId,
+        gamePhase: 'PLAYING_TRICKS',
+        trump: 'diamonds',
+        playerSlots: ['south', 'west', 'north', 'east'],
+        players: { south: { id: 'user-1', name: 'Alice' }, north: { name: 'North', isBot: true } },
+        team1Score: 3,
+        team2Score: 2
+    };
+}
+
+describe('Stored game migrations', function() {
+    describe('migrateDocument', function() {
+        it('should upgrade an unversioned game step by step to the current version', function() {
+            const { document, fromVersion, applied } = migrateDocument(createLegacyGame());
+
+            expect(fromVersion).to.equal(0);
+            expect(applied).to.deep.equal(MIGRATIONS.map(migration => migration.description));
+            expect(document).to.deep.equal({
+                gameId: 'old',
+                schemaVersion: CURRENT_SCHEMA_VERSION,
+                currentPhase: GAME_PHASES.PLAYING,
+                trumpSuit: 'diamonds',
+                playerOrder: ['south', 'west', 'north', 'east'],
+                players: { south: { userId: 'user-1', name: 'Alice' }, north: { name: 'North', isBot: true } },
+                scores: { 'north+south': 3, 'east+west': 2 }
+            });
+        });
+
+        it('should only run the migrations after the stored version', function() {
+            const game = { ...createLegacyGame(), schemaVersion: 1, currentPhase: GAME_PHASES.SCORING };
+            const { document, applied } = migrateDocument(game);
+
+            expect(applied).to.have.lengthOf(MIGRATIONS.length - 1);
+            expect(document.gamePhase).to.equal('PLAYING_TRICKS');
+            expect(document.scores).to.deep.equal({ 'north+south': 3, 'east+west': 2 });
+        });
+
+        it('should move a game off a phase that no longer exists', function() {
+            expect(migrateDocument({ ...createLegacyGame(), gamePhase: 'AWAITING_GO_ALONE' }).document.currentPhase).to.equal(GAME_PHASES.GO_ALONE);
+            expect(migrateDocument({ gameId: 'g1', schemaVersion: 2, currentPhase: 'ORDER_UP_ROUND2' }).document.currentPhase).to.equal(GAME_PHASES.CALL_TRUMP);
+        });
+
+        it('should leave a current game alone and refuse one from a newer server', function() {
+            const game = { gameId: 'g1', schemaVersion: CURRENT_SCHEMA_VERSION };
+
+            expect(migrateDocument(game)).to.deep.equal({ document: game, fromVersion: CURRENT_SCHEMA_VERSION, applied: [] });
+            expect(() => migrateDocument({ schemaVersion: CURRENT_SCHEMA_VERSION + 1 }))
+                .to.throw(`Unsupported schema version ${CURRENT_SCHEMA_VERSION + 1}`);
+        });
+
+        it('should keep the version of a snapshot beside its state', function() {
+            const { snapshot } = migrateSnapshot({ gameId: 'old', seq: 4, state: createLegacyGame() });
+
+            expect(snapshot).to.include({ gameId: 'old', seq: 4, schemaVersion: CURRENT_SCHEMA_VERSION });
+            expect(snapshot.state).to.not.have.property('schemaVersion');
+            expect(snapshot.state.trumpSuit).to.equal('diamonds');
+        });
+    });
+
+    describe('GameRepository', function() {
+        let adapter;
+        let repository;
+
+        beforeEach(async function() {
+            adapter = new MemoryAdapter();
+            repository = new GameRepository(adapter);
+            await repository.connect();
+        });
+
+        it('should stamp saved games and upgrade old ones as they are loaded', async function() {
+            await repository.saveGame({ gameId: 'new', currentPhase: GAME_PHASES.LOBBY });
+            await adapter.saveGame(createLegacyGame());
+
+            expect((await adapter.loadGame('new')).schemaVersion).to.equal(CURRENT_SCHEMA_VERSION);
+            expect(await repository.loadGame('old')).to.include({ currentPhase: GAME_PHASES.PLAYING, schemaVersion: CURRENT_SCHEMA_VERSION });
+            expect((await adapter.loadGame('old')).gamePhase).to.equal('PLAYING_TRICKS');
+        });
+
+        it('should report what it would upgrade on a dry run without saving', async function() {
+            await adapter.saveGame(createLegacyGame());
+            await adapter.saveSnapshot({ gameId: 'old', seq: 1, state: createLegacyGame() });
+            await repository.saveGame({ gameId: 'new', currentPhase: GAME_PHASES.LOBBY });
+
+            const report = await repository.migrate({ dryRun: true });
+
+            expect(report).to.include({ dryRun: true, schemaVersion: CURRENT_SCHEMA_VERSION });
+            expect(report.games).to.deep.equal([{ gameId: 'old', fromVersion: 0, applied: MIGRATIONS.map(migration => migration.description) }]);
+            expect(report.snapshots).to.deep.equal([{ gameId: 'old', seq: 1, fromVersion: 0, applied: report.games[0].applied }]);
+            expect((await adapter.loadGame('old')).schemaVersion).to.be.undefined;
+        });
+
+        it('should upgrade every stored game and snapshot in a batch', async function() {
+            await adapter.saveGame(createLegacyGame());
+            await adapter.saveGame({ ...createLegacyGame('corrupt'), schemaVersion: 1.5 });
+            await adapter.saveSnapshot({ gameId: 'old', seq: 1, state: createLegacyGame() });
+
+            const report = await repository.migrate();
+
+            expect(report.games.map(game => game.gameId)).to.deep.equal(['old']);
+            expect(report.failed).to.deep.equal([{ gameId: 'corrupt', error: `Unsupported schema version 1.5; this server reads up to ${CURRENT_SCHEMA_VERSION}` }]);
+            expect(await adapter.loadGame('old')).to.include({ schemaVersion: CURRENT_SCHEMA_VERSION, trumpSuit: 'diamonds' });
+            expect((await adapter.loadSnapshot('old')).schemaVersion).to.equal(CURRENT_SCHEMA_VERSION);
+            expect((await repository.migrate()).games).to.be.empty;
+        });
+    });
+});
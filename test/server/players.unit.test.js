@@ -0,0 +1,38 @@
+/**
+ * @file players.unit.test.js - Unit tests for the player utilities
+ * @module test/server/players.unit
+ * @description Tests turn order around the table, passing over the partners who sit
+ * out when a maker goes alone or a defender defends alone.
+ *
+ * @requires chai
+ * @requires ../src/utils/players.js
+ */
+
+import { expect } from 'chai';
+import { getNextPlayer } from '../../src/utils/players.js';
+
+const ORDER = ['south', 'west', 'north', 'east'];
+
+describe('Player utilities', function() {
+    describe('getNextPlayer', function() {
+        it('should move to the left around the table', function() {
+            expect(getNextPlayer('south', ORDER)).to.equal('west');
+            expect(getNextPlayer('east', ORDER)).to.equal('south');
+        });
+
+        it('should pass over the partner of a lone maker', function() {
+            expect(getNextPlayer('west', ORDER, true, 'south', 'north')).to.equal('east');
+        });
+
+        it('should pass over the partner of a lone defender', function() {
+            expect(getNextPlayer('west', ORDER, false, null, null, 'north')).to.equal('east');
+        });
+
+        it('should pass over both sitting out partners when they sit side by side', function() {
+            const order = ['north', 'east', 'south', 'west'];
+
+            expect(getNextPlayer('north', order, true, 'north', 'south', 'east')).to.equal('west');
+            expect(getNextPlayer('west', order, true, 'north', 'south', 'east')).to.equal('north');
+        });
+    });
+});
@@ -0,0 +1,207 @@
+/**
+ * @file rateLimiter.unit.test.js - Unit tests for socket rate limiting
+ * @module test/server/rateLimiter.unit
+ * @description Tests per-event windows, the catch-all limit and temporary bans, on the
+ * memory store and on the Redis store with an in-memory stand-in for the Redis client,
+ * and the socket middleware that applies them.
+ *
+ * @requires chai
+ * @requires ../src/socket/middleware/rateLimiter.js
+ * @requires ../src/socket/middleware/rateLimitStores.js
+ */
+
+import { expect } from 'chai';
+import { RateLimiter, RATE_LIMIT_ERRORS, rateLimitSocket } from '../../src/socket/middleware/rateLimiter.js';
+import { MemoryRateLimitStore, RedisRateLimitStore } from '../../src/socket/middleware/rateLimitStores.js';
+
+/**
+ * Answers the commands the Redis store sends, the way a Redis server would
+ */
+function createFakeRedisClient() {
+    const values = new Map(); // key -> { value, expiresAt }
+    const read = (key) => {
+        const entry = values.get(key);
+        return entry && entry.expiresAt > Date.now() ? entry : null;
+    };
+
+    return {
+        async eval(script, { keys: [key], arguments: [windowMs] }) {
+            const entry = read(key) || { value: 0, expiresAt: Date.now() + Number(windowMs) };
+            entry.value++;
+            values.set(key, entry);
+            return [entry.value, entry.expiresAt - Date.now()];
+        },
+        async set(key, value, { PX }) {
+            values.set(key, { value, expiresAt: Date.now() + PX });
+        },
+        async get(key) {
+            return read(key)?.value ?? null;
+        },
+        async quit() {}
+    };
+}
+
+/**
+ * Stands in for a socket that has been through the auth middleware, keeping the
+ * packet middleware it is given
+ */
+function createFakeSocket(user, address = '203.0.113.7') {
+    return {
+        data: { user },
+        handshake: { address },
+        emitted: [],
+        use(middleware) {
+            this.packetMiddleware = middleware;
+        },
+        emit(event, payload) {
+            this.emitted.push([event, payload]);
+        }
+    };
+}
+
+/**
+ * Runs a socket through the middleware, resolving with the error it was refused
+ * with, if any
+ */
+function connect(middleware, socket) {
+    return new Promise(resolve => middleware(socket, resolve));
+}
+
+const stores = {
+    memory: () => new MemoryRateLimitStore(),
+    redis: () => new RedisRateLimitStore(createFakeRedisClient())
+};
+
+Object.entries(stores).forEach(([name, createStore]) => {
+    describe(`Rate limiter (${name} store)`, function() {
+        let limiter;
+        const now = Date.now();
+
+        beforeEach(function() {
+            limiter = new RateLimiter({
+                limits: {
+                    chat_message: { points: 2, windowMs: 1000 },
+                    '*': { points: 3, windowMs: 1000 }
+                },
+                ban: { violations: 3, windowMs: 10000, duration: 5000 },
+                store: createStore()
+            });
+        });
+
+        it('should refuse events past the limit until the window ends', async function() {
+            expect(await limiter.consume('alice', 'chat_message', now)).to.deep.equal({ allowed: true });
+            expect(await limiter.consume('alice', 'chat_message', now)).to.deep.equal({ allowed: true });
+
+            const refused = await limiter.consume('alice', 'chat_message', now);
+            expect(refused).to.include({ allowed: false, code: RATE_LIMIT_ERRORS.RATE_LIMITED });
+            expect(refused.retryAfter).to.be.within(1, 1000);
+        });
+
+        it('should count each user and each event separately', async function() {
+            await limiter.consume('alice', 'chat_message', now);
+            await limiter.consume('alice', 'chat_message', now);
+
+            expect((await limiter.consume('bob', 'chat_message', now)).allowed).to.be.true;
+            expect((await limiter.consume('alice', 'join_table', now)).allowed).to.be.true;
+        });
+
+        it('should share the catch-all limit between events without their own', async function() {
+            await limiter.consume('alice', 'join_table', now);
+            await limiter.consume('alice', 'leave_table', now);
+            await limiter.consume('alice', 'join_table', now);
+
+            expect((await limiter.consume('alice', 'start_game', now)).allowed).to.be.false;
+        });
+
+        it('should ban a user who keeps going, whatever they send', async function() {
+            for (let i = 0; i < 4; i++) {
+                await limiter.consume('alice', 'chat_message', now);
+            }
+
+            const banned = await limiter.consume('alice', 'chat_message', now);
+            expect(banned).to.deep.equal({ allowed: false, code: RATE_LIMIT_ERRORS.BANNED, retryAfter: 5000 });
+            expect((await limiter.consume('alice', 'leave_table', now)).code).to.equal(RATE_LIMIT_ERRORS.BANNED);
+            expect(await limiter.getBan('alice', now)).to.equal(now + 5000);
+            expect(await limiter.getBan('bob', now)).to.be.null;
+        });
+    });
+});
+
+describe('Memory rate limit store', function() {
+    it('should start a new window once the last one ends', async function() {
+        const store = new MemoryRateLimitStore();
+
+        await store.hit('alice:chat_message', 1000, 0);
+        expect((await store.hit('alice:chat_message', 1000, 500)).count).to.equal(2);
+        expect(await store.hit('alice:chat_message', 1000, 1000)).to.deep.equal({ count: 1, resetAt: 2000 });
+    });
+
+    it('should lift a ban once it runs out', async function() {
+        const store = new MemoryRateLimitStore();
+
+        await store.ban('alice', 1000);
+        expect(await store.getBan('alice', 999)).to.equal(1000);
+        expect(await store.getBan('alice', 1000)).to.be.null;
+    });
+});
+
+describe('rateLimitSocket', function() {
+    let limiter;
+
+    beforeEach(function() {
+        limiter = new RateLimiter({
+            limits: { '*': { points: 1, windowMs: 60000 } },
+            ban: { violations: 1, windowMs: 60000, duration: 60000 }
+        });
+    });
+
+    it('should keep a banned guest out when they come back as a new guest', async function() {
+        const middleware = rateLimitSocket(limiter);
+        const first = createFakeSocket({ id: 'guest:1', isGuest: true });
+        await connect(middleware, first);
+
+        const passed = [];
+        first.packetMiddleware(['chat_message'], () => passed.push(1));
+        first.packetMiddleware(['chat_message'], () => passed.push(2));
+        await new Promise(resolve => setTimeout(resolve, 10));
+
+        expect(passed).to.deep.equal([1]);
+        expect(first.emitted[0][1].error.code).to.equal(RATE_LIMIT_ERRORS.BANNED);
+        expect((await connect(middleware, createFakeSocket({ id: 'guest:2', isGuest: true })))?.message)
+            .to.match(/^You have been sending too much/);
+        expect(await connect(middleware, createFakeSocket({ id: 'guest:3', isGuest: true }, '198.51.100.1'))).to.be.undefined;
+        expect(await connect(middleware, createFakeSocket({ id: 'user-1', isGuest: false }))).to.be.undefined;
+    });
+
+    it('should pass packets on in the order they arrived when the store is slow', async function() {
+        const store = new MemoryRateLimitStore();
+        const delays = [20, 0];
+        const hit = store.hit.bind(store);
+        store.hit = async (...args) => {
+            await new Promise(resolve => setTimeout(resolve, delays.shift() ?? 0));
+            return hit(...args);
+        };
+        const middleware = rateLimitSocket(new RateLimiter({ limits: { '*': { points: 10, windowMs: 60000 } }, store }));
+        const socket = createFakeSocket({ id: 'user-1', isGuest: false });
+        await connect(middleware, socket);
+
+        const passed = [];
+        await new Promise((resolve) => {
+            socket.packetMiddleware(['play_card'], () => passed.push('first'));
+            socket.packetMiddleware(['play_card'], () => resolve(passed.push('second')));
+        });
+
+        expect(passed).to.deep.equal(['first', 'second']);
+    });
+
+    it('should let sockets and their events through when the store never answers', async function() {
+        const never = () => new Promise(() => {});
+        const store = { hit: never, ban: never, getBan: never, close: async () => {} };
+        const middleware = rateLimitSocket(new RateLimiter({ store, timeoutMs: 20 }));
+        const socket = createFakeSocket({ id: 'user-1', isGuest: false });
+
+        expect(await connect(middleware, socket)).to.be.undefined;
+        await new Promise(resolve => socket.packetMiddleware(['play_card'], resolve));
+        await new Promise(resolve => socket.packetMiddleware(['play_card'], resolve));
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ * @file schema.unit.test.js - Unit tests for the game state schema
+ * @module test/server/schema.unit
+ * @description Tests that game states and cards are checked field by field, that each
+ * problem is reported with its path, and that the event log refuses to move a game to
+ * a state that doesn't match the schema.
+ *
+ * @requires chai
+ * @requires ../src/game/schema.js
+ */
+
+import { expect } from 'chai';
+import {
+    validateCard,
+    validateGameState,
+    assertValidGameState,
+    GameStateError
+} from '../../src/game/schema.js';
+import { recordDeal, takeUnsavedEvents } from '../../src/game/history/eventLog.js';
+import { fillEmptySeats } from '../../src/game/bots/botPlayer.js';
+import { createGameState } from '../../src/game/state.js';
+import { GAME_PHASES } from '../../src/config/constants.js';
+
+describe('Game state schema', function() {
+    let table;
+
+    beforeEach(function() {
+        table = fillEmptySeats(createGameState({ gameId: 'g1' }), 'medium');
+    });
+
+    describe('validateCard', function() {
+        it('should accept a card and name what is wrong with a bad one', function() {
+            expect(validateCard({ rank: 'J', suit: 'clubs', id: 3, code: 'JC' })).to.be.empty;
+            expect(validateCard({ rank: 'J' })).to.deep.equal([{ path: 'card.suit', message: 'is required' }]);
+            expect(validateCard({ value: 'J', suit: 'stars' })).to.deep.equal([
+                { path: 'card.rank', message: 'is required' },
+                { path: 'card.suit', message: 'must be one of hearts, diamonds, clubs, spades, got "stars"' },
+                { path: 'card.value', message: 'has been replaced by rank' }
+            ]);
+        });
+    });
+
+    describe('validateGameState', function() {
+        it('should accept a new game and a freshly dealt one', function() {
+            expect(validateGameState(table)).to.be.empty;
+            expect(validateGameState(takeUnsavedEvents(recordDeal(table)).gameState)).to.be.empty;
+        });
+
+        it('should report each problem by its path', function() {
+            const dealt = takeUnsavedEvents(recordDeal(table)).gameState;
+            const [first, ...rest] = dealt.players.west.hand;
+            const broken = {
+                ...dealt,
+                dealer: 'centre',
+                players: { ...dealt.players, west: { ...dealt.players.west, hand: [{ ...first, rank: 8 }, ...rest] } }
+            };
+
+            expect(validateGameState(broken)).to.deep.equal([
+                { path: 'players.west.hand[0].rank', message: 'must be string, got integer' },
+                { path: 'dealer', message: 'must be one of south, west, north, east, got "centre"' }
+            ]);
+        });
+
+        it('should point out fields that were renamed', function() {
+            const { currentPhase, ...legacy } = { ...table, gamePhase: GAME_PHASES.LOBBY };
+
+            expect(validateGameState(legacy)).to.deep.equal([
+                { path: 'currentPhase', message: 'is required' },
+                { path: 'gamePhase', message: 'has been replaced by currentPhase' }
+            ]);
+        });
+
+        it('should require what the phase needs', function() {
+            const playing = { ...table, currentPhase: GAME_PHASES.PLAYING, dealer: 'south', currentPlayer: 'west', makerTeam: 'east+west' };
+
+            expect(validateGameState(playing)).to.deep.equal([{ path: 'trumpSuit', message: 'must be set in the PLAYING phase' }]);
+        });
+    });
+
+    describe('assertValidGameState', function() {
+        it('should throw a GameStateError listing every violation', function() {
+            const broken = { ...table, eventSeq: 'one', goingAlone: null };
+
+            let error;
+            try {
+                assertValidGameState(broken, 'test');
+            } catch (caught) {
+                error = caught;
+            }
+
+            expect(error).to.be.an.instanceOf(GameStateError);
+            expect(error.violations).to.have.lengthOf(2);
+            expect(error.message).to.equal('Invalid game state after test:\n  goingAlone: must not be null\n  eventSeq: must be integer, got string');
+        });
+
+        it('should stop the event log moving a game to an invalid state', function() {
+            expect(() => recordDeal({ ...table, trump: 'hearts' }))
+                .to.throw(GameStateError, 'after event 1 (deal) of game g1:\n  trump: has been replaced by trumpSuit');
+        });
+    });
+});
@@ -0,0 +1,164 @@
+/**
+ * @file seating.unit.test.js - Unit tests for seating at a table
+ * @module test/server/seating.unit
+ * @description Tests taking, leaving, swapping and locking seats, and invite codes.
+ *
+ * @requires chai
+ * @requires ../src/game/seating.js
+ */
+
+import { expect } from 'chai';
+import {
+    generateInviteCode,
+    takeSeat,
+    vacateSeat,
+    swapSeats,
+    setSeatLocked,
+    holdSeat,
+    reclaimSeat,
+    handSeatToBot,
+    isPaused
+} from '../../src/game/seating.js';
+import { getRoleByPlayerToken } from '../../src/utils/players.js';
+import { TableManager, getOpenSeats } from '../../src/game/tableManager.js';
+import { createGameState } from '../../src/game/state.js';
+import { fillEmptySeats } from '../../src/game/bots/botPlayer.js';
+import { startNewHand } from '../../src/game/phases/dealing.js';
+import { GAME_PHASES } from '../../src/config/constants.js';
+
+describe('Seating', function() {
+    let state;
+
+    beforeEach(function() {
+        state = takeSeat(createGameState({ gameId: 'g1' }), 'south', { socketId: 's1', name: 'Alice' });
+    });
+
+    describe('takeSeat', function() {
+        it('should put a person in the seat', function() {
+            expect(state.players.south).to.include({ name: 'Alice', socketId: 's1', isBot: false, isConnected: true });
+            expect(state.players.south.team).to.equal(1);
+        });
+
+        it('should replace a bot', function() {
+            const seated = takeSeat(fillEmptySeats(state, 'hard'), 'west', { socketId: 's2' });
+
+            expect(seated.players.west).to.include({ name: 'West', isBot: false });
+            expect(seated.players.west).to.not.have.property('botDifficulty');
+        });
+    });
+
+    describe('vacateSeat', function() {
+        it('should empty the seat in the lobby', function() {
+            const vacated = vacateSeat(state, 'south');
+
+            expect(vacated.players.south).to.include({ name: 'South', socketId: null });
+        });
+
+        it('should keep the seat in the player\'s name during a game', function() {
+            const vacated = vacateSeat({ ...state, currentPhase: GAME_PHASES.PLAYING }, 'south');
+
+            expect(vacated.players.south).to.include({ name: 'Alice', socketId: null, isConnected: false });
+        });
+    });
+
+    describe('swapSeats', function() {
+        it('should swap the people but not the seats', function() {
+            const seated = takeSeat(state, 'west', { socketId: 's2', name: 'Bob' });
+            const swapped = swapSeats(seated, 'west', 'north');
+
+            expect(swapped.players.north).to.include({ name: 'Bob', socketId: 's2', team: 1 });
+            expect(swapped.players.west).to.include({ name: 'West', socketId: null, team: 2 });
+        });
+
+        it('should swap two players', function() {
+            const seated = takeSeat(state, 'east', { socketId: 's2', name: 'Bob' });
+            const swapped = swapSeats(seated, 'south', 'east');
+
+            expect(swapped.players.south.name).to.equal('Bob');
+            expect(swapped.players.east.name).to.equal('Alice');
+        });
+
+        it('should refuse once the cards are dealt', function() {
+            const dealt = startNewHand(fillEmptySeats(state));
+
+            expect(() => swapSeats(dealt, 'south', 'north')).to.throw('before the deal');
+        });
+
+        it('should refuse an unknown seat', function() {
+            expect(() => swapSeats(state, 'south', 'middle')).to.throw('Invalid seat: middle');
+        });
+    });
+
+    describe('setSeatLocked', function() {
+        it('should close and reopen a seat', function() {
+            const locked = setSeatLocked(state, 'north', true);
+            expect(getOpenSeats(locked)).to.deep.equal(['west', 'east']);
+
+            const unlocked = setSeatLocked(locked, 'north', false);
+            expect(getOpenSeats(unlocked)).to.deep.equal(['west', 'north', 'east']);
+        });
+
+        it('should keep bots out of a locked seat', function() {
+            const filled = fillEmptySeats(setSeatLocked(state, 'north', true));
+
+            expect(filled.players.north.isBot).to.not.be.true;
+            expect(filled.players.west.isBot).to.be.true;
+            expect(filled.players.east.isBot).to.be.true;
+        });
+    });
+
+    describe('reconnecting', function() {
+        let dealt;
+
+        beforeEach(function() {
+            const seated = takeSeat(state, 'south', { socketId: 's1', playerToken: 'token-1', name: 'Alice' });
+            dealt = startNewHand(fillEmptySeats(seated), { seed: 'reconnect' });
+        });
+
+        it('should find a seat by its player token', function() {
+            expect(getRoleByPlayerToken(dealt, 'token-1')).to.equal('south');
+            expect(getRoleByPlayerToken(dealt, 'token-2')).to.be.null;
+        });
+
+        it('should hold the seat and pause the game', function() {
+            const held = holdSeat(dealt, 'south', 12345);
+
+            expect(isPaused(held)).to.be.true;
+            expect(held.reconnectDeadlines).to.deep.equal({ south: 12345 });
+            expect(held.players.south).to.include({ socketId: null, playerToken: 'token-1', name: 'Alice' });
+            expect(getOpenSeats(held)).to.not.include('south');
+        });
+
+        it('should give the seat and hand back on a new socket', function() {
+            const reclaimed = reclaimSeat(holdSeat(dealt, 'south', 12345), 'south', 's9');
+
+            expect(isPaused(reclaimed)).to.be.false;
+            expect(reclaimed.players.south).to.include({ socketId: 's9', isConnected: true, name: 'Alice' });
+            expect(reclaimed.players.south.hand).to.deep.equal(dealt.players.south.hand);
+        });
+
+        it('should let a bot play on and still let the player reclaim the seat', function() {
+            const botSeat = handSeatToBot(holdSeat(dealt, 'south', 12345), 'south', 'medium');
+            expect(isPaused(botSeat)).to.be.false;
+            expect(botSeat.players.south).to.include({ isBot: true, name: 'South (Bot)', playerToken: 'token-1' });
+
+            const reclaimed = reclaimSeat(botSeat, 'south', 's9');
+            expect(reclaimed.players.south).to.include({ isBot: false, name: 'Alice' });
+            expect(reclaimed.players.south).to.not.have.property('botDifficulty');
+        });
+    });
+
+    describe('invite codes', function() {
+        it('should be six easy-to-read characters', function() {
+            expect(generateInviteCode()).to.match(/^[A-HJKMNP-Z2-9]{6}$/);
+        });
+
+        it('should find a private table by its code in any case', function() {
+            const tables = new TableManager();
+            const table = tables.createTable({ isPrivate: true });
+
+            expect(tables.findTableByInviteCode(table.inviteCode.toLowerCase()).gameId).to.equal(table.gameId);
+            expect(tables.findTableByInviteCode('')).to.be.null;
+        });
+    });
+});
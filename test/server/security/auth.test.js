@@ -0,0 +1,219 @@
+/**
+ * @file auth.test.js - Tests for accounts and socket authentication
+ * @module test/server/security/auth
+ * @description Tests registering and logging in, the /api/auth routes, and the
+ * handshake middleware that ties each socket to an account or a guest.
+ *
+ * @requires chai
+ * @requires supertest
+ * @requires socket.io-client
+ * @requires ../src/auth/accounts.js
+ */
+
+import { expect } from 'chai';
+import express from 'express';
+import http from 'http';
+import request from 'supertest';
+import { io as connectClient } from 'socket.io-client';
+import { AccountStore } from '../../../src/auth/accounts.js';
+import { GameRepository } from '../../../src/db/gameRepository.js';
+import { MemoryAdapter } from '../../../src/db/adapters/memoryAdapter.js';
+import { createAuthRouter } from '../../../src/auth/routes.js';
+import { createSessionToken } from '../../../src/auth/sessions.js';
+import { initializeSocket } from '../../../src/socket/index.js';
+import { TableManager } from '../../../src/game/tableManager.js';
+import { RateLimiter } from '../../../src/socket/middleware/rateLimiter.js';
+import { GAME_EVENTS } from '../../../src/config/constants.js';
+
+const sessionSecret = 'test-secret';
+
+describe('Accounts', function() {
+    let adapter;
+    let accounts;
+
+    beforeEach(function() {
+        adapter = new MemoryAdapter();
+        accounts = new AccountStore(new GameRepository(adapter));
+    });
+
+    describe('AccountStore', function() {
+        it('should register an account without giving out the password hash', async function() {
+            const account = await accounts.register({ username: 'alice', password: 'correct horse', displayName: 'Alice' });
+
+            expect(account).to.include({ username: 'alice', displayName: 'Alice' });
+            expect(account).to.not.have.property('passwordHash');
+            expect((await adapter.loadAccount(account.id)).passwordHash).to.match(/^[0-9a-f]+:[0-9a-f]+$/);
+        });
+
+        it('should keep accounts in storage, for a new store to log in against', async function() {
+            const { id } = await accounts.register({ username: 'alice', password: 'correct horse' });
+            const restarted = new AccountStore(new GameRepository(adapter));
+
+            expect((await restarted.authenticate({ username: 'alice', password: 'correct horse' })).id).to.equal(id);
+            expect(await restarted.getAccount(id)).to.include({ username: 'alice' });
+        });
+
+        it('should only let one of two players register a name at once', async function() {
+            const results = await Promise.allSettled([
+                accounts.register({ username: 'alice', password: 'correct horse' }),
+                accounts.register({ username: 'Alice', password: 'battery staple' })
+            ]);
+
+            expect(results.map(result => result.status)).to.have.members(['fulfilled', 'rejected']);
+        });
+
+        it('should refuse a bad username, a short password or a taken name', async function() {
+            await accounts.register({ username: 'alice', password: 'correct horse' });
+
+            const attempts = [
+                { username: 'a', password: 'correct horse' },
+                { username: 'bob', password: 'short' },
+                { username: 'ALICE', password: 'correct horse' }
+            ];
+            for (const details of attempts) {
+                const error = await accounts.register(details).catch(e => e);
+                expect(error).to.be.an('error');
+            }
+        });
+
+        it('should log in with the right password only', async function() {
+            const { id } = await accounts.register({ username: 'alice', password: 'correct horse' });
+
+            expect((await accounts.authenticate({ username: 'Alice', password: 'correct horse' })).id).to.equal(id);
+            const wrongPassword = await accounts.authenticate({ username: 'alice', password: 'battery staple' }).catch(e => e);
+            const unknownUser = await accounts.authenticate({ username: 'mallory', password: 'correct horse' }).catch(e => e);
+            expect(wrongPassword.message).to.equal('Wrong username or password');
+            expect(unknownUser.message).to.equal(wrongPassword.message);
+        });
+    });
+
+    describe('routes', function() {
+        let app;
+
+        beforeEach(function() {
+            app = express();
+            app.use(express.json());
+            app.use('/api/auth', createAuthRouter(accounts, { sessionSecret }));
+        });
+
+        it('should hand out a session token on registration and login', async function() {
+            const registered = await request(app).post('/api/auth/register').send({ username: 'alice', password: 'correct horse' });
+            expect(registered.status).to.equal(201);
+            expect(registered.body.token).to.be.a('string');
+
+            const loggedIn = await request(app).post('/api/auth/login').send({ username: 'alice', password: 'correct horse' });
+            const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${loggedIn.body.token}`);
+            expect(me.body.account.username).to.equal('alice');
+        });
+
+        it('should answer a failed login with 401', async function() {
+            const response = await request(app).post('/api/auth/login').send({ username: 'alice', password: 'nope' });
+
+            expect(response.status).to.equal(401);
+            expect(response.body).to.deep.equal({ success: false, error: { message: 'Wrong username or password', code: 'LOGIN_ERROR' } });
+        });
+
+        it('should refuse an address that keeps trying to register or log in', async function() {
+            const limits = { register: { points: 1, windowMs: 60000 }, login: { points: 2, windowMs: 60000 } };
+            const limited = express();
+            limited.use(express.json());
+            limited.use('/api/auth', createAuthRouter(accounts, { sessionSecret, rateLimiter: new RateLimiter({ limits, ban: null }) }));
+            const login = () => request(limited).post('/api/auth/login').send({ username: 'alice', password: 'guess' });
+
+            expect((await login()).status).to.equal(401);
+            expect((await login()).status).to.equal(401);
+            const refused = await login();
+            expect(refused.status).to.equal(429);
+            expect(refused.body.error.code).to.equal('RATE_LIMITED');
+            expect(refused.headers['retry-after']).to.equal('60');
+
+            const registered = await request(limited).post('/api/auth/register').send({ username: 'alice', password: 'correct horse' });
+            const again = await request(limited).post('/api/auth/register').send({ username: 'bob', password: 'correct horse' });
+            expect(registered.status).to.equal(201);
+            expect(again.status).to.equal(429);
+        });
+    });
+
+    describe('socket handshake', function() {
+        let httpServer;
+        let io;
+        let url;
+        const clients = [];
+
+        const connect = (auth = {}) => new Promise((resolve, reject) => {
+            const client = connectClient(url, { transports: ['websocket'], forceNew: true, auth });
+            clients.push(client);
+            client.once('connect', () => resolve(client));
+            client.once('connect_error', reject);
+        });
+
+        const emit = (socket, event, data = {}) => new Promise(resolve => socket.emit(event, data, resolve));
+
+        beforeEach(function(done) {
+            httpServer = http.createServer();
+            io = initializeSocket(httpServer, new TableManager(), { sessionSecret });
+            httpServer.listen(0, () => {
+                url = `http://localhost:${httpServer.address().port}`;
+                done();
+            });
+        });
+
+        afterEach(function(done) {
+            clients.splice(0).forEach(client => client.disconnect());
+            io.close();
+            httpServer.close(() => done());
+        });
+
+        it('should seat a logged-in player under their account name', async function() {
+            const account = await accounts.register({ username: 'alice', password: 'correct horse', displayName: 'Alice' });
+            const alice = await connect({ token: createSessionToken(account, { secret: sessionSecret }) });
+
+            const { gameId } = await emit(alice, GAME_EVENTS.CREATE_TABLE);
+            await emit(alice, GAME_EVENTS.JOIN_TABLE, { gameId, playerName: 'Someone else' });
+            const { gameState } = await emit(alice, GAME_EVENTS.REQUEST_FULL_STATE);
+
+            expect(gameState.players.south).to.include({ name: 'Alice', userId: account.id });
+            expect(gameState.hostId).to.equal(account.id);
+        });
+
+        it('should let an account take its seat back from another connection without the token', async function() {
+            const account = await accounts.register({ username: 'alice', password: 'correct horse' });
+            const token = createSessionToken(account, { secret: sessionSecret });
+            const alice = await connect({ token });
+            const { gameId } = await emit(alice, GAME_EVENTS.CREATE_TABLE);
+            await emit(alice, GAME_EVENTS.JOIN_TABLE, { gameId });
+
+            const otherDevice = await connect({ token });
+            const reply = await emit(otherDevice, GAME_EVENTS.REJOIN_TABLE, { gameId });
+
+            expect(reply).to.include({ success: true, role: 'south' });
+        });
+
+        it('should refuse a forged token', async function() {
+            const token = createSessionToken({ id: 'account-1', displayName: 'Mallory' }, { secret: 'guessed' });
+            const error = await connect({ token }).catch(e => e);
+
+            expect(error.message).to.equal('Invalid session token');
+        });
+
+        it('should let guests play', async function() {
+            const guest = await connect();
+            const { gameId } = await emit(guest, GAME_EVENTS.CREATE_TABLE);
+            const reply = await emit(guest, GAME_EVENTS.JOIN_TABLE, { gameId, playerName: 'Gus' });
+
+            expect(reply.success).to.be.true;
+        });
+
+        it('should turn guests away when the server requires accounts', async function() {
+            io.close();
+            await new Promise(resolve => httpServer.close(resolve));
+            httpServer = http.createServer();
+            io = initializeSocket(httpServer, new TableManager(), { sessionSecret, allowGuests: false });
+            await new Promise(resolve => httpServer.listen(0, resolve));
+            url = `http://localhost:${httpServer.address().port}`;
+
+            const error = await connect().catch(e => e);
+            expect(error.message).to.equal('Please log in to play');
+        });
+    });
+});
@@ -0,0 +1,49 @@
+/**
+ * @file session.test.js - Unit tests for session tokens
+ * @module test/server/security/session
+ * @description Tests signing and checking session tokens: expiry, forged signatures
+ * and tokens signed with another key.
+ *
+ * @requires chai
+ * @requires ../src/auth/sessions.js
+ */
+
+import { expect } from 'chai';
+import { createSessionToken, verifySessionToken } from '../../../src/auth/sessions.js';
+
+describe('Session tokens', function() {
+    const secret = 'test-secret';
+    const account = { id: 'account-1', displayName: 'Alice' };
+
+    it('should carry the account id and name', function() {
+        const token = createSessionToken(account, { secret });
+        const session = verifySessionToken(token, { secret });
+
+        expect(session).to.include({ sub: 'account-1', name: 'Alice' });
+    });
+
+    it('should refuse an expired token', function() {
+        const token = createSessionToken(account, { secret, ttl: 1000, now: 0 });
+
+        expect(() => verifySessionToken(token, { secret, now: 999 })).to.not.throw();
+        expect(() => verifySessionToken(token, { secret, now: 1000 })).to.throw('Session expired');
+    });
+
+    it('should refuse a token whose payload was changed', function() {
+        const [, signature] = createSessionToken(account, { secret }).split('.');
+        const forged = Buffer.from(JSON.stringify({ sub: 'account-2', exp: Date.now() + 1000 })).toString('base64url');
+
+        expect(() => verifySessionToken(`${forged}.${signature}`, { secret })).to.throw('Invalid session token');
+    });
+
+    it('should refuse a token signed with another key', function() {
+        const token = createSessionToken(account, { secret: 'other-secret' });
+
+        expect(() => verifySessionToken(token, { secret })).to.throw('Invalid session token');
+    });
+
+    it('should refuse a malformed token', function() {
+        expect(() => verifySessionToken('not-a-token', { secret })).to.throw('Malformed session token');
+        expect(() => verifySessionToken(undefined, { secret })).to.throw('Malformed session token');
+    });
+});
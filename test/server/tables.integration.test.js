@@ -0,0 +1,726 @@
+/**
+ * @file tables.integration.test.js - Integration tests for concurrent game tables
+ * @module test/server/tables.integration
+ * @description Runs a real socket.io server with several tables and checks that each
+ * table's state and events stay inside its own room.
+ *
+ * @requires chai
+ * @requires socket.io-client
+ * @requires ../src/socket/index.js
+ */
+
+import { expect } from 'chai';
+import http from 'http';
+import { io as connectClient } from 'socket.io-client';
+import { initializeSocket } from '../../src/socket/index.js';
+import { TableManager } from '../../src/game/tableManager.js';
+import { getPlayerView, getSpectatorView } from '../../src/socket/broadcast.js';
+import { createGameState } from '../../src/game/state.js';
+import { startNewHand } from '../../src/game/phases/dealing.js';
+import { handleOrderUpDecision, handleDealerDiscard, handleGoAloneDecision } from '../../src/game/phases/bidding.js';
+import { cardToNotation } from '../../src/game/history/notation.js';
+import { getTimeoutAction } from '../../src/game/turnClock.js';
+import { getPlayerToAct } from '../../src/utils/players.js';
+import { fillEmptySeats, takeBotTurn, getBotToAct } from '../../src/game/bots/botPlayer.js';
+import { analyzeHandRecord } from '../../src/game/logic/trickSolver.js';
+import { GameRepository } from '../../src/db/gameRepository.js';
+import { MemoryAdapter } from '../../src/db/adapters/memoryAdapter.js';
+import { recoverTables } from '../../src/socket/recovery.js';
+import { GAME_EVENTS, GAME_PHASES, RATE_LIMITS } from '../../src/config/constants.js';
+
+/**
+ * Emits an event and waits for the acknowledgement
+ */
+function request(socket, event, data = {}) {
+    return new Promise(resolve => socket.emit(event, data, resolve));
+}
+
+describe('Game tables', function() {
+    let httpServer;
+    let io;
+    let tables;
+    let repository;
+    let url;
+    const clients = [];
+
+    const connect = () => new Promise((resolve, reject) => {
+        const client = connectClient(url, { transports: ['websocket'], forceNew: true });
+        clients.push(client);
+        client.once('connect', () => resolve(client));
+        client.once('connect_error', reject);
+    });
+
+    beforeEach(function(done) {
+        tables = new TableManager();
+        repository = new GameRepository(new MemoryAdapter());
+        httpServer = http.createServer();
+        io = initializeSocket(httpServer, tables, { nextHandDelay: 10, gameRepository: repository });
+        httpServer.listen(0, () => {
+            url = `http://localhost:${httpServer.address().port}`;
+            done();
+        });
+    });
+
+    afterEach(function(done) {
+        clients.splice(0).forEach(client => client.disconnect());
+        io.close();
+        httpServer.close(() => done());
+    });
+
+    it('should keep each table in its own room', async function() {
+        const alice = await connect();
+        const bob = await connect();
+
+        const tableA = await request(alice, GAME_EVENTS.CREATE_TABLE, { name: 'A' });
+        const tableB = await request(bob, GAME_EVENTS.CREATE_TABLE, { name: 'B' });
+        expect(tableA.gameId).to.not.equal(tableB.gameId);
+
+        await request(alice, GAME_EVENTS.JOIN_TABLE, { gameId: tableA.gameId, playerName: 'Alice' });
+
+        const bobUpdates = [];
+        bob.on(GAME_EVENTS.STATE_UPDATE, state => bobUpdates.push(state));
+        await request(bob, GAME_EVENTS.JOIN_TABLE, { gameId: tableB.gameId, playerName: 'Bob' });
+
+        await request(alice, GAME_EVENTS.FILL_BOTS, { difficulty: 'easy' });
+        await request(alice, GAME_EVENTS.START_GAME);
+
+        expect(tables.getTable(tableA.gameId).currentPhase).to.not.equal(GAME_PHASES.LOBBY);
+        expect(tables.getTable(tableB.gameId).currentPhase).to.equal(GAME_PHASES.LOBBY);
+        expect(bobUpdates.every(state => state.gameId === tableB.gameId)).to.be.true;
+        expect(tables.getTable(tableB.gameId).players.south.name).to.equal('Bob');
+    });
+
+    it('should seat players in the first open seat and refuse a taken one', async function() {
+        const alice = await connect();
+        const bob = await connect();
+        const { gameId } = await request(alice, GAME_EVENTS.CREATE_TABLE);
+
+        const first = await request(alice, GAME_EVENTS.JOIN_TABLE, { gameId, playerName: 'Alice' });
+        const second = await request(bob, GAME_EVENTS.JOIN_TABLE, { gameId, playerName: 'Bob', role: 'south' });
+
+        expect(first.role).to.equal('south');
+        expect(second.success).to.be.false;
+        expect(second.error.code).to.equal('JOIN_TABLE_ERROR');
+    });
+
+    it('should not start until every seat is filled', async function() {
+        const alice = await connect();
+        const { gameId } = await request(alice, GAME_EVENTS.CREATE_TABLE);
+        await request(alice, GAME_EVENTS.JOIN_TABLE, { gameId });
+
+        const reply = await request(alice, GAME_EVENTS.START_GAME);
+
+        expect(reply.success).to.be.false;
+        expect(tables.getTable(gameId).currentPhase).to.equal(GAME_PHASES.LOBBY);
+    });
+
+    it('should reject actions from a socket that is not seated', async function() {
+        const alice = await connect();
+        const reply = await request(alice, GAME_EVENTS.PLAYER_ACTION, { type: 'playCard' });
+
+        expect(reply.success).to.be.false;
+        expect(reply.error.message).to.equal('You are not seated at a table');
+    });
+
+    it('should free a lobby seat when its player disconnects', async function() {
+        const alice = await connect();
+        const bob = await connect();
+        const carol = await connect();
+        const { gameId } = await request(alice, GAME_EVENTS.CREATE_TABLE);
+        await request(alice, GAME_EVENTS.JOIN_TABLE, { gameId, playerName: 'Alice' });
+        await request(bob, GAME_EVENTS.JOIN_TABLE, { gameId, playerName: 'Bob' });
+
+        alice.disconnect();
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const reply = await request(carol, GAME_EVENTS.JOIN_TABLE, { gameId, role: 'south' });
+        expect(reply.success).to.be.true;
+    });
+
+    it('should close a table once everyone has left', async function() {
+        const alice = await connect();
+        const { gameId } = await request(alice, GAME_EVENTS.CREATE_TABLE);
+        await request(alice, GAME_EVENTS.JOIN_TABLE, { gameId });
+
+        await request(alice, GAME_EVENTS.LEAVE_TABLE);
+
+        expect(tables.hasTable(gameId)).to.be.false;
+    });
+
+    it('should require the password of a private table', async function() {
+        const alice = await connect();
+        const { gameId } = await request(alice, GAME_EVENTS.CREATE_TABLE, { password: 'secret' });
+
+        const wrong = await request(alice, GAME_EVENTS.JOIN_TABLE, { gameId, password: 'guess' });
+        const right = await request(alice, GAME_EVENTS.JOIN_TABLE, { gameId, password: 'secret' });
+
+        expect(wrong.success).to.be.false;
+        expect(right.success).to.be.true;
+    });
+
+    describe('private tables', function() {
+        let host;
+        let table;
+
+        beforeEach(async function() {
+            host = await connect();
+            table = await request(host, GAME_EVENTS.CREATE_TABLE, { isPrivate: true });
+            await request(host, GAME_EVENTS.JOIN_TABLE, { inviteCode: table.inviteCode, playerName: 'Host' });
+        });
+
+        it('should keep strangers out and let invited players in', async function() {
+            const stranger = await connect();
+            const friend = await connect();
+
+            const refused = await request(stranger, GAME_EVENTS.JOIN_TABLE, { gameId: table.gameId });
+            const joined = await request(friend, GAME_EVENTS.JOIN_TABLE, { inviteCode: table.inviteCode });
+            const listed = await request(stranger, GAME_EVENTS.LOBBY_SUBSCRIBE);
+
+            expect(refused.success).to.be.false;
+            expect(joined.gameId).to.equal(table.gameId);
+            expect(listed.tables).to.be.empty;
+        });
+
+        it('should let the host seat partners across from each other', async function() {
+            const partner = await connect();
+            await request(partner, GAME_EVENTS.JOIN_TABLE, { inviteCode: table.inviteCode, playerName: 'Partner' });
+
+            const reply = await request(host, GAME_EVENTS.SWAP_SEATS, { from: 'west', to: 'north' });
+            const { gameState } = await request(partner, GAME_EVENTS.REQUEST_FULL_STATE);
+
+            expect(reply.success).to.be.true;
+            expect(gameState.players.north.name).to.equal('Partner');
+            expect(gameState.players.north.hand).to.deep.equal([]);
+            expect(tables.getTable(table.gameId).players.west.socketId).to.be.null;
+        });
+
+        it('should keep players out of locked seats', async function() {
+            await request(host, GAME_EVENTS.LOCK_SEAT, { role: 'west' });
+            const guest = await connect();
+
+            const joined = await request(guest, GAME_EVENTS.JOIN_TABLE, { inviteCode: table.inviteCode });
+            const refused = await request(guest, GAME_EVENTS.SWAP_SEATS, { from: 'north', to: 'west' });
+
+            expect(joined.role).to.equal('north');
+            expect(refused.error.message).to.equal('Only the host can do that');
+        });
+
+        it('should only let the host fill seats with bots and start the game', async function() {
+            const guest = await connect();
+            await request(guest, GAME_EVENTS.JOIN_TABLE, { inviteCode: table.inviteCode });
+
+            const guestFill = await request(guest, GAME_EVENTS.FILL_BOTS);
+            const guestStart = await request(guest, GAME_EVENTS.START_GAME);
+            const hostFill = await request(host, GAME_EVENTS.FILL_BOTS);
+            const hostStart = await request(host, GAME_EVENTS.START_GAME);
+
+            expect(guestFill.error.message).to.equal('Only the host can do that');
+            expect(guestStart.error.message).to.equal('Only the host can do that');
+            expect(hostFill.success).to.be.true;
+            expect(hostStart.success).to.be.true;
+        });
+
+        it('should let the host kick a player', async function() {
+            const guest = await connect();
+            await request(guest, GAME_EVENTS.JOIN_TABLE, { inviteCode: table.inviteCode });
+            const kicked = new Promise(resolve => guest.once(GAME_EVENTS.KICKED, resolve));
+
+            await request(host, GAME_EVENTS.KICK_PLAYER, { role: 'west' });
+
+            expect((await kicked).gameId).to.equal(table.gameId);
+            expect(tables.getTable(table.gameId).players.west.socketId).to.be.null;
+            const reply = await request(guest, GAME_EVENTS.PLAYER_ACTION, { type: 'playCard' });
+            expect(reply.success).to.be.false;
+        });
+
+        it('should hand the table to the next player when the host leaves', async function() {
+            const guest = await connect();
+            await request(guest, GAME_EVENTS.JOIN_TABLE, { inviteCode: table.inviteCode });
+
+            await request(host, GAME_EVENTS.LEAVE_TABLE);
+            const reply = await request(guest, GAME_EVENTS.LOCK_SEAT, { role: 'east' });
+
+            expect(reply.success).to.be.true;
+        });
+    });
+
+    describe('spectators', function() {
+        /**
+         * Opens a table with a human in the south seat and bots everywhere else
+         */
+        async function startBotTable(settings = {}) {
+            const player = await connect();
+            const { gameId } = await request(player, GAME_EVENTS.CREATE_TABLE, settings);
+            await request(player, GAME_EVENTS.JOIN_TABLE, { gameId });
+            await request(player, GAME_EVENTS.FILL_BOTS);
+            return { player, gameId };
+        }
+
+        it('should stream the game with every hand hidden by default', async function() {
+            const { player, gameId } = await startBotTable();
+            const spectator = await connect();
+            await request(spectator, GAME_EVENTS.WATCH_TABLE, { gameId });
+
+            // Watching sends the lobby state first; wait for the deal
+            const update = new Promise(resolve => spectator.on(GAME_EVENTS.STATE_UPDATE, state => {
+                if (state.currentPhase !== GAME_PHASES.LOBBY) resolve(state);
+            }));
+            await request(player, GAME_EVENTS.START_GAME);
+            const view = await update;
+
+            Object.values(view.players).forEach(p => expect(p.hand).to.be.empty);
+            expect(view.players.north.cardCount).to.be.above(0);
+        });
+
+        it('should show every hand when the table reveals them', async function() {
+            const { player, gameId } = await startBotTable({ spectatorHands: 'revealed' });
+            await request(player, GAME_EVENTS.START_GAME);
+            const spectator = await connect();
+
+            await request(spectator, GAME_EVENTS.WATCH_TABLE, { gameId });
+            const { gameState } = await request(spectator, GAME_EVENTS.REQUEST_FULL_STATE);
+
+            expect(gameState.players.north.hand).to.not.be.empty;
+            expect(gameState.kitty).to.be.empty;
+        });
+
+        it('should never let a spectator act', async function() {
+            const { gameId } = await startBotTable();
+            const spectator = await connect();
+            await request(spectator, GAME_EVENTS.WATCH_TABLE, { gameId });
+
+            const action = await request(spectator, GAME_EVENTS.PLAYER_ACTION, { type: 'orderUp', orderedUp: true });
+            const start = await request(spectator, GAME_EVENTS.START_GAME);
+
+            expect(action.error.message).to.equal('Spectators cannot take game actions');
+            expect(start.success).to.be.false;
+        });
+
+        it('should hold the spectator stream back by the table\'s delay', async function() {
+            const { player, gameId } = await startBotTable({ spectatorDelay: 200 });
+            const spectator = await connect();
+            await request(spectator, GAME_EVENTS.WATCH_TABLE, { gameId });
+
+            const updates = [];
+            const events = [];
+            spectator.on(GAME_EVENTS.STATE_UPDATE, state => updates.push(state));
+            spectator.on(GAME_EVENTS.GAME_STARTED, () => events.push(GAME_EVENTS.GAME_STARTED));
+            await request(player, GAME_EVENTS.START_GAME);
+            await new Promise(resolve => setTimeout(resolve, 100));
+            const seenEarly = updates.some(state => state.currentPhase !== GAME_PHASES.LOBBY) || events.length > 0;
+            await new Promise(resolve => setTimeout(resolve, 250));
+
+            expect(seenEarly).to.be.false;
+            expect(updates.some(state => state.currentPhase !== GAME_PHASES.LOBBY)).to.be.true;
+            expect(events).to.deep.equal([GAME_EVENTS.GAME_STARTED]);
+        });
+
+        it('should refuse spectators where the table does not allow them', async function() {
+            const { gameId } = await startBotTable({ allowSpectators: false });
+            const spectator = await connect();
+
+            const reply = await request(spectator, GAME_EVENTS.WATCH_TABLE, { gameId });
+
+            expect(reply.success).to.be.false;
+        });
+    });
+
+    describe('reconnecting', function() {
+        let alice;
+        let bob;
+        let gameId;
+        let aliceSeat;
+
+        beforeEach(async function() {
+            [alice, bob] = await Promise.all([connect(), connect()]);
+            ({ gameId } = await request(alice, GAME_EVENTS.CREATE_TABLE, { reconnectGracePeriod: 200 }));
+            aliceSeat = await request(alice, GAME_EVENTS.JOIN_TABLE, { gameId, playerName: 'Alice' });
+            await request(bob, GAME_EVENTS.JOIN_TABLE, { gameId, playerName: 'Bob' });
+            await request(alice, GAME_EVENTS.FILL_BOTS);
+            await request(alice, GAME_EVENTS.START_GAME);
+        });
+
+        it('should keep player tokens out of other players\' views', async function() {
+            const { gameState } = await request(bob, GAME_EVENTS.REQUEST_FULL_STATE);
+
+            expect(aliceSeat.playerToken).to.be.a('string');
+            expect(gameState.players.south.playerToken).to.be.undefined;
+            expect(gameState.players.west.playerToken).to.be.a('string');
+        });
+
+        it('should pause the game and count down when a player drops', async function() {
+            const notice = new Promise(resolve => bob.once(GAME_EVENTS.PLAYER_DISCONNECTED, resolve));
+            alice.disconnect();
+            const { role, name, deadline } = await notice;
+
+            expect(role).to.equal('south');
+            expect(name).to.equal('Alice');
+            expect(deadline).to.be.above(Date.now());
+            const reply = await request(bob, GAME_EVENTS.PLAYER_ACTION, { type: 'orderUp', orderedUp: false });
+            expect(reply.error).to.deep.equal({ message: 'Waiting for Alice to reconnect', code: 'GAME_PAUSED' });
+        });
+
+        it('should give the same seat and hand back on a new socket', async function() {
+            const hand = tables.getTable(gameId).players.south.hand;
+            alice.disconnect();
+            await new Promise(resolve => bob.once(GAME_EVENTS.PLAYER_DISCONNECTED, resolve));
+
+            const returning = await connect();
+            const reply = await request(returning, GAME_EVENTS.REJOIN_TABLE, { gameId, playerToken: aliceSeat.playerToken });
+            const { gameState } = await request(returning, GAME_EVENTS.REQUEST_FULL_STATE);
+
+            expect(reply.role).to.equal('south');
+            expect(gameState.players.south.hand).to.deep.equal(hand);
+            expect(gameState.reconnectDeadlines).to.deep.equal({});
+        });
+
+        it('should refuse an unknown token', async function() {
+            const stranger = await connect();
+            const reply = await request(stranger, GAME_EVENTS.REJOIN_TABLE, { gameId, playerToken: 'made-up' });
+
+            expect(reply.success).to.be.false;
+        });
+
+        it('should let a bot take over once the grace period is up', async function() {
+            alice.disconnect();
+            await new Promise(resolve => setTimeout(resolve, 350));
+
+            const south = tables.getTable(gameId).players.south;
+            expect(south.isBot).to.be.true;
+            expect(tables.getTable(gameId).reconnectDeadlines).to.deep.equal({});
+        });
+    });
+
+    describe('actions', function() {
+        it('should only take a move from the seat whose turn it is', async function() {
+            const [alice, bob] = await Promise.all([connect(), connect()]);
+            const { gameId } = await request(alice, GAME_EVENTS.CREATE_TABLE);
+            await request(alice, GAME_EVENTS.JOIN_TABLE, { gameId, role: 'south' });
+            await request(bob, GAME_EVENTS.JOIN_TABLE, { gameId, role: 'north' });
+            await request(alice, GAME_EVENTS.FILL_BOTS);
+            await request(alice, GAME_EVENTS.START_GAME);
+
+            // The bots have moved, so it is Alice's or Bob's turn
+            const gameState = tables.getTable(gameId);
+            const actor = getPlayerToAct(gameState);
+            const [up, waiting] = actor === 'south' ? [alice, bob] : [bob, alice];
+
+            // Sent the way the game page sends moves
+            const action = getTimeoutAction(gameState, actor);
+            const [event, data] = {
+                orderUp: [GAME_EVENTS.ACTION_ORDER_UP, { decision: action.orderedUp }],
+                callTrump: [GAME_EVENTS.ACTION_CALL_TRUMP, { suit: action.suit }],
+                discard: [GAME_EVENTS.ACTION_DEALER_DISCARD, { cardToDiscard: action.card }],
+                goAlone: [GAME_EVENTS.ACTION_GO_ALONE, { decision: action.goAlone }],
+                defendAlone: [GAME_EVENTS.ACTION_DEFEND_ALONE, { decision: action.defendAlone }],
+                playCard: [GAME_EVENTS.ACTION_PLAY_CARD, { card: action.card }]
+            }[action.type];
+
+            const refused = await request(waiting, event, data);
+            expect(refused.error.code).to.equal('NOT_YOUR_TURN');
+
+            const accepted = await request(up, event, data);
+            expect(accepted.success).to.be.true;
+        });
+
+        it('should ask each defender in turn whether to defend alone', async function() {
+            const [alice, bob] = await Promise.all([connect(), connect()]);
+            const { gameId } = await request(alice, GAME_EVENTS.CREATE_TABLE, { rules: { allowDefendAlone: true } });
+            await request(alice, GAME_EVENTS.JOIN_TABLE, { gameId, role: 'south' });
+            await request(bob, GAME_EVENTS.JOIN_TABLE, { gameId, role: 'north' });
+            await request(alice, GAME_EVENTS.FILL_BOTS);
+
+            // East or west makes trump, so Alice and Bob defend
+            tables.updateTable(gameId, (table) => {
+                let state = startNewHand(table, { seed: 'defend' });
+                while (['south', 'north'].includes(state.currentPlayer)) {
+                    state = handleOrderUpDecision(state, state.currentPlayer, false);
+                }
+                state = handleOrderUpDecision(state, state.currentPlayer, true);
+                state = handleDealerDiscard(state, state.dealer, state.players[state.dealer].hand[0]);
+                return handleGoAloneDecision(state, state.playerWhoCalledTrump, false);
+            });
+
+            const first = tables.getTable(gameId).currentPlayer;
+            const [firstSocket, secondSocket] = first === 'south' ? [alice, bob] : [bob, alice];
+            expect(tables.getTable(gameId).currentPhase).to.equal(GAME_PHASES.DEFEND_ALONE);
+
+            const refused = await request(secondSocket, GAME_EVENTS.ACTION_DEFEND_ALONE, { decision: true });
+            expect(refused.error.code).to.equal('NOT_YOUR_TURN');
+
+            expect((await request(firstSocket, GAME_EVENTS.ACTION_DEFEND_ALONE, { decision: false })).success).to.be.true;
+            expect(tables.getTable(gameId).currentPlayer).to.not.equal(first);
+
+            expect((await request(secondSocket, GAME_EVENTS.ACTION_DEFEND_ALONE, { decision: true })).success).to.be.true;
+            expect(tables.getTable(gameId).currentPhase).to.equal(GAME_PHASES.PLAYING);
+            expect(tables.getTable(gameId).defenderPartnerSittingOut).to.equal(first);
+        });
+    });
+
+    describe('event log', function() {
+        it('should store every move so the game can be rebuilt', async function() {
+            const [alice, bob] = await Promise.all([connect(), connect()]);
+            const { gameId } = await request(alice, GAME_EVENTS.CREATE_TABLE);
+            await request(alice, GAME_EVENTS.JOIN_TABLE, { gameId, role: 'south' });
+            await request(bob, GAME_EVENTS.JOIN_TABLE, { gameId, role: 'north' });
+            await request(alice, GAME_EVENTS.FILL_BOTS);
+            await request(alice, GAME_EVENTS.START_GAME);
+
+            // The bots have moved up to Alice's or Bob's turn
+            const gameState = tables.getTable(gameId);
+            const actor = getPlayerToAct(gameState);
+            const reply = await request(actor === 'south' ? alice : bob, GAME_EVENTS.PLAYER_ACTION, getTimeoutAction(gameState, actor));
+            expect(reply.success).to.be.true;
+
+            const live = tables.getTable(gameId);
+            const events = await repository.loadEvents(gameId);
+            expect(events.map(event => event.seq)).to.deep.equal(Array.from({ length: live.eventSeq }, (_, i) => i + 1));
+            expect(events[0].type).to.equal('deal');
+            expect(events.some(event => event.role === actor)).to.be.true;
+
+            const rebuilt = await repository.rebuildGame(gameId);
+            expect(rebuilt.players[actor].hand).to.deep.equal(live.players[actor].hand);
+            expect(rebuilt).to.include({ currentPhase: live.currentPhase, currentPlayer: live.currentPlayer, eventSeq: live.eventSeq });
+        });
+
+        it('should bring an open table back after a restart and hold the seats until players rejoin', async function() {
+            const alice = await connect();
+            const { gameId } = await request(alice, GAME_EVENTS.CREATE_TABLE);
+            const { playerToken } = await request(alice, GAME_EVENTS.JOIN_TABLE, { gameId, role: 'south' });
+            await request(alice, GAME_EVENTS.FILL_BOTS);
+            await request(alice, GAME_EVENTS.START_GAME);
+            await new Promise(resolve => setTimeout(resolve, 20));
+            const live = tables.getTable(gameId);
+
+            // The table is lost from memory, as it would be when the process stops
+            tables.removeTable(gameId);
+            expect(await recoverTables(io, tables, repository)).to.deep.equal([gameId]);
+
+            const restored = tables.getTable(gameId);
+            expect(restored.reconnectDeadlines).to.have.keys('south');
+            expect(restored.players.south.socketId).to.be.null;
+
+            const returning = await connect();
+            const reply = await request(returning, GAME_EVENTS.REJOIN_TABLE, { gameId, playerToken });
+            expect(reply).to.include({ success: true, role: 'south' });
+
+            const resumed = tables.getTable(gameId);
+            expect(resumed.reconnectDeadlines).to.deep.equal({});
+            expect(resumed.players.south.hand).to.deep.equal(live.players.south.hand);
+            expect(resumed).to.include({ currentPhase: live.currentPhase, eventSeq: live.eventSeq });
+        });
+
+        it('should close the log of a table nobody is left at', async function() {
+            const alice = await connect();
+            const { gameId } = await request(alice, GAME_EVENTS.CREATE_TABLE);
+            await request(alice, GAME_EVENTS.JOIN_TABLE, { gameId });
+            await request(alice, GAME_EVENTS.FILL_BOTS);
+            await request(alice, GAME_EVENTS.START_GAME);
+            await request(alice, GAME_EVENTS.LEAVE_TABLE);
+            await new Promise(resolve => setTimeout(resolve, 20));
+
+            expect(tables.hasTable(gameId)).to.be.false;
+            expect((await repository.loadEvents(gameId)).pop().type).to.equal('close');
+            expect(await recoverTables(io, tables, repository)).to.deep.equal([]);
+        });
+    });
+
+    describe('turn clocks', function() {
+        it('should move for a player who runs out of time and give them a strike', async function() {
+            const alice = await connect();
+            const limits = { bidding: 100, discard: 100, playing: 100 };
+            const { gameId } = await request(alice, GAME_EVENTS.CREATE_TABLE, { turnTimeLimits: limits });
+            await request(alice, GAME_EVENTS.JOIN_TABLE, { gameId, playerName: 'Alice' });
+            await request(alice, GAME_EVENTS.FILL_BOTS);
+
+            const clocked = new Promise(resolve => alice.on(GAME_EVENTS.STATE_UPDATE, state => {
+                if (state.turnClock?.role === 'south') resolve(state);
+            }));
+            const timedOut = new Promise(resolve => alice.once(GAME_EVENTS.TURN_TIMEOUT, resolve));
+            await request(alice, GAME_EVENTS.START_GAME);
+
+            const { turnClock } = await clocked;
+            expect(turnClock.deadline - turnClock.startedAt).to.equal(100);
+
+            const { role, action, timeoutStrikes } = await timedOut;
+            expect(role).to.equal('south');
+            expect(action.type).to.be.a('string');
+            expect(timeoutStrikes).to.equal(1);
+        });
+
+        it('should refuse time limits that aren\'t a number of milliseconds', async function() {
+            const alice = await connect();
+            const reply = await request(alice, GAME_EVENTS.CREATE_TABLE, { turnTimeLimits: { playing: 'slow' } });
+
+            expect(reply.success).to.be.false;
+        });
+    });
+
+    describe('hand analysis', function() {
+        it('should compare the last hand played out with perfect play', async function() {
+            const alice = await connect();
+            const { gameId } = await request(alice, GAME_EVENTS.CREATE_TABLE);
+            await request(alice, GAME_EVENTS.JOIN_TABLE, { gameId });
+
+            const none = await request(alice, GAME_EVENTS.HAND_ANALYSIS);
+            expect(none.error.message).to.equal('No hand has been played out yet');
+
+            let played = startNewHand(fillEmptySeats(createGameState(), 'hard'), { seed: 3 });
+            while (getBotToAct(played) && !played.handHistory.length) {
+                played = takeBotTurn(played);
+            }
+            tables.updateTable(gameId, state => ({ ...state, handHistory: played.handHistory }));
+
+            const reply = await request(alice, GAME_EVENTS.HAND_ANALYSIS);
+            const missing = await request(alice, GAME_EVENTS.HAND_ANALYSIS, { handNumber: 2 });
+
+            expect(reply.handNumber).to.equal(1);
+            expect(reply.analysis).to.deep.equal(analyzeHandRecord(played.handHistory[0]));
+            expect(missing.error.message).to.equal('Hand 2 was not played out');
+        });
+    });
+
+    describe('chat', function() {
+        let alice;
+        let bob;
+        let gameId;
+
+        beforeEach(async function() {
+            [alice, bob] = await Promise.all([connect(), connect()]);
+            ({ gameId } = await request(alice, GAME_EVENTS.CREATE_TABLE));
+            await request(alice, GAME_EVENTS.JOIN_TABLE, { gameId, playerName: 'Alice' });
+            await request(bob, GAME_EVENTS.JOIN_TABLE, { gameId, playerName: 'Bob' });
+        });
+
+        it('should send a filtered message to the rest of the table', async function() {
+            const received = new Promise(resolve => bob.once(GAME_EVENTS.CHAT_MESSAGE, resolve));
+            await request(alice, GAME_EVENTS.CHAT_MESSAGE, { text: 'Deal, damn it' });
+            const message = await received;
+
+            expect(message).to.include({ role: 'south', name: 'Alice', text: 'Deal, **** it' });
+        });
+
+        it('should not send a muted player\'s messages', async function() {
+            const muted = await request(bob, GAME_EVENTS.MUTE_PLAYER, { role: 'south' });
+            expect(muted.mutedRoles).to.deep.equal(['south']);
+
+            const messages = [];
+            bob.on(GAME_EVENTS.CHAT_MESSAGE, message => messages.push(message));
+            await request(alice, GAME_EVENTS.CHAT_MESSAGE, { phraseId: 'hello' });
+            const { gameState } = await request(bob, GAME_EVENTS.REQUEST_FULL_STATE);
+
+            expect(messages).to.be.empty;
+            expect(gameState.chatHistory).to.be.empty;
+        });
+
+        it('should refuse messages past the rate limit', async function() {
+            const replies = [];
+            for (let i = 0; i <= RATE_LIMITS[GAME_EVENTS.CHAT_MESSAGE].points; i++) {
+                replies.push(await request(alice, GAME_EVENTS.CHAT_MESSAGE, { phraseId: 'hello' }));
+            }
+
+            expect(replies.slice(0, -1).every(reply => reply.success)).to.be.true;
+            expect(replies[replies.length - 1].error.code).to.equal('RATE_LIMITED');
+            expect(tables.getTable(gameId).chatHistory).to.have.lengthOf(RATE_LIMITS[GAME_EVENTS.CHAT_MESSAGE].points);
+        });
+    });
+
+    describe('lobby', function() {
+        it('should push the table list when seats change', async function() {
+            const alice = await connect();
+            const bob = await connect();
+            const { gameId } = await request(alice, GAME_EVENTS.CREATE_TABLE, { name: 'Friday' });
+
+            const subscribed = await request(bob, GAME_EVENTS.LOBBY_SUBSCRIBE);
+            expect(subscribed.tables).to.have.lengthOf(1);
+            expect(subscribed.tables[0].seatsFilled).to.equal(0);
+
+            const update = new Promise(resolve => bob.once(GAME_EVENTS.LOBBY_UPDATE, resolve));
+            await request(alice, GAME_EVENTS.JOIN_TABLE, { gameId, playerName: 'Alice' });
+            const { tables: listed } = await update;
+
+            expect(listed[0].name).to.equal('Friday');
+            expect(listed[0].seatsFilled).to.equal(1);
+            expect(listed[0].seats.south.name).to.equal('Alice');
+        });
+
+        it('should quick join the fullest open table', async function() {
+            const [alice, bob, carol] = await Promise.all([connect(), connect(), connect()]);
+            const quiet = await request(alice, GAME_EVENTS.CREATE_TABLE);
+            const busy = await request(alice, GAME_EVENTS.CREATE_TABLE);
+            await request(alice, GAME_EVENTS.JOIN_TABLE, { gameId: quiet.gameId });
+            await request(bob, GAME_EVENTS.JOIN_TABLE, { gameId: busy.gameId });
+            await request(carol, GAME_EVENTS.JOIN_TABLE, { gameId: busy.gameId });
+
+            const dave = await connect();
+            const reply = await request(dave, GAME_EVENTS.QUICK_JOIN, { playerName: 'Dave' });
+
+            expect(reply.gameId).to.equal(busy.gameId);
+            expect(reply.role).to.equal('north');
+        });
+
+        it('should open a new table when quick join finds none', async function() {
+            const alice = await connect();
+            const reply = await request(alice, GAME_EVENTS.QUICK_JOIN, { playerName: 'Alice' });
+
+            expect(reply.success).to.be.true;
+            expect(tables.getTable(reply.gameId).players.south.name).to.equal('Alice');
+        });
+    });
+
+    describe('getPlayerView', function() {
+        it('should hide every hand but the viewer\'s', function() {
+            const state = startNewHand(createGameState({ gameId: 'g1' }), { seed: 'view' });
+            const view = getPlayerView(state, 'south');
+
+            expect(view.players.south.hand).to.have.lengthOf(5);
+            expect(view.players.north.hand).to.be.empty;
+            expect(view.players.north.cardCount).to.equal(5);
+            expect(view.kitty).to.be.empty;
+            expect(view.dealSeed).to.be.null;
+        });
+
+        it('should show the dealer\'s discard to the dealer only', function() {
+            const dealt = startNewHand(createGameState({ gameId: 'g1' }), { seed: 'view' });
+            const state = { ...dealt, discardPile: [dealt.players[dealt.dealer].hand[0]] };
+            const other = state.playerOrder.find(role => role !== state.dealer);
+
+            expect(getPlayerView(state, state.dealer).discardPile).to.deep.equal(state.discardPile);
+            expect(getPlayerView(state, other).discardPile).to.be.empty;
+            expect(getPlayerView(state, null).discardPile).to.be.empty;
+        });
+
+        it('should never name the buried card to anyone but the dealer', function() {
+            const dealt = startNewHand(createGameState({ gameId: 'g1' }), { seed: 'view' });
+            const ordered = handleOrderUpDecision(dealt, dealt.currentPlayer, true);
+            const buried = ordered.players[ordered.dealer].hand[0];
+            const state = handleDealerDiscard(ordered, ordered.dealer, buried);
+            const reveals = view => JSON.stringify(view).includes(cardToNotation(buried))
+                || JSON.stringify(view).includes(JSON.stringify(buried));
+
+            state.playerOrder.filter(role => role !== state.dealer).forEach((role) => {
+                expect(reveals(getPlayerView(state, role)), role).to.be.false;
+            });
+            expect(reveals(getPlayerView(state, null))).to.be.false;
+            expect(reveals(getSpectatorView(state))).to.be.false;
+            expect(reveals(getPlayerView(state, state.dealer))).to.be.true;
+        });
+    });
+
+    describe('getSpectatorView', function() {
+        it('should hide every hand unless the table reveals them', function() {
+            const state = startNewHand(createGameState({ gameId: 'g1' }), { seed: 'view' });
+
+            expect(getSpectatorView(state).players.south.hand).to.be.empty;
+            expect(getSpectatorView({ ...state, spectatorHands: 'revealed' }).players.south.hand).to.have.lengthOf(5);
+        });
+
+        it('should show the dealer\'s discard only when the table reveals hands', function() {
+            const dealt = startNewHand(createGameState({ gameId: 'g1' }), { seed: 'view' });
+            const state = { ...dealt, discardPile: [dealt.players[dealt.dealer].hand[0]] };
+
+            expect(getSpectatorView(state).discardPile).to.be.empty;
+            expect(getSpectatorView({ ...state, spectatorHands: 'revealed' }).discardPile).to.deep.equal(state.discardPile);
+        });
+    });
+});
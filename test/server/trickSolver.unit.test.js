@@ -0,0 +1,139 @@
+/**
+ * @file trickSolver.unit.test.js - Unit tests for the double-dummy trick solver
+ * @module test/server/trickSolver.unit
+ * @description Tests solving deals with perfect play, lone hands, and finding the
+ * plays in a finished hand that lost a trick.
+ *
+ * @requires chai
+ * @requires ../src/game/logic/trickSolver.js
+ */
+
+import { expect } from 'chai';
+import { solveDeal, analyzeHand, analyzeHandRecord } from '../../src/game/logic/trickSolver.js';
+import { dealFromSeed, startNewHand } from '../../src/game/phases/dealing.js';
+import { fillEmptySeats, takeBotTurn, getBotToAct } from '../../src/game/bots/botPlayer.js';
+import { createGameState } from '../../src/game/state.js';
+import { getTeamForPlayer } from '../../src/utils/players.js';
+import { PLAYER_ROLES } from '../../src/config/constants.js';
+
+const card = (code) => {
+    const suits = { H: 'hearts', D: 'diamonds', C: 'clubs', S: 'spades' };
+    return { rank: code.slice(0, -1), suit: suits[code.slice(-1)] };
+};
+const hand = (...codes) => codes.map(card);
+const trick = (leader, winner, team, plays) => ({
+    leader,
+    winner,
+    team,
+    plays: plays.map(([player, code]) => ({ player, card: card(code) }))
+});
+
+describe('Trick solver', () => {
+    describe('solveDeal', () => {
+        it('should give every trick to the side holding the top five trump', () => {
+            const result = solveDeal({
+                hands: {
+                    south: hand('JH', 'JD', 'AH', 'KH', 'QH'),
+                    west: hand('AS', 'KS', 'QS', 'JS', '10S'),
+                    north: hand('AC', 'KC', 'QC', 'JC', '10C'),
+                    east: hand('AD', 'KD', 'QD', '10D', '9D')
+                },
+                trumpSuit: 'hearts',
+                leader: 'west'
+            });
+
+            expect(result).to.deep.equal({ 'north+south': 5, 'east+west': 0 });
+        });
+
+        it('should find the line that cashes the bower before the ace', () => {
+            const result = solveDeal({
+                hands: {
+                    south: hand('JH', 'AS'),
+                    west: hand('QH', '10C'),
+                    north: hand('10S', '9C'),
+                    east: hand('9D', '10D')
+                },
+                trumpSuit: 'hearts',
+                leader: 'south'
+            });
+
+            expect(result['north+south']).to.equal(2);
+        });
+
+        it('should solve a lone hand with the partner sitting out', () => {
+            const result = solveDeal({
+                hands: {
+                    south: hand('JH', 'JD', 'AH', 'KH', 'AC'),
+                    west: hand('QH', '10H', 'KC', 'AS', 'KS'),
+                    north: hand('9H', 'QC', 'JC', '10C', '9C'),
+                    east: hand('AD', 'KD', 'QD', 'QS', '10S')
+                },
+                trumpSuit: 'hearts',
+                leader: 'west',
+                partnerSittingOut: 'north'
+            });
+
+            expect(result['north+south']).to.equal(5);
+        });
+
+        it('should reject a leader who is sitting out', () => {
+            expect(() => solveDeal({ hands: {}, trumpSuit: 'hearts', leader: 'north', partnerSittingOut: 'north' }))
+                .to.throw('not playing this hand');
+        });
+
+        it('should split a full seeded deal between the two sides', () => {
+            const { hands } = dealFromSeed(42, 'south', PLAYER_ROLES);
+
+            const result = solveDeal({ hands, trumpSuit: 'spades', leader: 'west' });
+
+            expect(result['north+south'] + result['east+west']).to.equal(5);
+        });
+    });
+
+    describe('analyzeHand', () => {
+        const playedHand = {
+            trumpSuit: 'hearts',
+            playerOrder: PLAYER_ROLES,
+            tricks: [
+                trick('south', 'west', 'east+west', [['south', 'AS'], ['west', 'QH'], ['north', '10S'], ['east', '9D']]),
+                trick('west', 'south', 'north+south', [['west', '10C'], ['north', '9C'], ['east', '10D'], ['south', 'JH']])
+            ]
+        };
+
+        it('should compare the actual result with perfect play', () => {
+            const analysis = analyzeHand(playedHand);
+
+            expect(analysis.optimal).to.deep.equal({ 'north+south': 2, 'east+west': 0 });
+            expect(analysis.actual).to.deep.equal({ 'north+south': 1, 'east+west': 1 });
+        });
+
+        it('should point out the play that lost a trick', () => {
+            const { mistakes } = analyzeHand(playedHand);
+
+            expect(mistakes).to.have.lengthOf(1);
+            expect(mistakes[0]).to.deep.include({ trickNumber: 1, player: 'south', tricksLost: 1 });
+            expect(mistakes[0].bestCards).to.deep.equal([card('JH')]);
+        });
+
+        it('should reject a hand with no tricks', () => {
+            expect(() => analyzeHand({ trumpSuit: 'hearts', tricks: [] })).to.throw('no finished hand');
+        });
+    });
+
+    describe('analyzeHandRecord', () => {
+        it('should analyze a hand from the hand history', () => {
+            let state = startNewHand(fillEmptySeats(createGameState(), 'hard'), { seed: 3 });
+            while (getBotToAct(state) && !state.handHistory.length) {
+                state = takeBotTurn(state);
+            }
+            const [record] = state.handHistory;
+            const northSouthTricks = record.tricks.filter(played => getTeamForPlayer(played.winner) === 'north+south').length;
+
+            const analysis = analyzeHandRecord(record, state.playerOrder);
+
+            expect(analysis.actual).to.deep.equal({ 'north+south': northSouthTricks, 'east+west': 5 - northSouthTricks });
+            expect(analysis.optimal['north+south'] + analysis.optimal['east+west']).to.equal(5);
+            analysis.mistakes.forEach(mistake => expect(mistake.tricksLost).to.be.above(0));
+        });
+    });
+});
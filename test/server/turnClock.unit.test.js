@@ -0,0 +1,138 @@
+/**
+ * @file turnClock.unit.test.js - Unit tests for turn clocks
+ * @module test/server/turnClock.unit
+ * @description Tests starting and stopping the clock, the moves made when it runs
+ * out, and strikes for players who let it.
+ *
+ * @requires chai
+ * @requires ../src/game/turnClock.js
+ */
+
+import { expect } from 'chai';
+import {
+    createTurnTimeLimits,
+    getTurnTimeLimit,
+    updateTurnClock,
+    getTimeoutAction,
+    recordTimeout
+} from '../../src/game/turnClock.js';
+import { takeSeat, holdSeat } from '../../src/game/seating.js';
+import { createGameState } from '../../src/game/state.js';
+import { startNewHand } from '../../src/game/phases/dealing.js';
+import { applyAction } from '../../src/game/actions.js';
+import { getCardValue } from '../../src/client/utils/cardUtils.js';
+import { GAME_PHASES, TIMEOUT_STRIKE_LIMIT, TURN_TIME_LIMITS } from '../../src/config/constants.js';
+
+describe('Turn clock', function() {
+    let state;
+
+    beforeEach(function() {
+        state = createGameState({ gameId: 'g1' });
+        state.playerOrder.forEach((role, i) => {
+            state = takeSeat(state, role, { socketId: `s${i}` });
+        });
+        state = { ...startNewHand(state), turnTimeLimits: createTurnTimeLimits({ playing: 5000 }) };
+    });
+
+    describe('createTurnTimeLimits', function() {
+        it('should fill in the default limits', function() {
+            expect(createTurnTimeLimits({ bidding: 0 })).to.deep.equal({ ...TURN_TIME_LIMITS, bidding: 0 });
+        });
+
+        it('should reject an unknown turn or a bad limit', function() {
+            expect(() => createTurnTimeLimits({ chatting: 1000 })).to.throw('Unknown turn time limit');
+            expect(() => createTurnTimeLimits({ playing: -1 })).to.throw('Invalid time limit');
+        });
+    });
+
+    describe('updateTurnClock', function() {
+        it('should start the clock for the player to act', function() {
+            const { turnClock } = updateTurnClock(state, 1000);
+
+            expect(turnClock).to.include({ role: state.currentPlayer, phase: GAME_PHASES.ORDER_UP_ROUND1, startedAt: 1000 });
+            expect(turnClock.deadline).to.equal(1000 + getTurnTimeLimit(state));
+        });
+
+        it('should keep a running clock until a move is made', function() {
+            const started = updateTurnClock(state, 1000);
+            expect(updateTurnClock(started, 2000).turnClock.startedAt).to.equal(1000);
+
+            const moved = applyAction(started, state.currentPlayer, { type: 'orderUp', orderedUp: false });
+            expect(updateTurnClock(moved, 2000).turnClock.startedAt).to.equal(2000);
+        });
+
+        it('should restart the clock when the same dealer deals again', function() {
+            const started = updateTurnClock(state, 1000);
+            const redealt = startNewHand(started, { rotateDealer: false, seed: state.dealSeed + 1 });
+
+            expect(redealt.currentPlayer).to.equal(state.currentPlayer);
+            expect(updateTurnClock(redealt, 2000).turnClock.startedAt).to.equal(2000);
+        });
+
+        it('should stop the clock for a bot, a paused game or an untimed turn', function() {
+            const started = updateTurnClock(state, 1000);
+            const role = state.currentPlayer;
+            const withBot = { ...started, players: { ...started.players, [role]: { ...started.players[role], isBot: true } } };
+
+            expect(updateTurnClock(withBot).turnClock).to.be.null;
+            expect(updateTurnClock(holdSeat(started, 'north', 5000)).turnClock).to.be.null;
+            expect(updateTurnClock({ ...started, turnTimeLimits: createTurnTimeLimits({ bidding: 0 }) }).turnClock).to.be.null;
+        });
+    });
+
+    describe('getTimeoutAction', function() {
+        it('should pass in bidding', function() {
+            expect(getTimeoutAction(state, state.currentPlayer)).to.deep.equal({ type: 'orderUp', orderedUp: false });
+        });
+
+        it('should discard the dealer\'s lowest card', function() {
+            const ordered = applyAction(state, state.currentPlayer, { type: 'orderUp', orderedUp: true });
+            const hand = ordered.players[ordered.dealer].hand;
+            const { card } = getTimeoutAction(ordered, ordered.dealer);
+
+            hand.forEach(other => expect(getCardValue(card, ordered.trumpSuit)).to.be.at.most(getCardValue(other, ordered.trumpSuit)));
+        });
+
+        it('should have a stuck dealer call a suit', function() {
+            const stuck = { ...state, currentPhase: GAME_PHASES.DEALER_MUST_CALL };
+            const { suit } = getTimeoutAction(stuck, state.dealer);
+
+            expect(suit).to.be.a('string').and.not.equal(state.upCard.suit);
+        });
+
+        it('should time each defender\'s defend-alone decision and decline for them', function() {
+            const allowed = { ...state, rules: { ...state.rules, allowDefendAlone: true } };
+            const ordered = applyAction(allowed, allowed.currentPlayer, { type: 'orderUp', orderedUp: true });
+            const discarded = applyAction(ordered, ordered.dealer, { type: 'discard', card: ordered.players[ordered.dealer].hand[0] });
+            const deciding = updateTurnClock(applyAction(discarded, discarded.playerWhoCalledTrump, { type: 'goAlone', goAlone: false }), 1000);
+            const defender = deciding.currentPlayer;
+
+            expect(deciding.turnClock).to.include({ role: defender, phase: GAME_PHASES.DEFEND_ALONE });
+
+            const action = getTimeoutAction(deciding, defender);
+            expect(action).to.deep.equal({ type: 'defendAlone', defendAlone: false });
+
+            const declined = updateTurnClock(applyAction(deciding, defender, action), 2000);
+            expect(declined.turnClock).to.include({ phase: GAME_PHASES.DEFEND_ALONE, startedAt: 2000 });
+            expect(declined.turnClock.role).to.not.equal(defender);
+        });
+    });
+
+    describe('recordTimeout', function() {
+        it('should flag a player once they reach the strike limit', function() {
+            let struck = state;
+            for (let i = 1; i < TIMEOUT_STRIKE_LIMIT; i++) {
+                struck = recordTimeout(struck, 'south');
+            }
+            expect(struck.players.south).to.include({ timeoutStrikes: TIMEOUT_STRIKE_LIMIT - 1, isFlagged: false });
+
+            struck = recordTimeout(struck, 'south');
+            expect(struck.players.south).to.include({ timeoutStrikes: TIMEOUT_STRIKE_LIMIT, isFlagged: true });
+        });
+
+        it('should wipe the strikes when someone else sits down', function() {
+            const struck = recordTimeout(state, 'south');
+            expect(takeSeat(struck, 'south', { socketId: 's9' }).players.south.timeoutStrikes).to.equal(0);
+        });
+    });
+});
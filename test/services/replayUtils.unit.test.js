@@ -0,0 +1,103 @@
+/**
+ * @file replayUtils.unit.test.js - Unit tests for the replay viewer helpers
+ * @module test/services/replayUtils.unit
+ * @description Tests building replay frames from hand records and sharing hands
+ * through replay links.
+ *
+ * @requires chai
+ * @requires ../src/client/utils/replayUtils.js
+ */
+
+import { expect } from 'chai';
+import {
+    buildHandFrames,
+    buildReplayFrames,
+    findFrameIndex,
+    createReplayLink,
+    readReplayLink
+} from '../../src/client/utils/replayUtils.js';
+import { importHand } from '../../src/game/history/notation.js';
+
+const RECORD = importHand(`
+[Hand "2"]
+[Dealer "south"]
+[South "JH AH 10H AC 9S"]
+[West "QH KS QS JS 10S"]
+[North "AD KD QD 10D 9D"]
+[East "KH JD 9H KC QC"]
+[UpCard "9C"]
+[Kitty "JC 10C AS"]
+[Trump "hearts"]
+[Maker "west"]
+[Result "north+south 2 euchre"]
+[Score "5-3"]
+
+bid 1 west pass
+bid 1 north pass
+bid 1 east pass
+bid 1 south pass
+bid 2 west call hearts
+alone west no
+trick 1 west QH, north 9D, east 9H, south JH => south
+trick 2 south AH, west KS, north 10D, east KH => south
+trick 3 south 10H, west QS, north QD, east JD => east
+trick 4 east KC, south AC, west JS, north KD => south
+trick 5 south 9S, west 10S, north AD, east QC => west
+`);
+
+describe('Replay utilities', () => {
+    describe('buildHandFrames', () => {
+        const frames = buildHandFrames(RECORD);
+
+        it('should start with every seat holding its dealt cards', () => {
+            expect(frames[0].hands.north).to.have.lengthOf(5);
+            expect(frames[0].upCard).to.deep.equal({ rank: '9', suit: 'clubs' });
+            expect(frames[0].scores).to.deep.equal({ 'north+south': 3, 'east+west': 3 });
+        });
+
+        it('should have a frame for the deal, the bidding, every card and the score', () => {
+            expect(frames).to.have.lengthOf(2 + 20 + 1);
+            expect(frames[1].trumpSuit).to.equal('hearts');
+            expect(frames[frames.length - 1].scores).to.deep.equal({ 'north+south': 5, 'east+west': 3 });
+        });
+
+        it('should end a thrown-in hand after the deal', () => {
+            const thrownIn = { ...RECORD, tricks: [], score: null, thrownIn: { reason: 'misdeal', player: 'north' } };
+            const thrownInFrames = buildHandFrames(thrownIn);
+
+            expect(thrownInFrames).to.have.lengthOf(2);
+            expect(thrownInFrames[1].text).to.equal('north called a misdeal. south deals again.');
+        });
+
+        it('should remove played cards and mark the trick winner', () => {
+            const endOfTrickOne = frames[findFrameIndex(frames, 2, 1) + 3];
+
+            expect(endOfTrickOne.trick).to.have.lengthOf(4);
+            expect(endOfTrickOne.trickWinner).to.equal('south');
+            expect(endOfTrickOne.hands.south).to.have.lengthOf(4);
+        });
+    });
+
+    describe('buildReplayFrames', () => {
+        it('should join the frames of every hand in the game', () => {
+            const frames = buildReplayFrames([RECORD, { ...RECORD, handNumber: 3 }]);
+
+            expect(findFrameIndex(frames, 3)).to.equal(23);
+            expect(findFrameIndex(frames, 4)).to.equal(-1);
+        });
+    });
+
+    describe('replay links', () => {
+        it('should share a hand through the URL hash', () => {
+            const link = createReplayLink(RECORD, 'https://example.com/euchre');
+
+            expect(link).to.match(/^https:\/\/example\.com\/euchre#replay=[\w-]+$/);
+            expect(readReplayLink(link.slice(link.indexOf('#')))).to.deep.equal([RECORD]);
+        });
+
+        it('should ignore other hashes', () => {
+            expect(readReplayLink('#lobby')).to.be.null;
+            expect(readReplayLink('')).to.be.null;
+        });
+    });
+});